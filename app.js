@@ -28,6 +28,10 @@ const userRoutes = require("./routes/users.routes");
 const adminRoutes = require("./routes/admin.routes");
 const examRoutes = require("./routes/exams.routes");
 const questionRoutes = require("./routes/questions.routes");
+const questionPoolRoutes = require("./routes/questionPools.routes");
+const questionGroupRoutes = require("./routes/questionGroups.routes");
+const cohortRoutes = require("./routes/cohorts.routes");
+const gradingRoutes = require("./routes/grading.routes");
 const roleRoutes = require("./routes/role.routes");
 const certificateRoutes = require("./routes/certificate.routes");
 const examAttendanceRoutes = require("./routes/examAttendance.routes");
@@ -100,6 +104,10 @@ app.use("/api/users", userRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/exams", examRoutes);
 app.use("/api/questions", questionRoutes);
+app.use("/api/question-pools", questionPoolRoutes);
+app.use("/api/question-groups", questionGroupRoutes);
+app.use("/api/cohorts", cohortRoutes);
+app.use("/api/grading", gradingRoutes);
 app.use("/api/roles", roleRoutes);
 app.use('/api/certificate', certificateRoutes);
 app.use('/api/exam-attendance', examAttendanceRoutes);
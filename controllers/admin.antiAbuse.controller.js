@@ -7,6 +7,7 @@ const ExamAttendance = require('../models/examAttendance.model');
 const User = require('../models/user.model');
 const { securityMonitor } = require('../utils/securityMonitor');
 const { patternDetector } = require('../utils/serverPatternDetection');
+const passPolicy = require('../utils/passPolicy');
 
 /**
  * Get security dashboard overview
@@ -174,6 +175,7 @@ const getSessionAnalysis = async (req, res) => {
         startTime: attendance.startTime,
         endTime: attendance.endTime,
         score: attendance.score,
+        maxScore: passPolicy.getMaxScore(attendance),
         totalQuestions: attendance.totalQuestions,
         attemptNumber: attendance.attemptNumber
       },
@@ -3,12 +3,18 @@ const Question = require("../models/question.model");
 const ExamAttendance = require("../models/examAttendance.model");
 const User = require("../models/user.model");
 const mongoose = require("mongoose");
+const passPolicy = require("../utils/passPolicy");
+const codeRunner = require("../utils/codeRunner");
 
-// Manage Virtual Machines for Practical Exams
+// Report the local code runner used for practical exams
+// (available runtimes, limits and current load)
 const manageMachines = async (req, res) => {
   try {
-    // Logic for adding/removing virtual machines (depends on implementation)
-    res.json({ message: "Virtual machines updated successfully" });
+    const status = await codeRunner.getRunnerStatus();
+    res.json({
+      message: "Code runner status retrieved successfully",
+      runner: status
+    });
   } catch (error) {
     res
       .status(500)
@@ -92,7 +98,7 @@ const getAllExamHistory = async (req, res) => {
     const examHistory = await ExamAttendance.find(filter)
       .populate({
         path: 'examId',
-        select: 'title description duration status'
+        select: 'title description duration status passingScore'
       })
       .populate({
         path: 'userId',
@@ -105,12 +111,10 @@ const getAllExamHistory = async (req, res) => {
     // Format the response data
     const formattedHistory = examHistory.map(attendance => {
       // Calculate percentage
-      const percentage = attendance.totalQuestions > 0 
-        ? ((attendance.score / attendance.totalQuestions) * 100).toFixed(2) 
-        : 0;
+      const percentage = passPolicy.getAttemptPercentage(attendance).toFixed(2);
       
-      // Determine if passed (60% threshold)
-      const passed = parseFloat(percentage) >= 60;
+      // Determine if passed (exam's passing score)
+      const passed = passPolicy.isAttemptPassed(attendance, attendance.examId);
       
       // Format user details
       const user = attendance.userId || { username: 'Unknown' };
@@ -139,9 +143,11 @@ const getAllExamHistory = async (req, res) => {
           : null, // in minutes
         status: attendance.status,
         score: attendance.score,
+        maxScore: passPolicy.getMaxScore(attendance),
         totalQuestions: attendance.totalQuestions,
         attemptedQuestions: attendance.attemptedQuestions,
         percentage: percentage,
+        passingScore: passPolicy.getPassPolicy(attendance.examId).passingScore,
         passed: passed,
         attemptNumber: attendance.attemptNumber || 1
       };
@@ -182,7 +188,7 @@ const getUserExamHistory = async (req, res) => {
     const examAttendances = await ExamAttendance.find({ userId })
       .populate({
         path: 'examId',
-        select: 'title description duration status'
+        select: 'title description duration status passingScore'
       })
       .populate({
         path: 'userId',
@@ -203,12 +209,10 @@ const getUserExamHistory = async (req, res) => {
     // Format the response
     const userExams = examAttendances.map(attendance => {
       // Calculate percentage
-      const percentage = attendance.totalQuestions > 0 
-        ? ((attendance.score / attendance.totalQuestions) * 100).toFixed(2) 
-        : 0;
+      const percentage = passPolicy.getAttemptPercentage(attendance).toFixed(2);
       
-      // Determine if the user passed (60% is passing threshold)
-      const passed = parseFloat(percentage) >= 60;
+      // Determine if the user passed (exam's passing score)
+      const passed = passPolicy.isAttemptPassed(attendance, attendance.examId);
       
       return {
         attendanceId: attendance._id,
@@ -225,9 +229,11 @@ const getUserExamHistory = async (req, res) => {
           : null, // in minutes
         status: attendance.status,
         score: attendance.score,
+        maxScore: passPolicy.getMaxScore(attendance),
         totalQuestions: attendance.totalQuestions,
         attemptedQuestions: attendance.attemptedQuestions,
         percentage: percentage,
+        passingScore: passPolicy.getPassPolicy(attendance.examId).passingScore,
         passed: passed,
         attemptNumber: attendance.attemptNumber || 1
       };
@@ -266,10 +272,12 @@ const getExamPassFailStats = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" });
     }
     
-    // Find all completed attendance records for this exam
+    const policy = passPolicy.getPassPolicy(exam);
+    
+    // Find all finished attendance records for this exam
     const attendanceRecords = await ExamAttendance.find({
       examId,
-      status: "COMPLETED"
+      status: { $in: passPolicy.FINISHED_STATUSES }
     }).populate({
       path: 'userId',
       select: 'username firstName lastName email'
@@ -285,27 +293,29 @@ const getExamPassFailStats = async (req, res) => {
           status: exam.status
         },
         stats: {
+          passingScore: policy.passingScore,
+          attemptScoring: policy.attemptScoring,
           totalAttempts: 0,
           passCount: 0,
           failCount: 0,
-          passRate: "0.00%"
+          passRate: "0.00%",
+          uniqueStudents: 0,
+          studentsPassed: 0,
+          studentPassRate: "0.00%"
         },
         students: []
       });
     }
     
     // Process student results
-    const passThreshold = 60; // 60% is passing
     const studentsData = [];
     let passCount = 0;
     let failCount = 0;
     
     attendanceRecords.forEach(record => {
-      const percentage = record.totalQuestions > 0 
-        ? ((record.score / record.totalQuestions) * 100).toFixed(2) 
-        : 0;
+      const percentage = passPolicy.getAttemptPercentage(record).toFixed(2);
       
-      const passed = parseFloat(percentage) >= passThreshold;
+      const passed = passPolicy.isAttemptPassed(record, exam);
       
       if (passed) passCount++;
       else failCount++;
@@ -325,6 +335,7 @@ const getExamPassFailStats = async (req, res) => {
         },
         attemptId: record._id,
         score: record.score,
+        maxScore: passPolicy.getMaxScore(record),
         totalQuestions: record.totalQuestions,
         attemptedQuestions: record.attemptedQuestions,
         percentage: percentage,
@@ -340,6 +351,14 @@ const getExamPassFailStats = async (req, res) => {
       ? ((passCount / attendanceRecords.length) * 100).toFixed(2) + '%' 
       : '0.00%';
     
+    // Exam-level results per student, using the exam's attempt scoring method
+    const studentResults = Object.values(passPolicy.groupAttemptsByStudentExam(attendanceRecords))
+      .map(attempts => passPolicy.evaluateAttempts(attempts, exam));
+    const studentsPassed = studentResults.filter(result => result.passed).length;
+    const studentPassRate = studentResults.length > 0
+      ? ((studentsPassed / studentResults.length) * 100).toFixed(2) + '%'
+      : '0.00%';
+    
     res.status(200).json({
       message: "Exam pass/fail statistics retrieved successfully",
       exam: {
@@ -349,10 +368,15 @@ const getExamPassFailStats = async (req, res) => {
         status: exam.status
       },
       stats: {
+        passingScore: policy.passingScore,
+        attemptScoring: policy.attemptScoring,
         totalAttempts: attendanceRecords.length,
         passCount,
         failCount,
-        passRate
+        passRate,
+        uniqueStudents: studentResults.length,
+        studentsPassed,
+        studentPassRate
       },
       students: studentsData
     });
@@ -507,132 +531,88 @@ const getAllPassedExams = async (req, res) => {
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     
-    // Build query for passed exams (score >= 60%)
-    let pipeline = [
-      // Stage 1: Join with exams collection
-      {
-        $lookup: {
-          from: 'exams',
-          localField: 'examId',
-          foreignField: '_id',
-          as: 'examData'
-        }
-      },
-      // Stage 2: Join with users collection
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'userId',
-          foreignField: '_id',
-          as: 'userData'
-        }
-      },
-      // Stage 3: Reshape the document
-      {
-        $project: {
-          examId: 1,
-          userId: 1,
-          score: 1,
-          totalQuestions: 1,
-          attemptNumber: 1,
-          startTime: 1,
-          endTime: 1,
-          status: 1,
-          percentage: {
-            $multiply: [
-              { $divide: ['$score', { $cond: [{ $eq: ['$totalQuestions', 0] }, 1, '$totalQuestions'] }] },
-              100
-            ]
-          },
-          exam: { $arrayElemAt: ['$examData', 0] },
-          user: { $arrayElemAt: ['$userData', 0] }
-        }
-      },
-      // Stage 4: Filter for completed/timed out and passing percentage
-      {
-        $match: {
-          status: { $in: ['COMPLETED', 'TIMED_OUT'] },
-          percentage: { $gte: 60 }
-        }
+    // Load finished attempts; whether a student passed an exam depends on all of their
+    // attempts and the exam's pass policy, so the decision is made per student and exam
+    const filter = { status: { $in: passPolicy.FINISHED_STATUSES } };
+    if (userId) {
+      filter.userId = new mongoose.Types.ObjectId(userId);
+    }
+    
+    const finishedAttempts = await ExamAttendance.find(filter)
+      .populate({
+        path: 'examId',
+        select: 'title description passingScore attemptScoring maxAttempts'
+      })
+      .populate({
+        path: 'userId',
+        select: 'username firstName lastName email'
+      });
+    
+    // Keep the counted attempt of every student/exam pair that passed
+    let passedResults = [];
+    Object.values(passPolicy.groupAttemptsByStudentExam(
+      finishedAttempts.filter(attempt => attempt.examId && attempt.userId)
+    )).forEach(attempts => {
+      const exam = attempts[0].examId;
+      const result = passPolicy.evaluateAttempts(attempts, exam);
+      if (result.passed) {
+        passedResults.push({ attempt: result.countedAttempt, exam, user: attempts[0].userId, result });
       }
-    ];
+    });
     
     // Add search filter if provided
     if (search) {
-      pipeline.push({
-        $match: {
-          $or: [
-            { 'exam.title': { $regex: search, $options: 'i' } },
-            { 'user.username': { $regex: search, $options: 'i' } },
-            { 'user.email': { $regex: search, $options: 'i' } },
-            { 'user.firstName': { $regex: search, $options: 'i' } },
-            { 'user.lastName': { $regex: search, $options: 'i' } }
-          ]
-        }
-      });
+      const searchRegex = new RegExp(search, 'i');
+      passedResults = passedResults.filter(({ exam, user }) =>
+        searchRegex.test(exam.title || '') ||
+        searchRegex.test(user.username || '') ||
+        searchRegex.test(user.email || '') ||
+        searchRegex.test(user.firstName || '') ||
+        searchRegex.test(user.lastName || '')
+      );
     }
     
     // Add date range filter if provided
     if (fromDate && toDate) {
-      pipeline.push({
-        $match: {
-          endTime: {
-            $gte: new Date(fromDate),
-            $lte: new Date(toDate)
-          }
-        }
-      });
+      const from = new Date(fromDate);
+      const to = new Date(toDate);
+      passedResults = passedResults.filter(({ attempt }) =>
+        attempt.endTime && new Date(attempt.endTime) >= from && new Date(attempt.endTime) <= to
+      );
     }
     
-    // Add specific user filter if provided
-    if (userId) {
-      pipeline.push({
-        $match: {
-          userId: new mongoose.Types.ObjectId(userId)
-        }
-      });
-    }
-    
-    // Add sorting stage (most recent first)
-    pipeline.push({ $sort: { endTime: -1 } });
-    
-    // Count total documents for pagination
-    const countPipeline = [...pipeline];
-    countPipeline.push({ $count: 'total' });
-    const countResult = await ExamAttendance.aggregate(countPipeline);
-    const total = countResult.length > 0 ? countResult[0].total : 0;
-    
-    // Add pagination
-    pipeline.push(
-      { $skip: (pageNum - 1) * limitNum },
-      { $limit: limitNum }
-    );
+    // Sort (most recent first)
+    passedResults.sort((a, b) => new Date(b.attempt.endTime || 0) - new Date(a.attempt.endTime || 0));
     
-    // Execute the aggregation
-    const passedExams = await ExamAttendance.aggregate(pipeline);
+    // Pagination
+    const total = passedResults.length;
+    const pageResults = passedResults.slice((pageNum - 1) * limitNum, pageNum * limitNum);
     
     // Format the results for easier consumption
-    const formattedResults = passedExams.map(exam => ({
-      attendanceId: exam._id,
-      examId: exam.examId,
-      examTitle: exam.exam?.title || 'Unknown Exam',
-      examDescription: exam.exam?.description || '',
+    const formattedResults = pageResults.map(({ attempt, exam, user, result }) => ({
+      attendanceId: attempt._id,
+      examId: exam._id,
+      examTitle: exam.title || 'Unknown Exam',
+      examDescription: exam.description || '',
       user: {
-        userId: exam.userId,
-        username: exam.user?.username || 'Unknown User',
-        name: exam.user?.firstName && exam.user?.lastName ? 
-              `${exam.user.firstName} ${exam.user.lastName}` : exam.user?.username || 'Unknown',
-        email: exam.user?.email || ''
+        userId: user._id,
+        username: user.username || 'Unknown User',
+        name: user.firstName && user.lastName ? 
+              `${user.firstName} ${user.lastName}` : user.username || 'Unknown',
+        email: user.email || ''
       },
-      score: exam.score,
-      totalQuestions: exam.totalQuestions,
-      percentage: exam.percentage.toFixed(2),
-      attemptNumber: exam.attemptNumber || 1,
-      timeTaken: exam.endTime ? 
-                 Math.round((new Date(exam.endTime) - new Date(exam.startTime)) / 60000) + ' min' :
+      score: attempt.score,
+      maxScore: passPolicy.getMaxScore(attempt),
+      totalQuestions: attempt.totalQuestions,
+      percentage: result.percentage.toFixed(2),
+      passingScore: result.passingScore,
+      attemptScoring: result.attemptScoring,
+      attemptNumber: attempt.attemptNumber || 1,
+      timeTaken: attempt.endTime ? 
+                 Math.round((new Date(attempt.endTime) - new Date(attempt.startTime)) / 60000) + ' min' :
                  'N/A',
-      passedOn: new Date(exam.endTime).toLocaleDateString() + ' ' + 
-                new Date(exam.endTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})
+      passedOn: new Date(attempt.endTime).toLocaleDateString() + ' ' + 
+                new Date(attempt.endTime).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})
     }));
     
     res.status(200).json({
@@ -4,6 +4,7 @@ const path = require('path');
 const fontkit = require('fontkit');  // Add this import
 const { mailSender } = require('../utils/mailSender'); // Fix: Destructure mailSender from the module
 const Certificate = require('../models/certificate.model'); // Add this import
+const User = require('../models/user.model');
 
 class CertificateGenerator {
     constructor() {
@@ -536,6 +537,9 @@ const generateCertificate = async (data, res) => {
                 examTitle: certificateData.examTitle || null,
                 score: certificateData.score || null,
                 passed: true,
+                userId: certificateData.userId,
+                examId: certificateData.examId,
+                attendanceId: certificateData.attendanceId,
                 emailSent
             });
             
@@ -576,6 +580,40 @@ const generateCertificate = async (data, res) => {
     }
 };
 
+// Issue the certificate for a passed exam (at most one per student and exam)
+const issueExamCertificate = async ({ userId, exam, attendance, percentage }) => {
+    const existingCertificate = await Certificate.findOne({ userId, examId: exam._id });
+    if (existingCertificate) {
+        console.log(`Certificate ${existingCertificate.certificateId} already issued for user ${userId}, exam ${exam._id}`);
+        return {
+            success: true,
+            alreadyIssued: true,
+            certificateId: existingCertificate.certificateId,
+            certificatePath: existingCertificate.certificatePath,
+            emailSent: false
+        };
+    }
+
+    const user = await User.findById(userId).select('username firstName lastName email');
+    if (!user) {
+        throw new Error('User not found for certificate');
+    }
+
+    const name = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username;
+
+    return generateCertificate({
+        name,
+        directorName: process.env.CERTIFICATE_DIRECTOR_NAME || 'Director',
+        dateOfIssue: new Date().toLocaleDateString('en-GB'),
+        email: user.email,
+        examTitle: exam.title,
+        score: `${percentage.toFixed(2)}%`,
+        userId,
+        examId: exam._id,
+        attendanceId: attendance._id
+    });
+};
+
 // Download certificate controller
 const downloadCertificate = (req, res) => {
     try {
@@ -603,5 +641,6 @@ const downloadCertificate = (req, res) => {
 module.exports = {
     CertificateGenerator,
     generateCertificate,
+    issueExamCertificate,
     downloadCertificate
 };
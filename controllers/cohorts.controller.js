@@ -0,0 +1,248 @@
+const Cohort = require("../models/cohort.model");
+const ExamAssignment = require("../models/examAssignment.model");
+const { parseEmailList, findUsersByEmail } = require("../utils/examAssignment");
+
+const MEMBERSHIP_MODES = ["add", "remove", "replace"];
+
+// Escape a string for use in a regular expression
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Only the cohort's creator or an admin can change it: its members decide who can sit the creator's exams
+const canManageCohort = (req, cohort) =>
+  req.user.role === "admin" || (cohort.createdBy && cohort.createdBy.toString() === req.user._id.toString());
+
+const createCohort = async (req, res) => {
+  try {
+    const { name, description, emails } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: "Cohort name is required" });
+    }
+
+    const existingCohort = await Cohort.findOne({ name: name.trim() });
+    if (existingCohort) {
+      return res.status(400).json({ message: "A cohort with this name already exists" });
+    }
+
+    // Members can be added right away from an email list
+    const emailList = parseEmailList(emails);
+    const users = await findUsersByEmail(emailList);
+    const foundEmails = new Set(users.map(user => user.email.toLowerCase()));
+
+    const cohort = new Cohort({
+      name,
+      description,
+      members: users.map(user => user._id),
+      createdBy: req.user._id
+    });
+
+    await cohort.save();
+
+    res.status(201).json({
+      message: "Cohort created successfully",
+      cohort,
+      membership: {
+        added: users.length,
+        notFound: emailList.filter(email => !foundEmails.has(email))
+      }
+    });
+  } catch (error) {
+    console.error("Error creating cohort:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const getAllCohorts = async (req, res) => {
+  try {
+    const { search } = req.query;
+    const filter = search ? { name: { $regex: escapeRegex(search), $options: 'i' } } : {};
+
+    const cohorts = await Cohort.find(filter)
+      .populate("createdBy", "username firstName lastName")
+      .sort({ createdAt: -1 });
+
+    // Member and assigned exam counts instead of the full member lists
+    const cohortsWithCounts = await Promise.all(cohorts.map(async (cohort) => {
+      const assignedExams = await ExamAssignment.countDocuments({ cohortId: cohort._id });
+      const { members, ...rest } = cohort.toObject();
+      return {
+        ...rest,
+        memberCount: members.length,
+        assignedExams
+      };
+    }));
+
+    res.status(200).json({
+      message: "Cohorts retrieved successfully",
+      count: cohortsWithCounts.length,
+      cohorts: cohortsWithCounts
+    });
+  } catch (error) {
+    console.error("Error getting cohorts:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const getCohortById = async (req, res) => {
+  try {
+    const cohort = await Cohort.findById(req.params.id)
+      .populate("createdBy", "username firstName lastName")
+      .populate("members", "username firstName lastName email");
+
+    if (!cohort) {
+      return res.status(404).json({ message: "Cohort not found" });
+    }
+
+    const assignments = await ExamAssignment.find({ cohortId: cohort._id })
+      .populate("examId", "title status");
+
+    res.status(200).json({
+      cohort,
+      memberCount: cohort.members.length,
+      assignedExams: assignments
+        .filter(assignment => assignment.examId)
+        .map(assignment => ({
+          assignmentId: assignment._id,
+          examId: assignment.examId._id,
+          title: assignment.examId.title,
+          status: assignment.examId.status,
+          overrides: assignment.overrides
+        }))
+    });
+  } catch (error) {
+    console.error("Error getting cohort:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const updateCohort = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const cohort = await Cohort.findById(req.params.id);
+    if (!cohort) {
+      return res.status(404).json({ message: "Cohort not found" });
+    }
+    if (!canManageCohort(req, cohort)) {
+      return res.status(403).json({ message: "Only the cohort's creator or an admin can change it" });
+    }
+
+    if (name && name.trim() !== cohort.name) {
+      const existingCohort = await Cohort.findOne({ name: name.trim() });
+      if (existingCohort) {
+        return res.status(400).json({ message: "A cohort with this name already exists" });
+      }
+      cohort.name = name;
+    }
+    if (description !== undefined) cohort.description = description;
+
+    await cohort.save();
+
+    res.status(200).json({
+      message: "Cohort updated successfully",
+      cohort
+    });
+  } catch (error) {
+    console.error("Error updating cohort:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const deleteCohort = async (req, res) => {
+  try {
+    const deletedCohort = await Cohort.findById(req.params.id);
+    if (!deletedCohort) {
+      return res.status(404).json({ message: "Cohort not found" });
+    }
+    if (!canManageCohort(req, deletedCohort)) {
+      return res.status(403).json({ message: "Only the cohort's creator or an admin can delete it" });
+    }
+    await Cohort.deleteOne({ _id: deletedCohort._id });
+
+    // Exams assigned only to this cohort become available to everyone again,
+    // unless they have other assignments
+    const deleteResult = await ExamAssignment.deleteMany({ cohortId: deletedCohort._id });
+
+    res.status(200).json({
+      message: "Cohort deleted successfully",
+      assignmentsDeleted: deleteResult.deletedCount
+    });
+  } catch (error) {
+    console.error("Error deleting cohort:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+// Add, remove or replace members from a list of email addresses
+const updateCohortMembers = async (req, res) => {
+  try {
+    const { emails, mode = "add" } = req.body;
+
+    if (!MEMBERSHIP_MODES.includes(mode)) {
+      return res.status(400).json({ message: `Mode must be one of ${MEMBERSHIP_MODES.join(', ')}` });
+    }
+
+    const emailList = parseEmailList(emails);
+    if (emailList.length === 0 && mode !== "replace") {
+      return res.status(400).json({ message: "Please provide 'emails' as an array or a comma separated list" });
+    }
+
+    const cohort = await Cohort.findById(req.params.id);
+    if (!cohort) {
+      return res.status(404).json({ message: "Cohort not found" });
+    }
+    if (!canManageCohort(req, cohort)) {
+      return res.status(403).json({ message: "Only the cohort's creator or an admin can change it" });
+    }
+
+    const users = await findUsersByEmail(emailList);
+    const foundEmails = new Set(users.map(user => user.email.toLowerCase()));
+    const notFound = emailList.filter(email => !foundEmails.has(email));
+
+    const currentMembers = new Set(cohort.members.map(id => id.toString()));
+    const listedMembers = new Set(users.map(user => user._id.toString()));
+    let added = [];
+    let removed = [];
+
+    if (mode === "add") {
+      added = users.filter(user => !currentMembers.has(user._id.toString()));
+      cohort.members.push(...added.map(user => user._id));
+    } else if (mode === "remove") {
+      removed = users.filter(user => currentMembers.has(user._id.toString()));
+      cohort.members = cohort.members.filter(id => !listedMembers.has(id.toString()));
+    } else {
+      added = users.filter(user => !currentMembers.has(user._id.toString()));
+      removed = [...currentMembers].filter(id => !listedMembers.has(id));
+      cohort.members = users.map(user => user._id);
+    }
+
+    await cohort.save();
+
+    console.log(`Cohort ${cohort._id} membership (${mode}): ${added.length} added, ${removed.length} removed, ${notFound.length} not found`);
+
+    res.status(200).json({
+      message: "Cohort membership updated successfully",
+      mode,
+      memberCount: cohort.members.length,
+      added: added.map(user => user.email),
+      removed: removed.length,
+      notFound,
+      // Listed users that were already members (add) or weren't members (remove)
+      unchanged: mode === "remove"
+        ? users.length - removed.length
+        : users.length - added.length
+    });
+  } catch (error) {
+    console.error("Error updating cohort members:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+module.exports = {
+  createCohort,
+  getAllCohorts,
+  getCohortById,
+  updateCohort,
+  deleteCohort,
+  updateCohortMembers
+};
@@ -10,25 +10,206 @@ function getStatusDisplay(status) {
 const Exam = require("../models/exam.model");
 const ExamAttendance = require("../models/examAttendance.model");
 const Question = require("../models/question.model");
-const { generateCertificate } = require("./certificate.controller");
+const QuestionGroup = require("../models/questionGroup.model");
 const User = require("../models/user.model");
 const TmpExamStudentData = require('../models/tmp.model');
 const { mailSender, sendCertificateEmail } = require('../utils/mailSender'); // Add this import
 const mongoose = require('mongoose'); // Import mongoose
 const attendanceUtils = require('../utils/attendanceUtils'); // Import attendance utilities
 const { processAntiAbuseData } = require('../middlewares/antiAbuse.middleware'); // Add anti-abuse detection
+const questionPool = require('../utils/questionPool'); // Per-attempt question draws
+const passPolicy = require('../utils/passPolicy'); // Per-exam pass/retake rules
+const grading = require('../utils/grading'); // Per-question-type scoring
+const attemptGrading = require('../utils/attemptGrading'); // Shared attempt grading
+const attemptState = require('../utils/attemptState'); // Durable per-attempt state
+const timeoutManager = require('../utils/timeoutManager'); // Server-side attempt deadlines
+const codeRunner = require('../utils/codeRunner'); // Sandboxed runs of practical answers
+const examVersioning = require('../utils/examVersioning'); // Attempts are pinned to an exam version
+const examSchedule = require('../utils/examSchedule'); // Availability windows
+const examAssignment = require('../utils/examAssignment'); // Cohort/student assignments and overrides
+const prerequisites = require('../utils/prerequisites'); // Exams that must be passed first
+const examReview = require('../utils/examReview'); // Exam authors and reviewers
+const examPreview = require('../utils/examPreview'); // Author previews, kept in the TTL-backed PreviewSession collection
+const optionShuffle = require('../utils/optionShuffle'); // Per-attempt option order
+const questionFeedback = require('../utils/questionFeedback'); // Explanations and option feedback
+const questionGroups = require('../utils/questionGroups'); // Passage groups with a shared stimulus
+const questionVariants = require('../utils/questionVariants'); // Per-attempt instances of template questions
+const structuredQuestions = require('../utils/structuredQuestions'); // Matching, ordering and cloze questions
+
+// Question fields served to students during an attempt
+const STUDENT_QUESTION_FIELDS = 'type questionText options pairs distractors items blanks marks negativeMarks language starterCode testCases timeLimitMs memoryLimitMb groupId';
+
+// Shown when an attempt's draw can't satisfy the exam's blueprint (see utils/examBlueprint.js)
+const BLUEPRINT_UNSATISFIED_MESSAGE = "This exam can't be started right now because its question pools no longer match its blueprint. Please contact your instructor.";
+
+// Helper function to hide what students must not see before submitting
+// (hidden test cases of practical questions, matching pairs, the solved order, blank answers),
+// with options in the attempt's order
+const formatQuestionForStudent = (question, optionSeed = null) => {
+  if (!question) return null;
+  const { _id, type, questionText } = question;
+  // Students see what a question is worth and what a wrong answer costs
+  const { marks, negativeMarks } = grading.getQuestionMarks(question);
+
+  // Grouped questions are shown with their group's stimulus
+  const groupId = question.groupId || null;
+
+  // Matching choices and ordering items are scrambled, cloze blanks only show their options
+  if (structuredQuestions.isStructured(type)) {
+    return { _id, type, questionText, marks, negativeMarks, groupId, ...structuredQuestions.formatForStudent(question, optionSeed) };
+  }
+
+  if (type !== 'Practical') {
+    return { _id, type, questionText, marks, negativeMarks, groupId, options: optionShuffle.getDisplayedOptions(question, optionSeed) };
+  }
+
+  return {
+    _id,
+    type,
+    questionText,
+    marks,
+    negativeMarks,
+    groupId,
+    language: question.language,
+    starterCode: question.starterCode || '',
+    limits: codeRunner.getLimits(question),
+    // Visible test cases double as examples
+    examples: (question.testCases || [])
+      .filter(testCase => testCase.hidden === false)
+      .map(testCase => ({ input: testCase.input, expectedOutput: testCase.expectedOutput })),
+    totalTestCases: (question.testCases || []).length
+  };
+};
+
+// Helper function to build the passage group of a page: its stimulus and every question
+// of the group in the attempt, with the page each one is on
+const buildGroupContext = async ({ groupId, questionIds, limitNum, savedAnswers, flaggedQuestions, optionSeed, variants }) => {
+  const [group, groupQuestions] = await Promise.all([
+    QuestionGroup.findById(groupId).select(questionGroups.STUDENT_GROUP_FIELDS),
+    Question.find({ _id: { $in: questionIds }, groupId }).select(STUDENT_QUESTION_FIELDS)
+  ]);
+  if (!group) return null;
+
+  const positions = new Map(questionIds.map((id, index) => [id.toString(), index]));
+  const questions = groupQuestions
+    .sort((a, b) => positions.get(a._id.toString()) - positions.get(b._id.toString()))
+    .map(question => {
+      const id = question._id.toString();
+      return {
+        page: Math.floor(positions.get(id) / limitNum) + 1,
+        question: formatQuestionForStudent(questionVariants.applyVariant(question, questionVariants.getVariantValues(variants, id)), optionSeed),
+        savedAnswer: savedAnswers[id] || null,
+        isFlagged: flaggedQuestions.includes(id)
+      };
+    });
 
-// Store user answers and randomized questions temporarily in memory
-const userExamData = {};
+  return {
+    ...questionGroups.formatGroupForStudent(group),
+    questions,
+    // Grouped questions are served next to each other
+    firstPage: questions.length > 0 ? questions[0].page : null,
+    lastPage: questions.length > 0 ? questions[questions.length - 1].page : null
+  };
+};
 
-// Function to randomize array (Fisher-Yates shuffle)
-const shuffleArray = (array) => {
-  const newArray = [...array]; // Create a copy to not modify the original
-  for (let i = newArray.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
+// Helper function to build the page of questions served during an attempt or an author preview
+// Template questions are shown with the values drawn for the attempt (variants)
+const buildQuestionPage = async ({ questionIds, pageNum, limitNum, savedAnswers, flaggedQuestionIds, optionSeed, variants }) => {
+  // Calculate pagination
+  const startIndex = (pageNum - 1) * limitNum;
+  const endIndex = Math.min(pageNum * limitNum, questionIds.length);
+  
+  console.log(`Pagination: page ${pageNum}, limit ${limitNum}, startIndex ${startIndex}, endIndex ${endIndex}`);
+  
+  // Get questions for current page
+  const currentPageQuestions = await questionPool.loadQuestionsInOrder(
+    questionIds.slice(startIndex, endIndex),
+    STUDENT_QUESTION_FIELDS
+  );
+  console.log(`Retrieved ${currentPageQuestions.length} questions for current page`);
+  
+  const currentQuestion = currentPageQuestions.length > 0 ? currentPageQuestions[0] : null;
+  const flaggedQuestions = (flaggedQuestionIds || []).map(id => id.toString());
+  
+  // A grouped question comes with its group, so the whole passage set is delivered together
+  const group = currentQuestion?.groupId
+    ? await buildGroupContext({ groupId: currentQuestion.groupId, questionIds, limitNum, savedAnswers, flaggedQuestions, optionSeed, variants })
+    : null;
+  const servedQuestion = currentQuestion
+    ? questionVariants.applyVariant(currentQuestion, questionVariants.getVariantValues(variants, currentQuestion._id))
+    : null;
+  
+  return {
+    currentPage: pageNum,
+    totalPages: Math.ceil(questionIds.length / limitNum),
+    totalQuestions: questionIds.length,
+    question: formatQuestionForStudent(servedQuestion, optionSeed),
+    // Saved progress, so a resumed attempt shows what was already answered
+    savedAnswer: currentQuestion ? savedAnswers[currentQuestion._id.toString()] || null : null,
+    isFlagged: currentQuestion ? flaggedQuestions.includes(currentQuestion._id.toString()) : false,
+    group,
+    answeredQuestions: Object.keys(savedAnswers),
+    flaggedQuestions
+  };
+};
+
+// Helper function to check a submitted answer against its question's type
+// Answers are option text, or positions in the displayed option order (selectedOptionIndex)
+// Returns { answer } with the canonical answer to store, or { status, body } to reject it
+const normalizeSubmittedAnswer = (question, { selectedAnswer, selectedOptionIndex }, optionSeed = null) => {
+  if (selectedOptionIndex !== undefined && selectedOptionIndex !== null) {
+    if (!question || !(question.options || []).length) {
+      return { status: 400, body: { message: "Only questions with options accept 'selectedOptionIndex'" } };
+    }
+    const mapped = optionShuffle.mapDisplayedPositions(question, optionSeed, selectedOptionIndex);
+    if (mapped === null) {
+      return { status: 400, body: { message: "'selectedOptionIndex' must be a position of the displayed options" } };
+    }
+    selectedAnswer = mapped;
   }
-  return newArray;
+
+  // Matching, ordering and cloze questions take a list with one entry per prompt, position or blank
+  if (question && structuredQuestions.isStructured(question.type)) {
+    const structured = structuredQuestions.normalizeStructuredAnswer(question, selectedAnswer);
+    if (structured.error) {
+      return { status: 400, body: { message: structured.error } };
+    }
+    return { answer: structured.answer };
+  }
+  // Multiple-select questions take a list of options, all other questions a single answer
+  if (question && question.type === "MultiSelect") {
+    const selection = grading.normalizeSelection(selectedAnswer);
+    const invalidOptions = selection.filter(option => !question.options.includes(option));
+    if (invalidOptions.length > 0) {
+      return { status: 400, body: { message: "Selected answers must be options of the question", invalidOptions } };
+    }
+    return { answer: selection };
+  }
+  if (Array.isArray(selectedAnswer)) {
+    return { status: 400, body: { message: "Only multiple-select, matching, ordering and cloze questions accept several answers" } };
+  }
+  if (question && question.type === "Numeric") {
+    // Numeric answers are stored as numbers, an empty answer clears the question
+    if (selectedAnswer === null || selectedAnswer === undefined || selectedAnswer === '') {
+      return { answer: selectedAnswer };
+    }
+    const number = grading.parseNumericAnswer(selectedAnswer);
+    if (number === null) {
+      return { status: 400, body: { message: "Numeric questions take a number as their answer" } };
+    }
+    return { answer: number };
+  }
+  if (question && question.type === "ShortAnswer" && String(selectedAnswer ?? '').length > grading.MAX_SHORT_ANSWER_LENGTH) {
+    // Short answers are matched against the author's patterns while grading
+    return { status: 400, body: { message: `Short answers can be at most ${grading.MAX_SHORT_ANSWER_LENGTH} characters` } };
+  }
+  if (question && question.type === "Practical") {
+    // Code is stored as submitted and only run against the test cases when the attempt is graded
+    if (typeof selectedAnswer !== 'string' || Buffer.byteLength(selectedAnswer) > codeRunner.MAX_CODE_BYTES) {
+      return { status: 400, body: { message: `Code must be a string of at most ${codeRunner.MAX_CODE_BYTES / 1024} KB` } };
+    }
+  }
+  return { answer: selectedAnswer };
 };
 
 // Helper function to get real attempt count and fix inconsistencies
@@ -70,7 +251,7 @@ const attendExam = async (req, res) => {
   try {
     console.log("Starting exam attendance process");
     const { examId } = req.params;
-    const { page = 1, limit = 1, newAttempt = false, forceNewAttempt = false } = req.query;
+    const { page, limit = 1, newAttempt = false, forceNewAttempt = false } = req.query;
     const userId = req.user._id;
 
     // Validate examId
@@ -79,36 +260,10 @@ const attendExam = async (req, res) => {
       return res.status(400).json({ message: "Invalid Exam ID format." });
     }
 
-    const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
 
     console.log(`Request parameters - examId: ${examId}, userId: ${userId}, newAttempt: ${newAttempt}`);
     
-    // Check if user has already passed this exam (score >= 60%)
-    const passedAttempt = await ExamAttendance.findOne({
-      examId,
-      userId,
-      status: { $in: ["COMPLETED", "TIMED_OUT"] }
-    }).sort({ score: -1 }); // Get their best score
-    
-    if (passedAttempt && passedAttempt.totalQuestions > 0) {
-      const percentage = (passedAttempt.score / passedAttempt.totalQuestions) * 100;
-      
-      // If they scored 60% or higher, don't allow retaking the exam
-      if (percentage >= 60) {
-        console.log(`User ${userId} has already passed exam ${examId} with ${percentage.toFixed(2)}%`);
-        return res.status(403).json({
-          message: "You have already passed this exam. No additional attempts are permitted.",
-          score: passedAttempt.score,
-          totalQuestions: passedAttempt.totalQuestions,
-          percentage: percentage.toFixed(2),
-          attemptNumber: passedAttempt.attemptNumber,
-          passedAt: passedAttempt.endTime,
-          status: "PASSED"
-        });
-      }
-    }
-
     // Find the exam and populate the MCQ questions
     console.log(`Looking for exam with ID: ${examId}`);
     const exam = await Exam.findById(examId).populate({
@@ -123,6 +278,31 @@ const attendExam = async (req, res) => {
     
     console.log(`Found exam: ${exam.title}, status: ${exam.status}`);
     
+    // Exams assigned to cohorts or students can only be attended by them
+    const access = req.user.role === "admin" ? null : await examAssignment.checkExamAccess(userId, exam);
+    if (access && !access.assigned) {
+      console.log(`Exam ${examId} is not assigned to user ${userId}`);
+      return res.status(403).json({
+        message: "This exam is not assigned to you.",
+        status: "NOT_ASSIGNED"
+      });
+    }
+    
+    // The student's settings for this exam, with their assignment overrides (window, extra attempts)
+    const effectiveExam = access ? access.effectiveExam : exam;
+    
+    // Scheduled exams can't be attended before their window opens
+    const availability = examSchedule.getAvailability(effectiveExam);
+    if (availability.state === 'UPCOMING') {
+      console.log(`Exam window opens at ${availability.opensAt.toISOString()}`);
+      return res.status(403).json({
+        message: `This exam opens at ${availability.opensAtLocal} (${availability.timezone}).`,
+        status: "NOT_OPEN",
+        availability,
+        serverTime: new Date()
+      });
+    }
+    
     // Check if the exam is published
     if (exam.status !== "PUBLISHED") {
       console.log(`Exam is not published, current status: ${exam.status}`);
@@ -131,50 +311,96 @@ const attendExam = async (req, res) => {
       });
     }
     
-    // Check if the user has already passed this exam
-    const highestScoreAttempt = await ExamAttendance.findOne({
-      examId,
-      userId,
-      status: { $in: ["COMPLETED", "TIMED_OUT"] }
-    }).sort({ score: -1 }); // Get their best score
+    // New attempts are pinned to the exam's current version
+    await examVersioning.ensurePublishedVersion(exam);
     
-    if (highestScoreAttempt && highestScoreAttempt.totalQuestions > 0) {
-      const percentage = (highestScoreAttempt.score / highestScoreAttempt.totalQuestions) * 100;
+    // Apply the exam's pass policy before a new attempt can be started
+    // (continuing an in-progress attempt is always allowed)
+    const existingAttempts = await ExamAttendance.find({ examId, userId });
+    const hasInProgressAttempt = existingAttempts.some(a => a.status === "IN_PROGRESS");
+    
+    // After the window closes, attempts in progress can still be finished within the grace period
+    if ((!hasInProgressAttempt || newAttempt === 'true') && availability.state === 'CLOSED') {
+      console.log(`Exam window closed at ${availability.closesAt.toISOString()}, refusing a new attempt`);
+      return res.status(403).json({
+        message: "This exam has closed. New attempts can no longer be started.",
+        status: "CLOSED",
+        availability,
+        serverTime: new Date()
+      });
+    }
+    
+    // New attempts need the exam's prerequisites to be passed (and recent enough)
+    if ((!hasInProgressAttempt || newAttempt === 'true') && req.user.role !== "admin") {
+      const prerequisiteState = await prerequisites.checkPrerequisites(userId, exam);
+      if (!prerequisiteState.met) {
+        console.log(`User ${userId} hasn't met ${prerequisiteState.unmet.length} prerequisite(s) of exam ${examId}`);
+        return res.status(403).json({
+          message: "You need to pass the prerequisite exams before attempting this exam.",
+          status: "PREREQUISITES_NOT_MET",
+          unmetPrerequisites: prerequisiteState.unmet,
+          prerequisites: prerequisiteState.prerequisites
+        });
+      }
+    }
+    
+    if (!hasInProgressAttempt || newAttempt === 'true') {
+      const eligibility = passPolicy.checkRetakeEligibility(existingAttempts, effectiveExam);
+      const { result } = eligibility;
       
-      // If they scored 60% or higher, don't allow retaking the exam
-      if (percentage >= 60) {
-        console.log(`User has already passed this exam with ${percentage.toFixed(2)}%`);
+      if (eligibility.reason === 'PASSED') {
+        console.log(`User ${userId} has already passed exam ${examId} with ${result.percentage.toFixed(2)}%`);
         return res.status(403).json({
           message: "You have already passed this exam. No additional attempts are permitted.",
-          score: highestScoreAttempt.score,
-          totalQuestions: highestScoreAttempt.totalQuestions,
-          percentage: percentage.toFixed(2),
-          attemptNumber: highestScoreAttempt.attemptNumber,
-          startDate: new Date(highestScoreAttempt.startTime).toLocaleDateString(),
+          score: result.countedAttempt.score,
+          maxScore: passPolicy.getMaxScore(result.countedAttempt),
+          totalQuestions: result.countedAttempt.totalQuestions,
+          percentage: result.percentage.toFixed(2),
+          passingScore: result.passingScore,
+          attemptScoring: result.attemptScoring,
+          attemptNumber: result.countedAttempt.attemptNumber,
+          passedAt: result.countedAttempt.endTime,
+          status: "PASSED",
           passed: true
         });
       }
-    }
-    
-    // Get count of completed attempts to enforce exam's maxAttempts limit
-    const completedAttemptsCount = await ExamAttendance.countDocuments({
-      examId,
-      userId,
-      status: { $in: ["COMPLETED", "TIMED_OUT"] }
-    });
-    
-    if (completedAttemptsCount >= exam.maxAttempts) {
-      console.log(`User ${userId} has reached the maximum number of attempts (${exam.maxAttempts}) for exam ${examId}`);
-      return res.status(403).json({
-        message: `You have reached the maximum number of attempts (${exam.maxAttempts}) for this exam.`,
-        completedAttempts: completedAttemptsCount,
-        maxAttempts: exam.maxAttempts
-      });
+      
+      if (eligibility.reason === 'MAX_ATTEMPTS') {
+        console.log(`User ${userId} has reached the maximum number of attempts (${effectiveExam.maxAttempts}) for exam ${examId}`);
+        return res.status(403).json({
+          message: `You have reached the maximum number of attempts (${effectiveExam.maxAttempts}) for this exam.`,
+          completedAttempts: result.finishedAttempts,
+          maxAttempts: effectiveExam.maxAttempts
+        });
+      }
+      
+      if (eligibility.reason === 'PENDING_REVIEW') {
+        console.log(`User ${userId} has attempts of exam ${examId} waiting for manual grading`);
+        return res.status(403).json({
+          message: "Your previous attempt is still being graded. You can retake the exam once grading is finished.",
+          pendingReview: result.pendingReview,
+          completedAttempts: result.finishedAttempts
+        });
+      }
+      
+      if (eligibility.reason === 'COOLDOWN') {
+        console.log(`User ${userId} must wait until ${eligibility.retryAfter.toISOString()} before retaking exam ${examId}`);
+        return res.status(403).json({
+          message: "You need to wait before starting another attempt of this exam.",
+          retryAfter: eligibility.retryAfter,
+          retakeCooldownMinutes: exam.retakeCooldownMinutes,
+          completedAttempts: result.finishedAttempts
+        });
+      }
     }
     
     // Get real attempt count and fix inconsistencies
     const realAttemptCount = await getRealAttemptCount(examId, userId);
     
+    // The attempt being served and its stored state (question order, answers, flags)
+    let attendance;
+    let state;
+    
     // Check for existing in-progress attempts when new attempt is requested
     if (newAttempt === 'true') {
       console.log(`New attempt requested for user ${userId}, exam ${examId}`);
@@ -198,7 +424,11 @@ const attendExam = async (req, res) => {
           status: "IN_PROGRESS"
         });
         
-        if (existingInProgress) {
+        if (existingInProgress && timeoutManager.isAttemptExpired(existingInProgress, exam)) {
+          // Existing attempt ran out of time - grade it with the answers saved before the deadline
+          console.log(`Found expired attempt #${existingInProgress.attemptNumber}, auto-submitting it`);
+          await timeoutManager.expireAttempt(existingInProgress, exam);
+        } else if (existingInProgress) {
           // Check if the existing attempt is still valid (not stale)
           const attemptAge = Date.now() - existingInProgress.startTime.getTime();
           const maxAttemptAge = 6 * 60 * 60 * 1000; // 6 hours in milliseconds
@@ -215,6 +445,7 @@ const attendExam = async (req, res) => {
                 attemptNumber: existingInProgress.attemptNumber,
                 startTime: existingInProgress.startTime,
                 timeElapsed: Math.floor(attemptAge / (1000 * 60)), // minutes
+                timeRemainingSeconds: timeoutManager.getRemainingSeconds(existingInProgress, exam),
                 attemptedQuestions: existingInProgress.attemptedQuestions || 0
               },
               options: {
@@ -265,17 +496,26 @@ const attendExam = async (req, res) => {
         const confirmedAttemptNumber = await attendanceUtils.getNextAttemptNumber(userId, examId);
         console.log(`Confirmed attempt number: ${confirmedAttemptNumber} from utility function`);
         
-        // Create a new attempt with explicit attempt number
+        // Draw this attempt's questions (fixed questions plus pool draws)
+        const drawnQuestionIds = await questionPool.drawAttemptQuestionIds(exam);
+        
+        // Create a new attempt with explicit attempt number and a server-side deadline
+        // (never later than the end of the exam window's grace period)
+        const startTime = new Date();
         attendance = new ExamAttendance({
           examId,
           userId,
-          totalQuestions: exam.sections.mcqs.length,
-          startTime: new Date(),
+          totalQuestions: drawnQuestionIds.length,
+          startTime,
+          deadline: examSchedule.getAttemptDeadline(effectiveExam, startTime),
           status: "IN_PROGRESS",
-          attemptNumber: confirmedAttemptNumber
+          attemptNumber: confirmedAttemptNumber,
+          examVersion: exam.currentVersion,
+          optionSeed: optionShuffle.createOptionSeed(exam)
         });
         
         await attendance.save();
+        timeoutManager.scheduleAttemptTimeout(attendance);
         console.log(`New attendance record created with ID: ${attendance._id} and attempt #${confirmedAttemptNumber}`);
         
         // Process anti-abuse data and initialize session fingerprinting
@@ -294,47 +534,19 @@ const attendExam = async (req, res) => {
           // Don't block exam start if anti-abuse fails
         }
         
-        // Randomize questions and store in memory
-        const randomizedQuestions = shuffleArray(exam.sections.mcqs);
-        
-        // Initialize user exam data in memory
-        if (!userExamData[userId]) {
-          userExamData[userId] = {};
-        }
-        
-        userExamData[userId][examId] = {
-          randomizedQuestions,
-          userAnswers: {},
-          attemptId: attendance._id,
-          attemptNumber: confirmedAttemptNumber // Store attempt number in memory
-        };
+        // Persist the question order for this attempt
+        state = await attemptState.createAttemptState(attendance, drawnQuestionIds);
+        console.log(`Created attempt state for attempt #${confirmedAttemptNumber}`);
+      } catch (saveError) {
+        console.error("Error creating new attempt:", saveError);
         
-        // Also store in the database for persistence
-        try {
-          // Delete any existing temporary data for this attempt number first
-          await TmpExamStudentData.deleteMany({ 
-            userId, 
-            examId, 
-            attemptNumber: confirmedAttemptNumber 
-          });
-          
-          // Create new temporary data for this attempt
-          const tmpData = new TmpExamStudentData({
-            userId,
-            examId,
-            attemptNumber: confirmedAttemptNumber,
-            questionIds: randomizedQuestions.map(q => q._id),
-            answers: []
+        // The exam's pools can't give this attempt the blueprint's distribution
+        if (saveError.code === 'BLUEPRINT_UNSATISFIED') {
+          return res.status(409).json({
+            message: BLUEPRINT_UNSATISFIED_MESSAGE,
+            error: "BlueprintUnsatisfied"
           });
-          
-          await tmpData.save();
-          console.log(`Created temporary data storage for attempt #${confirmedAttemptNumber}`);
-        } catch (tmpError) {
-          console.error("Error saving temporary data:", tmpError);
-          // Continue anyway, as we have the data in memory
         }
-      } catch (saveError) {
-        console.error("Error creating new attempt:", saveError);
         
         if (saveError.code === 11000) {
           console.log("Duplicate key error detected - this usually means an index conflict");
@@ -371,62 +583,39 @@ const attendExam = async (req, res) => {
           const attemptNumber = await attendanceUtils.getNextAttemptNumber(userId, examId);
           console.log(`Creating first attempt with number: ${attemptNumber}`);
           
-          // Create first attempt
+          // Draw this attempt's questions (fixed questions plus pool draws)
+          const drawnQuestionIds = await questionPool.drawAttemptQuestionIds(exam);
+          
+          // Create first attempt with a server-side deadline (capped by the exam window)
+          const startTime = new Date();
           attendance = new ExamAttendance({
             examId,
             userId,
-            totalQuestions: exam.sections.mcqs.length,
-            startTime: new Date(),
+            totalQuestions: drawnQuestionIds.length,
+            startTime,
+            deadline: examSchedule.getAttemptDeadline(effectiveExam, startTime),
             status: "IN_PROGRESS",
-            attemptNumber: attemptNumber
+            attemptNumber: attemptNumber,
+            examVersion: exam.currentVersion,
+            optionSeed: optionShuffle.createOptionSeed(exam)
           });
           
           await attendance.save();
+          timeoutManager.scheduleAttemptTimeout(attendance);
           console.log(`New first attendance record created with ID: ${attendance._id}`);
           
-          // Randomize questions and store in memory
-          const randomizedQuestions = shuffleArray(exam.sections.mcqs);
-          
-          // Initialize user exam data in memory
-          if (!userExamData[userId]) {
-            userExamData[userId] = {};
-          }
-          
-          userExamData[userId][examId] = {
-            randomizedQuestions,
-            userAnswers: {},
-            attemptId: attendance._id,
-            attemptNumber: 1 // Store attempt number in memory
-          };
-          
-          // Also store in the database for persistence
-          try {
-            // Delete any existing temporary data for first attempt
-            await TmpExamStudentData.deleteMany({ 
-              userId, 
-              examId, 
-              attemptNumber: 1 
-            });
-            
-            // Create new temporary data
-            const tmpData = new TmpExamStudentData({
-              userId,
-              examId,
-              attemptNumber: 1,
-              questionIds: randomizedQuestions.map(q => q._id),
-              answers: []
-            });
-            
-            await tmpData.save();
-            console.log("Created temporary data storage for first attempt");
-          } catch (tmpError) {
-            console.error("Error saving temporary data:", tmpError);
-            // Continue anyway, as we have the data in memory
-          }
-          
-          console.log("Questions randomized and stored in memory for first attempt");
+          // Persist the question order for this attempt
+          state = await attemptState.createAttemptState(attendance, drawnQuestionIds);
+          console.log(`Created attempt state for attempt #${attemptNumber}`);
         } catch (saveError) {
           console.error("Error saving first attendance record:", saveError);
+          // The exam's pools can't give this attempt the blueprint's distribution
+          if (saveError.code === 'BLUEPRINT_UNSATISFIED') {
+            return res.status(409).json({
+              message: BLUEPRINT_UNSATISFIED_MESSAGE,
+              error: "BlueprintUnsatisfied"
+            });
+          }
           // Check if it's a duplicate key error
           if (saveError.code === 11000) {
             return res.status(409).json({
@@ -444,141 +633,77 @@ const attendExam = async (req, res) => {
       } else {
         console.log(`Found existing in-progress attempt: ${attendance._id}`);
         
-        const attemptNumber = attendance.attemptNumber || 1;
-        
-        if (!userExamData[userId] || !userExamData[userId][examId] || 
-                  userExamData[userId][examId].attemptId.toString() !== attendance._id.toString()) {
-          console.log("No in-memory data found for existing attempt, reinitializing");
-          
-          // Try to get existing temporary data from database first
-          let tmpData = await TmpExamStudentData.findOne({ 
-            userId, 
-            examId,
-            attemptNumber
-          });
-          
-          let randomizedQuestions;
-          
-          if (tmpData && tmpData.questionIds && tmpData.questionIds.length > 0) {
-            console.log("Found existing temporary data, using stored question order");
-            // Get the full question objects based on IDs
-            const questionIds = tmpData.questionIds.map(id => id.toString());
-            randomizedQuestions = [];
-            
-            // Map IDs back to question objects
-            exam.sections.mcqs.forEach(q => {
-              const index = questionIds.indexOf(q._id.toString());
-              if (index !== -1) {
-                randomizedQuestions[index] = q;
-              }
-            });
-            
-            // Fill any gaps with questions
-            if (randomizedQuestions.filter(q => q).length < exam.sections.mcqs.length) {
-              randomizedQuestions = shuffleArray(exam.sections.mcqs);
-            }
-          } else {
-            // Generate new random order
-            console.log("No stored question order found, generating new one");
-            randomizedQuestions = shuffleArray(exam.sections.mcqs);
-            
-            // Create temporary data in database
-            try {
-              tmpData = new TmpExamStudentData({
-                userId,
-                examId,
-                attemptNumber,
-                questionIds: randomizedQuestions.map(q => q._id),
-                answers: []
-              });
-              
-              await tmpData.save();
-              console.log(`Created temporary data storage for attempt #${attemptNumber}`);
-            } catch (tmpError) {
-              console.error("Error creating temporary data:", tmpError);
-            }
-          }
-          
-          // Re-initialize user exam data
-          if (!userExamData[userId]) {
-            userExamData[userId] = {};
-          }
-          
-          userExamData[userId][examId] = {
-            randomizedQuestions,
-            userAnswers: {},
-            attemptId: attendance._id,
-            attemptNumber: attemptNumber
-          };
-          
-          // If we have stored answers, load them into memory
-          if (tmpData && tmpData.answers && tmpData.answers.length > 0) {
-            tmpData.questionIds.forEach((qId, index) => {
-              if (tmpData.answers[index]) {
-                userExamData[userId][examId].userAnswers[qId] = tmpData.answers[index];
-              }
-            });
-            console.log(`Loaded ${Object.keys(userExamData[userId][examId].userAnswers).length} stored answers from database`);
-          }
-          
-          console.log("Re-initialized question data in memory");
-        }
+        // Resume from the stored state, so the question order and saved answers are
+        // the same on any device and after a restart
+        state = await attemptState.getOrCreateAttemptState(attendance, exam);
+        console.log(`Loaded attempt state with ${attemptState.countAnswered(state)} saved answers`);
       }
     }
     
-    // Get randomized questions - using let instead of const for questions variable
-    let questions = userExamData[userId]?.[examId]?.randomizedQuestions || [];
-    if (questions.length === 0) {
-      console.log("Warning: No questions found in memory, using exam questions directly");
-      // Fallback to using all questions from the exam
-      questions = exam.sections.mcqs;
-    }
-    
-    console.log(`Total questions available: ${questions.length}`);
-    
-    // Calculate pagination
-    const startIndex = (pageNum - 1) * limitNum;
-    const endIndex = Math.min(pageNum * limitNum, questions.length);
-    
-    console.log(`Pagination: page ${pageNum}, limit ${limitNum}, startIndex ${startIndex}, endIndex ${endIndex}`);
-    
-    // Get questions for current page
-    const currentPageQuestions = questions.slice(startIndex, endIndex);
-    console.log(`Retrieved ${currentPageQuestions.length} questions for current page`);
-
-    // Calculate time remaining
-    const startTime = new Date(attendance.startTime);
-    const currentTime = new Date();
-    const timeElapsed = (currentTime - startTime) / 1000 / 60; // in minutes
-    const timeRemaining = Math.max(0, exam.duration - timeElapsed);
-    console.log(`Time elapsed: ${timeElapsed.toFixed(2)} minutes, remaining: ${timeRemaining.toFixed(2)} minutes`);
+    // Calculate time remaining from the server-side deadline
+    const deadline = timeoutManager.getAttemptDeadline(attendance, exam);
+    const timeRemainingSeconds = timeoutManager.getRemainingSeconds(attendance, exam);
+    const timeRemaining = (timeRemainingSeconds || 0) / 60; // in minutes
+    console.log(`Deadline: ${deadline ? deadline.toISOString() : 'none'}, remaining: ${timeRemaining.toFixed(2)} minutes`);
 
-    // Check if exam time is up
-    if (timeRemaining <= 0 && attendance.status === "IN_PROGRESS") {
-      console.log("Exam time is up, marking as timed out");
-      attendance.status = "TIMED_OUT";
-      attendance.endTime = new Date();
-      await attendance.save();
+    // Check if exam time is up - auto-submit with the answers saved so far
+    if (timeRemainingSeconds !== null && timeRemainingSeconds <= 0 && attendance.status === "IN_PROGRESS") {
+      console.log("Exam time is up, auto-submitting attempt");
+      const timedOutResult = await timeoutManager.expireAttempt(attendance, exam);
       return res.status(400).json({ 
         message: "Exam time is up!",
-        status: "TIMED_OUT"
+        status: "TIMED_OUT",
+        score: timedOutResult?.score,
+        maxScore: timedOutResult?.maxScore,
+        totalQuestions: timedOutResult?.totalQuestions,
+        percentage: timedOutResult ? timedOutResult.percentage.toFixed(2) : undefined
       });
     }
+    
+    // Make sure the auto-submit is scheduled (e.g. after a server restart)
+    if (attendance.deadline) {
+      timeoutManager.scheduleAttemptTimeout(attendance);
+    }
+    
+    // Serve questions in the attempt's stored order, resuming at the last viewed page
+    const questionIds = state.questionIds || [];
+    const pageNum = page ? parseInt(page) : (state.currentPage || 1);
+    console.log(`Total questions available: ${questionIds.length}`);
+    
+    const questionPage = await buildQuestionPage({
+      questionIds,
+      pageNum,
+      limitNum,
+      savedAnswers: attemptState.getAnswersMap(state),
+      flaggedQuestionIds: state.flaggedQuestionIds,
+      optionSeed: attendance.optionSeed,
+      variants: state.variants
+    });
+    
+    if (pageNum !== state.currentPage) {
+      await attemptState.setCurrentPage(state, pageNum);
+    }
 
     console.log("Sending exam question to client");
     res.status(200).json({
       examTitle: exam.title,
-      currentPage: parseInt(page),
-      totalPages: Math.ceil(questions.length / limitNum),
-      totalQuestions: questions.length,
-      question: currentPageQuestions.length > 0 ? currentPageQuestions[0] : null,
+      ...questionPage,
       timeRemaining: Math.round(timeRemaining),
+      timeRemainingSeconds,
+      deadline,
+      serverTime: new Date(),
       attendanceId: attendance._id,
       attemptNumber: attendance.attemptNumber
     });
 
   } catch (error) {
     console.error("Error in attendExam:", error);
+    if (error.code === 'BLUEPRINT_UNSATISFIED') {
+      return res.status(409).json({
+        message: BLUEPRINT_UNSATISFIED_MESSAGE,
+        error: "BlueprintUnsatisfied"
+      });
+    }
     res.status(500).json({ 
       message: "Failed to start exam session. Please try again.",
       error: "InternalServerError", 
@@ -592,10 +717,11 @@ const attendExam = async (req, res) => {
 const submitAnswer = async (req, res) => {
   try {
     const { examId } = req.params;
-    const { questionId, selectedAnswer } = req.body;
+    const { questionId, selectedOptionIndex } = req.body;
+    let { selectedAnswer } = req.body;
     const userId = req.user._id;
 
-    if (!questionId || !selectedAnswer) {
+    if (!questionId || ((selectedAnswer === undefined || selectedAnswer === null) && selectedOptionIndex === undefined)) {
       return res.status(400).json({ 
         message: "Question ID and selected answer are required" 
       });
@@ -616,6 +742,18 @@ const submitAnswer = async (req, res) => {
     
     const attemptNumber = attendance.attemptNumber || 1;
     console.log(`Saving answer for attempt #${attemptNumber}`);
+    
+    // Answers are refused once the server-side deadline has passed
+    const examTiming = attendance.deadline ? null : await Exam.findById(examId).select('duration');
+    if (timeoutManager.isAttemptExpired(attendance, examTiming)) {
+      console.log(`Answer rejected, attempt #${attemptNumber} is past its deadline`);
+      await timeoutManager.expireAttempt(attendance);
+      return res.status(400).json({ 
+        message: "Exam time is up! Answers saved before the deadline have been submitted.",
+        status: "TIMED_OUT",
+        deadline: timeoutManager.getAttemptDeadline(attendance, examTiming)
+      });
+    }
 
     // Anti-abuse: Comprehensive analysis and real-time monitoring
     try {
@@ -755,91 +893,46 @@ const submitAnswer = async (req, res) => {
       // Don't block legitimate users if anti-abuse system fails
     }
 
-    // Initialize user exam data if it doesn't exist
-    if (!userExamData[userId]) {
-      userExamData[userId] = {};
-    }
+    // Get the stored state holding this attempt's question draw and answers
+    let state = await attemptState.getAttemptState(attendance);
     
-    if (!userExamData[userId][examId]) {
-      // Find the exam to get question sequence
-      const exam = await Exam.findById(examId).populate({
-        path: 'sections.mcqs',
-        select: '_id'
-      });
+    if (!state || !state.questionIds || state.questionIds.length === 0) {
+      // Draw the questions once if the attempt has no stored draw yet
+      const exam = await Exam.findById(examId);
       
       if (!exam) {
         return res.status(404).json({ message: "Exam not found" });
       }
       
-      // Initialize with all question IDs
-      const allQuestionIds = exam.sections.mcqs.map(q => q._id.toString());
-      userExamData[userId][examId] = {
-        questionSequence: shuffleArray([...allQuestionIds]),
-        userAnswers: {},
-        attemptId: attendance._id,
-        attemptNumber: attemptNumber
-      };
+      state = await attemptState.getOrCreateAttemptState(attendance, exam);
     }
-
-    // Store answer in memory
-    userExamData[userId][examId].userAnswers[questionId] = selectedAnswer;
-
-    // Store answer in database for persistence
-    try {
-      // Get temporary data
-      let tmpData = await TmpExamStudentData.findOne({
-        userId,
-        examId,
-        attemptNumber
+    
+    // Find the index of the question in the attempt's question order
+    const questionIndex = attemptState.getQuestionIndex(state, questionId);
+    
+    // Only questions drawn for this attempt can be answered
+    if (questionIndex < 0) {
+      return res.status(400).json({ 
+        message: "This question is not part of your current exam attempt" 
       });
-      
-      if (!tmpData) {
-        // Create new temporary data if not exists
-        const exam = await Exam.findById(examId).populate({
-          path: 'sections.mcqs',
-          select: '_id'
-        });
-        
-        if (!exam) {
-          return res.status(404).json({ message: "Exam not found" });
-        }
-        
-        tmpData = new TmpExamStudentData({
-          userId,
-          examId,
-          attemptNumber,
-          questionIds: exam.sections.mcqs.map(q => q._id),
-          answers: []
-        });
-      }
-      
-      // Find the index of the question in the questionIds array
-      const questionIndex = tmpData.questionIds.findIndex(qid => 
-        qid.toString() === questionId.toString()
-      );
-      
-      if (questionIndex >= 0) {
-        // Make sure the answers array is at least as long as needed
-        while (tmpData.answers.length <= questionIndex) {
-          tmpData.answers.push(null);
-        }
-        
-        // Update the answer at the right position
-        tmpData.answers[questionIndex] = selectedAnswer;
-      } else {
-        // If question not found in the sequence (which shouldn't happen), 
-        // add it to the end
-        tmpData.questionIds.push(questionId);
-        tmpData.answers.push(selectedAnswer);
-      }
-      
-      await tmpData.save();
-      console.log(`Saved answer to database for question ${questionId}, attempt #${attemptNumber}`);
-    } catch (tmpError) {
-      console.error("Error saving answer to database:", tmpError);
-      // Continue anyway as we have the answer in memory
     }
 
+    const answeredQuestion = await Question.findById(questionId).select('type options pairs distractors items blanks');
+    const checkedAnswer = normalizeSubmittedAnswer(
+      answeredQuestion,
+      { selectedAnswer, selectedOptionIndex },
+      attendance.optionSeed
+    );
+    if (checkedAnswer.body) {
+      return res.status(checkedAnswer.status).json(checkedAnswer.body);
+    }
+    selectedAnswer = checkedAnswer.answer;
+
+    // Store answer in the attempt state
+    state = await attemptState.saveAnswer(state, questionIndex, selectedAnswer);
+    console.log(`Saved answer for question ${questionId}, attempt #${attemptNumber}`);
+    const answeredCount = attemptState.countAnswered(state);
+
     // Update attendance with retry logic to handle concurrent updates
     const maxRetries = 3;
     let retryCount = 0;
@@ -853,7 +946,7 @@ const submitAnswer = async (req, res) => {
         }
         
         // Update only the fields we need to change
-        latestAttendance.attemptedQuestions = Object.keys(userExamData[userId][examId].userAnswers).length;
+        latestAttendance.attemptedQuestions = answeredCount;
         latestAttendance.lastUpdated = new Date();
         
         await latestAttendance.save();
@@ -877,7 +970,9 @@ const submitAnswer = async (req, res) => {
 
     res.status(200).json({ 
       message: "Answer submitted successfully",
-      nextQuestion: null // You can add logic to return the next question if needed
+      nextQuestion: null, // You can add logic to return the next question if needed
+      answeredQuestions: answeredCount,
+      timeRemainingSeconds: timeoutManager.getRemainingSeconds(attendance, examTiming)
     });
 
   } catch (error) {
@@ -911,159 +1006,87 @@ const completeExam = async (req, res) => {
     const attemptNumber = attendance.attemptNumber || 1;
     console.log(`Processing completion of attempt #${attemptNumber}`);
 
-    // Get the exam with questions
-    const exam = await Exam.findById(examId).populate({
-      path: 'sections.mcqs',
-      select: 'questionText options correctAnswer _id'
-    });
+    // Get the exam
+    const exam = await Exam.findById(examId);
 
     if (!exam) {
       return res.status(404).json({ message: "Exam not found" });
     }
 
-    // Get temporary data with question order and answers
-    let tmpData = await TmpExamStudentData.findOne({
-      userId,
-      examId,
-      attemptNumber
-    });
+    // Get the stored attempt state with question order and answers
+    const state = await attemptState.getAttemptState(attendance);
 
-    if (!tmpData || !tmpData.questionIds || tmpData.questionIds.length === 0) {
-      console.log("No temporary data found, using memory data if available");
-      // Fall back to memory data if available
-      if (!userExamData[userId] || !userExamData[userId][examId]) {
-        console.log("No memory data available either, cannot score exam");
-        return res.status(400).json({ 
-          message: "Cannot complete exam: no answer data found"
-        });
-      }
+    if (!state || !state.questionIds || state.questionIds.length === 0) {
+      console.log("No attempt state found, cannot score exam");
+      return res.status(400).json({ 
+        message: "Cannot complete exam: no answer data found"
+      });
     }
 
-    // Get user answers from temporary data or memory
-    const userAnswersMap = {};
+    // Completing after the deadline counts as a timeout; answers can't be added after it anyway
+    const finalStatus = timeoutManager.isAttemptExpired(attendance, exam) ? "TIMED_OUT" : "COMPLETED";
+    timeoutManager.clearAttemptTimeout(attendance._id);
     
-    // Check if we have answers in temporary data
-    if (tmpData && tmpData.questionIds && tmpData.answers) {
-      for (let i = 0; i < tmpData.questionIds.length; i++) {
-        if (tmpData.answers[i]) {
-          userAnswersMap[tmpData.questionIds[i].toString()] = tmpData.answers[i];
-        }
-      }
-      console.log(`Found ${Object.keys(userAnswersMap).length} answers in temporary data`);
-    }
-    // If no answers in temporary data or not enough, try memory
-    else if (userExamData[userId] && userExamData[userId][examId]) {
-      Object.assign(userAnswersMap, userExamData[userId][examId].userAnswers);
-      console.log(`Found ${Object.keys(userAnswersMap).length} answers in memory`);
-    }
-
-    // Create a map of questions for easy lookup
-    const questionsMap = {};
-    exam.sections.mcqs.forEach(question => {
-      questionsMap[question._id.toString()] = question;
-    });
-
     console.log("Processing answers and calculating score");
-    
-    // Process answers and calculate score
-    const processedAnswers = [];
-    let score = 0;
-    let totalAnswered = 0;
-    
-    Object.entries(userAnswersMap).forEach(([questionId, selectedAnswer]) => {
-      const question = questionsMap[questionId];
-      
-      if (question) {
-        totalAnswered++;
-        // Always use correctAnswer field from the question model (don't check correctOption)
-        const correctValue = question.correctAnswer;
-        
-        // Add debug logs to see what's happening
-        console.log(`Question ${questionId}:`);
-        console.log(`- Selected answer: "${selectedAnswer}"`);
-        console.log(`- Correct answer: "${correctValue}"`);
-        
-        // Do string comparison and trim to handle whitespace issues
-        const isCorrect = String(correctValue).trim() === String(selectedAnswer).trim();
-        console.log(`- Is correct: ${isCorrect}`);
-        
-        if (isCorrect) {
-          score++;
-          console.log(`- Score increased to ${score}`);
-        }
-        
-        processedAnswers.push({
-          questionId,
-          selectedAnswer,
-          isCorrect
-        });
-      }
+    // The attempt is claimed before grading: if the timer or another request finished it first, stop here
+    const finalized = await attemptGrading.finalizeAttempt({
+      attendance,
+      exam,
+      status: finalStatus
     });
-    
-    // Calculate percentage for pass/fail determination
-    const totalQuestions = exam.sections.mcqs.length;
-    const percentage = totalQuestions > 0 ? (score / totalQuestions) * 100 : 0;
-    const passed = percentage >= 60;
-    
-    console.log(`Exam results: Score ${score}/${totalQuestions} (${percentage.toFixed(2)}%), ${passed ? 'PASSED' : 'FAILED'}`);
-
-    // Update attendance record with results
-    attendance.status = "COMPLETED";
-    attendance.endTime = new Date();
-    attendance.score = score;
-    attendance.totalQuestions = totalQuestions;
-    attendance.attemptedQuestions = totalAnswered;
-    attendance.answers = processedAnswers;
-    
-    await attendance.save();
+    if (!finalized) {
+      return res.status(409).json({ message: "This attempt has already been submitted" });
+    }
+    const {
+      attendance: finishedAttendance,
+      score,
+      percentage,
+      pendingReview,
+      pendingAnswers,
+      pendingRuns,
+      attemptPassed,
+      examResult,
+      passed,
+      certificateInfo
+    } = finalized;
+    const emailSent = certificateInfo?.emailSent || false;
     console.log("Attendance record updated with results");
 
-    // Generate certificate if passed
-    let certificateInfo = null;
-    let emailSent = false;
+    console.log("Preparing final response");
     
-    if (passed) {
-      try {
-        console.log("User passed the exam, generating certificate");
-        
-        certificateInfo = await generateCertificate(userId, examId, attendance._id, score, totalQuestions);
-        
-        if (certificateInfo) {
-          console.log(`Certificate generated with ID: ${certificateInfo.certificateId}`);
-          
-          // Try to send certificate email
-          try {
-            await sendCertificateEmail(
-              req.user.email,
-              req.user.firstName || req.user.username,
-              exam.title,
-              `${percentage.toFixed(2)}%`,
-              certificateInfo.certificateId
-            );
-            emailSent = true;
-            console.log("Certificate email sent successfully");
-          } catch (emailError) {
-            console.error("Error sending certificate email:", emailError);
-            // Continue anyway, user can download certificate later
-          }
-        }
-      } catch (certError) {
-        console.error("Error generating certificate:", certError);
-        // Continue anyway, we'll return the exam results
-      }
-    } else {
-      console.log("User did not pass the exam, no certificate generated");
+    // Some answers need a grader or their code run, so the result and certificate come later
+    if (pendingReview) {
+      return res.status(200).json({
+        message: pendingRuns === pendingAnswers
+          ? "Exam submitted. Your code is being run, your result will be available shortly."
+          : "Exam submitted. Some answers need manual grading before your result is available.",
+        status: finishedAttendance.status,
+        gradingStatus: finishedAttendance.gradingStatus,
+        pendingAnswers,
+        pendingRuns,
+        totalQuestions: finishedAttendance.totalQuestions,
+        attemptedQuestions: finishedAttendance.attemptedQuestions,
+        passingScore: examResult.passingScore,
+        result: "pending",
+        certificateGenerated: "no",
+        certificateId: null,
+        emailSent: false
+      });
     }
-
-    console.log("Preparing final response");
     
     // Make sure we explicitly send a response
     return res.status(200).json({
       // message: "Exam completed successfully",
+      status: finishedAttendance.status,
       score: score,
-      totalQuestions: attendance.totalQuestions,
-      attemptedQuestions: attendance.attemptedQuestions,
+      maxScore: finishedAttendance.maxScore,
+      totalQuestions: finishedAttendance.totalQuestions,
+      attemptedQuestions: finishedAttendance.attemptedQuestions,
       percentage: percentage.toFixed(2),
+      passingScore: examResult.passingScore,
+      attemptPassed,
+      attemptScoring: examResult.attemptScoring,
+      countedPercentage: examResult.percentage.toFixed(2),
       result: passed ? "pass" : "failed",
       certificateGenerated: certificateInfo ? "yes" : "no",
       certificateId: certificateInfo?.certificateId || null,
@@ -1080,6 +1103,54 @@ const completeExam = async (req, res) => {
   }
 };
 
+// Flag or unflag a question of the current attempt for review
+const flagQuestion = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const { questionId, flagged = true } = req.body;
+    const userId = req.user._id;
+
+    if (!questionId) {
+      return res.status(400).json({ message: "Question ID is required" });
+    }
+
+    const attendance = await ExamAttendance.findOne({
+      examId,
+      userId,
+      status: "IN_PROGRESS"
+    });
+
+    if (!attendance) {
+      return res.status(404).json({ 
+        message: "No active exam session found. Please start the exam first." 
+      });
+    }
+
+    let state = await attemptState.getAttemptState(attendance);
+    if (!state || attemptState.getQuestionIndex(state, questionId) < 0) {
+      return res.status(400).json({ 
+        message: "This question is not part of your current exam attempt" 
+      });
+    }
+
+    state = await attemptState.setQuestionFlag(state, questionId, Boolean(flagged));
+
+    res.status(200).json({
+      message: flagged ? "Question flagged for review" : "Question flag removed",
+      questionId,
+      flagged: Boolean(flagged),
+      flaggedQuestions: state.flaggedQuestionIds.map(id => id.toString())
+    });
+
+  } catch (error) {
+    console.error("Error in flagQuestion:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message 
+    });
+  }
+};
+
 // Get exam status and progress
 const getExamStatus = async (req, res) => {
   try {
@@ -1087,7 +1158,7 @@ const getExamStatus = async (req, res) => {
     const userId = req.user._id;
 
     // Find the most recent attendance record for this user and exam
-    const attendance = await ExamAttendance.findOne({ 
+    let attendance = await ExamAttendance.findOne({ 
       examId, 
       userId 
     }).sort({ startTime: -1 });
@@ -1096,17 +1167,29 @@ const getExamStatus = async (req, res) => {
       return res.status(404).json({ message: "No exam session found" });
     }
 
-    // Get the exam to access maxAttempts field
-    const exam = await Exam.findById(examId).select('maxAttempts');
+    // Get the exam to access maxAttempts and duration fields
+    const exam = await Exam.findById(examId);
     if (!exam) {
       return res.status(404).json({ message: "Exam not found" });
     }
+    // Attempts follow the student's assignment overrides (extra attempts), like attendExam
+    const access = req.user.role === "admin" ? null : await examAssignment.checkExamAccess(userId, exam);
+    const effectiveExam = access ? access.effectiveExam : exam;
+    
+    // Auto-submit the attempt if its deadline has passed
+    if (attendance.status === "IN_PROGRESS" && timeoutManager.isAttemptExpired(attendance, exam)) {
+      await timeoutManager.expireAttempt(attendance);
+      attendance = await ExamAttendance.findById(attendance._id);
+    }
 
     // Clean up any stale attendances for this user automatically
     await attendanceUtils.cleanupStaleAttendances();
     
     // Get detailed status using utility function
-    const statusInfo = attendanceUtils.getDetailedStatus(attendance, userExamData);
+    const state = attendance.status === "IN_PROGRESS"
+      ? await attemptState.getAttemptState(attendance)
+      : null;
+    const statusInfo = attendanceUtils.getDetailedStatus(attendance, state);
     
     // Get total attempts information
     const completedAttempts = await ExamAttendance.countDocuments({
@@ -1124,7 +1207,14 @@ const getExamStatus = async (req, res) => {
     // Add attempts information to the response
     statusInfo.totalAttempts = completedAttempts + inProgressAttempts;
     statusInfo.completedAttempts = completedAttempts;
-    statusInfo.remainingAttempts = Math.max(0, exam.maxAttempts - completedAttempts);
+    statusInfo.remainingAttempts = Math.max(0, passPolicy.getPassPolicy(effectiveExam).maxAttempts - completedAttempts);
+    
+    // Remaining time comes from the server-side deadline, the client clock is only for display
+    statusInfo.serverTime = new Date();
+    if (statusInfo.inProgress) {
+      statusInfo.deadline = timeoutManager.getAttemptDeadline(attendance, exam);
+      statusInfo.timeRemainingSeconds = timeoutManager.getRemainingSeconds(attendance, exam);
+    }
     
     // For debugging purposes, log the actual status from the database
     console.log(`Exam status for user ${userId}, exam ${examId}: ${statusInfo.status}, attempts: ${statusInfo.totalAttempts}`);
@@ -1149,7 +1239,7 @@ const getExamResult = async (req, res) => {
     const attendance = await ExamAttendance.findOne({ examId, userId })
       .populate({
         path: 'answers.questionId',
-        select: 'questionText options correctAnswer'
+        select: 'type questionText options correctAnswer correctAnswers scoringMethod'
       });
 
     if (!attendance) {
@@ -1160,19 +1250,43 @@ const getExamResult = async (req, res) => {
       return res.status(400).json({ message: "Exam is still in progress" });
     }
 
-    // Calculate percentage and result
-    const percentage = (attendance.score / attendance.totalQuestions) * 100;
-    const result = percentage >= 60 ? "pass" : "failed";
+    // Result is decided by the exam's own passing score, once manual grading is finished
+    const exam = await Exam.findById(examId);
+    let result = passPolicy.isAttemptPassed(attendance, exam) ? "pass" : "failed";
+    if (passPolicy.isPendingReview(attendance)) {
+      result = "pending";
+    }
+
+    // Correct answers follow the exam's feedbackVisibility setting, like the review
+    const allAttempts = await ExamAttendance.find({ examId, userId })
+      .select('status gradingStatus score maxScore totalQuestions attemptNumber startTime endTime');
+    const access = req.user.role === "admin" || !exam ? null : await examAssignment.checkExamAccess(userId, exam);
+    const feedbackVisibility = exam
+      ? questionFeedback.getFeedbackVisibility(exam, allAttempts, access?.effectiveExam || exam)
+      : { visible: false };
+    const answers = attendance.answers.map(answer => {
+      const visibleAnswer = answer.toObject();
+      if (!feedbackVisibility.visible && visibleAnswer.questionId) {
+        delete visibleAnswer.questionId.correctAnswer;
+        delete visibleAnswer.questionId.correctAnswers;
+      }
+      return visibleAnswer;
+    });
 
     res.status(200).json({
       status: attendance.status,
       score: attendance.score,
+      maxScore: passPolicy.getMaxScore(attendance),
       totalQuestions: attendance.totalQuestions,
       attemptedQuestions: attendance.attemptedQuestions,
       startTime: attendance.startTime,
       endTime: attendance.endTime,
+      percentage: passPolicy.getAttemptPercentage(attendance).toFixed(2),
+      passingScore: passPolicy.getPassPolicy(exam).passingScore,
+      gradingStatus: attendance.gradingStatus || 'COMPLETE',
       result: result,
-      answers: attendance.answers
+      feedbackVisibility,
+      answers
     });
 
   } catch (error) {
@@ -1184,6 +1298,22 @@ const getExamResult = async (req, res) => {
 };
 
 // Review exam questions with user answers
+// Regraded answers are graded with a newer revision's answer key; load those questions by ID
+const loadAnswerKeyQuestions = async (attendance) => {
+  const keyIds = attendance.answers
+    .filter(answer => answer.answerKeyQuestionId)
+    .map(answer => answer.answerKeyQuestionId);
+  const keyQuestions = keyIds.length > 0
+    ? await questionPool.loadQuestionsInOrder(keyIds, attemptGrading.GRADING_FIELDS)
+    : [];
+
+  const answerKeys = {};
+  keyQuestions.forEach(question => {
+    answerKeys[question._id.toString()] = question;
+  });
+  return answerKeys;
+};
+
 const reviewExamQuestions = async (req, res) => {
   try {
     const { examId } = req.params;
@@ -1211,27 +1341,48 @@ const reviewExamQuestions = async (req, res) => {
     
     console.log(`Reviewing exam ${examId}, attempt #${attendance.attemptNumber}`);
     
-    // Get temporary exam data with randomized questions for this specific attempt
-    const tmpData = await TmpExamStudentData.findOne({ 
-      userId, 
-      examId,
-      attemptNumber: attendance.attemptNumber
-    });
+    // Get the stored state with the question order and answers of this specific attempt
+    const tmpData = await attemptState.getAttemptState(attendance);
     
-    // Get exam with all questions
-    const exam = await Exam.findById(examId).populate({
-      path: 'sections.mcqs',
-      select: 'questionText options correctAnswer explanation'
-    });
+    // Get the exam
+    const exam = await Exam.findById(examId);
     
     if (!exam) {
       return res.status(404).json({ message: "Exam not found" });
     }
     
+    // Explanations and option feedback follow the exam's feedbackVisibility setting,
+    // with the student's assignment overrides (extra attempts) applied
+    const allAttempts = await ExamAttendance.find({ examId, userId })
+      .select('status gradingStatus score maxScore totalQuestions attemptNumber startTime endTime');
+    const access = req.user.role === "admin" ? null : await examAssignment.checkExamAccess(userId, exam);
+    const feedbackVisibility = questionFeedback.getFeedbackVisibility(exam, allAttempts, access?.effectiveExam || exam);
+    const getFeedback = (question, answer) => feedbackVisibility.visible
+      ? questionFeedback.formatQuestionFeedback(question, answer)
+      : { explanation: null, optionFeedback: [] };
+    
     // If we have temporary data with question order and answers, use it
     if (tmpData && tmpData.questionIds && tmpData.questionIds.length > 0) {
       console.log(`Found temporary data for attempt #${attendance.attemptNumber} with ${tmpData.questionIds.length} questions`);
       
+      // Load exactly the questions that were drawn for this attempt
+      const attemptQuestions = await questionPool.loadQuestionsInOrder(
+        tmpData.questionIds,
+        `${attemptGrading.GRADING_FIELDS} explanation optionFeedback groupId`
+      );
+      const questionsMap = {};
+      attemptQuestions.forEach(question => {
+        questionsMap[question._id.toString()] = question;
+      });
+      
+      const answerKeys = await loadAnswerKeyQuestions(attendance);
+      
+      // Stored grades win over re-grading, they include manual grading decisions
+      const storedAnswers = {};
+      attendance.answers.forEach(answer => {
+        storedAnswers[answer.questionId.toString()] = answer;
+      });
+      
       // Map questions with user answers based on questionIds in tmpData
       const reviewData = [];
       
@@ -1240,22 +1391,46 @@ const reviewExamQuestions = async (req, res) => {
         const userAnswer = tmpData.answers[i];
         
         // Find question details
-        let questionDetails = null;
-        exam.sections.mcqs.forEach(mcq => {
-          if (mcq._id.toString() === questionId.toString()) {
-            questionDetails = mcq;
-          }
-        });
+        const questionDetails = questionsMap[questionId.toString()];
         
         if (questionDetails) {
+          const stored = storedAnswers[questionId.toString()];
+          // Template questions are shown and graded as the instance the attempt was served
+          const variantValues = questionVariants.getVariantValues(attendance.variants, questionId);
+          const answerKey = questionVariants.applyVariant(
+            answerKeys[stored?.answerKeyQuestionId?.toString()] || questionDetails,
+            variantValues
+          );
+          const graded = grading.gradeAnswer(answerKey, userAnswer);
           reviewData.push({
             questionId: questionDetails._id,
-            questionText: questionDetails.questionText,
+            type: questionDetails.type,
+            questionText: variantValues ? questionVariants.renderTemplate(questionDetails.questionText, variantValues) : questionDetails.questionText,
             options: questionDetails.options,
+            groupId: questionDetails.groupId || null,
+            ...(variantValues && { variables: variantValues }),
+            // The order the student saw the options in, and where their choices were
+            ...(questionDetails.options?.length && optionShuffle.describeOptionOrder(questionDetails, attendance.optionSeed, userAnswer)),
+            // Prompts and matches, items or blank options of structured questions, as the student saw them
+            ...(structuredQuestions.isStructured(questionDetails.type) && structuredQuestions.formatForStudent(questionDetails, attendance.optionSeed)),
             userAnswer: userAnswer,
-            correctAnswer: questionDetails.correctAnswer,
-            isCorrect: userAnswer === questionDetails.correctAnswer,
-            explanation: questionDetails.explanation || "No explanation provided"
+            correctAnswer: grading.getCorrectAnswer(answerKey),
+            regradedAt: stored?.regradedAt,
+            isCorrect: stored ? stored.isCorrect : graded.isCorrect,
+            credit: stored && stored.credit !== undefined ? stored.credit : graded.credit,
+            needsReview: stored ? Boolean(stored.needsReview) : false,
+            // Marks as graded, unanswered questions earn and lose nothing
+            ...grading.getQuestionMarks(stored || questionDetails),
+            points: stored ? grading.getAnswerPoints(stored) : 0,
+            feedback: stored?.feedback,
+            // Per-test results of practical questions
+            testResults: stored?.testResults?.length ? stored.testResults : undefined,
+            // Right/wrong/missed per option for multiple-select questions
+            optionResults: graded.optionResults,
+            // Right/wrong/missed per prompt, position or blank for matching, ordering and cloze questions
+            itemResults: graded.itemResults,
+            // Markdown explanation and option feedback, when the exam shows them
+            ...getFeedback(questionDetails, userAnswer)
           });
         }
       }
@@ -1263,11 +1438,19 @@ const reviewExamQuestions = async (req, res) => {
       return res.status(200).json({
         examTitle: exam.title,
         attemptNumber: attendance.attemptNumber,
+        examVersion: attendance.examVersion || null,
+        optionsShuffled: Boolean(attendance.optionSeed),
         totalQuestions: reviewData.length,
         correctAnswers: reviewData.filter(q => q.isCorrect).length,
         score: attendance.score,
-        percentage: ((attendance.score / attendance.totalQuestions) * 100).toFixed(2),
-        passed: ((attendance.score / attendance.totalQuestions) * 100) >= 60,
+        maxScore: passPolicy.getMaxScore(attendance),
+        percentage: passPolicy.getAttemptPercentage(attendance).toFixed(2),
+        passingScore: passPolicy.getPassPolicy(exam).passingScore,
+        passed: passPolicy.isAttemptPassed(attendance, exam),
+        gradingStatus: attendance.gradingStatus || 'COMPLETE',
+        feedbackVisibility,
+        // Stimuli of the passage groups the questions refer to with groupId
+        groups: await questionGroups.loadGroupsForStudent(attemptQuestions),
         reviewData: reviewData
       });
     } else {
@@ -1277,26 +1460,53 @@ const reviewExamQuestions = async (req, res) => {
       // Get questions from attendance answers
       const reviewData = [];
       
-      // Create a map of all questions for quick lookup
+      // Create a map of the answered questions for quick lookup
+      const answeredQuestions = await questionPool.loadQuestionsInOrder(
+        attendance.answers.map(answer => answer.questionId),
+        `${attemptGrading.GRADING_FIELDS} explanation optionFeedback groupId`
+      );
       const questionsMap = {};
-      exam.sections.mcqs.forEach(mcq => {
-        questionsMap[mcq._id.toString()] = mcq;
+      answeredQuestions.forEach(question => {
+        questionsMap[question._id.toString()] = question;
       });
       
+      const answerKeys = await loadAnswerKeyQuestions(attendance);
+      
       // Map the answers from attendance record
       attendance.answers.forEach(answer => {
         const questionId = answer.questionId.toString();
         const questionDetails = questionsMap[questionId];
         
         if (questionDetails) {
+          const variantValues = questionVariants.getVariantValues(attendance.variants, questionId);
+          const answerKey = questionVariants.applyVariant(
+            answerKeys[answer.answerKeyQuestionId?.toString()] || questionDetails,
+            variantValues
+          );
+          const graded = grading.gradeAnswer(answerKey, answer.selectedAnswer);
           reviewData.push({
             questionId: questionDetails._id,
-            questionText: questionDetails.questionText,
+            type: questionDetails.type,
+            questionText: variantValues ? questionVariants.renderTemplate(questionDetails.questionText, variantValues) : questionDetails.questionText,
             options: questionDetails.options,
+            groupId: questionDetails.groupId || null,
+            ...(variantValues && { variables: variantValues }),
+            ...(questionDetails.options?.length && optionShuffle.describeOptionOrder(questionDetails, attendance.optionSeed, answer.selectedAnswer)),
+            ...(structuredQuestions.isStructured(questionDetails.type) && structuredQuestions.formatForStudent(questionDetails, attendance.optionSeed)),
             userAnswer: answer.selectedAnswer,
-            correctAnswer: questionDetails.correctAnswer,
+            correctAnswer: grading.getCorrectAnswer(answerKey),
+            regradedAt: answer.regradedAt,
             isCorrect: answer.isCorrect,
-            explanation: questionDetails.explanation || "No explanation provided"
+            credit: answer.credit !== undefined ? answer.credit : (answer.isCorrect ? 1 : 0),
+            needsReview: Boolean(answer.needsReview),
+            ...grading.getQuestionMarks(answer),
+            points: grading.getAnswerPoints(answer),
+            feedback: answer.feedback,
+            testResults: answer.testResults?.length ? answer.testResults : undefined,
+            // Right/wrong/missed per option for multiple-select questions
+            optionResults: graded.optionResults,
+            itemResults: graded.itemResults,
+            ...getFeedback(questionDetails, answer.selectedAnswer)
           });
         }
       });
@@ -1304,11 +1514,18 @@ const reviewExamQuestions = async (req, res) => {
       return res.status(200).json({
         examTitle: exam.title,
         attemptNumber: attendance.attemptNumber,
+        examVersion: attendance.examVersion || null,
+        optionsShuffled: Boolean(attendance.optionSeed),
         totalQuestions: attendance.totalQuestions,
-        correctAnswers: attendance.score,
+        correctAnswers: attendance.answers.filter(answer => answer.isCorrect).length,
         score: attendance.score,
-        percentage: ((attendance.score / attendance.totalQuestions) * 100).toFixed(2),
-        passed: ((attendance.score / attendance.totalQuestions) * 100) >= 60,
+        maxScore: passPolicy.getMaxScore(attendance),
+        percentage: passPolicy.getAttemptPercentage(attendance).toFixed(2),
+        passingScore: passPolicy.getPassPolicy(exam).passingScore,
+        passed: passPolicy.isAttemptPassed(attendance, exam),
+        gradingStatus: attendance.gradingStatus || 'COMPLETE',
+        feedbackVisibility,
+        groups: await questionGroups.loadGroupsForStudent(answeredQuestions),
         reviewData: reviewData
       });
     }
@@ -1321,6 +1538,42 @@ const reviewExamQuestions = async (req, res) => {
   }
 };
 
+// Published exams the student is assigned to but can't attempt yet because of unmet
+// prerequisites, with what unlocks them
+const getLockedExams = async (user, attemptedExamIds) => {
+  if (user.role === "admin") {
+    return [];
+  }
+  
+  const candidates = await Exam.find({
+    status: "PUBLISHED",
+    "prerequisites.0": { $exists: true },
+    _id: { $nin: attemptedExamIds }
+  }).select('title description duration prerequisites');
+  if (candidates.length === 0) {
+    return [];
+  }
+  
+  const access = await examAssignment.resolveAccess(user._id, candidates.map(exam => exam._id));
+  const visible = candidates.filter(exam => access.get(exam._id.toString()).assigned);
+  const prerequisiteStatus = await prerequisites.checkPrerequisitesForExams(user._id, visible);
+  
+  return visible
+    .filter(exam => !prerequisiteStatus.get(exam._id.toString()).met)
+    .map(exam => {
+      const state = prerequisiteStatus.get(exam._id.toString());
+      return {
+        examId: exam._id,
+        examTitle: exam.title,
+        examDescription: exam.description || '',
+        examDuration: exam.duration || 0,
+        locked: true,
+        unlockRequirements: state.unmet,
+        prerequisites: state.prerequisites
+      };
+    });
+};
+
 // Get all exams taken/attempted by the user
 const getUserExams = async (req, res) => {
   try {
@@ -1343,19 +1596,23 @@ const getUserExams = async (req, res) => {
     const examAttendances = await ExamAttendance.find(query)
       .populate({
         path: 'examId',
-        select: 'title description duration status publishedAt maxAttempts',
+        select: 'title description duration status publishedAt maxAttempts passingScore attemptScoring blockRetakeAfterPass retakeCooldownMinutes opensAt closesAt timezone closeGraceMinutes prerequisites',
       })
       .sort({ startTime: -1 }); // Sort by most recent first
     
     if (!examAttendances || examAttendances.length === 0) {
       return res.status(200).json({ 
         message: "You have not taken any exams yet",
-        exams: [] 
+        exams: [],
+        lockedExams: await getLockedExams(req.user, [])
       });
     }
 
     // Group exams by their ID to show multiple attempts together
     const examMap = {};
+    // Raw attendance records and exam documents per exam, for the pass policy
+    const attemptRecords = {};
+    const examDocs = {};
     
     examAttendances.forEach(attendance => {
       const examId = attendance.examId?._id?.toString() || 'unknown';
@@ -1378,6 +1635,7 @@ const getUserExams = async (req, res) => {
           examDescription: attendance.examId.description || '',
           examDuration: attendance.examId.duration || 0,
           maxAttempts: attendance.examId.maxAttempts || 3, // Use exam's maxAttempts field
+          passingScore: passPolicy.getPassPolicy(attendance.examId).passingScore,
           bestScore: 0,
           bestPercentage: '0.00',
           bestAttemptNumber: 0,
@@ -1387,15 +1645,16 @@ const getUserExams = async (req, res) => {
           completedAttempts: 0,
           shouldHide: false // Will be set to true for passed or maxed attempts
         };
+        attemptRecords[examId] = [];
+        examDocs[examId] = attendance.examId;
       }
+      attemptRecords[examId].push(attendance);
       
       // Calculate percentage
-      const percentage = attendance.totalQuestions > 0 
-        ? ((attendance.score / attendance.totalQuestions) * 100).toFixed(2) 
-        : '0.00';
+      const percentage = passPolicy.getAttemptPercentage(attendance).toFixed(2);
       
-      // Determine if the user passed (60% is passing threshold)
-      const passed = parseFloat(percentage) >= 60;
+      // Determine if this attempt reached the exam's passing score
+      const passed = passPolicy.isAttemptPassed(attendance, attendance.examId);
       
       // Count completed attempts
       if (attendance.status === 'COMPLETED' || attendance.status === 'TIMED_OUT') {
@@ -1407,7 +1666,6 @@ const getUserExams = async (req, res) => {
         examMap[examId].bestScore = attendance.score;
         examMap[examId].bestPercentage = percentage;
         examMap[examId].bestAttemptNumber = attendance.attemptNumber || 1;
-        examMap[examId].hasPassed = true;
       }
       
       // Update latest attempt date
@@ -1447,18 +1705,53 @@ const getUserExams = async (req, res) => {
         status: attendance.status,
         statusDisplay: getStatusDisplay(attendance.status),
         score: attendance.score,
+        maxScore: passPolicy.getMaxScore(attendance),
         totalQuestions: attendance.totalQuestions,
         attemptedQuestions: attendance.attemptedQuestions,
         percentage: percentage,
         passed: passed,
-        resultDisplay: passed ? 'PASSED' : (attendance.status === 'IN_PROGRESS' ? 'IN PROGRESS' : 'NOT PASSED')
+        gradingStatus: attendance.gradingStatus || 'COMPLETE',
+        resultDisplay: passed ? 'PASSED' : (attendance.status === 'IN_PROGRESS' ? 'IN PROGRESS' :
+          (passPolicy.isPendingReview(attendance) ? 'PENDING GRADING' : 'NOT PASSED'))
       });
     });
     
-    // Determine which exams should be hidden (passed or max attempts reached)
-    // and mark them accordingly
+    // Assignments decide whether students can retake an exam, and their overrides apply
+    const examAccess = req.user.role === "admin"
+      ? null
+      : await examAssignment.resolveAccess(userId, Object.keys(examDocs));
+    
+    // Retakes also need the prerequisites to still be met (e.g. a pass that had to be recent)
+    const prerequisiteStatus = req.user.role === "admin"
+      ? null
+      : await prerequisites.checkPrerequisitesForExams(userId, Object.values(examDocs));
+    
+    // Decide the exam-level result and retake eligibility with the exam's pass policy,
+    // then hide exams that can't be attempted again
     Object.values(examMap).forEach(exam => {
-      if (exam.hasPassed || exam.completedAttempts >= exam.maxAttempts) {
+      const access = examAccess ? examAccess.get(exam.examId) : null;
+      const effectiveExam = access
+        ? examAssignment.getEffectiveExam(examDocs[exam.examId], access.overrides)
+        : examDocs[exam.examId];
+      const eligibility = passPolicy.checkRetakeEligibility(attemptRecords[exam.examId], effectiveExam);
+      exam.maxAttempts = effectiveExam.maxAttempts || 3;
+      exam.hasPassed = eligibility.result.passed;
+      exam.attemptScoring = eligibility.result.attemptScoring;
+      exam.countedPercentage = eligibility.result.percentage !== null
+        ? eligibility.result.percentage.toFixed(2)
+        : null;
+      // Past attempts stay in the history, but new ones need an assignment and an open window
+      exam.assigned = access ? access.assigned : true;
+      exam.availability = examSchedule.getAvailability(effectiveExam);
+      const prerequisiteState = prerequisiteStatus ? prerequisiteStatus.get(exam.examId) : null;
+      exam.locked = Boolean(prerequisiteState && !prerequisiteState.met);
+      if (exam.locked) {
+        exam.unlockRequirements = prerequisiteState.unmet;
+      }
+      exam.canAttempt = eligibility.allowed && exam.assigned && exam.availability.state === 'OPEN' && !exam.locked;
+      exam.retryAfter = eligibility.retryAfter || null;
+      exam.pendingReview = eligibility.result.pendingReview > 0;
+      if (eligibility.reason === 'PASSED' || eligibility.reason === 'MAX_ATTEMPTS') {
         exam.shouldHide = true;
       }
     });
@@ -1495,7 +1788,6 @@ const getUserExams = async (req, res) => {
       
       // Add remaining attempts info
       exam.remainingAttempts = Math.max(0, exam.maxAttempts - exam.completedAttempts);
-      exam.canAttempt = !exam.hasPassed && exam.completedAttempts < exam.maxAttempts;
     });
     
     // Prepare summary stats
@@ -1505,6 +1797,9 @@ const getUserExams = async (req, res) => {
       sum + exam.attempts.filter(a => a.status === 'COMPLETED' || a.status === 'TIMED_OUT').length, 0);
     const passedExams = filteredExams.filter(exam => exam.hasPassed).length;
     
+    // Exams not attempted yet that are locked behind prerequisites (next steps of a track)
+    const lockedExams = await getLockedExams(req.user, Object.keys(examDocs));
+    
     res.status(200).json({
       message: "Exam history retrieved successfully",
       summary: {
@@ -1514,6 +1809,7 @@ const getUserExams = async (req, res) => {
         passedExams,
         passRate: totalExams > 0 ? `${((passedExams / totalExams) * 100).toFixed(1)}%` : '0%',
         hiddenExams: Object.values(examMap).filter(exam => exam.shouldHide).length,
+        lockedExams: lockedExams.length,
         showAll: showAll === 'true'
       },
       exams: filteredExams.map(exam => ({
@@ -1527,7 +1823,8 @@ const getUserExams = async (req, res) => {
           maxAttemptsReached: exam.completedAttempts >= exam.maxAttempts,
           maxAttempts: exam.maxAttempts
         }
-      }))
+      })),
+      lockedExams
     });
     
   } catch (error) {
@@ -1556,7 +1853,7 @@ const myExamHistory = async (req, res) => {
     const examAttendances = await ExamAttendance.find({ userId })
       .populate({
         path: 'examId',
-        select: 'title description duration status'
+        select: 'title description duration status maxAttempts passingScore attemptScoring blockRetakeAfterPass retakeCooldownMinutes'
       })
       .sort({ startTime: -1 });
     
@@ -1624,10 +1921,16 @@ const myExamHistory = async (req, res) => {
     let totalCompletedAttempts = 0;
     let totalPassedAttempts = 0;
     
+    // Exam-level results use every attempt, regardless of the filters below
+    const attemptsByExam = passPolicy.groupAttemptsByStudentExam(
+      examAttendances.filter(attendance => attendance.examId)
+    );
+    
     examAttendances.forEach(attendance => {
       if (!attendance.examId) return; // Skip if exam was deleted
       
       const examId = attendance.examId._id.toString();
+      const attemptPassed = passPolicy.isAttemptPassed(attendance, attendance.examId);
       
       // Apply search filter if provided
       if (search && !attendance.examId.title.toLowerCase().includes(search.toLowerCase())) {
@@ -1636,9 +1939,9 @@ const myExamHistory = async (req, res) => {
       
       // Apply status filter if provided
       if (status) {
-        if (status === 'passed' && !(attendance.score / attendance.totalQuestions >= 0.6)) {
+        if (status === 'passed' && !attemptPassed) {
           return;
-        } else if (status === 'failed' && (attendance.score / attendance.totalQuestions >= 0.6)) {
+        } else if (status === 'failed' && attemptPassed) {
           return;
         } else if (status !== 'all' && attendance.status !== status) {
           return;
@@ -1646,37 +1949,43 @@ const myExamHistory = async (req, res) => {
       }
       
       // Count completed and passed attempts
-      if (attendance.status === 'COMPLETED') {
+      if (passPolicy.isFinishedAttempt(attendance)) {
         totalCompletedAttempts++;
-        if (attendance.score / attendance.totalQuestions >= 0.6) {
+        if (attemptPassed) {
           totalPassedAttempts++;
         }
       }
       
       if (!examMap[examId]) {
+        const examResult = passPolicy.evaluateAttempts(
+          attemptsByExam[`${userId}:${examId}`] || [],
+          attendance.examId
+        );
         examMap[examId] = {
           examId: examId,
           title: attendance.examId.title,
           description: attendance.examId.description || '',
           duration: attendance.examId.duration || 0,
+          passingScore: examResult.passingScore,
+          attemptScoring: examResult.attemptScoring,
+          countedPercentage: examResult.percentage !== null ? examResult.percentage.toFixed(2) : null,
           bestScore: 0,
+          bestMaxScore: passPolicy.getMaxScore(attendance),
           bestPercentage: 0,
           attempts: [],
           latestAttemptDate: attendance.startTime,
-          hasPassed: false
+          hasPassed: examResult.passed
         };
       }
       
       // Calculate percentage score
-      const percentage = attendance.totalQuestions > 0 
-        ? (attendance.score / attendance.totalQuestions) * 100 
-        : 0;
+      const percentage = passPolicy.getAttemptPercentage(attendance);
       
       // Update best score if this attempt is better
       if (percentage > examMap[examId].bestPercentage) {
         examMap[examId].bestScore = attendance.score;
+        examMap[examId].bestMaxScore = passPolicy.getMaxScore(attendance);
         examMap[examId].bestPercentage = percentage;
-        examMap[examId].hasPassed = percentage >= 60;
       }
       
       // Update latest attempt date if this is more recent
@@ -1717,11 +2026,12 @@ const myExamHistory = async (req, res) => {
         status: attendance.status,
         statusText: getStatusDisplay(attendance.status),
         score: attendance.score,
+        maxScore: passPolicy.getMaxScore(attendance),
         totalQuestions: attendance.totalQuestions,
         attemptedQuestions: attendance.attemptedQuestions,
         percentage: percentage.toFixed(2),
-        isPassed: percentage >= 60,
-        result: percentage >= 60 ? 'PASSED' : 
+        isPassed: attemptPassed,
+        result: attemptPassed ? 'PASSED' : 
           (attendance.status === 'IN_PROGRESS' ? 'IN PROGRESS' : 'NOT PASSED'),
         canContinue: attendance.status === 'IN_PROGRESS',
         canViewResults: attendance.status !== 'IN_PROGRESS'
@@ -1743,7 +2053,7 @@ const myExamHistory = async (req, res) => {
     // Sort attempts within each exam by most recent first
     exams.forEach(exam => {
       exam.attempts.sort((a, b) => b.attemptNumber - a.attemptNumber);
-      exam.formattedBestScore = `${exam.bestScore}/${exam.attempts[0].totalQuestions} (${exam.bestPercentage.toFixed(2)}%)`;
+      exam.formattedBestScore = `${exam.bestScore}/${exam.bestMaxScore} (${exam.bestPercentage.toFixed(2)}%)`;
     });
     
     // Build summary statistics
@@ -1838,6 +2148,248 @@ const formatUnpublishedExams = (unpublishedExams) => {
   });
 };
 
+// Helper function to load an exam for an author preview
+// Admins, the exam's creator and its reviewers can preview it, whatever its status
+const loadPreviewExam = async (req, res) => {
+  const { examId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(examId)) {
+    res.status(400).json({ message: "Invalid Exam ID format." });
+    return null;
+  }
+
+  const exam = await Exam.findById(examId);
+  if (!exam) {
+    res.status(404).json({ message: "Exam not found" });
+    return null;
+  }
+
+  if (!examReview.getReviewRole(req.user, exam).canComment) {
+    res.status(403).json({ message: "Only the exam's creator, its reviewers and admins can preview this exam." });
+    return null;
+  }
+  return exam;
+};
+
+// Preview an exam as students see it, without creating an attempt
+// Starts a new preview unless previewId is given; pages work like attendExam
+const previewExam = async (req, res) => {
+  try {
+    const { page, limit = 1, previewId } = req.query;
+    const userId = req.user._id;
+
+    const exam = await loadPreviewExam(req, res);
+    if (!exam) return;
+
+    let session;
+    if (previewId) {
+      session = await examPreview.getPreviewSession(previewId, exam._id, userId);
+      if (!session) {
+        return res.status(404).json({ message: "Preview not found or expired. Start a new preview." });
+      }
+    } else {
+      session = await examPreview.createPreviewSession(exam, userId);
+      console.log(`Started preview ${session.previewId} of exam ${exam._id} for user ${userId} with ${session.questionIds.length} questions`);
+    }
+
+    const limitNum = parseInt(limit);
+    const pageNum = page ? parseInt(page) : session.currentPage;
+    if (pageNum !== session.currentPage) {
+      await examPreview.setCurrentPage(session, pageNum);
+    }
+
+    const questionPage = await buildQuestionPage({
+      questionIds: session.questionIds,
+      pageNum,
+      limitNum,
+      savedAnswers: session.answers,
+      flaggedQuestionIds: session.flaggedQuestionIds,
+      optionSeed: session.optionSeed,
+      variants: session.variants
+    });
+    const timeRemainingSeconds = examPreview.getRemainingSeconds(session);
+
+    // Same shape as attendExam, with the preview ID instead of an attendance
+    res.status(200).json({
+      examTitle: exam.title,
+      ...questionPage,
+      timeRemaining: Math.round(timeRemainingSeconds / 60),
+      timeRemainingSeconds,
+      deadline: session.deadline,
+      serverTime: new Date(),
+      preview: true,
+      previewId: session.previewId,
+      examStatus: exam.status
+    });
+  } catch (error) {
+    console.error("Error in previewExam:", error);
+    // Authors see which blueprint rows the draw missed
+    if (error.code === 'BLUEPRINT_UNSATISFIED') {
+      return res.status(409).json({ message: error.message, error: "BlueprintUnsatisfied" });
+    }
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Save an answer of a preview, checked the same way as submitAnswer
+const submitPreviewAnswer = async (req, res) => {
+  try {
+    const { previewId } = req.params;
+    const { questionId, selectedAnswer, selectedOptionIndex } = req.body;
+
+    if (!questionId || ((selectedAnswer === undefined || selectedAnswer === null) && selectedOptionIndex === undefined)) {
+      return res.status(400).json({ 
+        message: "Question ID and selected answer are required" 
+      });
+    }
+
+    const exam = await loadPreviewExam(req, res);
+    if (!exam) return;
+
+    const session = await examPreview.getPreviewSession(previewId, exam._id, req.user._id);
+    if (!session) {
+      return res.status(404).json({ message: "Preview not found or expired. Start a new preview." });
+    }
+
+    if (examPreview.getRemainingSeconds(session) <= 0) {
+      return res.status(400).json({ 
+        message: "Preview time is up! Complete the preview to see the grading.",
+        status: "TIMED_OUT",
+        deadline: session.deadline
+      });
+    }
+
+    if (!session.questionIds.some(id => id.toString() === questionId.toString())) {
+      return res.status(400).json({ 
+        message: "This question is not part of your current preview" 
+      });
+    }
+
+    const answeredQuestion = await Question.findById(questionId).select('type options pairs distractors items blanks');
+    const checkedAnswer = normalizeSubmittedAnswer(
+      answeredQuestion,
+      { selectedAnswer, selectedOptionIndex },
+      session.optionSeed
+    );
+    if (checkedAnswer.body) {
+      return res.status(checkedAnswer.status).json(checkedAnswer.body);
+    }
+
+    const savedSession = await examPreview.saveAnswer(session, questionId.toString(), checkedAnswer.answer);
+    if (!savedSession) {
+      return res.status(404).json({ message: "Preview not found or expired. Start a new preview." });
+    }
+
+    res.status(200).json({ 
+      message: "Answer saved in preview",
+      answeredQuestions: Object.keys(savedSession.answers).length,
+      timeRemainingSeconds: examPreview.getRemainingSeconds(session)
+    });
+  } catch (error) {
+    console.error("Error in submitPreviewAnswer:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message 
+    });
+  }
+};
+
+// Grade a preview and return the full breakdown; the preview is discarded afterwards
+const completePreview = async (req, res) => {
+  try {
+    const { previewId } = req.params;
+
+    const exam = await loadPreviewExam(req, res);
+    if (!exam) return;
+
+    const session = await examPreview.getPreviewSession(previewId, exam._id, req.user._id);
+    if (!session) {
+      return res.status(404).json({ message: "Preview not found or expired. Start a new preview." });
+    }
+
+    const timedOut = examPreview.getRemainingSeconds(session) <= 0;
+    const {
+      questions,
+      processedAnswers,
+      score,
+      maxScore,
+      totalAnswered,
+      pendingCount,
+      totalQuestions,
+      percentage
+    } = await attemptGrading.gradeAnswers(
+      session.questionIds,
+      session.answers,
+      `${attemptGrading.GRADING_FIELDS} explanation optionFeedback`,
+      session.variants
+    );
+    await examPreview.endPreviewSession(previewId);
+
+    // Per-question breakdown in the order the questions were served, unanswered ones included
+    const answersById = new Map(processedAnswers.map(answer => [answer.questionId.toString(), answer]));
+    const breakdown = questions.map((question, index) => {
+      const answer = answersById.get(question._id.toString());
+      const optionResults = answer && question.type === "MultiSelect"
+        ? grading.gradeAnswer(question, answer.selectedAnswer).optionResults
+        : undefined;
+      const itemResults = answer && structuredQuestions.isStructured(question.type)
+        ? grading.gradeAnswer(question, answer.selectedAnswer).itemResults
+        : undefined;
+      return {
+        number: index + 1,
+        questionId: question._id,
+        type: question.type,
+        questionText: question.questionText,
+        options: question.options,
+        ...(question.options?.length && optionShuffle.describeOptionOrder(question, session.optionSeed, answer?.selectedAnswer)),
+        ...(structuredQuestions.isStructured(question.type) && structuredQuestions.formatForStudent(question, session.optionSeed)),
+        selectedAnswer: answer ? answer.selectedAnswer : null,
+        correctAnswer: question.type === "Practical" ? undefined : grading.getCorrectAnswer(question),
+        answered: Boolean(answer),
+        isCorrect: answer ? answer.isCorrect : false,
+        credit: answer ? answer.credit : 0,
+        needsReview: answer ? answer.needsReview : false,
+        ...grading.getQuestionMarks(question),
+        points: answer ? grading.getAnswerPoints(answer) : 0,
+        ...(optionResults && { optionResults }),
+        ...(itemResults && { itemResults }),
+        ...(answer?.testResults && { testResults: answer.testResults }),
+        // Authors always see explanations, whatever the exam's feedbackVisibility
+        ...questionFeedback.formatQuestionFeedback(question, answer?.selectedAnswer)
+      };
+    });
+
+    // What a student would get from this attempt alone, by the exam's pass policy
+    const { passingScore } = passPolicy.getPassPolicy(exam);
+    console.log(`Preview ${previewId} of exam ${exam._id} graded: ${score}/${maxScore}`);
+
+    res.status(200).json({
+      message: "Preview graded. Nothing was recorded.",
+      preview: true,
+      status: timedOut ? "TIMED_OUT" : "COMPLETED",
+      score,
+      maxScore,
+      totalQuestions,
+      attemptedQuestions: totalAnswered,
+      percentage: percentage.toFixed(2),
+      passingScore,
+      pendingAnswers: pendingCount,
+      result: pendingCount > 0 ? "pending" : (percentage >= passingScore ? "pass" : "failed"),
+      breakdown
+    });
+  } catch (error) {
+    console.error("Error in completePreview:", error);
+    return res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
 // Cancel an in-progress exam attempt
 const cancelInProgressAttempt = async (req, res) => {
   try {
@@ -1865,6 +2417,7 @@ const cancelInProgressAttempt = async (req, res) => {
     inProgressAttempt.status = "TIMED_OUT";
     inProgressAttempt.endTime = new Date();
     await inProgressAttempt.save();
+    timeoutManager.clearAttemptTimeout(inProgressAttempt._id);
     
     // Also clear any temporary data
     try {
@@ -1879,12 +2432,6 @@ const cancelInProgressAttempt = async (req, res) => {
       // Continue anyway as the main operation succeeded
     }
     
-    // Clear memory data if exists
-    if (userExamData[userId] && userExamData[userId][examId]) {
-      delete userExamData[userId][examId];
-      console.log("Cleared in-memory exam data");
-    }
-    
     console.log(`Successfully canceled in-progress attempt #${inProgressAttempt.attemptNumber} for exam ${examId}`);
     
     return res.status(200).json({
@@ -1943,30 +2490,23 @@ const cancelAllAttempts = async (req, res) => {
     );
     
     // Clean up temporary data for all canceled attempts
-    const attemptNumbers = inProgressAttempts.map(attempt => attempt.attemptNumber);
+    inProgressAttempts.forEach(attempt => timeoutManager.clearAttemptTimeout(attempt._id));
     
     try {
-      // Delete all temporary data for these attempts
+      // Delete the stored state of exactly these attempts (other exams' attempts keep theirs for review)
       await TmpExamStudentData.deleteMany({
         userId,
-        attemptNumber: { $in: attemptNumbers }
+        $or: inProgressAttempts.map(attempt => ({
+          examId: attempt.examId,
+          attemptNumber: attempt.attemptNumber
+        }))
       });
-      console.log(`Temporary data cleared for ${attemptNumbers.length} attempts`);
+      console.log(`Temporary data cleared for ${inProgressAttempts.length} attempts`);
     } catch (tmpError) {
       console.error("Error clearing temporary data:", tmpError);
       // Continue anyway as the main operation succeeded
     }
     
-    // Clear memory data for all exams
-    if (userExamData[userId]) {
-      for (const examId of examIds) {
-        if (userExamData[userId][examId]) {
-          delete userExamData[userId][examId];
-        }
-      }
-      console.log("Cleared in-memory exam data");
-    }
-    
     console.log(`Successfully canceled ${updateResult.modifiedCount} in-progress attempts`);
     
     return res.status(200).json({
@@ -2047,7 +2587,7 @@ const adminGetAllUserHistory = async (req, res) => {
     let examAttendances = await ExamAttendance.find(query)
       .populate({
         path: 'examId',
-        select: 'title description duration status'
+        select: 'title description duration status passingScore'
       })
       .populate({
         path: 'userId',
@@ -2090,12 +2630,10 @@ const adminGetAllUserHistory = async (req, res) => {
     // Format the exam attendance records
     const formattedHistory = examAttendances.map(attendance => {
       // Calculate percentage
-      const percentage = attendance.totalQuestions > 0 
-        ? ((attendance.score / attendance.totalQuestions) * 100).toFixed(2) 
-        : 0;
+      const percentage = passPolicy.getAttemptPercentage(attendance).toFixed(2);
       
-      // Determine if passed (60% threshold)
-      const passed = parseFloat(percentage) >= 60;
+      // Determine if passed (exam's passing score)
+      const passed = passPolicy.isAttemptPassed(attendance, attendance.examId);
       
       // Format user details
       const user = attendance.userId || { username: 'Unknown' };
@@ -2127,10 +2665,13 @@ const adminGetAllUserHistory = async (req, res) => {
         statusText: getStatusDisplay(attendance.status),
         duration: duration ? `${duration} min` : 'N/A',
         score: attendance.score,
+        maxScore: passPolicy.getMaxScore(attendance),
         totalQuestions: attendance.totalQuestions,
         attemptedQuestions: attendance.attemptedQuestions,
         percentage: `${percentage}%`,
-        result: passed ? 'PASSED' : 'FAILED',
+        passingScore: passPolicy.getPassPolicy(attendance.examId).passingScore,
+        gradingStatus: attendance.gradingStatus || 'COMPLETE',
+        result: passed ? 'PASSED' : (passPolicy.isPendingReview(attendance) ? 'PENDING GRADING' : 'FAILED'),
         passed: passed
       };
     });
@@ -2153,12 +2694,8 @@ const adminGetAllUserHistory = async (req, res) => {
       
       examSummary[examId].attemptsCount++;
       
-      if (attendance.status === 'COMPLETED' || attendance.status === 'TIMED_OUT') {
-        const percentage = attendance.totalQuestions > 0 
-          ? (attendance.score / attendance.totalQuestions) * 100
-          : 0;
-        
-        if (percentage >= 60) {
+      if (passPolicy.isFinishedAttempt(attendance)) {
+        if (passPolicy.isAttemptPassed(attendance, attendance.examId)) {
           examSummary[examId].passedCount++;
         } else {
           examSummary[examId].failedCount++;
@@ -2188,12 +2725,8 @@ const adminGetAllUserHistory = async (req, res) => {
       userSummary[userId].attemptsCount++;
       userSummary[userId].examsCount.add(attendance.examId?._id?.toString());
       
-      if (attendance.status === 'COMPLETED' || attendance.status === 'TIMED_OUT') {
-        const percentage = attendance.totalQuestions > 0 
-          ? (attendance.score / attendance.totalQuestions) * 100
-          : 0;
-        
-        if (percentage >= 60) {
+      if (passPolicy.isFinishedAttempt(attendance)) {
+        if (passPolicy.isAttemptPassed(attendance, attendance.examId)) {
           userSummary[userId].passedCount++;
         } else {
           userSummary[userId].failedCount++;
@@ -2520,6 +3053,7 @@ const startMonitoring = async (req, res) => {
 module.exports = {
   attendExam,
   submitAnswer,
+  flagQuestion,
   completeExam,
   getExamStatus,
   getExamResult,
@@ -2531,5 +3065,8 @@ module.exports = {
   adminGetAllUserHistory,
   reportCheating,
   getCheatingReports,
-  startMonitoring
+  startMonitoring,
+  previewExam,
+  submitPreviewAnswer,
+  completePreview
 };
\ No newline at end of file
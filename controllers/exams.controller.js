@@ -1,11 +1,56 @@
+const mongoose = require("mongoose");
 const Exam = require("../models/exam.model");
 const ExamAttendance = require("../models/examAttendance.model");
 const ExamHistory = require("../models/examHistory.model");
 const attendanceUtils = require('../utils/attendanceUtils'); // Import attendance utilities
+const questionPool = require('../utils/questionPool'); // Pool draw validation
+const passPolicy = require('../utils/passPolicy'); // Per-exam pass/retake rules
+const examVersioning = require('../utils/examVersioning'); // Published exam snapshots
+const attemptGrading = require('../utils/attemptGrading'); // Question fields for version views
+const examSchedule = require('../utils/examSchedule'); // Availability windows
+const ExamVersion = require("../models/examVersion.model");
+const ExamAssignment = require("../models/examAssignment.model");
+const Cohort = require("../models/cohort.model");
+const User = require("../models/user.model");
+const Question = require("../models/question.model");
+const examAssignment = require('../utils/examAssignment'); // Cohort/student assignments and overrides
+const prerequisites = require('../utils/prerequisites'); // Exams that must be passed first
+const examReview = require('../utils/examReview'); // Review rounds, approvals and comments
+const questionFeedback = require('../utils/questionFeedback'); // Explanation visibility in reviews
+const itemAnalysis = require('../utils/itemAnalysis'); // Question statistics
+const attemptState = require('../utils/attemptState'); // Stored question order and answer times
+const examBlueprint = require('../utils/examBlueprint'); // Topic and difficulty distribution
 
 const createExam = async (req, res) => {
   try {
-    const { title, description, duration, maxAttempts, passingScore } = req.body;
+    const {
+      title, description, duration, maxAttempts, passingScore, poolDraws,
+      attemptScoring, blockRetakeAfterPass, retakeCooldownMinutes, shuffleOptions, feedbackVisibility
+    } = req.body;
+
+    if (feedbackVisibility !== undefined && !questionFeedback.FEEDBACK_VISIBILITY.includes(feedbackVisibility)) {
+      return res.status(400).json({ 
+        message: `'feedbackVisibility' must be one of ${questionFeedback.FEEDBACK_VISIBILITY.join(', ')}` 
+      });
+    }
+
+    // Optional availability window (opensAt/closesAt in the exam's timezone)
+    const schedule = examSchedule.readScheduleInput(req.body);
+    if (schedule.errors.length > 0) {
+      return res.status(400).json({ message: "Invalid exam schedule", errors: schedule.errors });
+    }
+
+    // Optional exams that must be passed first
+    const prerequisiteInput = await prerequisites.readPrerequisitesInput(req.body.prerequisites || []);
+    if (prerequisiteInput.errors.length > 0) {
+      return res.status(400).json({ message: "Invalid prerequisites", errors: prerequisiteInput.errors });
+    }
+
+    // Optional topic and difficulty distribution, checked when the exam is published
+    const blueprintInput = examBlueprint.readBlueprintInput(req.body.blueprint || []);
+    if (blueprintInput.errors.length > 0) {
+      return res.status(400).json({ message: "Invalid blueprint", errors: blueprintInput.errors });
+    }
 
     // Create the exam
     const newExam = new Exam({
@@ -14,14 +59,26 @@ const createExam = async (req, res) => {
       duration,
       maxAttempts: maxAttempts || 3, // Default to 3 if not provided
       passingScore: passingScore || 60, // Default to 60% if not provided
+      attemptScoring: attemptScoring || 'best', // Which attempt decides the exam result
+      blockRetakeAfterPass: blockRetakeAfterPass !== undefined ? blockRetakeAfterPass : true,
+      retakeCooldownMinutes: retakeCooldownMinutes || 0,
+      shuffleOptions: shuffleOptions !== undefined ? shuffleOptions : true, // Option order per attempt
+      feedbackVisibility: feedbackVisibility || questionFeedback.DEFAULT_FEEDBACK_VISIBILITY, // Explanations in reviews
       sections: {
         mcqs: [],
         shortAnswers: [],
       },
+      poolDraws: poolDraws || [], // Per-attempt random draws from question pools
+      blueprint: blueprintInput.values,
+      ...schedule.values,
+      prerequisites: prerequisiteInput.values,
       createdBy: req.user._id, // Using the authenticated user's ID
       status: "PENDING", // All new exams are set to pending by default
     });
 
+    // New exams start their first review round
+    examReview.startReviewRound(newExam, req.user._id);
+
     await newExam.save();
 
     res.status(201).json({
@@ -42,29 +99,37 @@ const getAllExams = async (req, res) => {
     const pageNum = parseInt(page);
     const limitNum = parseInt(limit);
     
+    const now = new Date();
+    const isAdmin = req.user.role === "admin";
+    
     // Build the query
     let filter = {};
     
     // If status is provided, filter by status
     if (status && ["PENDING", "APPROVED", "PUBLISHED"].includes(status.toUpperCase())) {
       filter.status = status.toUpperCase();
-    } else if (req.user.role !== "admin") {
-      // Non-admin users can only see published exams
-      filter.status = "PUBLISHED";
+    } else if (!isAdmin) {
+      // Non-admin users see published exams, and scheduled exams that haven't opened yet
+      filter.$or = [
+        { status: "PUBLISHED" },
+        { status: "APPROVED", opensAt: { $gt: now } }
+      ];
     }
     
     // Add search filter if provided
     if (search) {
-      filter.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+      filter.$and = [{
+        $or: [
+          { title: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ]
+      }];
     }
     
     // Find all exams matching the filter (before pagination)
     // We need this to apply user-specific filtering afterward
     const allFilteredExams = await Exam.find(filter)
-      .select('title description duration sections.mcqs createdBy status publishedAt maxAttempts passingScore')
+      .select('title description duration sections.mcqs sections.shortAnswers sections.practicals poolDraws createdBy status publishedAt maxAttempts passingScore attemptScoring blockRetakeAfterPass retakeCooldownMinutes opensAt closesAt timezone closeGraceMinutes prerequisites')
       .sort({ publishedAt: -1 });
     
     // Get user's attempts for each exam to check status
@@ -72,7 +137,7 @@ const getAllExams = async (req, res) => {
     const userAttempts = await ExamAttendance.find({
       userId,
       examId: { $in: examIds }
-    }).select('examId status score totalQuestions attemptNumber');
+    }).select('examId status score maxScore totalQuestions attemptNumber startTime endTime');
     
     console.log(`Found ${userAttempts.length} attempts for user ${userId} across ${examIds.length} exams`);
     
@@ -91,42 +156,61 @@ const getAllExams = async (req, res) => {
       console.log(`Exam ${examId}: ${examAttemptsMap[examId].length} attempts`);
     });
     
+    // Students only see unassigned exams and exams assigned to them or their cohorts,
+    // with their assignment overrides (window, extra attempts) applied
+    const examAccess = isAdmin ? null : await examAssignment.resolveAccess(userId, examIds);
+    const effectiveExams = {};
+    allFilteredExams.forEach(exam => {
+      const examId = exam._id.toString();
+      effectiveExams[examId] = examAccess
+        ? examAssignment.getEffectiveExam(exam, examAccess.get(examId).overrides)
+        : exam;
+    });
+    
+    // Exams with unmet prerequisites stay listed as locked, with what unlocks them
+    const prerequisiteStatus = isAdmin
+      ? null
+      : await prerequisites.checkPrerequisitesForExams(userId, allFilteredExams, now);
+    
     // Filter exams based on attempts - remove exams that user has passed or reached max attempts
     const availableExams = allFilteredExams.filter(exam => {
       const examId = exam._id.toString();
       const attempts = examAttemptsMap[examId] || [];
-      const maxAttempts = exam.maxAttempts || 3; // Get max attempts from exam model or default
+      const effectiveExam = effectiveExams[examId];
+      const maxAttempts = effectiveExam.maxAttempts || 3; // Get max attempts from exam model or default
       const passingScore = exam.passingScore || 60; // Get passing score from exam model or default
       
       console.log(`Filtering exam ${examId}: ${attempts.length} attempts found, max allowed: ${maxAttempts}`);
       
+      if (examAccess && !examAccess.get(examId).assigned) {
+        console.log(`  Exam ${examId} is not assigned to user ${userId}, removing it from the list`);
+        return false;
+      }
+      
+      // Closed windows are hidden from students, unless they still have an attempt to finish
+      if (!isAdmin && examSchedule.getAvailability(effectiveExam, now).state === 'CLOSED' &&
+        !attempts.some(attempt => attempt.status === "IN_PROGRESS")) {
+        console.log(`  Window of exam ${examId} has closed, removing it from the list`);
+        return false;
+      }
+      
       // If no attempts, keep the exam
       if (attempts.length === 0) {
         console.log(`  No attempts for exam ${examId}, keeping it in the list`);
         return true;
       }
       
-      // Check for passed attempts (score >= passing score)
-      let hasPassed = false;
-      let completedAttemptCount = 0;
-      
-      attempts.forEach(attempt => {
-        if (attempt.status === "COMPLETED" || attempt.status === "TIMED_OUT") {
-          completedAttemptCount++;
-          const percentage = (attempt.score / attempt.totalQuestions) * 100;
-          console.log(`  Completed attempt: ${percentage.toFixed(1)}%, passing score: ${passingScore}%`);
-          if (percentage >= passingScore) {
-            hasPassed = true;
-            console.log(`  User has passed this exam!`);
-          }
-        }
-      });
+      // Apply the exam's pass policy (scoring method, retake after pass, max attempts)
+      const eligibility = passPolicy.checkRetakeEligibility(attempts, effectiveExam);
+      const hasPassed = eligibility.result.passed;
+      const completedAttemptCount = eligibility.result.finishedAttempts;
+      console.log(`  Counted result: ${eligibility.result.percentage !== null ? eligibility.result.percentage.toFixed(1) : 'n/a'}%, passing score: ${passingScore}%, scoring: ${eligibility.result.attemptScoring}`);
       
-      // Keep the exam unless the user has passed it or reached max attempts
-      const shouldKeep = !(hasPassed || completedAttemptCount >= maxAttempts);
+      // Keep the exam unless the policy blocks further attempts for good (a cooldown is only temporary)
+      const shouldKeep = eligibility.reason !== 'PASSED' && eligibility.reason !== 'MAX_ATTEMPTS';
       console.log(`  Decision for exam ${examId}: ${shouldKeep ? 'KEEP' : 'REMOVE'} (passed: ${hasPassed}, completed: ${completedAttemptCount}/${maxAttempts})`);
       
-      // Remove exam if user has passed it or reached max attempts
+      // Remove exam if user has passed it (and retakes are blocked) or reached max attempts
       return shouldKeep;
     });
     
@@ -138,7 +222,8 @@ const getAllExams = async (req, res) => {
     const examsList = paginatedExams.map(exam => {
       const examId = exam._id.toString();
       const attempts = examAttemptsMap[examId] || [];
-      const maxAttempts = exam.maxAttempts || 3; // Get max attempts from exam model or default
+      const effectiveExam = effectiveExams[examId];
+      const maxAttempts = effectiveExam.maxAttempts || 3; // Get max attempts from exam model or default
       const passingScore = exam.passingScore || 60; // Get passing score from exam model or default
       
       console.log(`Processing exam ${examId}: ${attempts.length} attempts found`);
@@ -161,8 +246,9 @@ const getAllExams = async (req, res) => {
         
         if (attempt.status === "COMPLETED" || attempt.status === "TIMED_OUT") {
           attemptCount++;
-          const percentage = (attempt.score / attempt.totalQuestions) * 100;
-          console.log(`  Completed attempt with score: ${attempt.score}/${attempt.totalQuestions} (${percentage.toFixed(1)}%)`);
+          // Weighted by the question marks of the attempt
+          const percentage = passPolicy.getAttemptPercentage(attempt);
+          console.log(`  Completed attempt with score: ${attempt.score}/${passPolicy.getMaxScore(attempt)} (${percentage.toFixed(1)}%)`);
           if (percentage > bestPercentage) {
             bestScore = attempt.score;
             bestPercentage = percentage;
@@ -178,20 +264,32 @@ const getAllExams = async (req, res) => {
         console.log(`  Adding ${inProgressCount} in-progress attempts to count`);
       }
       
-      // Calculate total questions (MCQs + Short Answers)
+      // Calculate total questions (MCQs + Short Answers + Practicals + questions drawn from pools)
       const mcqCount = exam.sections?.mcqs?.length || 0;
       const shortAnswerCount = exam.sections?.shortAnswers?.length || 0;
-      const totalQuestions = mcqCount + shortAnswerCount;
+      const practicalCount = exam.sections?.practicals?.length || 0;
+      const drawnCount = (exam.poolDraws || []).reduce((sum, draw) => sum + draw.count, 0);
+      const totalQuestions = mcqCount + shortAnswerCount + practicalCount + drawnCount;
       
-      // Use the exam's own maxAttempts field instead of hardcoded limit
-      const canAttempt = attemptCount < maxAttempts;
+      // Use the exam's pass policy (max attempts, retake after pass, cooldown)
+      const eligibility = passPolicy.checkRetakeEligibility(attempts, effectiveExam);
+      
+      // New attempts can only be started while the exam's window is open
+      const availability = examSchedule.getAvailability(effectiveExam, now);
+      const prerequisiteState = prerequisiteStatus ? prerequisiteStatus.get(examId) : null;
+      const locked = Boolean(prerequisiteState && !prerequisiteState.met);
+      const canAttempt = attemptCount < maxAttempts && eligibility.allowed &&
+        availability.state === 'OPEN' && exam.status === "PUBLISHED" && !locked;
       
       const userStatus = {
         inProgress,
         bestScore,
         bestPercentage: bestPercentage.toFixed(1),
+        hasPassed: eligibility.result.passed,
+        countedPercentage: eligibility.result.percentage !== null ? eligibility.result.percentage.toFixed(1) : null,
         attemptCount,
         canAttempt,
+        retryAfter: eligibility.retryAfter || null,
         remainingAttempts: Math.max(0, maxAttempts - attemptCount)
       };
       
@@ -209,6 +307,21 @@ const getAllExams = async (req, res) => {
         publishedAt: exam.publishedAt,
         maxAttempts: maxAttempts,
         passingScore: passingScore,
+        attemptScoring: exam.attemptScoring || 'best',
+        blockRetakeAfterPass: exam.blockRetakeAfterPass !== false,
+        retakeCooldownMinutes: exam.retakeCooldownMinutes || 0,
+        // Assigned exams carry the student's overrides (extra attempts are included in maxAttempts)
+        ...(examAccess && examAccess.get(examId).restricted && {
+          assigned: true,
+          assignmentOverrides: examAccess.get(examId).overrides
+        }),
+        // Window state and countdowns (opensInSeconds for upcoming exams)
+        availability,
+        // Prerequisite exams and which of them still need to be passed
+        ...(prerequisiteState && prerequisiteState.prerequisites.length > 0 && {
+          locked,
+          prerequisites: prerequisiteState.prerequisites
+        }),
         // User's attempt status for this exam
         userStatus
       };
@@ -216,6 +329,7 @@ const getAllExams = async (req, res) => {
     
     res.status(200).json({
       message: "Exams retrieved successfully",
+      serverTime: now,
       page: pageNum,
       limit: limitNum,
       total: totalAvailable,
@@ -237,9 +351,14 @@ const getPendingExams = async (req, res) => {
   try {
     const pendingExams = await Exam.find({ status: "PENDING" })
       .populate("createdBy", "username firstName lastName")
-      .select("title description duration createdBy createdAt");
+      .populate("review.reviewers", "username firstName lastName")
+      .select("title description duration createdBy createdAt requiredApprovals review");
       
-    res.status(200).json(pendingExams);
+    // Approval progress of the current review round
+    res.status(200).json(pendingExams.map(exam => ({
+      ...exam.toObject(),
+      approvalState: examReview.getApprovalState(exam)
+    })));
   } catch (error) {
     res
       .status(500)
@@ -252,9 +371,10 @@ const getExamById = async (req, res) => {
     console.log(`Getting exam with ID: ${req.params.id} for user role: ${req.user.role}`);
     
     const exam = await Exam.findById(req.params.id)
-      .populate("sections.mcqs sections.shortAnswers")
+      .populate("sections.mcqs sections.shortAnswers sections.practicals")
       .populate("createdBy", "username firstName lastName")
-      .populate("approvedBy", "username firstName lastName");
+      .populate("approvedBy", "username firstName lastName")
+      .populate("prerequisites.exam", "title status");
 
     if (!exam) {
       console.log(`Exam with ID ${req.params.id} not found`);
@@ -298,6 +418,12 @@ const deleteExam = async (req, res) => {
     if (!deletedExam)
       return res.status(404).json({ message: "Exam not found" });
 
+    // Exams that required the deleted exam no longer do
+    await Exam.updateMany(
+      { "prerequisites.exam": deletedExam._id },
+      { $pull: { prerequisites: { exam: deletedExam._id } } }
+    );
+
     res.status(200).json({ message: "Exam deleted successfully" });
   } catch (error) {
     res
@@ -309,7 +435,10 @@ const deleteExam = async (req, res) => {
 const updateExam = async (req, res) => {
   try {
     console.log(`Updating exam ${req.params.id} by user ${req.user._id} with role ${req.user.role}`);
-    const { title, description, duration, sections, maxAttempts, passingScore } = req.body;
+    const {
+      title, description, duration, sections, maxAttempts, passingScore, poolDraws,
+      attemptScoring, blockRetakeAfterPass, retakeCooldownMinutes, shuffleOptions, feedbackVisibility
+    } = req.body;
     const examId = req.params.id;
     
     // Get the current exam
@@ -322,6 +451,29 @@ const updateExam = async (req, res) => {
     
     console.log(`Found exam with status: ${exam.status}`);
     
+    // Validate schedule changes against the exam's current window
+    const schedule = examSchedule.readScheduleInput(req.body, exam);
+    if (schedule.errors.length > 0) {
+      return res.status(400).json({ message: "Invalid exam schedule", errors: schedule.errors });
+    }
+    
+    // Prerequisites are checked for missing exams and cycles
+    let prerequisiteInput = null;
+    if (req.body.prerequisites !== undefined) {
+      prerequisiteInput = await prerequisites.readPrerequisitesInput(req.body.prerequisites, exam._id);
+      if (prerequisiteInput.errors.length > 0) {
+        return res.status(400).json({ message: "Invalid prerequisites", errors: prerequisiteInput.errors });
+      }
+    }
+    
+    let blueprintInput = null;
+    if (req.body.blueprint !== undefined) {
+      blueprintInput = examBlueprint.readBlueprintInput(req.body.blueprint || []);
+      if (blueprintInput.errors.length > 0) {
+        return res.status(400).json({ message: "Invalid blueprint", errors: blueprintInput.errors });
+      }
+    }
+    
     // Check if the user is the creator of the exam or an admin
     const isAdmin = req.user.role === "admin";
     const isCreator = exam.createdBy && exam.createdBy.toString() === req.user._id.toString();
@@ -359,44 +511,61 @@ const updateExam = async (req, res) => {
       updateData.passingScore = passingScore;
     }
     
-    // Handle sections update based on exam status and attempts
-    if (hasAttempts) {
-      // For exams with attempts, we need to be careful with question modifications
-      console.log("Exam has attempts - applying restricted update rules");
-      
-      // Allow adding new questions but don't modify existing ones
-      if (sections && sections.mcqs) {
-        // Get existing questions from the database
-        const existingMcqs = (exam.sections?.mcqs || []).map(q => q.toString());
-        
-        // Split provided questions into existing and new
-        const providedMcqs = sections.mcqs.filter(q => q._id); // Questions with IDs
-        const newMcqs = sections.mcqs.filter(q => !q._id); // Questions without IDs (new ones)
-        
-        // Verify no existing questions were modified or removed
-        const modifiedExistingQuestions = providedMcqs.some(q => !existingMcqs.includes(q._id.toString()));
-        
-        if (modifiedExistingQuestions) {
-          return res.status(403).json({
-            message: "Cannot modify or remove existing questions for an exam with attempts. You can only add new questions.",
-            attempts: attemptCount
-          });
-        }
-        
-        // Only allow adding new questions
-        if (newMcqs.length > 0) {
-          console.log(`Adding ${newMcqs.length} new questions to exam with attempts`);
-          updateData.sections = {
-            mcqs: [...existingMcqs, ...newMcqs],
-            shortAnswers: exam.sections?.shortAnswers || []
-          };
-        }
+    // Pass policy changes apply to results computed from now on
+    if (attemptScoring !== undefined) {
+      updateData.attemptScoring = attemptScoring;
+    }
+    
+    if (blockRetakeAfterPass !== undefined) {
+      updateData.blockRetakeAfterPass = blockRetakeAfterPass;
+    }
+    
+    if (retakeCooldownMinutes !== undefined) {
+      updateData.retakeCooldownMinutes = retakeCooldownMinutes;
+    }
+    
+    // Attempts keep the option order they were started with
+    if (shuffleOptions !== undefined) {
+      updateData.shuffleOptions = shuffleOptions;
+    }
+    
+    // Applies to reviews of past attempts too
+    if (feedbackVisibility !== undefined) {
+      if (!questionFeedback.FEEDBACK_VISIBILITY.includes(feedbackVisibility)) {
+        return res.status(400).json({ 
+          message: `'feedbackVisibility' must be one of ${questionFeedback.FEEDBACK_VISIBILITY.join(', ')}` 
+        });
       }
-    } else {
-      // No attempts, allow full section update
+      updateData.feedbackVisibility = feedbackVisibility;
+    }
+    
+    // Pool draws only affect attempts started after the change, existing draws are stored per attempt
+    if (poolDraws !== undefined) {
+      updateData.poolDraws = poolDraws;
+    }
+    
+    // Window changes are picked up by the scheduler within a minute
+    Object.assign(updateData, schedule.values);
+    
+    // Prerequisite changes apply to attempts started from now on
+    if (prerequisiteInput) {
+      updateData.prerequisites = prerequisiteInput.values;
+    }
+    
+    // Blueprint changes apply to attempts started from now on
+    if (blueprintInput) {
+      updateData.blueprint = blueprintInput.values;
+    }
+    
+    // Sections can be changed even after attempts: published edits create a new exam
+    // version, and past attempts stay pinned to the version they were taken on
+    if (sections !== undefined) {
       updateData.sections = sections;
     }
     
+    // Record the published state before changing it (exams published before versioning)
+    await examVersioning.ensurePublishedVersion(exam, req.user._id);
+    
     // Admin case - admins can update any exam
     if (isAdmin) {
       console.log("Admin user - full update rights granted");
@@ -406,17 +575,21 @@ const updateExam = async (req, res) => {
         examId,
         updateData,
         { new: true }
-      ).populate("sections.mcqs sections.shortAnswers");
+      ).populate("sections.mcqs sections.shortAnswers sections.practicals");
+      
+      // Edits of a published exam are recorded as a new version
+      const versionChange = await examVersioning.recordExamChange(updatedExam, req.user._id, "Exam updated");
       
       console.log(`Admin successfully updated exam ${examId}`);
       return res.json({ 
         message: hasAttempts 
-          ? "Exam updated successfully by admin (restricted mode due to existing attempts)" 
+          ? "Exam updated successfully by admin (new version, existing attempts keep their version)" 
           : "Exam updated successfully by admin", 
         exam: updatedExam,
         status: updatedExam.status,
         hasAttempts,
-        attemptCount
+        attemptCount,
+        ...(versionChange && { examVersion: versionChange.version.version, versionCreated: versionChange.created })
       });
     }
     
@@ -431,7 +604,9 @@ const updateExam = async (req, res) => {
         examId,
         updateData,
         { new: true }
-      ).populate("sections.mcqs sections.shortAnswers");
+      ).populate("sections.mcqs sections.shortAnswers sections.practicals");
+      
+      const versionChange = await examVersioning.recordExamChange(updatedExam, req.user._id, "Exam metadata updated");
       
       console.log(`Non-admin successfully updated published exam ${examId} (restricted to metadata only)`);
       return res.json({
@@ -439,7 +614,8 @@ const updateExam = async (req, res) => {
         exam: updatedExam,
         status: updatedExam.status,
         hasAttempts,
-        attemptCount
+        attemptCount,
+        ...(versionChange && { examVersion: versionChange.version.version, versionCreated: versionChange.created })
       });
     } else if (exam.status !== "PENDING" && !isAdmin) {
       // For approved but not published exams
@@ -449,7 +625,7 @@ const updateExam = async (req, res) => {
         examId,
         updateData,
         { new: true }
-      ).populate("sections.mcqs sections.shortAnswers");
+      ).populate("sections.mcqs sections.shortAnswers sections.practicals");
       
       console.log(`Non-admin successfully updated ${exam.status} exam ${examId}`);
       return res.json({
@@ -464,7 +640,7 @@ const updateExam = async (req, res) => {
       examId,
       updateData,
       { new: true }
-    ).populate("sections.mcqs sections.shortAnswers");
+    ).populate("sections.mcqs sections.shortAnswers sections.practicals");
     
     console.log(`Non-admin successfully updated pending exam ${examId}`);
     res.json({ 
@@ -482,9 +658,11 @@ const updateExam = async (req, res) => {
   }
 };
 
+// Approve the current review round; the exam is APPROVED once it has enough approvals
 const approveExam = async (req, res) => {
   try {
     const examId = req.params.id;
+    const { comment } = req.body || {};
     
     // Find the exam
     const exam = await Exam.findById(examId);
@@ -493,27 +671,451 @@ const approveExam = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" });
     }
     
-    // Update exam status to APPROVED
-    exam.status = "APPROVED";
-    exam.approvedBy = req.user._id;
-    exam.approvedAt = new Date();
+    if (exam.status !== "PENDING") {
+      return res.status(400).json({ 
+        message: `Cannot approve exam. Only exams pending review can be approved (status is ${exam.status}).` 
+      });
+    }
+    
+    // Assigned reviewers and admins can approve, but not the exam's own author
+    const role = examReview.getReviewRole(req.user, exam);
+    if (!role.canReview) {
+      return res.status(403).json({ 
+        message: "Only the exam's assigned reviewers or an admin can approve this exam." 
+      });
+    }
+    
+    if (exam.review.approvals.some(approval => approval.reviewer.toString() === req.user._id.toString())) {
+      return res.status(400).json({ message: "You have already approved this review round." });
+    }
+    
+    exam.review.approvals.push({ reviewer: req.user._id, approvedAt: new Date(), comment });
+    examReview.addHistoryEntry(exam, "APPROVED", req.user._id, comment ? { comment } : {});
+    
+    // Update exam status to APPROVED when the required approvals are in
+    const approvalState = examReview.getApprovalState(exam);
+    if (approvalState.satisfied) {
+      exam.status = "APPROVED";
+      exam.approvedBy = req.user._id;
+      exam.approvedAt = new Date();
+    }
     
     await exam.save();
     
+    console.log(`Exam ${examId} approved by ${req.user._id} (${approvalState.received}/${approvalState.required})`);
+    
     res.status(200).json({
-      message: "Exam approved successfully",
+      message: approvalState.satisfied
+        ? "Exam approved successfully"
+        : `Approval recorded. ${approvalState.required - approvalState.received} more approval(s) needed.`,
       exam: {
         _id: exam._id,
         title: exam.title,
         status: exam.status,
         approvedAt: exam.approvedAt
+      },
+      approvalState
+    });
+    
+  } catch (error) {
+    console.error("Error approving exam:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Submit a DRAFT exam (sent back with requested changes) for a new review round
+const submitForReview = async (req, res) => {
+  try {
+    const { comment } = req.body || {};
+    
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only the exam's creator or an admin can submit it for review." });
+    }
+    
+    if (exam.status !== "DRAFT") {
+      return res.status(400).json({ 
+        message: `Cannot submit exam for review. Only DRAFT exams can be submitted (status is ${exam.status}).` 
+      });
+    }
+    
+    // Approvals of earlier rounds don't carry over; reviewers stay assigned
+    examReview.startReviewRound(exam, req.user._id, comment);
+    await exam.save();
+    
+    console.log(`Exam ${exam._id} submitted for review round ${exam.review.round}`);
+    
+    res.status(200).json({
+      message: "Exam submitted for review",
+      exam: {
+        _id: exam._id,
+        title: exam.title,
+        status: exam.status,
+        reviewRound: exam.review.round
+      },
+      openComments: exam.reviewComments.filter(c => !c.resolved).length
+    });
+  } catch (error) {
+    console.error("Error submitting exam for review:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Assign reviewers and/or change the number of approvals needed (admins only)
+const assignReviewers = async (req, res) => {
+  try {
+    const { reviewerIds, requiredApprovals } = req.body;
+    
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (reviewerIds === undefined && requiredApprovals === undefined) {
+      return res.status(400).json({ message: "Please provide 'reviewerIds' and/or 'requiredApprovals'" });
+    }
+    
+    if (["PUBLISHED", "ARCHIVED"].includes(exam.status)) {
+      return res.status(400).json({ message: `Reviewers can't be changed for ${exam.status} exams.` });
+    }
+    
+    if (requiredApprovals !== undefined) {
+      const required = Number(requiredApprovals);
+      if (!Number.isInteger(required) || required < 1 || required > 10) {
+        return res.status(400).json({ message: "'requiredApprovals' must be a whole number from 1 to 10" });
+      }
+      exam.requiredApprovals = required;
+    }
+    
+    if (reviewerIds !== undefined) {
+      if (!Array.isArray(reviewerIds)) {
+        return res.status(400).json({ message: "'reviewerIds' must be an array" });
+      }
+      const ids = [...new Set(reviewerIds.map(String))];
+      const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
+      if (invalidIds.length > 0) {
+        return res.status(400).json({ message: "Invalid reviewer IDs", invalidIds });
+      }
+      if (exam.createdBy && ids.includes(exam.createdBy.toString())) {
+        return res.status(400).json({ message: "The exam's creator can't review their own exam." });
+      }
+      
+      const users = await User.find({ _id: { $in: ids } }).select("_id");
+      const foundIds = new Set(users.map(user => user._id.toString()));
+      const notFound = ids.filter(id => !foundIds.has(id));
+      if (notFound.length > 0) {
+        return res.status(404).json({ message: "Some reviewers were not found", notFound });
       }
+      
+      exam.review.reviewers = ids;
+      examReview.addHistoryEntry(exam, "REVIEWERS_ASSIGNED", req.user._id, { reviewers: ids });
+    }
+    
+    // Lowering the requirement can complete a pending review
+    const approvalState = examReview.getApprovalState(exam);
+    if (exam.status === "PENDING" && exam.review.approvals.length > 0 && approvalState.satisfied) {
+      exam.status = "APPROVED";
+      exam.approvedBy = exam.review.approvals[exam.review.approvals.length - 1].reviewer;
+      exam.approvedAt = new Date();
+    }
+    
+    await exam.save();
+    await exam.populate("review.reviewers", "username firstName lastName email");
+    
+    res.status(200).json({
+      message: "Exam reviewers updated successfully",
+      status: exam.status,
+      reviewers: exam.review.reviewers,
+      approvalState
     });
+  } catch (error) {
+    console.error("Error assigning reviewers:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Comment on an exam under review, or on one of its questions
+const addReviewComment = async (req, res) => {
+  try {
+    const { questionId, text } = req.body;
+    
+    if (!text || !String(text).trim()) {
+      return res.status(400).json({ message: "Comment text is required" });
+    }
+    
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    const role = examReview.getReviewRole(req.user, exam);
+    if (!role.canComment) {
+      return res.status(403).json({ message: "Only reviewers, the exam's creator and admins can comment on this exam." });
+    }
+    
+    if (questionId) {
+      if (!mongoose.Types.ObjectId.isValid(questionId) || !(await examReview.isExamQuestion(exam, questionId))) {
+        return res.status(400).json({ message: "Question not found in this exam" });
+      }
+    }
     
+    exam.reviewComments.push({
+      round: exam.review.round,
+      questionId: questionId || null,
+      author: req.user._id,
+      text
+    });
+    examReview.addHistoryEntry(exam, "COMMENTED", req.user._id, { comment: text, questionId: questionId || null });
+    
+    await exam.save();
+    
+    res.status(201).json({
+      message: "Comment added",
+      comment: exam.reviewComments[exam.reviewComments.length - 1]
+    });
   } catch (error) {
-    res
-      .status(500)
-      .json({ error: "Internal Server Error", details: error.message });
+    console.error("Error adding review comment:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Mark a review comment as resolved (or open it again with { resolved: false })
+const resolveReviewComment = async (req, res) => {
+  try {
+    const { resolved = true } = req.body || {};
+    
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    const comment = exam.reviewComments.id(req.params.commentId);
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+    
+    // The exam's author addresses comments; commenters can withdraw their own
+    const role = examReview.getReviewRole(req.user, exam);
+    if (!role.isAdmin && !role.isCreator && comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Only the exam's creator, the comment's author or an admin can resolve this comment." });
+    }
+    
+    comment.resolved = Boolean(resolved);
+    comment.resolvedBy = comment.resolved ? req.user._id : undefined;
+    comment.resolvedAt = comment.resolved ? new Date() : undefined;
+    
+    await exam.save();
+    
+    res.status(200).json({
+      message: comment.resolved ? "Comment resolved" : "Comment reopened",
+      comment
+    });
+  } catch (error) {
+    console.error("Error resolving review comment:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Send an exam under review (or approved but not published) back to DRAFT
+const requestChanges = async (req, res) => {
+  try {
+    const { comment, questionComments } = req.body;
+    
+    if (!comment || !String(comment).trim()) {
+      return res.status(400).json({ message: "Please explain the requested changes in 'comment'" });
+    }
+    
+    const exam = await Exam.findById(req.params.id);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!["PENDING", "APPROVED"].includes(exam.status)) {
+      return res.status(400).json({ 
+        message: `Cannot request changes. Only exams pending review or approved can be sent back (status is ${exam.status}).` 
+      });
+    }
+    
+    const role = examReview.getReviewRole(req.user, exam);
+    if (!role.canReview) {
+      return res.status(403).json({ message: "Only the exam's assigned reviewers or an admin can request changes." });
+    }
+    
+    // Optional comments on individual questions: [{ questionId, text }]
+    const questionNotes = Array.isArray(questionComments) ? questionComments : [];
+    for (const note of questionNotes) {
+      if (!note?.text || !String(note.text).trim()) {
+        return res.status(400).json({ message: "Every question comment needs 'text'" });
+      }
+      if (!mongoose.Types.ObjectId.isValid(note.questionId) || !(await examReview.isExamQuestion(exam, note.questionId))) {
+        return res.status(400).json({ message: `Question ${note.questionId} not found in this exam` });
+      }
+    }
+    
+    exam.reviewComments.push({ round: exam.review.round, author: req.user._id, text: comment });
+    questionNotes.forEach(note => {
+      exam.reviewComments.push({
+        round: exam.review.round,
+        questionId: note.questionId,
+        author: req.user._id,
+        text: note.text
+      });
+    });
+    
+    exam.status = "DRAFT";
+    exam.approvedBy = undefined;
+    exam.approvedAt = undefined;
+    examReview.addHistoryEntry(exam, "CHANGES_REQUESTED", req.user._id, { comment });
+    
+    await exam.save();
+    
+    console.log(`Changes requested on exam ${exam._id} by ${req.user._id} (round ${exam.review.round})`);
+    
+    res.status(200).json({
+      message: "Changes requested. The exam is back in DRAFT until it is submitted again.",
+      exam: {
+        _id: exam._id,
+        title: exam.title,
+        status: exam.status,
+        reviewRound: exam.review.round
+      },
+      commentsAdded: questionNotes.length + 1
+    });
+  } catch (error) {
+    console.error("Error requesting exam changes:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Review state, comments and full history of an exam
+const getExamReview = async (req, res) => {
+  try {
+    const { round, questionId, unresolved } = req.query;
+    
+    const exam = await Exam.findById(req.params.id)
+      .populate("createdBy", "username firstName lastName")
+      .populate("review.reviewers", "username firstName lastName email")
+      .populate("review.approvals.reviewer", "username firstName lastName")
+      .populate("reviewComments.author", "username firstName lastName")
+      .populate("reviewComments.resolvedBy", "username firstName lastName")
+      .populate("reviewHistory.by", "username firstName lastName");
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    const role = examReview.getReviewRole(req.user, exam);
+    if (!role.canComment) {
+      return res.status(403).json({ message: "Only reviewers, the exam's creator and admins can view this exam's review." });
+    }
+    
+    let comments = exam.reviewComments;
+    if (round !== undefined) {
+      comments = comments.filter(c => c.round === Number(round));
+    }
+    if (questionId) {
+      comments = comments.filter(c => c.questionId && c.questionId.toString() === questionId);
+    }
+    if (unresolved === "true") {
+      comments = comments.filter(c => !c.resolved);
+    }
+    
+    res.status(200).json({
+      examId: exam._id,
+      title: exam.title,
+      status: exam.status,
+      createdBy: exam.createdBy,
+      round: exam.review.round,
+      submittedAt: exam.review.submittedAt,
+      reviewers: exam.review.reviewers,
+      approvals: exam.review.approvals,
+      approvalState: examReview.getApprovalState(exam),
+      yourRole: role,
+      comments,
+      openComments: exam.reviewComments.filter(c => !c.resolved).length,
+      history: exam.reviewHistory
+    });
+  } catch (error) {
+    console.error("Error getting exam review:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Exams the current user is assigned to review
+const getMyReviews = async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = { "review.reviewers": req.user._id };
+    filter.status = status ? status : { $in: ["PENDING", "APPROVED", "DRAFT"] };
+    
+    const exams = await Exam.find(filter)
+      .populate("createdBy", "username firstName lastName")
+      .select("title description status createdBy createdAt requiredApprovals review reviewComments")
+      .sort({ "review.submittedAt": -1 });
+    
+    const userId = req.user._id.toString();
+    const reviews = exams.map(exam => {
+      const approvalState = examReview.getApprovalState(exam);
+      return {
+        _id: exam._id,
+        title: exam.title,
+        description: exam.description,
+        status: exam.status,
+        createdBy: exam.createdBy,
+        round: exam.review.round,
+        submittedAt: exam.review.submittedAt,
+        approvalState,
+        approvedByYou: approvalState.approvedBy.includes(userId),
+        // Exams waiting for this reviewer's decision
+        awaitingYou: exam.status === "PENDING" && !approvalState.approvedBy.includes(userId),
+        openComments: exam.reviewComments.filter(c => !c.resolved).length
+      };
+    });
+    
+    res.status(200).json({
+      count: reviews.length,
+      awaitingYou: reviews.filter(review => review.awaitingYou).length,
+      reviews
+    });
+  } catch (error) {
+    console.error("Error getting assigned reviews:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
   }
 };
 
@@ -528,10 +1130,38 @@ const publishExam = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" });
     }
     
-    // Can only publish approved exams
-    if (exam.status !== "APPROVED") {
-      return res.status(400).json({ 
-        message: "Cannot publish exam. Exam must be approved first." 
+    // Can only publish approved exams
+    if (exam.status !== "APPROVED") {
+      return res.status(400).json({ 
+        message: "Cannot publish exam. Exam must be approved first." 
+      });
+    }
+    
+    // The current review round must have all the required approvals
+    const approvalState = examReview.getApprovalState(exam);
+    if (!approvalState.satisfied) {
+      return res.status(400).json({
+        message: `Cannot publish exam. It needs ${approvalState.required} approval(s) and has ${approvalState.received}.`,
+        approvalState
+      });
+    }
+    
+    // Every pool draw must have enough matching questions
+    const unsatisfiedDraws = await questionPool.findUnsatisfiedDraws(exam);
+    if (unsatisfiedDraws.length > 0) {
+      return res.status(400).json({
+        message: "Cannot publish exam. Some question pools don't have enough matching questions.",
+        unsatisfiedDraws
+      });
+    }
+    
+    // Fixed questions and pool draws must give every attempt the blueprint's distribution
+    const blueprint = await questionPool.checkBlueprint(exam);
+    if (!blueprint.satisfied) {
+      return res.status(400).json({
+        message: "Cannot publish exam. It doesn't satisfy its blueprint.",
+        errors: examBlueprint.describeViolations(blueprint),
+        blueprint
       });
     }
     
@@ -541,14 +1171,19 @@ const publishExam = async (req, res) => {
     
     await exam.save();
     
+    // Publishing records an immutable version (reused if nothing changed since the last one)
+    const { version, created } = await examVersioning.createVersion(exam, req.user._id, "Published");
+    
     res.status(200).json({
       message: "Exam published successfully",
       exam: {
         _id: exam._id,
         title: exam.title,
         status: exam.status,
-        publishedAt: exam.publishedAt
-      }
+        publishedAt: exam.publishedAt,
+        currentVersion: version.version
+      },
+      versionCreated: created
     });
     
   } catch (error) {
@@ -664,8 +1299,9 @@ const getUnpublishedExams = async (req, res) => {
     
     // Format response data with additional metadata
     const formattedExams = await Promise.all(unpublishedExams.map(async (exam) => {
-      // Calculate total questions (MCQs + Short Answers)
-      const questionCount = exam.sections.mcqs.length + exam.sections.shortAnswers.length;
+      // Calculate total questions (MCQs + Short Answers + Practicals)
+      const questionCount = exam.sections.mcqs.length + exam.sections.shortAnswers.length +
+        (exam.sections.practicals || []).length;
       
       // Check if there are any attempts
       const attemptCount = await ExamAttendance.countDocuments({ examId: exam._id });
@@ -746,10 +1382,26 @@ const attendExam = async (req, res) => {
       status: "IN_PROGRESS"
     });
 
+    // New attempts need an assignment (for assigned exams) and an open window
+    const access = req.user.role === "admin" ? null : await examAssignment.checkExamAccess(userId, exam);
+    if (!attendance && access && !access.assigned) {
+      return res.status(403).json({ message: "This exam is not assigned to you." });
+    }
+    const availability = examSchedule.getAvailability(access ? access.effectiveExam : exam);
+    if (!attendance && availability.state !== 'OPEN') {
+      return res.status(403).json({
+        message: availability.state === 'UPCOMING'
+          ? `This exam opens at ${availability.opensAtLocal} (${availability.timezone}).`
+          : "This exam has closed. New attempts can no longer be started.",
+        availability
+      });
+    }
+
     if (!attendance) {
       // Create new attendance record with proper attempt number
       const mcqCount = exam.sections?.mcqs?.length || 0;
       const shortAnswerCount = exam.sections?.shortAnswers?.length || 0;
+      const practicalCount = exam.sections?.practicals?.length || 0;
       const nextAttemptNumber = await attendanceUtils.getNextAttemptNumber(userId, examId);
       
       console.log(`Creating new attendance with attempt number: ${nextAttemptNumber}`);
@@ -757,7 +1409,7 @@ const attendExam = async (req, res) => {
       attendance = new ExamAttendance({
         examId,
         userId,
-        totalQuestions: mcqCount + shortAnswerCount,
+        totalQuestions: mcqCount + shortAnswerCount + practicalCount,
         startTime: new Date(),
         status: "IN_PROGRESS",
         attemptNumber: nextAttemptNumber
@@ -865,17 +1517,16 @@ const archiveCompletedExams = async (req, res) => {
             a.status === "COMPLETED" || a.status === "TIMED_OUT"
           );
           
-          // Count attempts where user passed (score >= 60%)
-          const passedAttempts = completedAttempts.filter(a => {
-            const percentage = (a.score / a.totalQuestions) * 100;
-            return percentage >= 60;
-          });
+          // Count attempts that reached the exam's passing score
+          const passedAttempts = completedAttempts.filter(a => passPolicy.isAttemptPassed(a, exam));
           
           totalCompletedAttempts += completedAttempts.length;
           totalPassedAttempts += passedAttempts.length;
           
-          // If a user has at least one pass OR has reached max attempts, they're done
-          const userIsDone = passedAttempts.length > 0 || completedAttempts.length >= exam.maxAttempts;
+          // A user is done when the pass policy blocks further attempts for good
+          // (passed with retakes blocked, or out of attempts); a cooldown is only temporary
+          const { reason } = passPolicy.checkRetakeEligibility(attempts, exam);
+          const userIsDone = reason === 'PASSED' || reason === 'MAX_ATTEMPTS';
           
           // If any user still has attempts available, don't archive
           if (!userIsDone) {
@@ -890,13 +1541,9 @@ const archiveCompletedExams = async (req, res) => {
         
         // Calculate pass rate
         const totalUsers = Object.keys(userAttemptsMap).length;
-        const passedUsers = Object.values(userAttemptsMap).filter(attempts => {
-          return attempts.some(a => {
-            if (a.status !== "COMPLETED" && a.status !== "TIMED_OUT") return false;
-            const percentage = (a.score / a.totalQuestions) * 100;
-            return percentage >= 60;
-          });
-        }).length;
+        const passedUsers = Object.values(userAttemptsMap)
+          .filter(attempts => passPolicy.evaluateAttempts(attempts, exam).passed)
+          .length;
         
         const passRate = totalUsers > 0 ? (passedUsers / totalUsers) * 100 : 0;
         
@@ -1051,7 +1698,7 @@ const getArchivedExamById = async (req, res) => {
       .populate("createdBy", "username firstName lastName")
       .populate("approvedBy", "username firstName lastName")
       .populate("archivedBy", "username firstName lastName")
-      .populate("sections.mcqs sections.shortAnswers");
+      .populate("sections.mcqs sections.shortAnswers sections.practicals");
     
     if (!archivedExam) {
       return res.status(404).json({ message: "Archived exam not found" });
@@ -1068,6 +1715,511 @@ const getArchivedExamById = async (req, res) => {
   }
 };
 
+// Only admins and the exam's creator can see its versions
+const canManageExam = (req, exam) =>
+  req.user.role === "admin" || (exam.createdBy && exam.createdBy.toString() === req.user._id.toString());
+
+// List the versions of an exam with the number of attempts taken on each
+const getExamVersions = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id).select('title status currentVersion createdBy');
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only admins and the exam's creator can view its versions" });
+    }
+    
+    const versions = await ExamVersion.find({ examId: exam._id })
+      .populate("createdBy", "username firstName lastName")
+      .sort({ version: -1 });
+    
+    // Attempts per version (attempts started before versioning have no version)
+    const attemptCounts = await ExamAttendance.aggregate([
+      { $match: { examId: exam._id } },
+      { $group: { _id: "$examVersion", count: { $sum: 1 } } }
+    ]);
+    const attemptsByVersion = {};
+    attemptCounts.forEach(entry => {
+      attemptsByVersion[entry._id || 0] = entry.count;
+    });
+    
+    res.status(200).json({
+      examId: exam._id,
+      title: exam.title,
+      status: exam.status,
+      currentVersion: exam.currentVersion || 0,
+      versions: versions.map(version => ({
+        version: version.version,
+        reason: version.reason,
+        createdAt: version.createdAt,
+        createdBy: version.createdBy ? {
+          _id: version.createdBy._id,
+          username: version.createdBy.username
+        } : null,
+        title: version.settings?.title,
+        questionCount: version.questionIds.length,
+        poolDraws: version.poolDraws.length,
+        attempts: attemptsByVersion[version.version] || 0,
+        isCurrent: version.version === exam.currentVersion
+      })),
+      unversionedAttempts: attemptsByVersion[0] || 0
+    });
+    
+  } catch (error) {
+    console.error("Error getting exam versions:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Get one version of an exam with the questions exactly as they were in it
+const getExamVersion = async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const versionNumber = parseInt(version);
+    
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ message: "Version must be a positive number" });
+    }
+    
+    const exam = await Exam.findById(id).select('title currentVersion createdBy');
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only admins and the exam's creator can view its versions" });
+    }
+    
+    const examVersion = await ExamVersion.findOne({ examId: exam._id, version: versionNumber })
+      .populate("createdBy", "username firstName lastName");
+    if (!examVersion) {
+      return res.status(404).json({ message: `Version ${versionNumber} of this exam not found` });
+    }
+    
+    const questionFields = `${attemptGrading.GRADING_FIELDS} starterCode tags difficulty revisionOf retiredAt`;
+    const sections = {};
+    for (const key of ['mcqs', 'shortAnswers', 'practicals']) {
+      sections[key] = await questionPool.loadQuestionsInOrder(examVersion.sections[key], questionFields);
+    }
+    
+    res.status(200).json({
+      examId: exam._id,
+      version: examVersion.version,
+      isCurrent: examVersion.version === exam.currentVersion,
+      reason: examVersion.reason,
+      createdAt: examVersion.createdAt,
+      createdBy: examVersion.createdBy,
+      settings: examVersion.settings,
+      poolDraws: examVersion.poolDraws,
+      sections
+    });
+    
+  } catch (error) {
+    console.error("Error getting exam version:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Compare two versions of an exam (?from=1&to=2, defaults to the current version and the one before it)
+const diffExamVersions = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id).select('title currentVersion createdBy');
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only admins and the exam's creator can view its versions" });
+    }
+    
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : exam.currentVersion;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+    
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      return res.status(400).json({ 
+        message: "'from' and 'to' must be version numbers (the exam needs at least two versions to compare by default)" 
+      });
+    }
+    
+    const [fromVersion, toVersion] = await Promise.all([
+      ExamVersion.findOne({ examId: exam._id, version: from }),
+      ExamVersion.findOne({ examId: exam._id, version: to })
+    ]);
+    
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ 
+        message: `Version ${!fromVersion ? from : to} of this exam not found` 
+      });
+    }
+    
+    const diff = await examVersioning.diffVersions(fromVersion, toVersion);
+    
+    res.status(200).json({
+      title: exam.title,
+      currentVersion: exam.currentVersion,
+      ...diff
+    });
+    
+  } catch (error) {
+    console.error("Error comparing exam versions:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Item analysis of an exam's questions from its graded attempts, as JSON or CSV
+const getItemAnalysis = async (req, res) => {
+  try {
+    const { format = 'json', attempts: scope = 'all' } = req.query;
+    
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({ message: "'format' must be json or csv" });
+    }
+    if (!itemAnalysis.ANALYSIS_ATTEMPTS.includes(scope)) {
+      return res.status(400).json({ message: `'attempts' must be one of ${itemAnalysis.ANALYSIS_ATTEMPTS.join(', ')}` });
+    }
+    
+    const exam = await Exam.findById(req.params.id)
+      .select('title createdBy review.reviewers sections.mcqs sections.shortAnswers sections.practicals');
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    // Authors, reviewers and admins look for questions to fix
+    if (!examReview.getReviewRole(req.user, exam).canComment) {
+      return res.status(403).json({ message: "Only admins, the exam's creator and its reviewers can view the item analysis" });
+    }
+    
+    const allAttempts = await ExamAttendance.find({ examId: exam._id })
+      .select('userId attemptNumber status gradingStatus score maxScore totalQuestions startTime answers');
+    const attempts = itemAnalysis.selectAttempts(allAttempts, scope);
+    const states = await attemptState.getExamAttemptStates(exam._id);
+    
+    // Current questions first, then questions that were only served in attempts (pool draws, earlier revisions)
+    const questionOrder = questionPool.getFixedQuestionIds(exam).map(id => id.toString());
+    const questionIds = new Set(questionOrder);
+    attempts.forEach(attempt => attempt.answers.forEach(answer => {
+      if (answer.questionId) questionIds.add(answer.questionId.toString());
+    }));
+    states.forEach(state => (state.questionIds || []).forEach(id => questionIds.add(id.toString())));
+    
+    const questions = await Question.find({ _id: { $in: [...questionIds] } })
+      .select('type questionText options correctAnswer correctAnswers marks retiredAt');
+    
+    const analysis = itemAnalysis.buildItemAnalysis({ attempts, states, questions, questionOrder });
+    console.log(`Item analysis of exam ${exam._id}: ${analysis.summary.items} questions over ${analysis.summary.attempts} attempts, ${analysis.summary.flaggedItems} flagged`);
+    
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="item_analysis_${exam.title.replace(/\s+/g, '_')}_${Date.now()}.csv"`);
+      return res.status(200).send(itemAnalysis.formatItemAnalysisCSV(analysis));
+    }
+    
+    res.status(200).json({
+      exam: { _id: exam._id, title: exam.title },
+      attempts: scope,
+      thresholds: itemAnalysis.FLAG_THRESHOLDS,
+      ...analysis
+    });
+    
+  } catch (error) {
+    console.error("Error building item analysis:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// How an exam's fixed questions and pool draws compare with its blueprint
+const getBlueprintCheck = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id)
+      .select('title status createdBy review.reviewers blueprint poolDraws sections.mcqs sections.shortAnswers sections.practicals');
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!examReview.getReviewRole(req.user, exam).canComment) {
+      return res.status(403).json({ message: "Only admins, the exam's creator and its reviewers can view the blueprint check" });
+    }
+    
+    const [blueprint, unsatisfiedDraws] = await Promise.all([
+      questionPool.checkBlueprint(exam),
+      questionPool.findUnsatisfiedDraws(exam)
+    ]);
+    
+    res.status(200).json({
+      examId: exam._id,
+      title: exam.title,
+      status: exam.status,
+      blueprintRows: exam.blueprint.length,
+      errors: examBlueprint.describeViolations(blueprint),
+      ...blueprint,
+      unsatisfiedDraws
+    });
+  } catch (error) {
+    console.error("Error checking exam blueprint:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Format an assignment for responses
+const formatAssignment = (assignment) => ({
+  assignmentId: assignment._id,
+  type: assignment.cohortId ? "cohort" : "user",
+  cohort: assignment.cohortId && assignment.cohortId.name !== undefined ? {
+    _id: assignment.cohortId._id,
+    name: assignment.cohortId.name,
+    memberCount: (assignment.cohortId.members || []).length
+  } : assignment.cohortId,
+  user: assignment.userId && assignment.userId.email !== undefined ? {
+    _id: assignment.userId._id,
+    username: assignment.userId.username,
+    email: assignment.userId.email
+  } : assignment.userId,
+  overrides: assignment.overrides,
+  assignedBy: assignment.assignedBy,
+  createdAt: assignment.createdAt
+});
+
+// List the cohorts and students an exam is assigned to
+const getExamAssignments = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id).select('title status createdBy');
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only admins and the exam's creator can manage its assignments" });
+    }
+    
+    const assignments = await ExamAssignment.find({ examId: exam._id })
+      .populate("cohortId", "name members")
+      .populate("userId", "username email")
+      .sort({ createdAt: 1 });
+    
+    res.status(200).json({
+      examId: exam._id,
+      title: exam.title,
+      // Exams without assignments are available to every student
+      restricted: assignments.length > 0,
+      assignments: assignments.map(formatAssignment)
+    });
+    
+  } catch (error) {
+    console.error("Error getting exam assignments:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Assign an exam to cohorts and/or individual students (by ID or email), with optional overrides
+const assignExam = async (req, res) => {
+  try {
+    const { cohortIds = [], userIds = [], emails, overrides } = req.body;
+    
+    const exam = await Exam.findById(req.params.id);
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only admins and the exam's creator can manage its assignments" });
+    }
+    
+    if (!Array.isArray(cohortIds) || !Array.isArray(userIds)) {
+      return res.status(400).json({ message: "'cohortIds' and 'userIds' must be arrays" });
+    }
+    
+    const emailList = examAssignment.parseEmailList(emails);
+    if (cohortIds.length === 0 && userIds.length === 0 && emailList.length === 0) {
+      return res.status(400).json({ message: "Please provide 'cohortIds', 'userIds' or 'emails' to assign the exam to" });
+    }
+    
+    const overrideInput = examAssignment.readOverridesInput(overrides, exam);
+    if (overrideInput.errors.length > 0) {
+      return res.status(400).json({ message: "Invalid assignment overrides", errors: overrideInput.errors });
+    }
+    
+    // Resolve the targets, reporting the ones that don't exist
+    const cohorts = await Cohort.find({ _id: { $in: cohortIds.filter(id => mongoose.Types.ObjectId.isValid(id)) } }).select('_id');
+    const usersById = await User.find({ _id: { $in: userIds.filter(id => mongoose.Types.ObjectId.isValid(id)) } }).select('_id email');
+    const usersByEmail = await examAssignment.findUsersByEmail(emailList);
+    
+    const foundCohorts = new Set(cohorts.map(cohort => cohort._id.toString()));
+    const foundUsers = new Set(usersById.map(user => user._id.toString()));
+    const foundEmails = new Set(usersByEmail.map(user => user.email.toLowerCase()));
+    const notFound = {
+      cohortIds: cohortIds.filter(id => !foundCohorts.has(String(id))),
+      userIds: userIds.filter(id => !foundUsers.has(String(id))),
+      emails: emailList.filter(email => !foundEmails.has(email))
+    };
+    
+    const targets = [
+      ...cohorts.map(cohort => ({ cohortId: cohort._id })),
+      ...[...new Map([...usersById, ...usersByEmail].map(user => [user._id.toString(), user])).values()]
+        .map(user => ({ userId: user._id }))
+    ];
+    
+    // Existing assignments get the new overrides, the others are created
+    let created = 0;
+    let updated = 0;
+    for (const target of targets) {
+      const existing = await ExamAssignment.findOne({ examId: exam._id, ...target });
+      if (existing) {
+        if (Object.keys(overrideInput.values).length > 0) {
+          Object.assign(existing.overrides, overrideInput.values);
+          await existing.save();
+          updated++;
+        }
+        continue;
+      }
+      
+      await ExamAssignment.create({
+        examId: exam._id,
+        ...target,
+        overrides: overrideInput.values,
+        assignedBy: req.user._id
+      });
+      created++;
+    }
+    
+    console.log(`Exam ${exam._id} assigned: ${created} created, ${updated} updated by ${req.user._id}`);
+    
+    const assignments = await ExamAssignment.find({ examId: exam._id })
+      .populate("cohortId", "name members")
+      .populate("userId", "username email")
+      .sort({ createdAt: 1 });
+    
+    res.status(created > 0 ? 201 : 200).json({
+      message: `Exam assigned: ${created} new assignment(s), ${updated} updated`,
+      created,
+      updated,
+      notFound,
+      assignments: assignments.map(formatAssignment)
+    });
+    
+  } catch (error) {
+    console.error("Error assigning exam:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Change the overrides of one assignment
+const updateExamAssignment = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id);
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only admins and the exam's creator can manage its assignments" });
+    }
+    
+    const assignment = await ExamAssignment.findOne({ _id: req.params.assignmentId, examId: exam._id });
+    if (!assignment) {
+      return res.status(404).json({ message: "Assignment not found" });
+    }
+    
+    const overrideInput = examAssignment.readOverridesInput(req.body.overrides, exam, assignment.overrides);
+    if (overrideInput.errors.length > 0) {
+      return res.status(400).json({ message: "Invalid assignment overrides", errors: overrideInput.errors });
+    }
+    
+    Object.assign(assignment.overrides, overrideInput.values);
+    await assignment.save();
+    
+    await assignment.populate([
+      { path: "cohortId", select: "name members" },
+      { path: "userId", select: "username email" }
+    ]);
+    
+    res.status(200).json({
+      message: "Assignment updated successfully",
+      assignment: formatAssignment(assignment)
+    });
+    
+  } catch (error) {
+    console.error("Error updating exam assignment:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Remove an assignment (the exam becomes available to everyone when the last one is removed)
+const deleteExamAssignment = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.id).select('createdBy');
+    
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only admins and the exam's creator can manage its assignments" });
+    }
+    
+    const deleted = await ExamAssignment.findOneAndDelete({ _id: req.params.assignmentId, examId: exam._id });
+    if (!deleted) {
+      return res.status(404).json({ message: "Assignment not found" });
+    }
+    
+    const remaining = await ExamAssignment.countDocuments({ examId: exam._id });
+    
+    res.status(200).json({
+      message: "Assignment removed successfully",
+      remainingAssignments: remaining,
+      restricted: remaining > 0
+    });
+    
+  } catch (error) {
+    console.error("Error deleting exam assignment:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
 module.exports = {
   createExam,
   getAllExams,
@@ -1084,4 +2236,20 @@ module.exports = {
   archiveCompletedExams,
   getArchivedExams,
   getArchivedExamById,
+  getExamVersions,
+  getExamVersion,
+  diffExamVersions,
+  getItemAnalysis,
+  getBlueprintCheck,
+  getExamAssignments,
+  assignExam,
+  updateExamAssignment,
+  deleteExamAssignment,
+  submitForReview,
+  assignReviewers,
+  addReviewComment,
+  resolveReviewComment,
+  requestChanges,
+  getExamReview,
+  getMyReviews,
 };
@@ -0,0 +1,480 @@
+const ExamAttendance = require("../models/examAttendance.model");
+const Exam = require("../models/exam.model");
+const Question = require("../models/question.model");
+const RegradeReport = require("../models/regradeReport.model");
+const passPolicy = require("../utils/passPolicy");
+const attemptGrading = require("../utils/attemptGrading");
+const attemptRegrade = require("../utils/attemptRegrade");
+const grading = require("../utils/grading");
+const optionShuffle = require("../utils/optionShuffle");
+const questionVariants = require("../utils/questionVariants");
+
+// Teachers only grade attempts of their own exams, admins grade everything
+const getGradableExamFilter = async (user, examId) => {
+  if (user.role === "admin") {
+    return examId ? { examId } : {};
+  }
+
+  const examQuery = { createdBy: user._id };
+  if (examId) {
+    examQuery._id = examId;
+  }
+  const exams = await Exam.find(examQuery).select("_id");
+  return { examId: { $in: exams.map(exam => exam._id) } };
+};
+
+// Build the grader's view of one answer
+// With the attempt's option seed, the options are listed in the order the student saw them,
+// and template questions are shown with the attempt's values (variants)
+const formatAnswerForGrading = (answer, rawQuestion, optionSeed = null, variants = []) => {
+  const question = questionVariants.applyVariant(rawQuestion, questionVariants.getVariantValues(variants, answer.questionId));
+  return {
+    questionId: answer.questionId,
+    questionText: question?.questionText || "Question not found",
+    type: question?.type,
+    submittedAnswer: answer.selectedAnswer,
+    ...(question?.options?.length && optionShuffle.describeOptionOrder(question, optionSeed, answer.selectedAnswer)),
+    acceptedAnswers: question ? grading.getAcceptedAnswers(question) : [],
+    keywords: question?.keywords || [],
+    needsReview: Boolean(answer.needsReview),
+    // Code not run yet, graded automatically in a moment
+    pendingRun: Boolean(answer.pendingRun),
+    isCorrect: answer.isCorrect,
+    credit: answer.credit,
+    // Credit is a share of the marks, a zero credit loses the negative marks
+    ...grading.getQuestionMarks(answer),
+    points: grading.getAnswerPoints(answer),
+    feedback: answer.feedback,
+    // Per-test results of practical answers
+    testResults: answer.testResults?.length ? answer.testResults : undefined,
+    gradedBy: answer.gradedBy,
+    gradedAt: answer.gradedAt
+  };
+};
+
+// Load the questions of a set of answers keyed by ID
+const loadQuestionsMap = async (answers) => {
+  const questionIds = [...new Set(answers.map(answer => answer.questionId.toString()))];
+  const questions = await Question.find({ _id: { $in: questionIds } })
+    .select("type questionText options correctAnswer acceptedAnswers keywords language formula");
+
+  const questionsMap = {};
+  questions.forEach(question => {
+    questionsMap[question._id.toString()] = question;
+  });
+  return questionsMap;
+};
+
+// Answers a grader has to grade; practical answers whose code hasn't run yet aren't ready
+const isGradable = answer => answer.needsReview && !answer.pendingRun;
+
+// List attempts with answers waiting for manual grading, oldest first
+const getGradingQueue = async (req, res) => {
+  try {
+    const { examId, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, parseInt(limit) || 20);
+
+    const filter = {
+      ...(await getGradableExamFilter(req.user, examId)),
+      gradingStatus: "PENDING_REVIEW",
+      answers: { $elemMatch: { needsReview: true, pendingRun: { $ne: true } } }
+    };
+
+    const total = await ExamAttendance.countDocuments(filter);
+    const attempts = await ExamAttendance.find(filter)
+      .populate("userId", "username firstName lastName email")
+      .populate("examId", "title")
+      .sort({ endTime: 1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    const pendingAnswers = attempts.flatMap(attempt => attempt.answers.filter(isGradable));
+    const questionsMap = await loadQuestionsMap(pendingAnswers);
+
+    const queue = attempts.map(attempt => {
+      const user = attempt.userId || { username: "Unknown" };
+      return {
+        attendanceId: attempt._id,
+        examId: attempt.examId?._id,
+        examTitle: attempt.examId?.title || "Unknown Exam",
+        user: {
+          userId: user._id,
+          name: user.firstName && user.lastName ? `${user.firstName} ${user.lastName}` : user.username,
+          email: user.email
+        },
+        attemptNumber: attempt.attemptNumber || 1,
+        submittedAt: attempt.endTime,
+        pendingAnswers: attempt.answers
+          .filter(isGradable)
+          .map(answer => formatAnswerForGrading(answer, questionsMap[answer.questionId.toString()], attempt.optionSeed, attempt.variants))
+      };
+    });
+
+    res.status(200).json({
+      queue,
+      pagination: {
+        total,
+        page: pageNum,
+        limit: limitNum,
+        pages: Math.ceil(total / limitNum)
+      }
+    });
+
+  } catch (error) {
+    console.error("Error in getGradingQueue:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      details: error.message
+    });
+  }
+};
+
+// Get every answer of one attempt with its grading state
+const getAttemptForGrading = async (req, res) => {
+  try {
+    const { attendanceId } = req.params;
+
+    const attempt = await ExamAttendance.findOne({
+      _id: attendanceId,
+      ...(await getGradableExamFilter(req.user))
+    })
+      .populate("userId", "username firstName lastName email")
+      .populate("examId", "title passingScore");
+
+    if (!attempt) {
+      return res.status(404).json({ message: "Attempt not found" });
+    }
+
+    const questionsMap = await loadQuestionsMap(attempt.answers);
+
+    res.status(200).json({
+      attendanceId: attempt._id,
+      examId: attempt.examId?._id,
+      examTitle: attempt.examId?.title || "Unknown Exam",
+      user: attempt.userId,
+      attemptNumber: attempt.attemptNumber || 1,
+      examVersion: attempt.examVersion || null,
+      // Recomputes the option order of every question of the attempt
+      optionSeed: attempt.optionSeed || null,
+      status: attempt.status,
+      gradingStatus: attempt.gradingStatus || "COMPLETE",
+      score: attempt.score,
+      maxScore: passPolicy.getMaxScore(attempt),
+      totalQuestions: attempt.totalQuestions,
+      answers: attempt.answers.map(answer =>
+        formatAnswerForGrading(answer, questionsMap[answer.questionId.toString()], attempt.optionSeed, attempt.variants)
+      )
+    });
+
+  } catch (error) {
+    console.error("Error in getAttemptForGrading:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      details: error.message
+    });
+  }
+};
+
+// Grade one answer of a finished attempt
+// Body: { isCorrect } or { credit: 0-1 }, optional feedback
+const gradeAnswer = async (req, res) => {
+  try {
+    const { attendanceId, questionId } = req.params;
+    const { isCorrect, credit, feedback } = req.body;
+
+    let awardedCredit;
+    if (credit !== undefined) {
+      awardedCredit = Number(credit);
+      if (Number.isNaN(awardedCredit) || awardedCredit < 0 || awardedCredit > 1) {
+        return res.status(400).json({ message: "Credit must be a number between 0 and 1" });
+      }
+    } else if (isCorrect !== undefined) {
+      awardedCredit = isCorrect ? 1 : 0;
+    } else {
+      return res.status(400).json({ message: "Either 'credit' or 'isCorrect' is required" });
+    }
+
+    const attendance = await ExamAttendance.findOne({
+      _id: attendanceId,
+      ...(await getGradableExamFilter(req.user))
+    });
+
+    if (!attendance) {
+      return res.status(404).json({ message: "Attempt not found" });
+    }
+
+    if (!["COMPLETED", "TIMED_OUT"].includes(attendance.status)) {
+      return res.status(400).json({ message: "Only finished attempts can be graded" });
+    }
+
+    const pendingAnswer = attendance.answers.find(answer => answer.questionId?.toString() === questionId);
+    if (pendingAnswer?.pendingRun) {
+      return res.status(409).json({ message: "This answer's code hasn't been run yet, try again in a moment" });
+    }
+
+    const exam = await Exam.findById(attendance.examId);
+
+    const outcome = await attemptGrading.applyManualGrade({
+      attendance,
+      exam,
+      questionId,
+      credit: awardedCredit,
+      feedback,
+      gradedBy: req.user._id
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ message: "This question was not answered in the attempt" });
+    }
+
+    res.status(200).json({
+      message: outcome.pendingAnswers > 0
+        ? "Answer graded"
+        : "Answer graded, attempt grading is complete",
+      attendanceId: attendance._id,
+      questionId,
+      credit: grading.roundScore(awardedCredit),
+      score: outcome.score,
+      maxScore: outcome.maxScore,
+      totalQuestions: outcome.totalQuestions,
+      gradingStatus: outcome.gradingStatus,
+      pendingAnswers: outcome.pendingAnswers,
+      // Exam result once the last pending answer is graded
+      result: outcome.result ? (outcome.result.passed ? "pass" : "failed") : null,
+      certificateId: outcome.result?.certificateInfo?.certificateId || null
+    });
+
+  } catch (error) {
+    console.error("Error in gradeAnswer:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Load an exam the user may grade (teachers: their own exams), null otherwise
+const findGradableExam = async (user, examId) => {
+  const exam = await Exam.findById(examId);
+  if (!exam || (user.role !== "admin" && exam.createdBy?.toString() !== user._id.toString())) {
+    return null;
+  }
+  return exam;
+};
+
+// Options shared by the regrade endpoints (body or query)
+const readRegradeOptions = (req) => {
+  const options = { ...req.query, ...(req.body || {}) };
+  const flag = (value) => value === true || value === "true";
+  return {
+    dryRun: flag(options.dryRun),
+    includeManual: flag(options.includeManual),
+    includePractical: flag(options.includePractical),
+    reason: typeof options.reason === "string" ? options.reason.trim() : ""
+  };
+};
+
+// Short form of a regrade report for responses and lists
+const formatRegradeReport = (report) => ({
+  reportId: report.isNew ? null : report._id,
+  scope: report.scope,
+  examId: report.examId,
+  questionId: report.questionId,
+  performedBy: report.performedBy,
+  reason: report.reason,
+  options: report.options,
+  status: report.status,
+  dryRun: report.dryRun,
+  createdAt: report.createdAt,
+  summary: report.summary
+});
+
+// Start a regrade of one exam and describe its report for the response
+const startExamRegrade = async (req, options, { exam, question }) => {
+  const { report, background } = await attemptRegrade.startRegrade({
+    exam,
+    question,
+    performedBy: req.user._id,
+    ...options
+  });
+
+  // Practical code is rerun after the response, the report is filled in when it's done
+  if (background) {
+    return {
+      background,
+      body: {
+        message: "Regrade started, practical answers are rerun in the background. Fetch the report for the result",
+        ...formatRegradeReport(report)
+      }
+    };
+  }
+
+  return {
+    background,
+    body: {
+      message: options.dryRun
+        ? "Dry run completed, nothing was changed"
+        : `Regrade completed: ${report.summary.attemptsChanged} attempt(s) changed`,
+      ...formatRegradeReport(report),
+      attempts: report.attempts,
+      students: report.students,
+      skipped: report.skipped
+    }
+  };
+};
+
+// Run a regrade and answer with its report
+const runRegrade = async (req, res, target) => {
+  const { background, body } = await startExamRegrade(req, readRegradeOptions(req), target);
+  res.status(background ? 202 : 200).json(body);
+};
+
+// Regrade a pool question in every exam whose attempts answered it (that the user may grade)
+const runPoolRegrade = async (req, res, question) => {
+  const options = readRegradeOptions(req);
+
+  const examIds = await attemptRegrade.findAnsweringExamIds(question);
+  const exams = await Exam.find({
+    _id: { $in: examIds },
+    ...(req.user.role !== "admin" && { createdBy: req.user._id })
+  });
+  if (exams.length === 0) {
+    return res.status(404).json({ message: "No exam you can grade has answers to this question" });
+  }
+
+  const regrades = [];
+  for (const exam of exams) {
+    regrades.push(await startExamRegrade(req, options, { exam, question }));
+  }
+
+  res.status(regrades.some(regrade => regrade.background) ? 202 : 200).json({
+    message: `Regrade of ${exams.length} exam(s) ${options.dryRun ? "computed, nothing was changed" : "completed"}`,
+    dryRun: options.dryRun,
+    examsNotRegraded: examIds.length - exams.length,
+    regrades: regrades.map(regrade => regrade.body)
+  });
+};
+
+// Regrade every finished attempt's answers to one question (and its earlier revisions)
+// against the question's current answer key
+const regradeQuestion = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.questionId);
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+    // Bank questions are used by several exams, the request names the one to regrade
+    const examId = question.bank || question.poolId ? (req.body?.examId || req.query.examId) : question.examId;
+    if (question.bank && !examId) {
+      return res.status(400).json({ message: "Bank questions are regraded per exam, 'examId' is required" });
+    }
+    // Pool questions are drawn by any exam using the pool: one exam if named, otherwise all that answered it
+    if (question.poolId && !examId) {
+      return runPoolRegrade(req, res, question);
+    }
+    const exam = await findGradableExam(req.user, examId);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+
+    await runRegrade(req, res, { exam, question });
+
+  } catch (error) {
+    console.error("Error in regradeQuestion:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Regrade every finished attempt of an exam against the current answer keys
+const regradeExam = async (req, res) => {
+  try {
+    const exam = await findGradableExam(req.user, req.params.examId);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+
+    await runRegrade(req, res, { exam, question: null });
+
+  } catch (error) {
+    console.error("Error in regradeExam:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// List regrade audit reports, newest first
+const getRegradeReports = async (req, res) => {
+  try {
+    const { examId, page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.max(1, parseInt(limit) || 20);
+
+    const filter = await getGradableExamFilter(req.user, examId);
+    const total = await RegradeReport.countDocuments(filter);
+    const reports = await RegradeReport.find(filter)
+      .select("-attempts -students -skipped")
+      .populate("performedBy", "username firstName lastName")
+      .sort({ createdAt: -1 })
+      .skip((pageNum - 1) * limitNum)
+      .limit(limitNum);
+
+    res.status(200).json({
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum),
+      reports: reports.map(formatRegradeReport)
+    });
+
+  } catch (error) {
+    console.error("Error in getRegradeReports:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      details: error.message
+    });
+  }
+};
+
+// Full audit report of one regrade
+const getRegradeReport = async (req, res) => {
+  try {
+    const report = await RegradeReport.findOne({
+      _id: req.params.reportId,
+      ...(await getGradableExamFilter(req.user))
+    })
+      .populate("performedBy", "username firstName lastName")
+      .populate("students.userId", "username email firstName lastName");
+
+    if (!report) {
+      return res.status(404).json({ message: "Regrade report not found" });
+    }
+
+    res.status(200).json(report);
+
+  } catch (error) {
+    console.error("Error in getRegradeReport:", error);
+    res.status(500).json({
+      error: "Internal Server Error",
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  getGradingQueue,
+  getAttemptForGrading,
+  gradeAnswer,
+  regradeQuestion,
+  regradeExam,
+  getRegradeReports,
+  getRegradeReport
+};
@@ -0,0 +1,261 @@
+const QuestionGroup = require("../models/questionGroup.model");
+const Question = require("../models/question.model");
+const Exam = require("../models/exam.model");
+const questionGroups = require("../utils/questionGroups");
+const examVersioning = require("../utils/examVersioning");
+const examReview = require("../utils/examReview");
+
+const SECTION_KEYS = ["mcqs", "shortAnswers", "practicals"];
+
+// Admins and the exam's creator manage its groups
+const canManageExam = (req, exam) =>
+  req.user.role === "admin" || (exam.createdBy && exam.createdBy.toString() === req.user._id.toString());
+
+// Exam section a question is served from, null if the exam doesn't use it
+const findSectionKey = (exam, questionId) =>
+  SECTION_KEYS.find(key => (exam.sections?.[key] || []).some(id => id.toString() === questionId.toString())) || null;
+
+// Active questions of a group that the exam serves, in exam order
+const getServedQuestions = async (exam, groupId) => {
+  const questions = await Question.find({ groupId, retiredAt: null });
+  const order = SECTION_KEYS.flatMap(key => (exam.sections?.[key] || []).map(id => id.toString()));
+  return questions
+    .filter(question => order.includes(question._id.toString()))
+    .sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()));
+};
+
+const createGroup = async (req, res) => {
+  try {
+    const { examId } = req.body;
+
+    if (!examId) {
+      return res.status(400).json({ message: "Exam ID is required" });
+    }
+
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only the exam's creator or an admin can add question groups" });
+    }
+
+    const input = questionGroups.readGroupInput(req.body, true);
+    if (input.error) {
+      return res.status(400).json({ message: input.error });
+    }
+
+    const group = await QuestionGroup.create({
+      ...input.values,
+      examId: exam._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: "Question group created successfully. Add questions to it with 'groupId'.",
+      group
+    });
+  } catch (error) {
+    console.error("Error creating question group:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const getExamGroups = async (req, res) => {
+  try {
+    const exam = await Exam.findById(req.params.examId).select("createdBy sections");
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+
+    const groups = await QuestionGroup.find({ examId: exam._id, retiredAt: null }).sort({ createdAt: 1 });
+
+    // Question counts tell authors which groups are still empty
+    const groupsWithCounts = await Promise.all(groups.map(async (group) => ({
+      ...group.toObject(),
+      questionCount: (await getServedQuestions(exam, group._id)).length
+    })));
+
+    res.status(200).json({
+      message: "Question groups retrieved successfully",
+      count: groupsWithCounts.length,
+      groups: groupsWithCounts
+    });
+  } catch (error) {
+    console.error("Error getting question groups:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const getGroupById = async (req, res) => {
+  try {
+    const group = await QuestionGroup.findById(req.params.id)
+      .populate("createdBy", "username firstName lastName");
+    if (!group) {
+      return res.status(404).json({ message: "Question group not found" });
+    }
+
+    const exam = await Exam.findById(group.examId).select("sections");
+    const questions = exam ? await getServedQuestions(exam, group._id) : [];
+
+    res.status(200).json({
+      group,
+      questionCount: questions.length,
+      questions: questions.map(question => ({
+        _id: question._id,
+        type: question.type,
+        questionText: question.questionText
+      }))
+    });
+  } catch (error) {
+    console.error("Error getting question group:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const updateGroup = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const group = await QuestionGroup.findById(id);
+    if (!group) {
+      return res.status(404).json({ message: "Question group not found" });
+    }
+    if (group.retiredAt) {
+      return res.status(400).json({
+        message: "This group was replaced by a newer revision and can't be edited",
+        retiredAt: group.retiredAt
+      });
+    }
+
+    const exam = await Exam.findById(group.examId);
+    if (!exam) {
+      return res.status(404).json({ message: "Associated exam not found" });
+    }
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only the exam's creator or an admin can edit its question groups" });
+    }
+
+    const input = questionGroups.readGroupInput(req.body, false);
+    if (input.error) {
+      return res.status(400).json({ message: input.error });
+    }
+
+    // Record the published state before changing it (exams published before versioning)
+    await examVersioning.ensurePublishedVersion(exam, req.user._id);
+
+    // Same as a question edit: a non-admin edit sends approved and published exams back to review
+    if (req.user.role !== "admin" && !["PENDING", "DRAFT"].includes(exam.status)) {
+      console.log(`Reverting exam ${exam._id} status from ${exam.status} to PENDING due to question group update by non-admin`);
+      examReview.startReviewRound(exam, req.user._id, `Question group ${id} edited`);
+      await exam.save();
+    }
+
+    // Students of past attempts keep the stimulus they saw: a group used by a published
+    // version or an attempt is revised, and its questions are revised to point to the new group
+    const groupQuestions = await Question.find({ groupId: group._id }).select("_id");
+    let locked = false;
+    for (const question of groupQuestions) {
+      if (await examVersioning.isQuestionLocked(question._id)) {
+        locked = true;
+        break;
+      }
+    }
+
+    if (!locked) {
+      Object.assign(group, input.values);
+      await group.save();
+      return res.status(200).json({
+        message: "Question group updated successfully",
+        group,
+        examStatus: exam.status
+      });
+    }
+
+    const data = group.toObject();
+    delete data._id;
+    delete data.__v;
+    delete data.createdAt;
+    delete data.updatedAt;
+    const revision = await QuestionGroup.create({
+      ...data,
+      ...input.values,
+      revisionOf: group._id,
+      retiredAt: null
+    });
+    group.retiredAt = new Date();
+    await group.save();
+
+    const served = await getServedQuestions(exam, group._id);
+    for (const question of served) {
+      question.groupId = revision._id;
+      if (await examVersioning.isQuestionLocked(question._id)) {
+        await examVersioning.reviseQuestion(question, exam, findSectionKey(exam, question._id));
+      } else {
+        await question.save();
+      }
+    }
+
+    const versionChange = await examVersioning.recordExamChange(exam, req.user._id, `Question group ${id} revised`);
+
+    res.status(200).json({
+      message: "Question group updated successfully (saved as a new revision, past attempts keep the previous one)",
+      group: revision,
+      revisionOf: id,
+      questionsMoved: served.length,
+      examStatus: exam.status,
+      ...(versionChange && { examVersion: versionChange.version.version })
+    });
+  } catch (error) {
+    console.error("Error updating question group:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const deleteGroup = async (req, res) => {
+  try {
+    const group = await QuestionGroup.findById(req.params.id);
+    if (!group) {
+      return res.status(404).json({ message: "Question group not found" });
+    }
+
+    const exam = await Exam.findById(group.examId);
+    if (exam && !canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only the exam's creator or an admin can delete its question groups" });
+    }
+
+    // The exam's questions would lose their stimulus
+    const served = exam ? await getServedQuestions(exam, group._id) : [];
+    if (served.length > 0) {
+      return res.status(400).json({
+        message: "Cannot delete a question group that still has questions. Remove them or move them out of the group first.",
+        questionCount: served.length
+      });
+    }
+
+    // Groups of past attempts' questions are retired, so their reviews still show the stimulus
+    const referenced = await Question.exists({ groupId: group._id });
+    if (referenced) {
+      group.retiredAt = group.retiredAt || new Date();
+      await group.save();
+    } else {
+      await QuestionGroup.deleteOne({ _id: group._id });
+    }
+
+    res.status(200).json({
+      message: referenced ? "Question group removed (kept for past attempts)" : "Question group deleted successfully",
+      retired: Boolean(referenced)
+    });
+  } catch (error) {
+    console.error("Error deleting question group:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+module.exports = {
+  createGroup,
+  getExamGroups,
+  getGroupById,
+  updateGroup,
+  deleteGroup
+};
@@ -0,0 +1,279 @@
+const QuestionPool = require("../models/questionPool.model");
+const Question = require("../models/question.model");
+const Exam = require("../models/exam.model");
+const { SCORING_METHODS, readMarksInput } = require("../utils/grading");
+const questionFeedback = require("../utils/questionFeedback");
+
+const createPool = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ message: "Pool name is required" });
+    }
+
+    const existingPool = await QuestionPool.findOne({ name: name.trim() });
+    if (existingPool) {
+      return res.status(400).json({ message: "A question pool with this name already exists" });
+    }
+
+    const pool = new QuestionPool({
+      name,
+      description,
+      createdBy: req.user._id
+    });
+
+    await pool.save();
+
+    res.status(201).json({
+      message: "Question pool created successfully",
+      pool
+    });
+  } catch (error) {
+    console.error("Error creating question pool:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const getAllPools = async (req, res) => {
+  try {
+    const pools = await QuestionPool.find()
+      .populate("createdBy", "username firstName lastName")
+      .sort({ createdAt: -1 });
+
+    // Add question counts so authors can size their draws
+    const poolsWithCounts = await Promise.all(pools.map(async (pool) => {
+      const questionCount = await Question.countDocuments({ poolId: pool._id });
+      return {
+        ...pool.toObject(),
+        questionCount
+      };
+    }));
+
+    res.status(200).json({
+      message: "Question pools retrieved successfully",
+      count: poolsWithCounts.length,
+      pools: poolsWithCounts
+    });
+  } catch (error) {
+    console.error("Error getting question pools:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const getPoolById = async (req, res) => {
+  try {
+    const pool = await QuestionPool.findById(req.params.id)
+      .populate("createdBy", "username firstName lastName");
+
+    if (!pool) {
+      return res.status(404).json({ message: "Question pool not found" });
+    }
+
+    const questions = await Question.find({ poolId: pool._id })
+      .select("type questionText options tags difficulty");
+
+    // Summarize what the pool can serve per difficulty and tag
+    const byDifficulty = {};
+    const byTag = {};
+    questions.forEach(q => {
+      const difficulty = q.difficulty || "unspecified";
+      byDifficulty[difficulty] = (byDifficulty[difficulty] || 0) + 1;
+      (q.tags || []).forEach(tag => {
+        byTag[tag] = (byTag[tag] || 0) + 1;
+      });
+    });
+
+    res.status(200).json({
+      pool,
+      questionCount: questions.length,
+      summary: {
+        byDifficulty,
+        byTag
+      },
+      questions
+    });
+  } catch (error) {
+    console.error("Error getting question pool:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const updatePool = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const pool = await QuestionPool.findById(req.params.id);
+    if (!pool) {
+      return res.status(404).json({ message: "Question pool not found" });
+    }
+
+    if (name) pool.name = name;
+    if (description !== undefined) pool.description = description;
+
+    await pool.save();
+
+    res.status(200).json({
+      message: "Question pool updated successfully",
+      pool
+    });
+  } catch (error) {
+    console.error("Error updating question pool:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const deletePool = async (req, res) => {
+  try {
+    const poolId = req.params.id;
+
+    // Don't remove pools that exams still draw from
+    const usedBy = await Exam.find({ "poolDraws.pool": poolId }).select("title status");
+    if (usedBy.length > 0) {
+      return res.status(400).json({
+        message: "Cannot delete a question pool that is used by exams",
+        exams: usedBy
+      });
+    }
+
+    const deletedPool = await QuestionPool.findByIdAndDelete(poolId);
+    if (!deletedPool) {
+      return res.status(404).json({ message: "Question pool not found" });
+    }
+
+    const deleteResult = await Question.deleteMany({ poolId });
+
+    res.status(200).json({
+      message: "Question pool deleted successfully",
+      questionsDeleted: deleteResult.deletedCount
+    });
+  } catch (error) {
+    console.error("Error deleting question pool:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+const addPoolQuestions = async (req, res) => {
+  try {
+    const poolId = req.params.id;
+    const { questions, question } = req.body;
+
+    const pool = await QuestionPool.findById(poolId);
+    if (!pool) {
+      return res.status(404).json({ message: "Question pool not found" });
+    }
+
+    // Handle both single question object and multiple questions array
+    let questionsToProcess = [];
+    if (questions && Array.isArray(questions)) {
+      questionsToProcess = questions;
+    } else if (question && typeof question === 'object') {
+      questionsToProcess = [question];
+    } else {
+      return res.status(400).json({
+        message: "Please provide either 'question' object or 'questions' array"
+      });
+    }
+
+    if (questionsToProcess.length === 0) {
+      return res.status(400).json({ message: "At least one question is required" });
+    }
+
+    // Only option-based questions (MCQ and multiple-select) can be drawn into attempts for now
+    for (let i = 0; i < questionsToProcess.length; i++) {
+      const questionData = questionsToProcess[i];
+
+      if (questionData.type && questionData.type !== "MCQ" && questionData.type !== "MultiSelect") {
+        return res.status(400).json({
+          message: `Question ${i + 1}: Only MCQ and MultiSelect questions can be added to a pool`
+        });
+      }
+
+      if (!questionData.text && !questionData.questionText) {
+        return res.status(400).json({
+          message: `Question ${i + 1}: Question text is required`
+        });
+      }
+
+      if (!questionData.correctAnswer && questionData.type !== "MultiSelect") {
+        return res.status(400).json({
+          message: `Question ${i + 1}: Correct answer is required`
+        });
+      }
+
+      if (!questionData.options || !Array.isArray(questionData.options) || questionData.options.length < 2) {
+        return res.status(400).json({
+          message: `Question ${i + 1}: MCQ questions must have at least 2 options`
+        });
+      }
+
+      if (questionData.type === "MultiSelect") {
+        if (!Array.isArray(questionData.correctAnswers) || questionData.correctAnswers.length === 0 ||
+            !questionData.correctAnswers.every(answer => questionData.options.includes(answer))) {
+          return res.status(400).json({
+            message: `Question ${i + 1}: Multiple-select questions need a 'correctAnswers' array of options`
+          });
+        }
+
+        if (questionData.scoringMethod && !SCORING_METHODS.includes(questionData.scoringMethod)) {
+          return res.status(400).json({
+            message: `Question ${i + 1}: Scoring method must be one of ${SCORING_METHODS.join(', ')}`
+          });
+        }
+      }
+
+      const feedback = questionFeedback.readFeedbackInput(questionData, questionData.options);
+      if (feedback.error) {
+        return res.status(400).json({
+          message: `Question ${i + 1}: ${feedback.error}`
+        });
+      }
+
+      const marks = readMarksInput(questionData);
+      if (marks.error) {
+        return res.status(400).json({
+          message: `Question ${i + 1}: ${marks.error}`
+        });
+      }
+    }
+
+    const createdQuestions = await Question.insertMany(questionsToProcess.map(questionData => ({
+      poolId,
+      type: questionData.type || "MCQ",
+      questionText: questionData.text || questionData.questionText,
+      options: questionData.options,
+      correctAnswer: questionData.correctAnswer,
+      ...(questionData.type === "MultiSelect" && {
+        correctAnswers: questionData.correctAnswers,
+        scoringMethod: questionData.scoringMethod || "all-or-nothing"
+      }),
+      tags: questionData.tags || [],
+      difficulty: questionData.difficulty,
+      ...questionFeedback.readFeedbackInput(questionData, questionData.options).values,
+      ...readMarksInput(questionData).values
+    })));
+
+    res.status(201).json({
+      message: createdQuestions.length === 1
+        ? "Question added to pool successfully"
+        : `${createdQuestions.length} questions added to pool successfully`,
+      questions: createdQuestions,
+      summary: {
+        total: createdQuestions.length,
+        poolId
+      }
+    });
+  } catch (error) {
+    console.error("Error adding questions to pool:", error);
+    res.status(500).json({ error: "Internal Server Error", details: error.message });
+  }
+};
+
+module.exports = {
+  createPool,
+  getAllPools,
+  getPoolById,
+  updatePool,
+  deletePool,
+  addPoolQuestions
+};
@@ -1,5 +1,333 @@
 const Question = require("../models/question.model");
 const Exam = require("../models/exam.model");
+const QuestionPool = require("../models/questionPool.model");
+const { SCORING_METHODS, MAX_PATTERN_LENGTH, findInvalidPattern, readMarksInput } = require("../utils/grading");
+const codeRunner = require("../utils/codeRunner");
+const questionImport = require("../utils/questionImport");
+const questionInterchange = require("../utils/questionInterchange");
+const examVersioning = require("../utils/examVersioning");
+const examReview = require("../utils/examReview");
+const questionFeedback = require("../utils/questionFeedback");
+const questionBank = require("../utils/questionBank");
+const questionGroups = require("../utils/questionGroups");
+const questionVariants = require("../utils/questionVariants");
+const structuredQuestions = require("../utils/structuredQuestions");
+const { getFixedQuestionIds } = require("../utils/questionPool");
+
+// Fields that give away the answer, shown only to the exam's authors, reviewers and admins
+const ANSWER_KEY_FIELDS = [
+  "correctAnswer", "correctAnswers", "acceptedAnswers", "answerPatterns", "keywords",
+  "formula", "pairs", "distractors", "items", "blanks", "explanation", "optionFeedback"
+];
+
+// Whether the user may see a question's answer key and hidden test cases
+// (exam is the question's exam, or the exam it is listed for)
+const canSeeAnswerKeys = (req, question, exam) => {
+  if (req.user.role === "admin") return true;
+  if (question.createdBy && question.createdBy.toString() === req.user._id.toString()) return true;
+  return Boolean(exam) && examReview.getReviewRole(req.user, exam).canComment;
+};
+
+// A copy of the question without its answer key and hidden test cases
+const hideAnswerKeys = (question) => {
+  const visible = question.toObject();
+  ANSWER_KEY_FIELDS.forEach(field => delete visible[field]);
+  if (visible.testCases) {
+    visible.testCases = visible.testCases.filter(testCase => !testCase.hidden);
+  }
+  return visible;
+};
+
+// Auto-grading rule fields of short-answer questions
+const SHORT_ANSWER_LIST_FIELDS = ["acceptedAnswers", "answerPatterns", "keywords"];
+
+// Validate the short-answer rules in a request and copy them onto the question
+// Returns an error message, or null when the rules are valid
+const applyShortAnswerRules = (target, data) => {
+  for (const field of SHORT_ANSWER_LIST_FIELDS) {
+    if (data[field] === undefined) continue;
+    if (!Array.isArray(data[field]) || !data[field].every(value => typeof value === "string")) {
+      return `'${field}' must be an array of strings`;
+    }
+  }
+
+  const invalidPattern = findInvalidPattern(data.answerPatterns);
+  if (invalidPattern !== null) {
+    return `Invalid answer pattern: ${invalidPattern}. Patterns must compile, be at most ${MAX_PATTERN_LENGTH} characters and not repeat a group that contains a quantifier, like (a+)+`;
+  }
+
+  SHORT_ANSWER_LIST_FIELDS.forEach(field => {
+    if (data[field] !== undefined) {
+      target[field] = data[field].map(value => value.trim()).filter(Boolean);
+    }
+  });
+  if (data.caseSensitive !== undefined) {
+    target.caseSensitive = Boolean(data.caseSensitive);
+  }
+  if (data.reviewUnmatched !== undefined) {
+    target.reviewUnmatched = Boolean(data.reviewUnmatched);
+  }
+
+  return null;
+};
+
+// Validate the coding settings of a practical question and copy them onto the question
+// Returns an error message, or null when the settings are valid
+const applyPracticalSettings = (target, data, isNew) => {
+  if (isNew || data.language !== undefined) {
+    if (!codeRunner.SUPPORTED_LANGUAGES.includes(data.language)) {
+      return `Language must be one of ${codeRunner.SUPPORTED_LANGUAGES.join(', ')}`;
+    }
+  }
+
+  if (isNew || data.testCases !== undefined) {
+    if (!Array.isArray(data.testCases) || data.testCases.length === 0) {
+      return "Practical questions need a non-empty 'testCases' array";
+    }
+    const invalidIndex = data.testCases.findIndex(testCase =>
+      !testCase || typeof testCase.expectedOutput !== "string" ||
+      (testCase.input !== undefined && typeof testCase.input !== "string") ||
+      (testCase.weight !== undefined && !(Number(testCase.weight) >= 0))
+    );
+    if (invalidIndex >= 0) {
+      return `Test case ${invalidIndex + 1}: 'expectedOutput' (and 'input' if given) must be strings, 'weight' a non-negative number`;
+    }
+  }
+
+  if (data.timeLimitMs !== undefined &&
+      !(data.timeLimitMs >= 100 && data.timeLimitMs <= codeRunner.MAX_LIMITS.timeLimitMs)) {
+    return `Time limit must be between 100 and ${codeRunner.MAX_LIMITS.timeLimitMs} ms`;
+  }
+  if (data.memoryLimitMb !== undefined &&
+      !(data.memoryLimitMb >= 16 && data.memoryLimitMb <= codeRunner.MAX_LIMITS.memoryLimitMb)) {
+    return `Memory limit must be between 16 and ${codeRunner.MAX_LIMITS.memoryLimitMb} MB`;
+  }
+
+  if (data.language !== undefined) target.language = data.language;
+  if (data.starterCode !== undefined) target.starterCode = data.starterCode;
+  if (data.timeLimitMs !== undefined) target.timeLimitMs = data.timeLimitMs;
+  if (data.memoryLimitMb !== undefined) target.memoryLimitMb = data.memoryLimitMb;
+  if (data.testCases !== undefined) {
+    target.testCases = data.testCases.map(testCase => ({
+      input: testCase.input || "",
+      expectedOutput: testCase.expectedOutput,
+      hidden: testCase.hidden !== false,
+      weight: testCase.weight !== undefined ? Number(testCase.weight) : 1
+    }));
+  }
+
+  return null;
+};
+
+// Exam section a question of the given type is served from
+const getSectionKey = (type) => {
+  if (type === "MCQ" || type === "MultiSelect" || type === "Matching" || type === "Ordering") return "mcqs";
+  if (type === "ShortAnswer" || type === "Numeric" || type === "Cloze") return "shortAnswers";
+  if (type === "Practical") return "practicals";
+  return null;
+};
+
+// Validate one incoming question (addQuestion body or an imported row)
+// Returns an error message, or null when the question is valid
+const validateQuestionData = (questionData) => {
+  if (!questionData || typeof questionData !== "object") {
+    return "Question must be an object";
+  }
+
+  if (!questionData.type) {
+    return "Type is required (MCQ, MultiSelect, ShortAnswer, Numeric, Matching, Ordering, Cloze, or Practical)";
+  }
+
+  if (!questionData.text && !questionData.questionText) {
+    return "Question text is required";
+  }
+  
+  // Numeric questions are checked below, templates compute their answer, and matching,
+  // ordering and cloze answers are part of their pairs, items and blanks
+  if (!questionData.correctAnswer && !["MultiSelect", "Practical", "Numeric"].includes(questionData.type) &&
+    !structuredQuestions.isStructured(questionData.type)) {
+    return "Correct answer is required";
+  }
+  
+  // Validate MCQ specific requirements
+  if (questionData.type === "MCQ" || questionData.type === "MultiSelect") {
+    if (!questionData.options || !Array.isArray(questionData.options) || questionData.options.length < 2) {
+      return "MCQ questions must have at least 2 options";
+    }
+  }
+  
+  // Validate multiple-select specific requirements
+  if (questionData.type === "MultiSelect") {
+    if (!Array.isArray(questionData.correctAnswers) || questionData.correctAnswers.length === 0) {
+      return "Multiple-select questions need a 'correctAnswers' array";
+    }
+    
+    if (!questionData.correctAnswers.every(answer => questionData.options.includes(answer))) {
+      return "Every correct answer must be one of the options";
+    }
+    
+    if (questionData.scoringMethod && !SCORING_METHODS.includes(questionData.scoringMethod)) {
+      return `Scoring method must be one of ${SCORING_METHODS.join(', ')}`;
+    }
+  }
+  
+  // Validate short-answer auto-grading rules
+  if (questionData.type === "ShortAnswer") {
+    const rulesError = applyShortAnswerRules({}, questionData);
+    if (rulesError) return rulesError;
+  }
+  
+  // Validate the numeric answer, or the variables and formula of a template
+  if (questionData.type === "Numeric") {
+    const numeric = questionVariants.readNumericInput(questionData);
+    if (numeric.error) return numeric.error;
+  }
+  
+  // Validate the pairs, items or blanks of matching, ordering and cloze questions
+  if (structuredQuestions.isStructured(questionData.type)) {
+    const structured = structuredQuestions.readStructuredInput(questionData.type, questionData);
+    if (structured.error) return structured.error;
+  }
+  
+  // Validate practical (coding) settings
+  if (questionData.type === "Practical") {
+    const settingsError = applyPracticalSettings({}, questionData, true);
+    if (settingsError) return settingsError;
+  }
+  
+  // Validate the explanation and option feedback shown in reviews
+  const feedback = questionFeedback.readFeedbackInput(questionData, questionData.options);
+  if (feedback.error) return feedback.error;
+
+  // Validate the marks and negative marks
+  const marks = readMarksInput(questionData);
+  if (marks.error) return marks.error;
+
+  return null;
+};
+
+// Map a validated incoming question to the question schema
+const buildQuestionDoc = (examId, questionData) => {
+  const questionDoc = {
+    examId,
+    type: questionData.type,
+    questionText: questionData.text || questionData.questionText,
+    options: questionData.options,
+    correctAnswer: questionData.correctAnswer,
+  };
+  
+  if (questionData.type === "MultiSelect") {
+    questionDoc.correctAnswers = questionData.correctAnswers;
+    questionDoc.scoringMethod = questionData.scoringMethod || "all-or-nothing";
+  }
+  
+  if (questionData.type === "ShortAnswer") {
+    applyShortAnswerRules(questionDoc, questionData);
+  }
+  
+  if (questionData.type === "Numeric") {
+    Object.assign(questionDoc, questionVariants.readNumericInput(questionData).values);
+  }
+  
+  if (structuredQuestions.isStructured(questionData.type)) {
+    Object.assign(questionDoc, structuredQuestions.readStructuredInput(questionData.type, questionData).values);
+  }
+  
+  if (questionData.type === "Practical") {
+    applyPracticalSettings(questionDoc, questionData, true);
+  }
+  
+  Object.assign(questionDoc, questionFeedback.readFeedbackInput(questionData, questionData.options).values);
+  Object.assign(questionDoc, readMarksInput(questionData).values);
+
+  return questionDoc;
+};
+
+// Apply the edits of an update request to a question (the question is not saved)
+// Returns an error message, or null when the edits are valid
+const applyQuestionEdits = (question, data) => {
+  const { questionText, options, correctAnswer, correctAnswers, scoringMethod, type } = data;
+
+  // Update the question fields
+  question.questionText = questionText || question.questionText;
+  
+  // Update options only if the question is an MCQ and options are provided
+  if (type === "MCQ" || question.type === "MCQ" || question.type === "MultiSelect") {
+    if (options && Array.isArray(options)) {
+      // Validate that MCQs have at least two options
+      if (options.length < 2) {
+        return "MCQ questions must have at least two options";
+      }
+      question.options = options;
+    }
+  }
+  
+  // Update correct answer if provided
+  if (correctAnswer) {
+    question.correctAnswer = correctAnswer;
+  }
+  
+  // Multiple-select questions: correct option set and partial credit method
+  if (question.type === "MultiSelect") {
+    if (correctAnswers !== undefined) {
+      if (!Array.isArray(correctAnswers) || correctAnswers.length === 0) {
+        return "Multiple-select questions need a non-empty 'correctAnswers' array";
+      }
+      question.correctAnswers = correctAnswers;
+    }
+
+    // Checked against the (updated) options, so an options-only edit can't orphan the correct answers
+    if (!(question.correctAnswers || []).every(answer => question.options.includes(answer))) {
+      return "Every correct answer must be one of the options";
+    }
+
+    if (scoringMethod !== undefined) {
+      if (!SCORING_METHODS.includes(scoringMethod)) {
+        return `Scoring method must be one of ${SCORING_METHODS.join(', ')}`;
+      }
+      question.scoringMethod = scoringMethod;
+    }
+  }
+  
+  // Short-answer questions: accepted answers, patterns, keywords and review settings
+  if (question.type === "ShortAnswer") {
+    const rulesError = applyShortAnswerRules(question, data);
+    if (rulesError) return rulesError;
+  }
+  
+  // Numeric questions: correct answer or template variables and formula, and tolerance
+  if (question.type === "Numeric") {
+    const numeric = questionVariants.readNumericInput(data, question);
+    if (numeric.error) return numeric.error;
+    Object.assign(question, numeric.values);
+  }
+  
+  // Matching, ordering and cloze questions: pairs, items or blanks (checked against the
+  // updated text), and partial credit method
+  if (structuredQuestions.isStructured(question.type)) {
+    const structured = structuredQuestions.readStructuredInput(question.type, data, question);
+    if (structured.error) return structured.error;
+    Object.assign(question, structured.values);
+  }
+  
+  // Practical questions: language, starter code, test cases and limits
+  if (question.type === "Practical") {
+    const settingsError = applyPracticalSettings(question, data, false);
+    if (settingsError) return settingsError;
+  }
+  
+  // Explanation and option feedback, checked against the (updated) options
+  const feedback = questionFeedback.readFeedbackInput(data, question.options);
+  if (feedback.error) return feedback.error;
+  Object.assign(question, feedback.values);
+  
+  // Marks and negative marks, finished attempts keep the marks they were graded with
+  const marks = readMarksInput(data);
+  if (marks.error) return marks.error;
+  Object.assign(question, marks.values);
+
+  return null;
+};
 
 const addQuestion = async (req, res) => {
   try {
@@ -16,6 +344,9 @@ const addQuestion = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" });
     }
 
+    // Record the published state before changing it (exams published before versioning)
+    await examVersioning.ensurePublishedVersion(examExists, req.user?._id);
+
     // Handle both single question object and multiple questions array
     let questionsToProcess = [];
     
@@ -43,37 +374,26 @@ const addQuestion = async (req, res) => {
     for (let i = 0; i < questionsToProcess.length; i++) {
       const questionData = questionsToProcess[i];
       
-      if (!questionData.type) {
-        return res.status(400).json({ 
-          message: `Question ${i + 1}: Type is required (MCQ, ShortAnswer, or Practical)` 
-        });
-      }
-      
-      if (!questionData.text && !questionData.questionText) {
+      const validationError = validateQuestionData(questionData);
+      if (validationError) {
         return res.status(400).json({ 
-          message: `Question ${i + 1}: Question text is required` 
+          message: `Question ${i + 1}: ${validationError}` 
         });
       }
       
-      if (!questionData.correctAnswer) {
+      // Questions can join a passage group of the exam ('groupId' per question or for all of them)
+      const groupId = questionData.groupId || req.body.groupId;
+      if (groupId && !(await questionGroups.findExamGroup(groupId, examId))) {
         return res.status(400).json({ 
-          message: `Question ${i + 1}: Correct answer is required` 
+          message: `Question ${i + 1}: Question group not found in this exam` 
         });
       }
-      
-      // Validate MCQ specific requirements
-      if (questionData.type === "MCQ") {
-        if (!questionData.options || !Array.isArray(questionData.options) || questionData.options.length < 2) {
-          return res.status(400).json({ 
-            message: `Question ${i + 1}: MCQ questions must have at least 2 options` 
-          });
-        }
-      }
     }
 
     const createdQuestions = [];
     const addedMCQs = [];
     const addedShortAnswers = [];
+    const addedPracticals = [];
 
     // Process each question
     for (let i = 0; i < questionsToProcess.length; i++) {
@@ -81,24 +401,22 @@ const addQuestion = async (req, res) => {
       
       try {
         // Map incoming fields to match schema
-        const questionDoc = {
-          examId,
-          type: questionData.type,
-          questionText: questionData.text || questionData.questionText,
-          options: questionData.options,
-          correctAnswer: questionData.correctAnswer,
-        };
+        const questionDoc = buildQuestionDoc(examId, questionData);
+        questionDoc.groupId = questionData.groupId || req.body.groupId || undefined;
 
         // Create and save the question
         const question = new Question(questionDoc);
         const savedQuestion = await question.save();
         createdQuestions.push(savedQuestion);
 
-        // Track questions by type for exam sections update
-        if (question.type === "MCQ") {
+        // Track questions by type for exam sections update (multiple-select is served with the MCQs)
+        const sectionKey = getSectionKey(question.type);
+        if (sectionKey === "mcqs") {
           addedMCQs.push(savedQuestion._id);
-        } else if (question.type === "ShortAnswer") {
+        } else if (sectionKey === "shortAnswers") {
           addedShortAnswers.push(savedQuestion._id);
+        } else if (sectionKey === "practicals") {
+          addedPracticals.push(savedQuestion._id);
         }
         
       } catch (questionError) {
@@ -116,10 +434,18 @@ const addQuestion = async (req, res) => {
     if (addedShortAnswers.length > 0) {
       examExists.sections.shortAnswers.push(...addedShortAnswers);
     }
+    if (addedPracticals.length > 0) {
+      examExists.sections.practicals.push(...addedPracticals);
+    }
 
     // Save the updated exam
     await examExists.save();
 
+    // Adding questions to a published exam creates a new version
+    const versionChange = await examVersioning.recordExamChange(
+      examExists, req.user?._id, `${createdQuestions.length} question(s) added`
+    );
+
     // Prepare response
     const responseMessage = questionsToProcess.length === 1 
       ? "Question created successfully" 
@@ -132,8 +458,10 @@ const addQuestion = async (req, res) => {
         total: createdQuestions.length,
         mcqs: addedMCQs.length,
         shortAnswers: addedShortAnswers.length,
+        practicals: addedPracticals.length,
         examId: examId
-      }
+      },
+      ...(versionChange && { examVersion: versionChange.version.version })
     });
     
   } catch (error) {
@@ -149,14 +477,22 @@ const addQuestion = async (req, res) => {
 const getQuestionsByExam = async (req, res) => {
   try {
     const { examId } = req.params;
-    const questions = await Question.find({ examId });
+    const exam = await Exam.findById(examId).select("sections createdBy review.reviewers");
+    // Questions created for the exam plus bank questions linked into its sections
+    // (retired questions only remain for past attempts)
+    const questions = await Question.find({
+      $or: [{ examId }, { _id: { $in: exam ? getFixedQuestionIds(exam) : [] } }],
+      retiredAt: null
+    });
 
     if (!questions.length)
       return res
         .status(404)
         .json({ message: "No questions found for this exam" });
 
-    res.status(200).json(questions);
+    res.status(200).json(questions.map(question =>
+      canSeeAnswerKeys(req, question, exam) ? question : hideAnswerKeys(question)
+    ));
   } catch (error) {
     res
       .status(500)
@@ -166,12 +502,48 @@ const getQuestionsByExam = async (req, res) => {
 
 const deleteQuestion = async (req, res) => {
   try {
-    const deletedQuestion = await Question.findByIdAndDelete(req.params.id);
+    const question = await Question.findById(req.params.id);
 
-    if (!deletedQuestion)
+    if (!question)
       return res.status(404).json({ message: "Question not found" });
 
-    res.status(200).json({ message: "Question deleted successfully" });
+    // Bank questions are removed from every exam that uses them
+    let exams = [];
+    if (question.bank) {
+      exams = await questionBank.findLinkedExams(question._id);
+    } else if (question.examId) {
+      const exam = await Exam.findById(question.examId);
+      if (exam) exams = [exam];
+    }
+    for (const exam of exams) {
+      await examVersioning.ensurePublishedVersion(exam, req.user?._id);
+    }
+
+    // Questions of a published version or an attempt are retired instead of deleted,
+    // so past attempts can still be reviewed
+    const locked = await examVersioning.isQuestionLocked(question._id);
+    if (locked) {
+      question.retiredAt = new Date();
+      await question.save();
+    } else {
+      await Question.deleteOne({ _id: question._id });
+    }
+
+    const versionChanges = [];
+    for (const exam of exams) {
+      if (!examVersioning.replaceInSections(exam, question._id, null)) continue;
+      await exam.save();
+      const versionChange = await examVersioning.recordExamChange(exam, req.user?._id, `Question ${question._id} removed`);
+      versionChanges.push({ examId: exam._id, examVersion: versionChange ? versionChange.version.version : null });
+    }
+    const versionChange = !question.bank && versionChanges[0]?.examVersion;
+
+    res.status(200).json({ 
+      message: locked ? "Question removed from the exam (kept for past attempts)" : "Question deleted successfully",
+      retired: locked,
+      ...(versionChange && { examVersion: versionChange }),
+      ...(question.bank && { exams: versionChanges })
+    });
   } catch (error) {
     res
       .status(500)
@@ -186,8 +558,12 @@ const getQuestionById = async (req, res) => {
     if (!question) {
       return res.status(404).json({ message: "Question not found" });
     }
+
+    const exam = question.examId
+      ? await Exam.findById(question.examId).select("createdBy review.reviewers")
+      : null;
     
-    res.status(200).json(question);
+    res.status(200).json(canSeeAnswerKeys(req, question, exam) ? question : hideAnswerKeys(question));
   } catch (error) {
     res.status(500).json({ error: "Internal Server Error", details: error.message });
   }
@@ -196,7 +572,6 @@ const getQuestionById = async (req, res) => {
 const updateQuestion = async (req, res) => {
   try {
     const { id } = req.params;
-    const { questionText, options, correctAnswer, type } = req.body;
     
     // Find the question
     const question = await Question.findById(id);
@@ -205,54 +580,88 @@ const updateQuestion = async (req, res) => {
       return res.status(404).json({ message: "Question not found" });
     }
     
+    // Bank questions are edited once for every exam that uses them
+    if (question.bank) {
+      return updateBankQuestion(req, res);
+    }
+    
+    // Pool questions belong to their pool, not to an exam
+    if (question.poolId) {
+      return updatePoolQuestion(req, res);
+    }
+    
     // Find the associated exam to check if updates are allowed
     const exam = await Exam.findById(question.examId);
     
     if (!exam) {
       return res.status(404).json({ message: "Associated exam not found" });
     }
+
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only the exam's creator or an admin can edit its questions" });
+    }
+    
+    if (question.retiredAt) {
+      return res.status(400).json({ 
+        message: "This question was replaced by a newer revision and can't be edited",
+        retiredAt: question.retiredAt
+      });
+    }
+    
+    // Record the published state before changing it (exams published before versioning)
+    await examVersioning.ensurePublishedVersion(exam, req.user._id);
+    
+    // Apply the edits to the question (not saved yet)
+    const editError = applyQuestionEdits(question, req.body);
+    if (editError) {
+      return res.status(400).json({ message: editError });
+    }
+    
+    // Move the question into a passage group of the exam, or out of its group with null
+    if (req.body.groupId !== undefined) {
+      const group = req.body.groupId && await questionGroups.findExamGroup(req.body.groupId, exam._id);
+      if (req.body.groupId && !group) {
+        return res.status(400).json({ message: "Question group not found in this exam" });
+      }
+      question.groupId = group ? group._id : undefined;
+    }
+    
+    // Questions of a published version or an attempt are never changed in place:
+    // the edit is saved as a revision that replaces the question in the exam
+    let updatedQuestion;
+    const locked = question.isModified() && await examVersioning.isQuestionLocked(question._id);
+    if (locked) {
+      updatedQuestion = await examVersioning.reviseQuestion(question, exam, getSectionKey(question.type));
+    } else {
+      updatedQuestion = await question.save();
+    }
     
     // For admin users, allow updates regardless of exam status
     const isAdmin = req.user.role === "admin";
     
     // If user is an admin, allow the update
     // For non-admin users, revert exam to pending if it was previously approved/published
-    if (!isAdmin && exam.status !== "PENDING") {
+    // (DRAFT exams with requested changes stay in DRAFT until the author submits them)
+    // Only done once the edit is valid and saved, so a rejected edit leaves the exam as it was
+    if (!isAdmin && !["PENDING", "DRAFT"].includes(exam.status)) {
       console.log(`Reverting exam ${exam._id} status from ${exam.status} to PENDING due to question update by non-admin`);
-      exam.status = "PENDING";
-      exam.approvedBy = null;
-      exam.approvedAt = null;
+      // The edited exam needs a fresh round of approvals
+      examReview.startReviewRound(exam, req.user._id, `Question ${id} edited`);
       await exam.save();
     }
     
-    // Update the question fields
-    question.questionText = questionText || question.questionText;
-    
-    // Update options only if the question is an MCQ and options are provided
-    if (type === "MCQ" || question.type === "MCQ") {
-      if (options && Array.isArray(options)) {
-        // Validate that MCQs have at least two options
-        if (options.length < 2) {
-          return res.status(400).json({ 
-            message: "MCQ questions must have at least two options" 
-          });
-        }
-        question.options = options;
-      }
-    }
-    
-    // Update correct answer if provided
-    if (correctAnswer) {
-      question.correctAnswer = correctAnswer;
-    }
-    
-    // Save the updated question
-    const updatedQuestion = await question.save();
+    const versionChange = locked 
+      ? await examVersioning.recordExamChange(exam, req.user._id, `Question ${id} revised`)
+      : null;
     
     res.status(200).json({ 
-      message: "Question updated successfully",
+      message: locked 
+        ? "Question updated successfully (saved as a new revision, past attempts keep the previous one)" 
+        : "Question updated successfully",
       question: updatedQuestion,
-      examStatus: exam.status // Include exam status in response for clarity
+      ...(locked && { revisionOf: id }),
+      examStatus: exam.status, // Include exam status in response for clarity
+      ...(versionChange && { examVersion: versionChange.version.version })
     });
     
   } catch (error) {
@@ -281,8 +690,16 @@ const exportQuestions = async (req, res) => {
       return res.status(404).json({ message: "Exam not found" });
     }
 
-    // Get all questions for the exam
-    const questions = await Question.find({ examId }).populate('examId', 'title description');
+    // Exports include the answer keys
+    if (!examReview.getReviewRole(req.user, exam).canComment) {
+      return res.status(403).json({ message: "Only the exam's creator, reviewers or an admin can export its questions" });
+    }
+
+    // Get all questions for the exam, including linked bank questions
+    const questions = await Question.find({
+      $or: [{ examId }, { _id: { $in: getFixedQuestionIds(exam) } }],
+      retiredAt: null
+    }).populate('examId', 'title description');
 
     if (!questions.length) {
       return res.status(404).json({ message: "No questions found for this exam" });
@@ -296,9 +713,13 @@ const exportQuestions = async (req, res) => {
         return exportAsCSV(res, questions, exam);
       case 'txt':
         return exportAsText(res, questions, exam);
+      case 'qti':
+        return exportAsQTI(res, questions, exam);
+      case 'moodle':
+        return exportAsMoodleXML(res, questions, exam);
       default:
         return res.status(400).json({ 
-          message: "Unsupported format. Supported formats: json, csv, txt" 
+          message: "Unsupported format. Supported formats: json, csv, txt, qti, moodle" 
         });
     }
 
@@ -325,7 +746,49 @@ const exportAsJSON = (res, questions, exam) => {
       type: q.type,
       questionText: q.questionText,
       options: q.options || [],
-      correctAnswer: q.correctAnswer
+      correctAnswer: q.correctAnswer,
+      marks: q.marks ?? 1,
+      negativeMarks: q.negativeMarks || 0,
+      ...(q.type === 'MultiSelect' && {
+        correctAnswers: q.correctAnswers,
+        scoringMethod: q.scoringMethod
+      }),
+      ...(q.type === 'ShortAnswer' && {
+        acceptedAnswers: q.acceptedAnswers || [],
+        caseSensitive: q.caseSensitive,
+        answerPatterns: q.answerPatterns || [],
+        keywords: q.keywords || [],
+        reviewUnmatched: q.reviewUnmatched
+      }),
+      ...(q.type === 'Numeric' && {
+        variables: q.variables || [],
+        formula: q.formula,
+        tolerance: q.tolerance || 0,
+        toleranceType: q.toleranceType || 'absolute'
+      }),
+      ...(q.type === 'Matching' && {
+        pairs: q.pairs || [],
+        distractors: q.distractors || [],
+        scoringMethod: q.scoringMethod
+      }),
+      ...(q.type === 'Ordering' && {
+        items: q.items || [],
+        scoringMethod: q.scoringMethod
+      }),
+      ...(q.type === 'Cloze' && {
+        blanks: q.blanks || [],
+        caseSensitive: q.caseSensitive,
+        scoringMethod: q.scoringMethod
+      }),
+      ...(q.type === 'Practical' && {
+        language: q.language,
+        starterCode: q.starterCode,
+        testCases: q.testCases || [],
+        timeLimitMs: q.timeLimitMs,
+        memoryLimitMb: q.memoryLimitMb
+      }),
+      explanation: q.explanation || '',
+      ...(q.optionFeedback?.length && { optionFeedback: q.optionFeedback })
     })),
     totalQuestions: questions.length
   };
@@ -349,7 +812,19 @@ const exportAsCSV = (res, questions, exam) => {
     ].map(opt => `"${(opt || '').replace(/"/g, '""')}"`).join(',');
     
     const questionText = `"${q.questionText.replace(/"/g, '""')}"`;
-    const correctAnswer = `"${q.correctAnswer.replace(/"/g, '""')}"`;
+    // Multiple-select correct options, matching pairs ("prompt -> match"), ordering items
+    // and the first answer of each cloze blank are joined with '|'
+    let correctValue = q.correctAnswer || '';
+    if (q.type === 'MultiSelect') {
+      correctValue = (q.correctAnswers || []).join('|');
+    } else if (q.type === 'Matching') {
+      correctValue = (q.pairs || []).map(pair => `${pair.prompt} -> ${pair.match}`).join('|');
+    } else if (q.type === 'Ordering') {
+      correctValue = (q.items || []).join('|');
+    } else if (q.type === 'Cloze') {
+      correctValue = (q.blanks || []).map(blank => blank.answers[0]).join('|');
+    }
+    const correctAnswer = `"${correctValue.replace(/"/g, '""')}"`;
     
     csvContent += `${q._id},${q.type},${questionText},${optionsCsv},${correctAnswer}\n`;
   });
@@ -378,7 +853,56 @@ const exportAsText = (res, questions, exam) => {
       });
     }
     
-    textContent += `CORRECT ANSWER: ${q.correctAnswer}\n`;
+    if (q.type === 'MultiSelect') {
+      textContent += `CORRECT ANSWERS: ${(q.correctAnswers || []).join(', ')}\n`;
+      textContent += `SCORING: ${q.scoringMethod || 'all-or-nothing'}\n`;
+    } else if (q.type === 'Numeric' && q.formula) {
+      (q.variables || []).forEach(variable => {
+        textContent += `VARIABLE ${variable.name}: ${variable.min} to ${variable.max} step ${variable.step || 1}\n`;
+      });
+      textContent += `FORMULA: ${q.formula}\n`;
+    } else if (q.type === 'Matching') {
+      textContent += `PAIRS:\n`;
+      (q.pairs || []).forEach(pair => {
+        textContent += `  ${pair.prompt} -> ${pair.match}\n`;
+      });
+      if (q.distractors && q.distractors.length > 0) {
+        textContent += `DISTRACTORS: ${q.distractors.join(', ')}\n`;
+      }
+    } else if (q.type === 'Ordering') {
+      textContent += `CORRECT ORDER:\n`;
+      (q.items || []).forEach((item, itemIndex) => {
+        textContent += `  ${itemIndex + 1}. ${item}\n`;
+      });
+    } else if (q.type === 'Cloze') {
+      (q.blanks || []).forEach((blank, blankIndex) => {
+        textContent += `BLANK ${blankIndex + 1}: ${blank.answers.join(' / ')}${blank.options?.length ? ` (options: ${blank.options.join(', ')})` : ''}\n`;
+      });
+    } else if (q.type === 'Practical') {
+      textContent += `LANGUAGE: ${q.language}\n`;
+      (q.testCases || []).forEach((testCase, testIndex) => {
+        textContent += `TEST ${testIndex + 1}${testCase.hidden ? ' (hidden)' : ''}: input ${JSON.stringify(testCase.input)} -> ${JSON.stringify(testCase.expectedOutput)}\n`;
+      });
+    } else {
+      textContent += `CORRECT ANSWER: ${q.correctAnswer}\n`;
+    }
+    if (structuredQuestions.isStructured(q.type)) {
+      textContent += `SCORING: ${q.scoringMethod || 'all-or-nothing'}\n`;
+    }
+    if (q.type === 'Numeric' && q.tolerance > 0) {
+      textContent += `TOLERANCE: ${q.tolerance}${q.toleranceType === 'relative' ? '%' : ''}\n`;
+    }
+    if (q.type === 'ShortAnswer') {
+      if (q.acceptedAnswers && q.acceptedAnswers.length > 0) {
+        textContent += `ALSO ACCEPTED: ${q.acceptedAnswers.join(', ')}\n`;
+      }
+      if (q.answerPatterns && q.answerPatterns.length > 0) {
+        textContent += `PATTERNS: ${q.answerPatterns.join(', ')}\n`;
+      }
+      if (q.keywords && q.keywords.length > 0) {
+        textContent += `KEYWORDS: ${q.keywords.join(', ')}\n`;
+      }
+    }
     textContent += `${'-'.repeat(30)}\n\n`;
   });
 
@@ -387,11 +911,640 @@ const exportAsText = (res, questions, exam) => {
   res.status(200).send(textContent);
 };
 
+// Report questions that an interchange format can't hold instead of dropping them silently
+const setUnsupportedHeader = (res, unsupported) => {
+  if (unsupported.length > 0) {
+    console.log(`Export skipped ${unsupported.length} unsupported questions:`, unsupported.map(item => `${item.questionId} (${item.type})`).join(', '));
+    res.setHeader('X-Unsupported-Questions', unsupported.map(item => `${item.questionId}:${item.type}`).join(','));
+  }
+};
+
+// Export as an IMS QTI 2.1 content package (ZIP)
+const exportAsQTI = (res, questions, exam) => {
+  const { content, unsupported } = questionInterchange.exportQtiPackage(questions, exam);
+
+  setUnsupportedHeader(res, unsupported);
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="questions_${exam.title.replace(/\s+/g, '_')}_${Date.now()}_qti.zip"`);
+  res.status(200).send(content);
+};
+
+// Export as Moodle XML
+const exportAsMoodleXML = (res, questions, exam) => {
+  const { content, unsupported } = questionInterchange.exportMoodleXml(questions, exam);
+
+  setUnsupportedHeader(res, unsupported);
+  res.setHeader('Content-Type', 'application/xml');
+  res.setHeader('Content-Disposition', `attachment; filename="questions_${exam.title.replace(/\s+/g, '_')}_${Date.now()}_moodle.xml"`);
+  res.status(200).send(content);
+};
+
+// Import questions from a CSV/JSON file (export layout), a Moodle GIFT or Moodle XML file, or a QTI 2.1 package
+// The file is sent as the raw request body (?format=csv|json|gift|moodle|qti), or as { format, content } JSON
+// (binary QTI packages in JSON bodies are sent base64-encoded with encoding: "base64")
+// With ?dryRun=true every row is validated and reported without saving anything
+const importQuestions = async (req, res) => {
+  try {
+    const { examId } = req.params;
+    const body = req.body;
+    const isRawBody = typeof body === "string" || Buffer.isBuffer(body);
+    const options = isRawBody ? req.query : { ...req.query, ...body };
+
+    const format = String(options.format || questionImport.detectFormat(req.headers["content-type"]) || "").toLowerCase();
+    const dryRun = options.dryRun === true || options.dryRun === "true";
+    const skipInvalid = options.skipInvalid === true || options.skipInvalid === "true";
+
+    if (!questionImport.IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ 
+        message: `Format must be one of ${questionImport.IMPORT_FORMATS.join(', ')}` 
+      });
+    }
+
+    // Raw file body, { content } JSON, or an exported JSON file posted as-is
+    // QTI packages stay binary, every other format is text
+    let content;
+    if (isRawBody) {
+      content = Buffer.isBuffer(body) && format !== "qti" ? body.toString("utf8") : body;
+    } else if (typeof body?.content === "string") {
+      content = body.encoding === "base64" ? Buffer.from(body.content, "base64") : body.content;
+      if (format !== "qti" && Buffer.isBuffer(content)) {
+        content = content.toString("utf8");
+      }
+    } else if (format === "json" && (Array.isArray(body) || Array.isArray(body?.questions))) {
+      content = body;
+    }
+
+    if (!content || content.length === 0 || (typeof content === "string" && content.trim() === "")) {
+      return res.status(400).json({ message: "Import file content is empty" });
+    }
+
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+
+    const rows = questionImport.parseQuestionFile(format, content);
+    if (rows.length > questionImport.MAX_IMPORT_ROWS) {
+      return res.status(400).json({ 
+        message: `An import can contain at most ${questionImport.MAX_IMPORT_ROWS} questions (found ${rows.length})` 
+      });
+    }
+
+    // Validate every row the same way addQuestion does, then against the schema
+    const errors = [];
+    const validRows = [];
+    rows.forEach(row => {
+      const location = { row: row.row, line: row.line, ...(row.file && { file: row.file }) };
+      if (row.error) {
+        errors.push({ ...location, message: row.error });
+        return;
+      }
+
+      const validationError = validateQuestionData(row.data);
+      if (validationError) {
+        errors.push({ ...location, message: validationError });
+        return;
+      }
+
+      const questionDoc = buildQuestionDoc(exam._id, row.data);
+      const schemaError = new Question(questionDoc).validateSync();
+      if (schemaError) {
+        errors.push({ ...location, message: Object.values(schemaError.errors).map(e => e.message).join("; ") });
+        return;
+      }
+
+      validRows.push({ ...location, questionDoc });
+    });
+
+    const report = {
+      format,
+      dryRun,
+      total: rows.length,
+      valid: validRows.length,
+      invalid: errors.length,
+      errors,
+      preview: validRows.slice(0, 20).map(({ row, line, file, questionDoc }) => ({
+        row,
+        line,
+        ...(file && { file }),
+        type: questionDoc.type,
+        questionText: questionDoc.questionText
+      }))
+    };
+
+    console.log(`Import into exam ${examId} (${format}): ${validRows.length} valid, ${errors.length} invalid${dryRun ? ' (dry run)' : ''}`);
+
+    if (dryRun) {
+      return res.status(200).json({ message: "Dry run completed, nothing was imported", ...report });
+    }
+
+    if (errors.length > 0 && !skipInvalid) {
+      return res.status(400).json({ 
+        message: "Import contains invalid questions, nothing was imported. Fix them or pass skipInvalid=true.", 
+        ...report 
+      });
+    }
+
+    if (validRows.length === 0) {
+      return res.status(400).json({ message: "No valid questions to import", ...report });
+    }
+
+    // Record the published state before changing it (exams published before versioning)
+    await examVersioning.ensurePublishedVersion(exam, req.user._id);
+
+    // Insert all questions at once, then add them to the exam sections in a single update
+    const insertedQuestions = await Question.insertMany(validRows.map(row => row.questionDoc));
+
+    const sectionPush = {};
+    insertedQuestions.forEach(question => {
+      const path = `sections.${getSectionKey(question.type)}`;
+      if (!sectionPush[path]) {
+        sectionPush[path] = { $each: [] };
+      }
+      sectionPush[path].$each.push(question._id);
+    });
+
+    try {
+      await Exam.updateOne({ _id: exam._id }, { $push: sectionPush });
+    } catch (updateError) {
+      // Don't leave questions behind that aren't part of the exam
+      await Question.deleteMany({ _id: { $in: insertedQuestions.map(question => question._id) } });
+      throw updateError;
+    }
+
+    const countOf = (section) => sectionPush[`sections.${section}`]?.$each.length || 0;
+
+    // Importing into a published exam creates a new version
+    const updatedExam = await Exam.findById(exam._id);
+    const versionChange = await examVersioning.recordExamChange(
+      updatedExam, req.user._id, `${insertedQuestions.length} question(s) imported (${format})`
+    );
+
+    res.status(201).json({
+      message: `${insertedQuestions.length} questions imported successfully`,
+      ...report,
+      imported: insertedQuestions.length,
+      summary: {
+        mcqs: countOf("mcqs"),
+        shortAnswers: countOf("shortAnswers"),
+        practicals: countOf("practicals"),
+        examId
+      },
+      ...(versionChange && { examVersion: versionChange.version.version })
+    });
+
+  } catch (error) {
+    console.error("Error importing questions:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Admins and the exam's creator change which questions an exam uses
+const canManageExam = (req, exam) =>
+  req.user.role === "admin" || (exam.createdBy && exam.createdBy.toString() === req.user._id.toString());
+
+// Search the question bank by text, tags, topics, type, difficulty, author and usage
+const searchBankQuestions = async (req, res) => {
+  try {
+    const { filter, error } = questionBank.buildBankFilter(req.query);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const options = questionBank.readSearchOptions(req.query);
+    if (options.error) {
+      return res.status(400).json({ message: options.error });
+    }
+
+    const { questions, total } = await questionBank.searchBank(filter, options);
+
+    res.status(200).json({
+      message: "Bank questions retrieved successfully",
+      page: options.page,
+      limit: options.limit,
+      total,
+      totalPages: Math.ceil(total / options.limit),
+      questions
+    });
+  } catch (error) {
+    console.error("Error searching the question bank:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Add questions to the bank, they can then be linked into any number of exams
+const createBankQuestions = async (req, res) => {
+  try {
+    const { questions, question } = req.body;
+
+    // Handle both single question object and multiple questions array
+    let questionsToProcess = [];
+    if (questions && Array.isArray(questions)) {
+      questionsToProcess = questions;
+    } else if (question && typeof question === 'object') {
+      questionsToProcess = [question];
+    } else {
+      return res.status(400).json({ 
+        message: "Please provide either 'question' object or 'questions' array" 
+      });
+    }
+
+    if (questionsToProcess.length === 0) {
+      return res.status(400).json({ message: "At least one question is required" });
+    }
+
+    for (let i = 0; i < questionsToProcess.length; i++) {
+      const validationError = validateQuestionData(questionsToProcess[i]) ||
+        questionBank.readBankInput(questionsToProcess[i]).error;
+      if (validationError) {
+        return res.status(400).json({ 
+          message: `Question ${i + 1}: ${validationError}` 
+        });
+      }
+    }
+
+    const createdQuestions = await Question.insertMany(questionsToProcess.map(questionData => ({
+      ...buildQuestionDoc(undefined, questionData),
+      ...questionBank.readBankInput(questionData).values,
+      bank: true,
+      createdBy: req.user._id
+    })));
+
+    res.status(201).json({
+      message: createdQuestions.length === 1
+        ? "Question added to the bank successfully"
+        : `${createdQuestions.length} questions added to the bank successfully`,
+      questions: createdQuestions
+    });
+  } catch (error) {
+    console.error("Error creating bank questions:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Get a bank question and the exams that use it
+const getBankQuestion = async (req, res) => {
+  try {
+    const question = await Question.findOne({ _id: req.params.id, bank: true })
+      .populate("createdBy", "username firstName lastName");
+    if (!question) {
+      return res.status(404).json({ message: "Bank question not found" });
+    }
+
+    const exams = await questionBank.findLinkedExams(question._id, "title status createdBy");
+
+    res.status(200).json({
+      question,
+      usageCount: exams.length,
+      exams
+    });
+  } catch (error) {
+    console.error("Error getting bank question:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Edit a bank question once for every exam that uses it
+const updateBankQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const question = await Question.findOne({ _id: id, bank: true });
+    if (!question) {
+      return res.status(404).json({ message: "Bank question not found" });
+    }
+
+    if (question.retiredAt) {
+      return res.status(400).json({ 
+        message: "This question was replaced by a newer revision and can't be edited",
+        retiredAt: question.retiredAt
+      });
+    }
+
+    const isAdmin = req.user.role === "admin";
+    if (!isAdmin && (!question.createdBy || question.createdBy.toString() !== req.user._id.toString())) {
+      return res.status(403).json({ message: "Only the question's author or an admin can edit a bank question" });
+    }
+
+    // Apply the edits to the question (not saved yet)
+    const editError = applyQuestionEdits(question, req.body);
+    if (editError) {
+      return res.status(400).json({ message: editError });
+    }
+    // Topics, tags and difficulty only organise the bank, they don't change the question
+    const contentChanged = question.isModified();
+    const bankInput = questionBank.readBankInput(req.body);
+    if (bankInput.error) {
+      return res.status(400).json({ message: bankInput.error });
+    }
+    Object.assign(question, bankInput.values);
+
+    const exams = contentChanged ? await questionBank.findLinkedExams(question._id) : [];
+    for (const exam of exams) {
+      // Record the published state before changing it (exams published before versioning)
+      await examVersioning.ensurePublishedVersion(exam, req.user._id);
+    }
+
+    // A locked question gets one revision, which replaces it in every exam that uses it
+    let updatedQuestion;
+    const locked = contentChanged && await examVersioning.isQuestionLocked(question._id);
+    if (locked) {
+      updatedQuestion = await examVersioning.createRevision(question);
+    } else {
+      updatedQuestion = await question.save();
+    }
+
+    const examChanges = [];
+    for (const exam of exams) {
+      // Same as editing an exam's own question: a non-admin edit sends approved
+      // and published exams back to review, once the edit is saved
+      const reverted = !isAdmin && !["PENDING", "DRAFT"].includes(exam.status);
+      if (reverted) {
+        console.log(`Reverting exam ${exam._id} status from ${exam.status} to PENDING due to bank question update by non-admin`);
+        examReview.startReviewRound(exam, req.user._id, `Bank question ${id} edited`);
+      }
+      let versionChange = null;
+      if (locked) {
+        examVersioning.replaceInSections(exam, question._id, { _id: updatedQuestion._id, sectionKey: getSectionKey(question.type) });
+      }
+      if (reverted || locked) {
+        await exam.save();
+      }
+      if (locked) {
+        versionChange = await examVersioning.recordExamChange(exam, req.user._id, `Bank question ${id} revised`);
+      }
+      examChanges.push({
+        _id: exam._id,
+        title: exam.title,
+        status: exam.status,
+        ...(versionChange && { examVersion: versionChange.version.version })
+      });
+    }
+
+    res.status(200).json({ 
+      message: locked 
+        ? "Question updated successfully (saved as a new revision, past attempts keep the previous one)" 
+        : "Question updated successfully",
+      question: updatedQuestion,
+      ...(locked && { revisionOf: id }),
+      exams: examChanges
+    });
+  } catch (error) {
+    console.error("Error updating bank question:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Edit a question of a question pool
+// Exams draw from the pool when attempts start, so a locked question gets a revision
+// that replaces it in later draws, while past attempts keep the old one
+const updatePoolQuestion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const question = await Question.findOne({ _id: id, poolId: { $ne: null } });
+    if (!question) {
+      return res.status(404).json({ message: "Pool question not found" });
+    }
+
+    const pool = await QuestionPool.findById(question.poolId);
+    if (!pool) {
+      return res.status(404).json({ message: "Question pool not found" });
+    }
+
+    if (req.user.role !== "admin" && (!pool.createdBy || pool.createdBy.toString() !== req.user._id.toString())) {
+      return res.status(403).json({ message: "Only the pool's creator or an admin can edit its questions" });
+    }
+
+    if (question.retiredAt) {
+      return res.status(400).json({ 
+        message: "This question was replaced by a newer revision and can't be edited",
+        retiredAt: question.retiredAt
+      });
+    }
+
+    // Apply the edits to the question (not saved yet)
+    const editError = applyQuestionEdits(question, req.body);
+    if (editError) {
+      return res.status(400).json({ message: editError });
+    }
+
+    // Draws select pool questions by tags and difficulty
+    const { tags, difficulty } = req.body;
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || !tags.every(tag => typeof tag === "string")) {
+        return res.status(400).json({ message: "'tags' must be an array of strings" });
+      }
+      question.tags = tags;
+    }
+    if (difficulty !== undefined) {
+      if (!["easy", "medium", "hard"].includes(difficulty)) {
+        return res.status(400).json({ message: "Difficulty must be one of easy, medium, hard" });
+      }
+      question.difficulty = difficulty;
+    }
+
+    let updatedQuestion;
+    const locked = question.isModified() && await examVersioning.isQuestionLocked(question._id);
+    if (locked) {
+      updatedQuestion = await examVersioning.createRevision(question);
+    } else {
+      updatedQuestion = await question.save();
+    }
+
+    res.status(200).json({ 
+      message: locked 
+        ? "Question updated successfully (saved as a new revision, past attempts keep the previous one)" 
+        : "Question updated successfully",
+      question: updatedQuestion,
+      ...(locked && { revisionOf: id })
+    });
+  } catch (error) {
+    console.error("Error updating pool question:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Move an exam's question into the bank, the exam keeps using it
+const addQuestionToBank = async (req, res) => {
+  try {
+    const question = await Question.findById(req.params.id);
+    if (!question) {
+      return res.status(404).json({ message: "Question not found" });
+    }
+
+    if (question.bank) {
+      return res.status(400).json({ message: "The question is already in the bank" });
+    }
+    if (question.poolId || !question.examId) {
+      return res.status(400).json({ message: "Only questions of an exam can be added to the bank" });
+    }
+    if (question.retiredAt) {
+      return res.status(400).json({ message: "Retired questions can't be added to the bank" });
+    }
+    if (question.groupId) {
+      return res.status(400).json({ message: "Questions of a passage group can't be added to the bank, remove them from the group first" });
+    }
+
+    const exam = await Exam.findById(question.examId);
+    if (!exam) {
+      return res.status(404).json({ message: "Associated exam not found" });
+    }
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only the exam's creator or an admin can add its questions to the bank" });
+    }
+
+    const bankInput = questionBank.readBankInput(req.body);
+    if (bankInput.error) {
+      return res.status(400).json({ message: bankInput.error });
+    }
+
+    // The question stays in the exam's sections, it just no longer belongs to the exam
+    Object.assign(question, bankInput.values);
+    question.bank = true;
+    question.createdBy = question.createdBy || exam.createdBy || req.user._id;
+    question.examId = undefined;
+    await question.save();
+
+    res.status(200).json({
+      message: "Question added to the bank",
+      question
+    });
+  } catch (error) {
+    console.error("Error adding question to the bank:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Use a bank question in an exam (added to the end of the section of its type)
+const linkBankQuestion = async (req, res) => {
+  try {
+    const { id, examId } = req.params;
+
+    const question = await Question.findOne({ _id: id, bank: true, retiredAt: null });
+    if (!question) {
+      return res.status(404).json({ message: "Bank question not found" });
+    }
+
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only the exam's creator or an admin can change its questions" });
+    }
+
+    // Record the published state before changing it (exams published before versioning)
+    await examVersioning.ensurePublishedVersion(exam, req.user._id);
+
+    if (!questionBank.linkToExam(exam, question._id, getSectionKey(question.type))) {
+      return res.status(400).json({ message: "The exam already uses this question" });
+    }
+    await exam.save();
+
+    // Linking a question into a published exam creates a new version
+    const versionChange = await examVersioning.recordExamChange(exam, req.user._id, `Bank question ${id} linked`);
+
+    res.status(201).json({
+      message: "Question linked to the exam",
+      questionId: question._id,
+      examId: exam._id,
+      ...(versionChange && { examVersion: versionChange.version.version })
+    });
+  } catch (error) {
+    console.error("Error linking bank question:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
+// Stop using a bank question in an exam, the question stays in the bank
+const unlinkBankQuestion = async (req, res) => {
+  try {
+    const { id, examId } = req.params;
+
+    const question = await Question.findOne({ _id: id, bank: true });
+    if (!question) {
+      return res.status(404).json({ message: "Bank question not found" });
+    }
+
+    const exam = await Exam.findById(examId);
+    if (!exam) {
+      return res.status(404).json({ message: "Exam not found" });
+    }
+    if (!canManageExam(req, exam)) {
+      return res.status(403).json({ message: "Only the exam's creator or an admin can change its questions" });
+    }
+
+    await examVersioning.ensurePublishedVersion(exam, req.user._id);
+
+    if (!examVersioning.replaceInSections(exam, question._id, null)) {
+      return res.status(404).json({ message: "The exam doesn't use this question" });
+    }
+    await exam.save();
+
+    const versionChange = await examVersioning.recordExamChange(exam, req.user._id, `Bank question ${id} unlinked`);
+
+    res.status(200).json({
+      message: "Question removed from the exam (it stays in the bank)",
+      questionId: question._id,
+      examId: exam._id,
+      ...(versionChange && { examVersion: versionChange.version.version })
+    });
+  } catch (error) {
+    console.error("Error unlinking bank question:", error);
+    res.status(500).json({ 
+      error: "Internal Server Error", 
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+};
+
 module.exports = { 
   addQuestion, 
   getQuestionsByExam, 
   deleteQuestion,
   getQuestionById,
   updateQuestion,
-  exportQuestions
+  exportQuestions,
+  importQuestions,
+  searchBankQuestions,
+  createBankQuestions,
+  getBankQuestion,
+  updateBankQuestion,
+  addQuestionToBank,
+  linkBankQuestion,
+  unlinkBankQuestion
 };
@@ -49,12 +49,43 @@ const certificateSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    examId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Exam'
+    },
+    attendanceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ExamAttendance'
+    },
+    // Set when a regrade turns the student's result into a fail; the certificate stays
+    // valid until an admin decides what to do with it
+    flaggedForReview: {
+        type: Boolean,
+        default: false
+    },
+    flaggedAt: {
+        type: Date
+    },
+    flagReason: {
+        type: String,
+        trim: true
+    },
+    flaggedByRegrade: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RegradeReport'
+    },
     createdAt: {
         type: Date,
         default: Date.now
     }
 });
 
+certificateSchema.index({ userId: 1, examId: 1 });
+
 // Create the model
 const Certificate = mongoose.model('Certificate', certificateSchema);
 
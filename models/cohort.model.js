@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A group of students (e.g. a batch) that exams can be assigned to
+const cohortSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Cohorts of a student, looked up on every exam listing
+cohortSchema.index({ members: 1 });
+
+const Cohort = mongoose.model("Cohort", cohortSchema);
+module.exports = Cohort;
@@ -33,7 +33,54 @@ const examSchema = new Schema({
         ref: "Question",
       },
     ],
+    practicals: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Question",
+      },
+    ],
   },
+  // Random draws from question pools, made once per attempt
+  poolDraws: [{
+    pool: {
+      type: Schema.Types.ObjectId,
+      ref: 'QuestionPool',
+      required: true
+    },
+    count: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    tags: {
+      type: [String],
+      default: []
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard']
+    }
+  }],
+  // Topic and difficulty distribution every attempt must have (see utils/examBlueprint.js)
+  blueprint: [{
+    _id: false,
+    topic: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true
+    },
+    // No difficulty: questions of any difficulty count
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard']
+    },
+    count: {
+      type: Number,
+      required: true,
+      min: 1
+    }
+  }],
   passingScore: {
     type: Number,
     default: 60,
@@ -47,6 +94,32 @@ const examSchema = new Schema({
     max: 10,
     required: true
   },
+  // Pass policy: which attempt counts towards the result and how retakes are handled
+  attemptScoring: {
+    type: String,
+    enum: ['best', 'latest', 'average'],
+    default: 'best'
+  },
+  blockRetakeAfterPass: {
+    type: Boolean,
+    default: true
+  },
+  retakeCooldownMinutes: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Show the options of each question in a different order in every attempt (see utils/optionShuffle.js)
+  shuffleOptions: {
+    type: Boolean,
+    default: true
+  },
+  // When students see explanations and option feedback in reviews (see utils/questionFeedback.js)
+  feedbackVisibility: {
+    type: String,
+    enum: ['never', 'after-attempt', 'after-pass-or-last-attempt'],
+    default: 'after-attempt'
+  },
   createdBy: {
     type: Schema.Types.ObjectId,
     ref: 'User',
@@ -70,6 +143,146 @@ const examSchema = new Schema({
   publishedAt: {
     type: Date,
     default: null
+  },
+  // Review workflow (see utils/examReview.js): approvals needed before the exam can be published
+  requiredApprovals: {
+    type: Number,
+    default: 1,
+    min: 1,
+    max: 10
+  },
+  // Current review round; approvals are reset when the exam is submitted again
+  review: {
+    round: {
+      type: Number,
+      default: 0
+    },
+    reviewers: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    approvals: [{
+      _id: false,
+      reviewer: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      approvedAt: Date,
+      comment: String
+    }],
+    submittedAt: Date,
+    submittedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // Reviewer comments, on the exam as a whole or on one of its questions
+  reviewComments: [{
+    round: Number,
+    questionId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Question',
+      default: null
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    text: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    resolved: {
+      type: Boolean,
+      default: false
+    },
+    resolvedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }],
+  // Every review action, oldest first
+  reviewHistory: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['SUBMITTED', 'REVIEWERS_ASSIGNED', 'COMMENTED', 'APPROVED', 'CHANGES_REQUESTED']
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    round: Number,
+    comment: String,
+    questionId: {
+      type: Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    reviewers: [{
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  }],
+  // Exams that must be passed before this one can be attempted (see utils/prerequisites.js)
+  prerequisites: [{
+    _id: false,
+    exam: {
+      type: Schema.Types.ObjectId,
+      ref: 'Exam',
+      required: true
+    },
+    // The prerequisite must have been passed within this many days (null: any time)
+    withinDays: {
+      type: Number,
+      default: null,
+      min: 1
+    }
+  }],
+  // Availability window (see utils/examSchedule.js); no window means always available while published
+  opensAt: {
+    type: Date,
+    default: null
+  },
+  closesAt: {
+    type: Date,
+    default: null
+  },
+  // IANA timezone the window was entered in and is displayed in
+  timezone: {
+    type: String,
+    default: 'UTC'
+  },
+  // Extra minutes attempts in progress at closesAt get to finish
+  closeGraceMinutes: {
+    type: Number,
+    default: 5,
+    min: 0,
+    max: 240
+  },
+  // When the scheduler published/unpublished the current window (reset when the window changes)
+  scheduledPublishAt: {
+    type: Date,
+    default: null
+  },
+  scheduledUnpublishAt: {
+    type: Date,
+    default: null
+  },
+  // Latest published snapshot (ExamVersion); 0 until the exam is first published
+  currentVersion: {
+    type: Number,
+    default: 0
   }
 }, { 
   timestamps: true 
@@ -77,7 +290,9 @@ const examSchema = new Schema({
 
 // Virtual for calculating total questions
 examSchema.virtual('totalQuestions').get(function() {
-  return this.sections.mcqs.length;
+  const drawnCount = (this.poolDraws || []).reduce((sum, draw) => sum + draw.count, 0);
+  return this.sections.mcqs.length + (this.sections.shortAnswers || []).length +
+    (this.sections.practicals || []).length + drawnCount;
 });
 
 // Pre-save hook to update the updatedAt field
@@ -86,5 +301,9 @@ examSchema.pre('save', function(next) {
   next();
 });
 
+// Scheduler lookups of windows to open and close
+examSchema.index({ status: 1, opensAt: 1 });
+examSchema.index({ status: 1, closesAt: 1 });
+
 const Exam = mongoose.model("Exam", examSchema);
 module.exports = Exam;
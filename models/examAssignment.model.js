@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+// Assignment of an exam to a cohort or to a single student, with optional per-assignment
+// overrides of the exam's window and attempt limit
+const examAssignmentSchema = new mongoose.Schema({
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Exam",
+    required: true
+  },
+  // Exactly one of cohortId and userId is set
+  cohortId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Cohort",
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null
+  },
+  overrides: {
+    opensAt: {
+      type: Date,
+      default: null
+    },
+    closesAt: {
+      type: Date,
+      default: null
+    },
+    closeGraceMinutes: {
+      type: Number,
+      default: null,
+      min: 0,
+      max: 240
+    },
+    // Attempts allowed on top of the exam's maxAttempts
+    extraAttempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 10
+    }
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+examAssignmentSchema.pre('validate', function(next) {
+  if (Boolean(this.cohortId) === Boolean(this.userId)) {
+    return next(new Error('An exam assignment needs either a cohort or a user'));
+  }
+  next();
+});
+
+// One assignment per exam and cohort / exam and student
+examAssignmentSchema.index({ examId: 1, cohortId: 1 }, {
+  unique: true,
+  partialFilterExpression: { cohortId: { $type: 'objectId' } }
+});
+examAssignmentSchema.index({ examId: 1, userId: 1 }, {
+  unique: true,
+  partialFilterExpression: { userId: { $type: 'objectId' } }
+});
+examAssignmentSchema.index({ userId: 1 });
+examAssignmentSchema.index({ cohortId: 1 });
+
+const ExamAssignment = mongoose.model("ExamAssignment", examAssignmentSchema);
+module.exports = ExamAssignment;
@@ -18,6 +18,10 @@ const examAttendanceSchema = new mongoose.Schema({
   endTime: {
     type: Date,
   },
+  // Server-side deadline (startTime + exam duration), answers are refused after it
+  deadline: {
+    type: Date,
+  },
   totalQuestions: {
     type: Number,
     default: 0
@@ -30,6 +34,10 @@ const examAttendanceSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Sum of the marks of the attempt's questions; older attempts count one mark per question
+  maxScore: {
+    type: Number,
+  },
   status: {
     type: String,
     enum: ["IN_PROGRESS", "COMPLETED", "TIMED_OUT", "SUSPENDED", "SUSPICIOUS_ACTIVITY"],
@@ -49,14 +57,85 @@ const examAttendanceSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "Question",
       },
+      // A string for single-answer questions, an array of options for multiple-select
       selectedAnswer: {
-        type: String,
+        type: mongoose.Schema.Types.Mixed,
       },
       isCorrect: {
         type: Boolean,
       },
+      // Share of the question's marks earned (0-1), partial for multiple-select
+      credit: {
+        type: Number,
+      },
+      // No credit, but some right selections or entries: not penalised by negative marks
+      partlyRight: {
+        type: Boolean,
+      },
+      // The question's marks and negative marks when the attempt was graded
+      marks: {
+        type: Number,
+      },
+      negativeMarks: {
+        type: Number,
+      },
+      // Answer couldn't be graded automatically and waits in the grading queue
+      needsReview: {
+        type: Boolean,
+        default: false,
+      },
+      // Practical answer whose code hasn't been run yet (see utils/practicalGrading.js);
+      // also needsReview, so the result waits for it, but graders don't see it
+      pendingRun: {
+        type: Boolean,
+      },
+      gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      gradedAt: {
+        type: Date,
+      },
+      feedback: {
+        type: String,
+      },
+      // Set by regrades: when and with which question revision's answer key
+      regradedAt: {
+        type: Date,
+      },
+      answerKeyQuestionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Question",
+      },
+      // Per-test outcome of a practical (coding) answer
+      testResults: [
+        {
+          testIndex: Number,
+          hidden: Boolean,
+          status: {
+            type: String,
+            enum: ["PASSED", "FAILED", "TIME_LIMIT", "MEMORY_LIMIT", "OUTPUT_LIMIT", "RUNTIME_ERROR", "RUNNER_ERROR"],
+          },
+          passed: Boolean,
+          durationMs: Number,
+          // Program output, only kept for visible test cases
+          output: String,
+          error: String,
+        },
+      ],
     },
   ],
+  // PENDING_REVIEW until every answer in the grading queue has been graded;
+  // results and certificates wait until grading is COMPLETE
+  gradingStatus: {
+    type: String,
+    enum: ["COMPLETE", "PENDING_REVIEW"],
+    default: "COMPLETE",
+  },
+  // When a practical grading run claimed the attempt's pending runs
+  practicalRunStartedAt: {
+    type: Date,
+  },
   lastUpdated: {
     type: Date,
     default: Date.now,
@@ -65,6 +144,27 @@ const examAttendanceSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  // Exam version the attempt was taken on (see ExamVersion)
+  examVersion: {
+    type: Number,
+  },
+  // Seed of the attempt's option order (see utils/optionShuffle.js); null keeps authored order
+  optionSeed: {
+    type: String,
+    default: null
+  },
+  // Values drawn for the attempt's template questions (see utils/questionVariants.js),
+  // copied from the attempt state when the attempt is graded
+  variants: {
+    type: [
+      {
+        _id: false,
+        questionId: mongoose.Schema.Types.ObjectId,
+        values: mongoose.Schema.Types.Mixed
+      }
+    ],
+    default: []
+  },
   // Cheating detection fields
   cheatDetected: {
     type: Boolean,
@@ -241,6 +341,8 @@ const examAttendanceSchema = new mongoose.Schema({
 });
 
 examAttendanceSchema.index({ examId: 1, userId: 1, attemptNumber: 1 }, { unique: true });
+// Practical grading sweep
+examAttendanceSchema.index({ "answers.pendingRun": 1 }, { sparse: true });
 
 const ExamAttendance = mongoose.model("ExamAttendance", examAttendanceSchema);
 
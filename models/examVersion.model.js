@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// Immutable snapshot of a published exam. Questions are referenced by ID: questions
+// of a version are never changed in place, so the snapshot keeps its meaning
+const examVersionSchema = new mongoose.Schema({
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Exam",
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // Exam settings at the time of the snapshot
+  settings: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  sections: {
+    mcqs: [{ type: mongoose.Schema.Types.ObjectId, ref: "Question" }],
+    shortAnswers: [{ type: mongoose.Schema.Types.ObjectId, ref: "Question" }],
+    practicals: [{ type: mongoose.Schema.Types.ObjectId, ref: "Question" }],
+  },
+  poolDraws: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  // All fixed questions of the version, used to find locked questions
+  questionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+  }],
+  reason: {
+    type: String,
+    default: "",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+examVersionSchema.index({ examId: 1, version: 1 }, { unique: true });
+examVersionSchema.index({ questionIds: 1 });
+
+const ExamVersion = mongoose.model("ExamVersion", examVersionSchema);
+module.exports = ExamVersion;
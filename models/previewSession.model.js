@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Author preview of an exam, taken like an attempt but never recorded (see utils/examPreview.js)
+const previewSessionSchema = new mongoose.Schema(
+  {
+    previewId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    examId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exam',
+      required: true
+    },
+    // Question order drawn for the preview
+    questionIds: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+    // Values drawn for the preview's template questions
+    variants: {
+      type: [
+        {
+          _id: false,
+          questionId: mongoose.Schema.Types.ObjectId,
+          values: mongoose.Schema.Types.Mixed
+        }
+      ],
+      default: []
+    },
+    optionSeed: {
+      type: String,
+      default: null
+    },
+    // Answers keyed by question ID
+    answers: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    flaggedQuestionIds: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+    currentPage: {
+      type: Number,
+      default: 1
+    },
+    startTime: {
+      type: Date,
+      required: true
+    },
+    deadline: {
+      type: Date,
+      required: true
+    },
+    // Removed by MongoDB once this passes
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  { minimize: false }
+);
+
+previewSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// Sessions of an author, newest first (used to cap them)
+previewSessionSchema.index({ userId: 1, startTime: -1 });
+
+const PreviewSession = mongoose.model('PreviewSession', previewSessionSchema);
+module.exports = PreviewSession;
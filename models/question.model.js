@@ -4,11 +4,41 @@ const questionSchema = new mongoose.Schema({
   examId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Exam",
-    required: true,
+    // Pool questions are drawn into attempts and bank questions are linked into any
+    // number of exams, neither belongs to a single exam
+    required: function () {
+      return !this.poolId && !this.bank;
+    },
+  },
+  poolId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "QuestionPool",
+  },
+  // Passage group: the question is shown with the group's shared stimulus
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "QuestionGroup",
+  },
+  // Question bank: reusable questions, linked into the sections of the exams that use them
+  bank: {
+    type: Boolean,
+    default: false,
+  },
+  topics: {
+    type: [String],
+    default: [],
+  },
+  tags: {
+    type: [String],
+    default: [],
+  },
+  difficulty: {
+    type: String,
+    enum: ["easy", "medium", "hard"],
   },
   type: {
     type: String,
-    enum: ["MCQ", "ShortAnswer", "Practical"],
+    enum: ["MCQ", "MultiSelect", "ShortAnswer", "Numeric", "Practical", "Matching", "Ordering", "Cloze"],
     required: true,
   },
   questionText: {
@@ -18,20 +48,215 @@ const questionSchema = new mongoose.Schema({
   options: {
     type: [String],
     required: function () {
-      return this.type === "MCQ"; 
+      return this.type === "MCQ" || this.type === "MultiSelect"; 
     },
     validate: {
       validator: function (v) {
-        return this.type === "MCQ" ? v.length > 1 : true;
+        return this.type === "MCQ" || this.type === "MultiSelect" ? v.length > 1 : true;
       },
       message: "MCQs must have at least two options.",
     },
   },
   correctAnswer: {
     type: String,
-    required: true,
+    // Multiple-select questions use correctAnswers, practical questions are graded by test cases
+    // numeric templates compute their answer per attempt from the formula and matching,
+    // ordering and cloze questions keep their answers in pairs, items and blanks
+    required: function () {
+      return !["MultiSelect", "Practical", "Matching", "Ordering", "Cloze"].includes(this.type) &&
+        !(this.type === "Numeric" && this.formula);
+    },
+  },
+  // Set of correct options for multiple-select ("select all that apply") questions
+  correctAnswers: {
+    type: [String],
+    default: undefined,
+    validate: {
+      validator: function (v) {
+        if (this.type !== "MultiSelect") return true;
+        return Array.isArray(v) && v.length > 0 && v.every(answer => (this.options || []).includes(answer));
+      },
+      message: "Multiple-select questions need at least one correct answer, and every correct answer must be one of the options.",
+    },
+  },
+  // How partial answers of multiple-select, matching, ordering and cloze questions are scored
+  scoringMethod: {
+    type: String,
+    enum: ["all-or-nothing", "proportional", "right-minus-wrong"],
+    default: "all-or-nothing",
+  },
+  // Marks the question is worth, and marks lost for a wrong answer (unanswered questions cost nothing)
+  marks: {
+    type: Number,
+    default: 1,
+    min: 0,
+  },
+  negativeMarks: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Short-answer auto-grading rules (correctAnswer is always accepted)
+  acceptedAnswers: {
+    type: [String],
+    default: undefined,
+  },
+  caseSensitive: {
+    type: Boolean,
+    default: false,
+  },
+  // Regular expressions that mark an answer as correct
+  answerPatterns: {
+    type: [String],
+    default: undefined,
+  },
+  // Keywords that must all appear in a correct answer (some of them = needs review)
+  keywords: {
+    type: [String],
+    default: undefined,
+  },
+  // Send answers that match no rule to the grading queue instead of marking them wrong
+  reviewUnmatched: {
+    type: Boolean,
+    default: true,
+  },
+  // Numeric templates: variables drawn per attempt and shown in the text as {name},
+  // and the formula computing the answer from them (see utils/questionVariants.js)
+  variables: {
+    type: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        min: { type: Number, required: true },
+        max: { type: Number, required: true },
+        step: { type: Number, default: 1 },
+      },
+    ],
+    default: undefined,
+  },
+  formula: {
+    type: String,
+  },
+  // How far a numeric answer may be from the correct one, absolute or in percent of the
+  // correct answer (relative). Unset means exact answers
+  tolerance: {
+    type: Number,
+    min: 0,
+  },
+  toleranceType: {
+    type: String,
+    enum: ["absolute", "relative"],
+  },
+  // Matching questions: prompts and their matches, plus extra wrong matches (see utils/structuredQuestions.js)
+  pairs: {
+    type: [
+      {
+        _id: false,
+        prompt: { type: String, required: true },
+        match: { type: String, required: true },
+      },
+    ],
+    default: undefined,
+  },
+  distractors: {
+    type: [String],
+    default: undefined,
+  },
+  // Ordering questions: items in the correct order (students get them scrambled)
+  items: {
+    type: [String],
+    default: undefined,
+  },
+  // Cloze questions: accepted answers of each [[n]] blank of the text, and options for dropdown blanks
+  blanks: {
+    type: [
+      {
+        _id: false,
+        answers: { type: [String], required: true },
+        options: { type: [String], default: undefined },
+      },
+    ],
+    default: undefined,
+  },
+  // Practical (coding) questions: language, code shown to the student and test cases
+  language: {
+    type: String,
+    enum: ["javascript", "python"],
+    required: function () {
+      return this.type === "Practical";
+    },
+  },
+  starterCode: {
+    type: String,
+  },
+  testCases: {
+    type: [
+      {
+        input: { type: String, default: "" },
+        expectedOutput: { type: String, required: true },
+        // Hidden test cases are only used for grading, visible ones are shown as examples
+        hidden: { type: Boolean, default: true },
+        weight: { type: Number, default: 1, min: 0 },
+      },
+    ],
+    default: undefined,
+    validate: {
+      validator: function (v) {
+        return this.type !== "Practical" || (Array.isArray(v) && v.length > 0);
+      },
+      message: "Practical questions need at least one test case.",
+    },
+  },
+  // Markdown explanation shown when students review their answers
+  explanation: {
+    type: String,
+    default: "",
+  },
+  // Optional markdown feedback for individual options (keyed by the option text)
+  optionFeedback: {
+    type: [
+      {
+        _id: false,
+        option: { type: String, required: true },
+        feedback: { type: String, required: true },
+      },
+    ],
+    default: undefined,
+  },
+  // Per-run limits, defaults come from the code runner
+  timeLimitMs: {
+    type: Number,
+    min: 100,
+  },
+  memoryLimitMb: {
+    type: Number,
+    min: 16,
+  },
+  // Versioning: questions of a published version are never edited in place, an edit
+  // creates a revision and retires the previous question (past attempts keep pointing to it)
+  revisionOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+  },
+  originalQuestion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+  },
+  retiredAt: {
+    type: Date,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
   },
 });
 
+questionSchema.index({ poolId: 1, type: 1 });
+// Question bank search
+questionSchema.index({ bank: 1, retiredAt: 1, type: 1 });
+questionSchema.index({ bank: 1, tags: 1 });
+questionSchema.index({ bank: 1, topics: 1 });
+
 const Question = mongoose.model("Question", questionSchema);
 module.exports = Question;
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// Shared stimulus (passage, table or code snippet) of several questions of an exam.
+// Questions point to their group with groupId and are graded one by one
+const questionGroupSchema = new mongoose.Schema({
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Exam",
+    required: true
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: ""
+  },
+  // Markdown text, a markdown table or code, rendered by clients
+  stimulus: {
+    type: String,
+    required: true
+  },
+  stimulusType: {
+    type: String,
+    enum: ["text", "table", "code"],
+    default: "text"
+  },
+  // Language of a code stimulus, for highlighting
+  language: {
+    type: String
+  },
+  // Versioning: edits of a group used by a published version or an attempt create a new
+  // group, the previous one is retired and stays with the questions of past attempts
+  revisionOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "QuestionGroup"
+  },
+  retiredAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User"
+  }
+}, {
+  timestamps: true
+});
+
+questionGroupSchema.index({ examId: 1, retiredAt: 1 });
+
+const QuestionGroup = mongoose.model("QuestionGroup", questionGroupSchema);
+module.exports = QuestionGroup;
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const questionPoolSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    default: ""
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+const QuestionPool = mongoose.model("QuestionPool", questionPoolSchema);
+module.exports = QuestionPool;
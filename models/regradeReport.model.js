@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+
+// Audit record of a regrade: what was regraded, by whom, and every grade, result
+// and certificate that changed
+const regradeReportSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ["QUESTION", "EXAM"],
+    required: true,
+  },
+  examId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Exam",
+    required: true,
+  },
+  // Question the regrade was requested for (QUESTION scope)
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Question",
+  },
+  options: {
+    includeManual: { type: Boolean, default: false },
+    includePractical: { type: Boolean, default: false },
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  reason: {
+    type: String,
+    default: "",
+  },
+  // Regrades that rerun practical code run in the background: RUNNING until they finish.
+  // Their dry runs are stored too, as the report is the only way to read the result
+  status: {
+    type: String,
+    enum: ["RUNNING", "COMPLETE", "FAILED"],
+    default: "COMPLETE",
+  },
+  dryRun: {
+    type: Boolean,
+    default: false,
+  },
+  error: String,
+  summary: {
+    attemptsExamined: { type: Number, default: 0 },
+    attemptsChanged: { type: Number, default: 0 },
+    answersChanged: { type: Number, default: 0 },
+    answersSkipped: { type: Number, default: 0 },
+    studentsAffected: { type: Number, default: 0 },
+    newlyPassed: { type: Number, default: 0 },
+    newlyFailed: { type: Number, default: 0 },
+    certificatesIssued: { type: Number, default: 0 },
+    certificatesFlagged: { type: Number, default: 0 },
+  },
+  // Per-attempt grade changes
+  attempts: [{
+    _id: false,
+    attendanceId: { type: mongoose.Schema.Types.ObjectId, ref: "ExamAttendance" },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    attemptNumber: Number,
+    scoreBefore: Number,
+    scoreAfter: Number,
+    percentageBefore: Number,
+    percentageAfter: Number,
+    gradingStatusBefore: String,
+    gradingStatusAfter: String,
+    answers: [{
+      _id: false,
+      questionId: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+      answerKeyQuestionId: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+      isCorrectBefore: Boolean,
+      isCorrectAfter: Boolean,
+      creditBefore: Number,
+      creditAfter: Number,
+    }],
+  }],
+  // Per-student exam result changes and what happened to their certificate
+  students: [{
+    _id: false,
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    passedBefore: Boolean,
+    passedAfter: Boolean,
+    percentageBefore: Number,
+    percentageAfter: Number,
+    certificateAction: {
+      type: String,
+      enum: ["NONE", "ISSUED", "FLAGGED", "UNFLAGGED", "FAILED"],
+      default: "NONE",
+    },
+    certificateId: String,
+    error: String,
+  }],
+  // Answers that were left as they were, with the reason
+  skipped: [{
+    _id: false,
+    attendanceId: { type: mongoose.Schema.Types.ObjectId, ref: "ExamAttendance" },
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: "Question" },
+    reason: String,
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+regradeReportSchema.index({ examId: 1, createdAt: -1 });
+
+const RegradeReport = mongoose.model("RegradeReport", regradeReportSchema);
+module.exports = RegradeReport;
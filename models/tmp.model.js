@@ -17,14 +17,50 @@ const tmpExamStudentDataSchema = new mongoose.Schema(
       default: 1,
       required: true
     },
+    // Attendance record this state belongs to
+    attendanceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ExamAttendance'
+    },
+    // Question order served to the student for this attempt
     questionIds: {
       type: [mongoose.Schema.Types.Mixed],
       default: []
     },
+    // Values drawn for the attempt's template questions
+    variants: {
+      type: [
+        {
+          _id: false,
+          questionId: mongoose.Schema.Types.ObjectId,
+          values: mongoose.Schema.Types.Mixed
+        }
+      ],
+      default: []
+    },
+    // Answers and the time they were saved, aligned with questionIds
     answers: {
       type: [mongoose.Schema.Types.Mixed],
       default: []
     },
+    answeredAt: {
+      type: [Date],
+      default: []
+    },
+    // Questions the student marked for review
+    flaggedQuestionIds: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+    // Last page the student viewed, so another device resumes at the same place
+    currentPage: {
+      type: Number,
+      default: 1
+    },
+    lastActivityAt: {
+      type: Date,
+      default: Date.now
+    },
   },
   { timestamps: true }
 );
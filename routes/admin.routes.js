@@ -88,7 +88,9 @@ router.get("/active-exams",
 router.get("/exam/:examId/stats", 
   typeof getExamPassFailStats === 'function' ? getExamPassFailStats : fallbackFunction("getExamPassFailStats"));
 
-// Virtual machine management
+// Code runner status for practical exams
+router.get("/machines", 
+  typeof manageMachines === 'function' ? manageMachines : fallbackFunction("manageMachines"));
 router.post("/machines", 
   typeof manageMachines === 'function' ? manageMachines : fallbackFunction("manageMachines"));
 
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateUser } = require("../middlewares/auth.middleware");
+const { checkRole } = require("../middlewares/permissions.middleware");
+const cohortController = require("../controllers/cohorts.controller");
+
+// Define fallback for missing controller methods
+const fallback = (methodName) => (req, res) => 
+  res.status(501).json({ message: `${methodName} not implemented yet` });
+
+// Admin and teachers manage cohorts
+router.use(authenticateUser, checkRole(["admin", "teacher"]));
+
+router.get("/", 
+  cohortController.getAllCohorts || fallback("getAllCohorts"));
+
+router.post("/", 
+  cohortController.createCohort || fallback("createCohort"));
+
+router.get("/:id", 
+  cohortController.getCohortById || fallback("getCohortById"));
+
+router.put("/:id", 
+  cohortController.updateCohort || fallback("updateCohort"));
+
+// Only admin users can delete cohorts
+router.delete("/:id", checkRole("admin"), 
+  cohortController.deleteCohort || fallback("deleteCohort"));
+
+// Bulk membership from an email list ({ emails, mode: add | remove | replace })
+router.post("/:id/members", 
+  cohortController.updateCohortMembers || fallback("updateCohortMembers"));
+
+module.exports = router;
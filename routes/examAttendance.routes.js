@@ -6,6 +6,7 @@ const { blockPostman, blockPostmanLenient } = require("../middlewares/postmanBlo
 const {
   attendExam,
   submitAnswer,
+  flagQuestion,
   completeExam,
   getExamStatus,
   getExamResult,
@@ -17,9 +18,13 @@ const {
   adminGetAllUserHistory,
   reportCheating,
   getCheatingReports,
-  startMonitoring
+  startMonitoring,
+  previewExam,
+  submitPreviewAnswer,
+  completePreview
 } = require("../controllers/examAttendance.controller");
 const { downloadCertificate } = require("../controllers/certificate.controller");
+const { checkRole } = require("../middlewares/permissions.middleware");
 
 // Custom middleware to check if user has admin role
 const isAdmin = (req, res, next) => {
@@ -90,6 +95,17 @@ router.get("/:examId/force-new-attempt", blockPostman, authenticateUser, collect
   attendExam(req, res);
 });
 
+// Author preview: take the exam as students see it without creating an attempt
+// (admins, the exam's creator and its reviewers; checked in the controller)
+router.get("/:examId/preview", authenticateUser, checkRole(["admin", "teacher"]), 
+  previewExam ? previewExam : fallback("previewExam"));
+
+router.post("/:examId/preview/:previewId/answer", authenticateUser, checkRole(["admin", "teacher"]), 
+  submitPreviewAnswer ? submitPreviewAnswer : fallback("submitPreviewAnswer"));
+
+router.post("/:examId/preview/:previewId/complete", authenticateUser, checkRole(["admin", "teacher"]), 
+  completePreview ? completePreview : fallback("completePreview"));
+
 // Route for canceling an in-progress exam attempt
 router.post("/:examId/cancel-in-progress", blockPostman, authenticateUser, cancelInProgressAttempt);
 
@@ -99,6 +115,9 @@ router.post("/:examId/cancel-all-attempts", blockPostman, authenticateUser, canc
 router.post("/:examId/submit-answer", blockPostman, authenticateUser, collectAntiAbuseData, validateJSChallenge,
   submitAnswer ? submitAnswer : fallback("submitAnswer"));
   
+router.post("/:examId/flag-question", blockPostman, authenticateUser, 
+  flagQuestion ? flagQuestion : fallback("flagQuestion"));
+  
 router.post("/:examId/complete", blockPostman, authenticateUser, 
   completeExam ? completeExam : fallback("completeExam"));
 
@@ -35,6 +35,60 @@ router.get("/archived/:id", authenticateUser, checkRole("admin"),
 router.post("/archive-completed", authenticateUser, checkRole("admin"), 
   examController.archiveCompletedExams ? examController.archiveCompletedExams : fallback("archiveCompletedExams"));
 
+// Published versions of an exam (admins and the exam's creator)
+router.get("/:id/versions", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.getExamVersions ? examController.getExamVersions : fallback("getExamVersions"));
+
+router.get("/:id/versions/diff", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.diffExamVersions ? examController.diffExamVersions : fallback("diffExamVersions"));
+
+router.get("/:id/versions/:version", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.getExamVersion ? examController.getExamVersion : fallback("getExamVersion"));
+
+// Item analysis (difficulty, discrimination, option choices, flags); ?format=csv exports it
+router.get("/:id/item-analysis", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.getItemAnalysis ? examController.getItemAnalysis : fallback("getItemAnalysis"));
+
+// Blueprint check: topic and difficulty counts of the fixed questions and pool draws
+router.get("/:id/blueprint", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.getBlueprintCheck ? examController.getBlueprintCheck : fallback("getBlueprintCheck"));
+
+// Cohorts and students an exam is assigned to, with per-assignment overrides (admins and the exam's creator)
+router.get("/:id/assignments", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.getExamAssignments ? examController.getExamAssignments : fallback("getExamAssignments"));
+
+router.post("/:id/assignments", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.assignExam ? examController.assignExam : fallback("assignExam"));
+
+router.put("/:id/assignments/:assignmentId", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.updateExamAssignment ? examController.updateExamAssignment : fallback("updateExamAssignment"));
+
+router.delete("/:id/assignments/:assignmentId", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.deleteExamAssignment ? examController.deleteExamAssignment : fallback("deleteExamAssignment"));
+
+// Exams the current user is assigned to review
+router.get("/reviews/assigned", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.getMyReviews ? examController.getMyReviews : fallback("getMyReviews"));
+
+// Review workflow: reviewers, comments and history (permissions checked in the controller)
+router.get("/:id/review", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.getExamReview ? examController.getExamReview : fallback("getExamReview"));
+
+router.post("/:id/review/submit", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.submitForReview ? examController.submitForReview : fallback("submitForReview"));
+
+router.put("/:id/review/reviewers", authenticateUser, checkRole("admin"), 
+  examController.assignReviewers ? examController.assignReviewers : fallback("assignReviewers"));
+
+router.post("/:id/review/comments", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.addReviewComment ? examController.addReviewComment : fallback("addReviewComment"));
+
+router.patch("/:id/review/comments/:commentId", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.resolveReviewComment ? examController.resolveReviewComment : fallback("resolveReviewComment"));
+
+router.post("/:id/review/request-changes", authenticateUser, checkRole(["admin", "teacher"]), 
+  examController.requestChanges ? examController.requestChanges : fallback("requestChanges"));
+
 // All authenticated users can view a single exam (but only published ones for non-admins)
 router.get("/:id", authenticateUser, 
   examController.getExamById ? examController.getExamById : fallback("getExamById"));
@@ -51,8 +105,8 @@ router.put("/:id", authenticateUser, checkRole(["admin", "teacher"]),
 router.delete("/:id", authenticateUser, checkRole("admin"), 
   examController.deleteExam ? examController.deleteExam : fallback("deleteExam"));
 
-// Admin approval, publishing, and unpublishing endpoints
-router.patch("/:id/approve", authenticateUser, checkRole("admin"), 
+// Approval by an assigned reviewer or an admin; publishing and unpublishing are admin only
+router.patch("/:id/approve", authenticateUser, checkRole(["admin", "teacher"]), 
   examController.approveExam ? examController.approveExam : fallback("approveExam"));
 
 router.patch("/:id/publish", authenticateUser, checkRole("admin"), 
@@ -0,0 +1,39 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateUser } = require("../middlewares/auth.middleware");
+const { checkRole } = require("../middlewares/permissions.middleware");
+const gradingController = require("../controllers/grading.controller");
+
+// Define fallback for missing controller methods
+const fallback = (methodName) => (req, res) =>
+  res.status(501).json({ message: `${methodName} not implemented yet` });
+
+// Admin and teachers grade answers that couldn't be graded automatically
+router.use(authenticateUser, checkRole(["admin", "teacher"]));
+
+// Attempts with answers waiting for manual grading
+router.get("/queue",
+  gradingController.getGradingQueue || fallback("getGradingQueue"));
+
+router.get("/attempts/:attendanceId",
+  gradingController.getAttemptForGrading || fallback("getAttemptForGrading"));
+
+// Grade one answer of an attempt
+router.post("/attempts/:attendanceId/answers/:questionId",
+  gradingController.gradeAnswer || fallback("gradeAnswer"));
+
+// Regrade finished attempts after an answer key was fixed (?dryRun=true to preview)
+router.post("/regrade/questions/:questionId",
+  gradingController.regradeQuestion || fallback("regradeQuestion"));
+
+router.post("/regrade/exams/:examId",
+  gradingController.regradeExam || fallback("regradeExam"));
+
+// Audit reports of past regrades
+router.get("/regrades",
+  gradingController.getRegradeReports || fallback("getRegradeReports"));
+
+router.get("/regrades/:reportId",
+  gradingController.getRegradeReport || fallback("getRegradeReport"));
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateUser } = require("../middlewares/auth.middleware");
+const { checkRole } = require("../middlewares/permissions.middleware");
+const questionGroupController = require("../controllers/questionGroups.controller");
+
+// Define fallback for missing controller methods
+const fallback = (methodName) => (req, res) => 
+  res.status(501).json({ message: `${methodName} not implemented yet` });
+
+// Admin and teachers manage passage groups (the controller checks exam ownership)
+router.use(authenticateUser, checkRole(["admin", "teacher"]));
+
+router.post("/", 
+  questionGroupController.createGroup || fallback("createGroup"));
+
+router.get("/exam/:examId", 
+  questionGroupController.getExamGroups || fallback("getExamGroups"));
+
+router.get("/:id", 
+  questionGroupController.getGroupById || fallback("getGroupById"));
+
+router.put("/:id", 
+  questionGroupController.updateGroup || fallback("updateGroup"));
+
+router.delete("/:id", 
+  questionGroupController.deleteGroup || fallback("deleteGroup"));
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const { authenticateUser } = require("../middlewares/auth.middleware");
+const { checkRole } = require("../middlewares/permissions.middleware");
+const questionPoolController = require("../controllers/questionPools.controller");
+
+// Define fallback for missing controller methods
+const fallback = (methodName) => (req, res) => 
+  res.status(501).json({ message: `${methodName} not implemented yet` });
+
+// Admin and teachers manage question pools
+router.use(authenticateUser, checkRole(["admin", "teacher"]));
+
+router.get("/", 
+  questionPoolController.getAllPools || fallback("getAllPools"));
+
+router.post("/", 
+  questionPoolController.createPool || fallback("createPool"));
+
+router.get("/:id", 
+  questionPoolController.getPoolById || fallback("getPoolById"));
+
+router.put("/:id", 
+  questionPoolController.updatePool || fallback("updatePool"));
+
+// Only admin users can delete pools
+router.delete("/:id", checkRole("admin"), 
+  questionPoolController.deletePool || fallback("deletePool"));
+
+// Add questions to a pool
+router.post("/:id/questions", 
+  questionPoolController.addPoolQuestions || fallback("addPoolQuestions"));
+
+module.exports = router;
@@ -9,19 +9,46 @@ const {
   deleteQuestion, 
   getQuestionById, 
   updateQuestion,
-  exportQuestions
+  exportQuestions,
+  importQuestions,
+  searchBankQuestions,
+  createBankQuestions,
+  getBankQuestion,
+  updateBankQuestion,
+  addQuestionToBank,
+  linkBankQuestion,
+  unlinkBankQuestion
 } = require("../controllers/questions.controller");
 
-// All users can view questions
+// Question bank: admins and teachers search, create and link reusable questions
+// (registered before "/:id" so "bank" isn't read as a question ID)
+router.get("/bank", authenticateUser, checkRole(["admin", "teacher"]), searchBankQuestions);
+router.post("/bank", authenticateUser, checkRole(["admin", "teacher"]), createBankQuestions);
+router.get("/bank/:id", authenticateUser, checkRole(["admin", "teacher"]), getBankQuestion);
+router.put("/bank/:id", authenticateUser, checkRole(["admin", "teacher"]), updateBankQuestion);
+router.post("/bank/:id/exams/:examId", authenticateUser, checkRole(["admin", "teacher"]), linkBankQuestion);
+router.delete("/bank/:id/exams/:examId", authenticateUser, checkRole(["admin", "teacher"]), unlinkBankQuestion);
+
+// Move an exam's question into the bank
+router.post("/:id/bank", authenticateUser, checkRole(["admin", "teacher"]), addQuestionToBank);
+
+// All users can view questions; answer keys and hidden test cases are only shown
+// to the exam's creator, its reviewers and admins
 router.get("/", authenticateUser, getQuestionById ? getQuestionById : (req, res) => res.status(501).json({ message: "Not implemented yet" }));
 router.get("/:id", authenticateUser, getQuestionById);
 
 // Route to get questions by exam ID
-router.get('/exam/:examId', getQuestionsByExam);
+router.get('/exam/:examId', authenticateUser, getQuestionsByExam);
 
 // Route to export questions by exam ID
 router.get('/export/:examId', authenticateUser, exportQuestions);
 
+// Route to import questions from a CSV, JSON, GIFT or Moodle XML file or a QTI package (raw body or { format, content })
+router.post('/import/:examId', authenticateUser, checkRole(["admin", "teacher"]),
+  express.raw({ type: ["application/zip", "application/x-zip-compressed", "application/octet-stream"], limit: "20mb" }),
+  express.text({ type: ["text/*", "application/xml"], limit: "5mb" }),
+  importQuestions);
+
 // Route to add questions
 router.post('/', addQuestion);
 
@@ -0,0 +1,106 @@
+/**
+ * Answer keys and hidden test cases are only shown to an exam's authors, reviewers and admins
+ * Runs the question controllers with the database calls stubbed
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Question = require('../models/question.model');
+const Exam = require('../models/exam.model');
+const { getQuestionById, getQuestionsByExam } = require('../controllers/questions.controller');
+
+const creator = new mongoose.Types.ObjectId();
+const reviewer = new mongoose.Types.ObjectId();
+const examId = new mongoose.Types.ObjectId();
+
+// Minimal Express response that records the status and body
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = JSON.parse(JSON.stringify(body));
+    return res;
+  };
+  return res;
+};
+
+let mcq;
+let practical;
+
+beforeEach(() => {
+  mcq = Question.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    examId,
+    type: 'MCQ',
+    questionText: 'Which port does HTTPS use by default?',
+    options: ['21', '80', '443'],
+    correctAnswer: '443',
+    explanation: 'HTTP over TLS listens on 443'
+  });
+  practical = Question.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    examId,
+    type: 'Practical',
+    questionText: 'Print the sum of two integers',
+    language: 'python',
+    testCases: [
+      { input: '2 3\n', expectedOutput: '5\n', hidden: false },
+      { input: '-4 10\n', expectedOutput: '6\n', hidden: true }
+    ]
+  });
+
+  Question.findById = async (id) => [mcq, practical].find(q => q._id.toString() === id.toString()) || null;
+  Question.find = async () => [mcq, practical];
+  Exam.findById = () => ({
+    select: async () => ({ _id: examId, createdBy: creator, review: { reviewers: [reviewer] } })
+  });
+});
+
+const getAs = async (handler, user, params) => {
+  const res = mockResponse();
+  await handler({ params, user }, res);
+  return res;
+};
+
+test('students get questions without answer keys or hidden test cases', async () => {
+  const student = { _id: new mongoose.Types.ObjectId(), role: 'user' };
+
+  const single = await getAs(getQuestionById, student, { id: mcq._id.toString() });
+  assert.strictEqual(single.statusCode, 200);
+  assert.strictEqual(single.body.correctAnswer, undefined);
+  assert.strictEqual(single.body.explanation, undefined);
+  assert.deepStrictEqual(single.body.options, ['21', '80', '443']);
+
+  const list = await getAs(getQuestionsByExam, student, { examId: examId.toString() });
+  assert.strictEqual(list.statusCode, 200, JSON.stringify(list.body));
+  const listedPractical = list.body.find(q => q.type === 'Practical');
+  assert.deepStrictEqual(listedPractical.testCases.map(testCase => testCase.input), ['2 3\n']);
+  assert.ok(list.body.every(q => q.correctAnswer === undefined));
+});
+
+test('the exam\'s creator, its reviewers and admins see the answer keys', async () => {
+  for (const user of [
+    { _id: creator, role: 'user' },
+    { _id: reviewer, role: 'user' },
+    { _id: new mongoose.Types.ObjectId(), role: 'admin' }
+  ]) {
+    const single = await getAs(getQuestionById, user, { id: mcq._id.toString() });
+    assert.strictEqual(single.body.correctAnswer, '443');
+
+    const list = await getAs(getQuestionsByExam, user, { examId: examId.toString() });
+    assert.strictEqual(list.body.find(q => q.type === 'Practical').testCases.length, 2);
+  }
+});
+
+test('a question\'s author sees its answer key', async () => {
+  const author = new mongoose.Types.ObjectId();
+  mcq.createdBy = author;
+
+  const single = await getAs(getQuestionById, { _id: author, role: 'user' }, { id: mcq._id.toString() });
+  assert.strictEqual(single.body.correctAnswer, '443');
+});
@@ -0,0 +1,100 @@
+/**
+ * An attempt is graded once, however many of the student, the timer and the sweep finish it
+ * Runs the grading utilities with the database calls stubbed
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const ExamAttendance = require('../models/examAttendance.model');
+const Question = require('../models/question.model');
+const attemptState = require('../utils/attemptState');
+const attemptGrading = require('../utils/attemptGrading');
+
+const mcq = { _id: new mongoose.Types.ObjectId(), type: 'MCQ', correctAnswer: 'A', marks: 1 };
+const exam = { _id: new mongoose.Types.ObjectId(), passingScore: 50 };
+
+let stored;
+let reverts;
+let stateReads;
+
+beforeEach(() => {
+  reverts = [];
+  stateReads = 0;
+
+  // The attempt as stored in the database
+  stored = new ExamAttendance({
+    examId: exam._id,
+    userId: new mongoose.Types.ObjectId(),
+    status: 'IN_PROGRESS'
+  });
+  stored.save = async () => stored;
+
+  // Conditional update: only an in-progress attempt is claimed
+  ExamAttendance.findOneAndUpdate = async (filter, update) => {
+    if (filter.status !== stored.status) return null;
+    Object.assign(stored, update.$set);
+    return stored;
+  };
+  ExamAttendance.updateOne = async (filter, update) => {
+    reverts.push({ filter, update });
+    if (filter.status === stored.status) {
+      stored.status = update.$set.status;
+      stored.endTime = undefined;
+    }
+    return { modifiedCount: 1 };
+  };
+  // Only this attempt of the student, and it fails, so no certificate is issued
+  ExamAttendance.find = async () => [stored];
+
+  Question.find = () => ({ select: async () => [mcq] });
+  attemptState.getAttemptState = async () => {
+    stateReads++;
+    return { questionIds: [mcq._id], answers: ['B'], variants: [] };
+  };
+});
+
+test('claiming sets the final status only on an in-progress attempt', async () => {
+  const claimed = await attemptGrading.claimAttempt(stored._id, 'TIMED_OUT');
+
+  assert.strictEqual(claimed.status, 'TIMED_OUT');
+  assert.ok(claimed.endTime instanceof Date);
+  assert.strictEqual(await attemptGrading.claimAttempt(stored._id, 'COMPLETED'), null);
+  assert.strictEqual(stored.status, 'TIMED_OUT');
+});
+
+test('the attempt is graded by whoever claims it first', async () => {
+  const results = await Promise.all([
+    attemptGrading.finalizeAttempt({ attendance: stored, exam, status: 'COMPLETED' }),
+    attemptGrading.finalizeAttempt({ attendance: stored, exam, status: 'TIMED_OUT' })
+  ]);
+
+  assert.strictEqual(results.filter(Boolean).length, 1);
+  assert.strictEqual(stateReads, 1);
+  assert.strictEqual(stored.status, 'COMPLETED');
+  assert.strictEqual(stored.score, 0);
+  assert.strictEqual(stored.answers.length, 1);
+});
+
+test('a finished attempt is not graded again', async () => {
+  stored.status = 'COMPLETED';
+
+  const result = await attemptGrading.finalizeAttempt({ attendance: stored, exam });
+
+  assert.strictEqual(result, null);
+  assert.strictEqual(stateReads, 0);
+});
+
+test('an attempt whose grading fails goes back to in progress', async () => {
+  attemptState.getAttemptState = async () => {
+    throw new Error('state unavailable');
+  };
+
+  await assert.rejects(attemptGrading.finalizeAttempt({ attendance: stored, exam }), /state unavailable/);
+
+  assert.strictEqual(reverts.length, 1);
+  assert.strictEqual(reverts[0].filter.status, 'COMPLETED');
+  assert.strictEqual(stored.status, 'IN_PROGRESS');
+  assert.strictEqual(stored.endTime, undefined);
+});
@@ -0,0 +1,35 @@
+/**
+ * JavaScript submissions run under the Node permission model of the running version
+ * Runs without bubblewrap, so only Node's own restriction applies
+ */
+
+process.env.CODE_RUNNER_SANDBOX = 'none';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const codeRunner = require('../utils/codeRunner');
+
+// Node 18 and older have no permission model and rely on the sandbox alone
+const hasPermissionModel = ['--permission', '--experimental-permission']
+  .some(flag => process.allowedNodeEnvironmentFlags.has(flag));
+
+const runJavaScript = (code) => codeRunner.runTestCases({
+  language: 'javascript',
+  code,
+  testCases: [{ input: '', expectedOutput: 'ok' }],
+  limits: codeRunner.DEFAULT_LIMITS
+});
+
+test('programs start with the permission flag this Node version accepts', async () => {
+  const { sandbox } = await codeRunner.getRunnerStatus();
+  assert.strictEqual(sandbox.nodePermissionFlag !== null, hasPermissionModel);
+
+  const [result] = await runJavaScript("console.log('ok')");
+  assert.strictEqual(result.status, 'PASSED');
+});
+
+test('files outside the run directory cannot be read', { skip: !hasPermissionModel }, async () => {
+  const [result] = await runJavaScript("require('fs').readFileSync('/etc/hostname'); console.log('ok')");
+  assert.strictEqual(result.status, 'RUNTIME_ERROR');
+});
@@ -0,0 +1,91 @@
+/**
+ * Closing an exam's window caps each in-progress attempt at its student's own grace end
+ * Runs the scheduler with the database calls stubbed
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Exam = require('../models/exam.model');
+const ExamAttendance = require('../models/examAttendance.model');
+const ExamAssignment = require('../models/examAssignment.model');
+const examAssignment = require('../utils/examAssignment');
+const examSchedule = require('../utils/examSchedule');
+
+const MINUTE = 60 * 1000;
+
+const withOverride = new mongoose.Types.ObjectId();
+const withShorterGrace = new mongoose.Types.ObjectId();
+const withoutOverride = new mongoose.Types.ObjectId();
+
+let exam;
+let updates;
+let overridesByUser;
+
+beforeEach(() => {
+  updates = [];
+  exam = {
+    _id: new mongoose.Types.ObjectId(),
+    status: 'PUBLISHED',
+    closesAt: new Date(Date.now() - 30 * MINUTE),
+    closeGraceMinutes: 10,
+    save: async () => exam
+  };
+  overridesByUser = {
+    [withOverride.toString()]: { closesAt: new Date(Date.now() + 60 * MINUTE), closeGraceMinutes: 15 },
+    [withShorterGrace.toString()]: { closeGraceMinutes: 0 },
+    [withoutOverride.toString()]: {}
+  };
+
+  // Nothing to publish, one exam whose window has closed
+  Exam.find = async (filter) => (filter.status === 'PUBLISHED' ? [exam] : []);
+  ExamAssignment.find = () => ({
+    select: async () => [{ overrides: overridesByUser[withOverride.toString()] }]
+  });
+  ExamAttendance.distinct = async () => [withOverride, withShorterGrace, withoutOverride];
+  ExamAttendance.updateMany = async (filter, update) => {
+    updates.push({ userIds: filter.userId.$in.map(String), deadline: update.$set.deadline });
+    return { modifiedCount: filter.userId.$in.length };
+  };
+  examAssignment.resolveAccess = async (userId, examIds) =>
+    new Map([[examIds[0].toString(), { overrides: overridesByUser[userId.toString()] }]]);
+});
+
+const deadlineOf = (userId) => updates.find(update => update.userIds.includes(userId.toString()))?.deadline;
+
+test('each attempt is capped at the grace end of its own window', async () => {
+  const result = await examSchedule.processScheduledExams();
+
+  assert.strictEqual(result.capped, 3);
+  assert.strictEqual(
+    deadlineOf(withOverride).getTime(),
+    overridesByUser[withOverride.toString()].closesAt.getTime() + 15 * MINUTE
+  );
+  assert.strictEqual(deadlineOf(withShorterGrace).getTime(), exam.closesAt.getTime());
+  assert.strictEqual(deadlineOf(withoutOverride).getTime(), exam.closesAt.getTime() + 10 * MINUTE);
+});
+
+test('students without an override never get another student\'s grace period', async () => {
+  await examSchedule.processScheduledExams();
+
+  assert.ok(deadlineOf(withoutOverride) < deadlineOf(withOverride));
+});
+
+test('the exam stays published until the latest override grace period is over', async () => {
+  await examSchedule.processScheduledExams();
+
+  assert.strictEqual(exam.status, 'PUBLISHED');
+});
+
+test('attempts with the same grace end are capped together', async () => {
+  overridesByUser[withShorterGrace.toString()] = {};
+
+  await examSchedule.processScheduledExams();
+
+  assert.strictEqual(updates.length, 2);
+  assert.deepStrictEqual(
+    updates.find(update => update.userIds.length === 2).userIds.sort(),
+    [withShorterGrace.toString(), withoutOverride.toString()].sort()
+  );
+});
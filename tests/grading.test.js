@@ -0,0 +1,84 @@
+/**
+ * Empty answers and negative marking
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const grading = require('../utils/grading');
+
+const matching = {
+  type: 'Matching',
+  scoringMethod: 'all-or-nothing',
+  pairs: [
+    { prompt: 'HTTP', match: '80' },
+    { prompt: 'HTTPS', match: '443' },
+    { prompt: 'SSH', match: '22' }
+  ]
+};
+
+// Grade an answer and keep what an attempt stores with it
+const gradeAndStore = (question, selectedAnswer, negativeMarks = 1) => ({
+  selectedAnswer,
+  ...grading.gradeAnswer(question, selectedAnswer),
+  marks: 2,
+  negativeMarks
+});
+
+test('empty and all-null answers are empty, 0 and partly filled lists are not', () => {
+  for (const answer of [null, undefined, '', [], [null, null], ['', null]]) {
+    assert.strictEqual(grading.isEmptyAnswer(answer), true, JSON.stringify(answer));
+  }
+  for (const answer of [0, 'a', [null, '80'], ['x']]) {
+    assert.strictEqual(grading.isEmptyAnswer(answer), false, JSON.stringify(answer));
+  }
+});
+
+test('an all-null structured answer loses no negative marks', () => {
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(matching, [null, null, null])), 0);
+  assert.strictEqual(grading.getAnswerPoints({ selectedAnswer: [], credit: 0, negativeMarks: 2 }), 0);
+});
+
+test('a wrong single answer loses its negative marks', () => {
+  const mcq = { type: 'MCQ', correctAnswer: 'Paris' };
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(mcq, 'Lyon')), -1);
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(mcq, 'Paris')), 2);
+});
+
+test('all-or-nothing structured answers with some right entries lose nothing', () => {
+  const oneWrongPair = gradeAndStore(matching, ['80', '443', '21']);
+  assert.strictEqual(oneWrongPair.credit, 0);
+  assert.strictEqual(oneWrongPair.partlyRight, true);
+  assert.strictEqual(grading.getAnswerPoints(oneWrongPair), 0);
+
+  const allWrong = gradeAndStore(matching, ['443', '22', '80']);
+  assert.strictEqual(allWrong.partlyRight, false);
+  assert.strictEqual(grading.getAnswerPoints(allWrong), -1);
+});
+
+test('ordering and cloze follow the same rule', () => {
+  const ordering = { type: 'Ordering', scoringMethod: 'all-or-nothing', items: ['SYN', 'SYN-ACK', 'ACK'] };
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(ordering, ['SYN', 'ACK', 'SYN-ACK'])), 0);
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(ordering, ['ACK', 'SYN', 'SYN-ACK'])), -1);
+
+  const cloze = { type: 'Cloze', scoringMethod: 'all-or-nothing', blanks: [{ answers: ['80'] }, { answers: ['HTTPS'] }] };
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(cloze, ['80', 'SSH'])), 0);
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(cloze, ['21', 'SSH'])), -1);
+});
+
+test('multiple-select answers lose negative marks only when no selection is right', () => {
+  const multiSelect = {
+    type: 'MultiSelect',
+    scoringMethod: 'right-minus-wrong',
+    options: ['1', '2', '3', '4'],
+    correctAnswers: ['2', '4']
+  };
+  // One right and one wrong selection cancel out to no credit
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(multiSelect, ['2', '3'])), 0);
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(multiSelect, ['1', '3'])), -1);
+  assert.strictEqual(grading.getAnswerPoints(gradeAndStore(multiSelect, ['2'])), 1);
+});
+
+test('answers waiting for manual grading count as zero', () => {
+  assert.strictEqual(grading.getAnswerPoints({ selectedAnswer: 'x', credit: 0, needsReview: true, negativeMarks: 1 }), 0);
+});
@@ -0,0 +1,129 @@
+/**
+ * Numeric answers: 0 is an answer, not a missing one
+ * Runs the submit-answer controllers with the database calls stubbed
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const ExamAttendance = require('../models/examAttendance.model');
+const Exam = require('../models/exam.model');
+const Question = require('../models/question.model');
+const attemptState = require('../utils/attemptState');
+const timeoutManager = require('../utils/timeoutManager');
+const examPreview = require('../utils/examPreview');
+const cheatDetection = require('../utils/cheatDetection');
+const { patternDetector } = require('../utils/serverPatternDetection');
+const { submitAnswer, submitPreviewAnswer } = require('../controllers/examAttendance.controller');
+
+const userId = new mongoose.Types.ObjectId();
+const examId = new mongoose.Types.ObjectId();
+const questionId = new mongoose.Types.ObjectId();
+
+// Minimal Express response that records the status and body
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+let savedAnswers;
+
+beforeEach(() => {
+  savedAnswers = [];
+
+  // A numeric question that is part of the attempt
+  Question.findById = () => ({ select: async () => ({ _id: questionId, type: 'Numeric' }) });
+
+  // An in-progress attempt well before its deadline
+  const attendance = {
+    _id: new mongoose.Types.ObjectId(),
+    examId,
+    userId,
+    attemptNumber: 1,
+    deadline: new Date(Date.now() + 60 * 60 * 1000),
+    save: async () => attendance
+  };
+  ExamAttendance.findOne = async () => attendance;
+  ExamAttendance.findById = async () => attendance;
+  timeoutManager.isAttemptExpired = () => false;
+  cheatDetection.analyzeRequestHeaders = () => ({ isSuspicious: false });
+  cheatDetection.analyzeRequestPattern = async () => ({ isSuspicious: false });
+  patternDetector.analyzeAnswerPattern = async () => ({ isSuspicious: false });
+
+  const state = { questionIds: [questionId], answers: [null] };
+  attemptState.getAttemptState = async () => state;
+  attemptState.saveAnswer = async (current, index, answer) => {
+    savedAnswers.push(answer);
+    return { ...current, answers: [answer] };
+  };
+
+  // An open preview of the same exam by its creator
+  Exam.findById = async () => ({ _id: examId, createdBy: userId, review: { reviewers: [] } });
+  const session = {
+    previewId: 'preview-1',
+    questionIds: [questionId],
+    answers: {},
+    deadline: new Date(Date.now() + 60 * 60 * 1000)
+  };
+  examPreview.getPreviewSession = async () => session;
+  examPreview.saveAnswer = async (current, id, answer) => {
+    savedAnswers.push(answer);
+    return { ...current, answers: { [id]: answer } };
+  };
+});
+
+test('submit-answer accepts 0 for a numeric question', async () => {
+  const req = {
+    params: { examId: examId.toString() },
+    body: { questionId: questionId.toString(), selectedAnswer: 0 },
+    user: { _id: userId, role: 'user' },
+    headers: {},
+    ip: '127.0.0.1'
+  };
+  const res = mockResponse();
+
+  await submitAnswer(req, res);
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.deepStrictEqual(savedAnswers, [0]);
+  assert.strictEqual(res.body.answeredQuestions, 1);
+});
+
+test('preview answers accept 0 for a numeric question', async () => {
+  const req = {
+    params: { examId: examId.toString(), previewId: 'preview-1' },
+    body: { questionId: questionId.toString(), selectedAnswer: 0 },
+    user: { _id: userId, role: 'user' }
+  };
+  const res = mockResponse();
+
+  await submitPreviewAnswer(req, res);
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.deepStrictEqual(savedAnswers, [0]);
+});
+
+test('a missing answer is still rejected', async () => {
+  const req = {
+    params: { examId: examId.toString() },
+    body: { questionId: questionId.toString() },
+    user: { _id: userId, role: 'user' },
+    headers: {},
+    ip: '127.0.0.1'
+  };
+  const res = mockResponse();
+
+  await submitAnswer(req, res);
+
+  assert.strictEqual(res.statusCode, 400);
+  assert.deepStrictEqual(savedAnswers, []);
+});
@@ -0,0 +1,17 @@
+/**
+ * Pass policy defaults only fill in settings an exam doesn't have
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { getPassPolicy } = require('../utils/passPolicy');
+
+test('an explicit passing score of 0 is kept', () => {
+  assert.strictEqual(getPassPolicy({ passingScore: 0 }).passingScore, 0);
+});
+
+test('exams without a passing score use the default', () => {
+  assert.strictEqual(getPassPolicy({}).passingScore, 60);
+  assert.strictEqual(getPassPolicy(null).passingScore, 60);
+});
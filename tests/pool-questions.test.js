@@ -0,0 +1,113 @@
+/**
+ * Pool questions are edited by their pool's creator, as a revision once they were drawn
+ * Runs the question update controller with the database calls stubbed
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Question = require('../models/question.model');
+const QuestionPool = require('../models/questionPool.model');
+const examVersioning = require('../utils/examVersioning');
+const { updateQuestion } = require('../controllers/questions.controller');
+
+const poolOwner = new mongoose.Types.ObjectId();
+const poolId = new mongoose.Types.ObjectId();
+
+// Minimal Express response that records the status and body
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+let question;
+let locked;
+let revisions;
+let saved;
+
+beforeEach(() => {
+  locked = false;
+  revisions = [];
+  saved = 0;
+
+  // A stored pool question: no exam, no author
+  question = Question.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    poolId,
+    type: 'MCQ',
+    questionText: 'Which port does HTTPS use by default?',
+    options: ['21', '80', '443'],
+    correctAnswer: '80',
+    tags: ['networking'],
+    difficulty: 'easy'
+  });
+  question.save = async () => {
+    saved++;
+    return question;
+  };
+
+  Question.findById = async () => question;
+  Question.findOne = async () => question;
+  QuestionPool.findById = async () => ({ _id: poolId, createdBy: poolOwner });
+  examVersioning.isQuestionLocked = async () => locked;
+  examVersioning.createRevision = async (edited) => {
+    revisions.push(edited.correctAnswer);
+    return { _id: new mongoose.Types.ObjectId(), poolId, correctAnswer: edited.correctAnswer };
+  };
+});
+
+const editAs = async (user, body = { correctAnswer: '443' }) => {
+  const res = mockResponse();
+  await updateQuestion({ params: { id: question._id.toString() }, body, user }, res);
+  return res;
+};
+
+test('the pool\'s creator can fix a pool question', async () => {
+  const res = await editAs({ _id: poolOwner, role: 'user' });
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.strictEqual(question.correctAnswer, '443');
+  assert.strictEqual(saved, 1);
+});
+
+test('other teachers can\'t edit a pool question', async () => {
+  const res = await editAs({ _id: new mongoose.Types.ObjectId(), role: 'user' });
+
+  assert.strictEqual(res.statusCode, 403);
+  assert.strictEqual(saved, 0);
+});
+
+test('admins can edit any pool question', async () => {
+  const res = await editAs({ _id: new mongoose.Types.ObjectId(), role: 'admin' }, { difficulty: 'hard' });
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.strictEqual(question.difficulty, 'hard');
+});
+
+test('a drawn pool question is revised instead of changed in place', async () => {
+  locked = true;
+
+  const res = await editAs({ _id: poolOwner, role: 'user' });
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.deepStrictEqual(revisions, ['443']);
+  assert.strictEqual(saved, 0);
+  assert.strictEqual(res.body.revisionOf, question._id.toString());
+});
+
+test('invalid tags and difficulties are refused', async () => {
+  const owner = { _id: poolOwner, role: 'user' };
+
+  assert.strictEqual((await editAs(owner, { difficulty: 'trivial' })).statusCode, 400);
+  assert.strictEqual((await editAs(owner, { tags: 'networking' })).statusCode, 400);
+  assert.strictEqual(saved, 0);
+});
@@ -0,0 +1,104 @@
+/**
+ * Regrading a pool question regrades the exams whose attempts answered it
+ * Runs the regrade controller with the database calls stubbed
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const Question = require('../models/question.model');
+const Exam = require('../models/exam.model');
+const ExamAttendance = require('../models/examAttendance.model');
+const attemptRegrade = require('../utils/attemptRegrade');
+const { regradeQuestion } = require('../controllers/grading.controller');
+
+const teacher = new mongoose.Types.ObjectId();
+
+// Minimal Express response that records the status and body
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+let question;
+let exams;
+let answeredFilter;
+let regraded;
+
+beforeEach(() => {
+  question = { _id: new mongoose.Types.ObjectId(), poolId: new mongoose.Types.ObjectId(), type: 'MCQ' };
+  exams = [
+    { _id: new mongoose.Types.ObjectId(), createdBy: teacher },
+    { _id: new mongoose.Types.ObjectId(), createdBy: new mongoose.Types.ObjectId() }
+  ];
+  regraded = [];
+
+  Question.findById = async () => question;
+  // The question has no revisions
+  Question.find = () => ({ select: async () => [question] });
+  ExamAttendance.distinct = async (field, filter) => {
+    answeredFilter = filter;
+    return exams.map(exam => exam._id);
+  };
+  Exam.find = async (filter) => exams.filter(exam =>
+    !filter.createdBy || exam.createdBy.toString() === filter.createdBy.toString()
+  );
+  Exam.findById = async (id) => exams.find(exam => exam._id.toString() === id.toString()) || null;
+  attemptRegrade.startRegrade = async ({ exam, question: regradedQuestion }) => {
+    regraded.push({ examId: exam._id.toString(), questionId: regradedQuestion._id.toString() });
+    return {
+      report: { _id: new mongoose.Types.ObjectId(), examId: exam._id, summary: {}, attempts: [], students: [], skipped: [] },
+      background: false
+    };
+  };
+});
+
+const regradeAs = async (user, body = {}) => {
+  const res = mockResponse();
+  await regradeQuestion({ params: { questionId: question._id.toString() }, body, query: {}, user }, res);
+  return res;
+};
+
+test('a pool question is regraded in every exam that answered it', async () => {
+  const res = await regradeAs({ _id: new mongoose.Types.ObjectId(), role: 'admin' });
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.deepStrictEqual(answeredFilter['answers.questionId'].$in.map(String), [question._id.toString()]);
+  assert.deepStrictEqual(regraded.map(r => r.examId), exams.map(exam => exam._id.toString()));
+  assert.ok(regraded.every(r => r.questionId === question._id.toString()));
+  assert.strictEqual(res.body.regrades.length, 2);
+});
+
+test('teachers only regrade their own exams', async () => {
+  const res = await regradeAs({ _id: teacher, role: 'user' });
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.deepStrictEqual(regraded.map(r => r.examId), [exams[0]._id.toString()]);
+  assert.strictEqual(res.body.examsNotRegraded, 1);
+});
+
+test('an exam can be named to regrade only that one', async () => {
+  const res = await regradeAs({ _id: teacher, role: 'user' }, { examId: exams[0]._id.toString() });
+
+  assert.strictEqual(res.statusCode, 200, JSON.stringify(res.body));
+  assert.deepStrictEqual(regraded.map(r => r.examId), [exams[0]._id.toString()]);
+  assert.strictEqual(res.body.regrades, undefined);
+});
+
+test('nothing to regrade without answers in an exam the user may grade', async () => {
+  exams = [exams[1]];
+
+  const res = await regradeAs({ _id: teacher, role: 'user' });
+
+  assert.strictEqual(res.statusCode, 404);
+  assert.deepStrictEqual(regraded, []);
+});
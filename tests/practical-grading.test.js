@@ -0,0 +1,147 @@
+/**
+ * Practical code runs after the submission, not while the student waits for it
+ * Runs the grading utilities with the database calls and the code runner stubbed
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+
+const ExamAttendance = require('../models/examAttendance.model');
+const Exam = require('../models/exam.model');
+const Question = require('../models/question.model');
+const RegradeReport = require('../models/regradeReport.model');
+const codeRunner = require('../utils/codeRunner');
+const attemptGrading = require('../utils/attemptGrading');
+const attemptRegrade = require('../utils/attemptRegrade');
+const practicalGrading = require('../utils/practicalGrading');
+
+const practical = {
+  _id: new mongoose.Types.ObjectId(),
+  type: 'Practical',
+  language: 'python',
+  marks: 2,
+  testCases: [{ input: '1\n', expectedOutput: '1\n' }]
+};
+const mcq = { _id: new mongoose.Types.ObjectId(), type: 'MCQ', correctAnswer: 'A', marks: 1 };
+
+let runs;
+let resultsRecorded;
+
+beforeEach(() => {
+  runs = [];
+  resultsRecorded = 0;
+  Question.find = () => ({ select: async () => [practical, mcq] });
+  codeRunner.gradePracticalAnswer = async (question, code) => {
+    runs.push(code);
+    return { credit: 1, isCorrect: true, needsReview: false, testResults: [{ testIndex: 0, status: 'PASSED', passed: true }] };
+  };
+  attemptGrading.recordAttemptResult = async () => {
+    resultsRecorded++;
+    return { passed: true };
+  };
+  Exam.findById = async () => ({ _id: new mongoose.Types.ObjectId() });
+});
+
+test('submitted practical answers wait for their run instead of running', async () => {
+  const graded = await attemptGrading.gradeAnswers(
+    [practical._id, mcq._id],
+    { [practical._id]: 'print(1)', [mcq._id]: 'A' },
+    attemptGrading.GRADING_FIELDS,
+    [],
+    { deferPractical: true }
+  );
+
+  assert.deepStrictEqual(runs, []);
+  assert.strictEqual(graded.pendingRuns, 1);
+  assert.strictEqual(graded.pendingCount, 1);
+  const answer = graded.processedAnswers.find(a => a.questionId === practical._id.toString());
+  assert.strictEqual(answer.pendingRun, true);
+  assert.strictEqual(answer.needsReview, true);
+});
+
+test('previews still run practical code right away', async () => {
+  const graded = await attemptGrading.gradeAnswers([practical._id], { [practical._id]: 'print(1)' });
+
+  assert.deepStrictEqual(runs, ['print(1)']);
+  assert.strictEqual(graded.pendingRuns, 0);
+});
+
+test('the background run grades pending answers and records the result', async () => {
+  const attendance = new ExamAttendance({
+    examId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    status: 'COMPLETED',
+    gradingStatus: 'PENDING_REVIEW',
+    answers: [
+      { questionId: practical._id, selectedAnswer: 'print(1)', credit: 0, isCorrect: false, needsReview: true, pendingRun: true, marks: 2 },
+      { questionId: mcq._id, selectedAnswer: 'A', credit: 1, isCorrect: true, marks: 1 }
+    ]
+  });
+  attendance.save = async () => attendance;
+
+  let claimed = false;
+  ExamAttendance.find = () => ({
+    sort: () => ({ limit: () => ({ select: async () => (claimed ? [] : [{ _id: attendance._id }]) }) })
+  });
+  ExamAttendance.findOneAndUpdate = async () => {
+    if (claimed) return null;
+    claimed = true;
+    return attendance;
+  };
+  ExamAttendance.findById = async () => attendance;
+
+  const result = await practicalGrading.processPendingRuns();
+
+  assert.deepStrictEqual(result, { graded: 1, errors: 0 });
+  assert.deepStrictEqual(runs, ['print(1)']);
+  const answer = attendance.answers[0];
+  assert.strictEqual(answer.pendingRun, undefined);
+  assert.strictEqual(answer.needsReview, false);
+  assert.strictEqual(answer.credit, 1);
+  assert.strictEqual(attendance.score, 3);
+  assert.strictEqual(attendance.gradingStatus, 'COMPLETE');
+  assert.strictEqual(resultsRecorded, 1);
+});
+
+test('regrades that rerun practical code answer before the code runs', async () => {
+  const saved = [];
+  RegradeReport.prototype.save = async function () {
+    saved.push(this.status);
+    return this;
+  };
+  // No affected attempts, so the background regrade finishes straight away
+  const emptyQuery = { select: async () => [], then: (resolve) => resolve([]) };
+  ExamAttendance.find = () => emptyQuery;
+
+  const { report, background } = await attemptRegrade.startRegrade({
+    exam: { _id: new mongoose.Types.ObjectId() },
+    question: practical,
+    performedBy: new mongoose.Types.ObjectId()
+  });
+
+  assert.strictEqual(background, true);
+  assert.strictEqual(report.status, 'RUNNING');
+  assert.deepStrictEqual(saved, ['RUNNING']);
+
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(report.status, 'COMPLETE');
+  assert.deepStrictEqual(saved, ['RUNNING', 'COMPLETE']);
+});
+
+test('regrades without practical code still run within the request', async () => {
+  RegradeReport.prototype.save = async function () {
+    return this;
+  };
+  const emptyQuery = { select: async () => [], then: (resolve) => resolve([]) };
+  ExamAttendance.find = () => emptyQuery;
+
+  const { report, background } = await attemptRegrade.startRegrade({
+    exam: { _id: new mongoose.Types.ObjectId() },
+    question: mcq,
+    performedBy: new mongoose.Types.ObjectId()
+  });
+
+  assert.strictEqual(background, false);
+  assert.strictEqual(report.status, 'COMPLETE');
+});
@@ -0,0 +1,37 @@
+/**
+ * Formulas of numeric question templates only know their own functions, constants and variables
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseFormula, computeFormula, readNumericInput } = require('../utils/questionVariants');
+
+const numericInput = (formula, variables = [{ name: 'a', min: 1, max: 5 }]) =>
+  readNumericInput({ formula, variables });
+
+test('inherited object properties are not formula functions', () => {
+  for (const name of ['constructor', 'toString', 'hasOwnProperty', '__proto__']) {
+    assert.throws(() => parseFormula(`${name}(1)`), new RegExp(`Unknown function '${name}'`));
+  }
+});
+
+test('a template formula calling constructor(1) is rejected', () => {
+  const { error } = numericInput('constructor(1)');
+  assert.match(error, /Unknown function 'constructor'/);
+  assert.ok(Number.isNaN(computeFormula('constructor(1)', {})));
+});
+
+test('inherited object properties are not constants', () => {
+  const { error } = numericInput('a + constructor');
+  assert.match(error, /Unknown variable\(s\) in formula: constructor/);
+});
+
+test('variables may use names of inherited object properties', () => {
+  const { error } = numericInput('constructor * 2', [{ name: 'constructor', min: 1, max: 5 }]);
+  assert.strictEqual(error, null);
+});
+
+test('listed functions and constants still work', () => {
+  assert.strictEqual(computeFormula('max(a, 2) + round(pi)', { a: 5 }), 8);
+});
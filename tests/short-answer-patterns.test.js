@@ -0,0 +1,42 @@
+/**
+ * Short-answer patterns that could block the event loop are rejected, and answers are kept short
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const grading = require('../utils/grading');
+
+test('nested quantifiers are detected', () => {
+  for (const pattern of ['(a+)+', '(\\w*)*b', '^(a|b+)*$', '(x(ab+))+', '(?:\\d+){2,}', '((a+)b)+']) {
+    assert.strictEqual(grading.hasNestedQuantifier(pattern), true, pattern);
+  }
+});
+
+test('ordinary patterns are allowed', () => {
+  for (const pattern of ['^paris\\b', '(a+)?', '(ab)+', '[(a+)]+', '\\(a+\\)+', 'colou?r', '\\d{2,4}', '(a|b){3}']) {
+    assert.strictEqual(grading.hasNestedQuantifier(pattern), false, pattern);
+  }
+});
+
+test('unsafe, overlong and invalid patterns are refused when saving', () => {
+  assert.strictEqual(grading.findInvalidPattern(['^ok$', '(a+)+$']), '(a+)+$');
+  assert.strictEqual(grading.findInvalidPattern(['a'.repeat(grading.MAX_PATTERN_LENGTH + 1)]), 'a'.repeat(grading.MAX_PATTERN_LENGTH + 1));
+  assert.strictEqual(grading.findInvalidPattern(['(unclosed']), '(unclosed');
+  assert.strictEqual(grading.findInvalidPattern(['^paris\\b']), null);
+});
+
+test('stored unsafe patterns are skipped while grading', () => {
+  const question = { type: 'ShortAnswer', correctAnswer: 'x', answerPatterns: ['^(a+)+$'], reviewUnmatched: false };
+  const started = Date.now();
+  const graded = grading.gradeAnswer(question, `${'a'.repeat(40)}!`);
+  assert.strictEqual(graded.isCorrect, false);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('answers over the length limit are not matched against patterns', () => {
+  const question = { type: 'ShortAnswer', correctAnswer: 'x', answerPatterns: ['a'] };
+  const graded = grading.gradeAnswer(question, 'a'.repeat(grading.MAX_SHORT_ANSWER_LENGTH + 1));
+  assert.strictEqual(graded.matchedBy, null);
+  assert.strictEqual(graded.needsReview, true);
+});
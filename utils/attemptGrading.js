@@ -0,0 +1,344 @@
+/**
+ * Attempt grading utilities
+ * Grades a finished attempt and records the result, shared by manual completion
+ * and the server-side timer so both produce the same outcome. Answers that can't be
+ * graded automatically wait in the grading queue, and the result is only recorded
+ * once a grader has handled all of them. The code of practical answers is run in the
+ * background (see practicalGrading), never while the student waits for the submission
+ */
+
+const ExamAttendance = require('../models/examAttendance.model');
+const questionPool = require('./questionPool');
+const attemptState = require('./attemptState');
+const passPolicy = require('./passPolicy');
+const grading = require('./grading');
+const questionVariants = require('./questionVariants');
+const codeRunner = require('./codeRunner');
+const practicalGrading = require('./practicalGrading');
+const { issueExamCertificate } = require('../controllers/certificate.controller');
+
+// Question fields needed to grade any question type
+const GRADING_FIELDS = 'type questionText options correctAnswer correctAnswers scoringMethod ' +
+  'marks negativeMarks acceptedAnswers caseSensitive answerPatterns keywords reviewUnmatched ' +
+  'formula tolerance toleranceType pairs distractors items blanks language testCases timeLimitMs memoryLimitMb _id';
+
+/**
+ * Grade one answer, running the code of practical questions against their test cases
+ * @param {Object} question - Question document with GRADING_FIELDS
+ * @param {*} answer - Submitted answer
+ * @param {Object} options
+ * @param {boolean} options.deferPractical - Leave practical code for the background run
+ *   (pendingRun) instead of running it now
+ * @returns {Promise<Object>} { credit, isCorrect, needsReview, pendingRun, optionResults, testResults }
+ */
+async function gradeAttemptAnswer(question, answer, { deferPractical = false } = {}) {
+  if (question.type === 'Practical') {
+    // Nothing to run without code or test cases, that is graded right away
+    if (deferPractical && answer && question.testCases?.length) {
+      return { credit: 0, isCorrect: false, needsReview: true, pendingRun: true };
+    }
+    return codeRunner.gradePracticalAnswer(question, answer);
+  }
+  return grading.gradeAnswer(question, answer);
+}
+
+/**
+ * Evaluate the exam result after an attempt is fully graded and issue a certificate when passed
+ * @param {Object} attendance - Graded attendance document
+ * @param {Object} exam - Exam document
+ * @returns {Promise<Object>} { examResult, attemptPassed, passed, certificateInfo }
+ */
+async function recordAttemptResult(attendance, exam) {
+  // Pass/fail is decided by the exam's pass policy across all of the student's attempts
+  const allAttempts = await ExamAttendance.find({ examId: attendance.examId, userId: attendance.userId });
+  const examResult = passPolicy.evaluateAttempts(allAttempts, exam);
+  const attemptPassed = passPolicy.isAttemptPassed(attendance, exam);
+
+  console.log(`Attempt ${attendance._id} ${attendance.status}: Score ${attendance.score}/${passPolicy.getMaxScore(attendance)}, counted ${examResult.percentage.toFixed(2)}% (${examResult.attemptScoring}) against ${examResult.passingScore}%, ${examResult.passed ? 'PASSED' : 'FAILED'}`);
+
+  // Generate certificate if passed
+  let certificateInfo = null;
+
+  if (examResult.passed) {
+    try {
+      certificateInfo = await issueExamCertificate({
+        userId: attendance.userId,
+        exam,
+        attendance: examResult.countedAttempt,
+        percentage: examResult.percentage
+      });
+    } catch (certError) {
+      console.error("Error generating certificate:", certError);
+      // Continue anyway, the result is already stored
+    }
+  }
+
+  return {
+    examResult,
+    attemptPassed,
+    passed: examResult.passed,
+    certificateInfo
+  };
+}
+
+/**
+ * Grade a set of answers against the questions of an attempt without storing anything
+ * @param {Array} questionIds - Question IDs of the attempt, in order
+ * @param {Object} answersMap - Question ID -> submitted answer
+ * @param {string} select - Question fields to load (at least GRADING_FIELDS)
+ * @param {Array} variants - Values drawn for the attempt's template questions
+ * @param {Object} options - Passed on to gradeAttemptAnswer
+ * @returns {Promise<Object>} { questions, processedAnswers, score, maxScore, totalAnswered, pendingCount, pendingRuns, totalQuestions, percentage }
+ */
+async function gradeAnswers(questionIds, answersMap, select = GRADING_FIELDS, variants = [], options = {}) {
+  // Template questions are graded as the instance the attempt was served
+  const questions = (await questionPool.loadQuestionsInOrder(questionIds, select))
+    .map(question => questionVariants.applyVariant(question, questionVariants.getVariantValues(variants, question._id)));
+
+  // Create a map of questions for easy lookup
+  const questionsMap = {};
+  questions.forEach(question => {
+    questionsMap[question._id.toString()] = question;
+  });
+
+  // Process answers and calculate score
+  const processedAnswers = [];
+  let totalAnswered = 0;
+  let pendingCount = 0;
+  let pendingRuns = 0;
+
+  for (const [questionId, selectedAnswer] of Object.entries(answersMap)) {
+    const question = questionsMap[questionId];
+
+    // Empty answers are unanswered: not counted as attempted and never penalised
+    if (question && !grading.isEmptyAnswer(selectedAnswer)) {
+      totalAnswered++;
+      // Full or partial credit depending on the question type
+      const { credit, isCorrect, partlyRight, needsReview, pendingRun, testResults } = await gradeAttemptAnswer(question, selectedAnswer, options);
+      if (needsReview) {
+        pendingCount++;
+      }
+      if (pendingRun) {
+        pendingRuns++;
+      }
+
+      processedAnswers.push({
+        questionId,
+        selectedAnswer,
+        isCorrect,
+        credit,
+        needsReview: Boolean(needsReview),
+        ...(partlyRight && { partlyRight }),
+        ...(pendingRun && { pendingRun }),
+        // Kept with the answer, so later changes to the question's marks don't change this result
+        ...grading.getQuestionMarks(question),
+        ...(testResults && { testResults })
+      });
+    }
+  }
+  // Credit weighted by marks, wrong answers lose their negative marks
+  const score = grading.getAttemptScore(processedAnswers);
+
+  // Calculate percentage of the attempt's total marks
+  const totalQuestions = questionIds.length;
+  const maxScore = grading.roundScore(questionIds.reduce(
+    (sum, questionId) => sum + grading.getQuestionMarks(questionsMap[questionId.toString()]).marks, 0
+  ));
+  const percentage = maxScore > 0 ? (score / maxScore) * 100 : 0;
+
+  return { questions, processedAnswers, score, maxScore, totalAnswered, pendingCount, pendingRuns, totalQuestions, percentage };
+}
+
+/**
+ * Claim an in-progress attempt for finalizing by setting its final status
+ * The status check and the update are one operation, so when the student, the timer,
+ * the sweep or another instance finish the same attempt at once only one of them wins
+ * @param {string|Object} attendanceId - Attendance ID
+ * @param {string} status - Final status ('COMPLETED' or 'TIMED_OUT')
+ * @returns {Promise<Object|null>} Claimed attendance document, null if the attempt was already finished
+ */
+async function claimAttempt(attendanceId, status) {
+  return ExamAttendance.findOneAndUpdate(
+    { _id: attendanceId, status: 'IN_PROGRESS' },
+    { $set: { status, endTime: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Grade an attempt, store the result and issue a certificate when the exam is passed
+ * The attempt is claimed first; if grading fails it goes back to IN_PROGRESS so it can be retried
+ * @param {Object} params
+ * @param {Object} params.attendance - In-progress attendance document
+ * @param {Object} params.exam - Exam document
+ * @param {string} params.status - Final status ('COMPLETED' or 'TIMED_OUT')
+ * @returns {Promise<Object|null>} Graded result of the attempt and the exam (with the updated
+ * attendance), null if the attempt was already finished
+ */
+async function finalizeAttempt({ attendance, exam, status = 'COMPLETED' }) {
+  const claimed = await claimAttempt(attendance._id, status);
+  if (!claimed) {
+    console.log(`Attempt ${attendance._id} was already finished, not grading it again`);
+    return null;
+  }
+
+  try {
+    return await gradeClaimedAttempt(claimed, exam, status);
+  } catch (error) {
+    await ExamAttendance.updateOne(
+      { _id: claimed._id, status },
+      { $set: { status: 'IN_PROGRESS' }, $unset: { endTime: 1 } }
+    );
+    throw error;
+  }
+}
+
+/**
+ * Grade a claimed attempt and record its result
+ * @param {Object} attendance - Claimed attendance document
+ * @param {Object} exam - Exam document
+ * @param {string} status - Final status
+ * @returns {Promise<Object>} Graded result of the attempt and the exam
+ */
+async function gradeClaimedAttempt(attendance, exam, status) {
+  // Read after the claim, so answers saved up to the claim are included
+  const state = await attemptState.getAttemptState(attendance);
+
+  const userAnswersMap = attemptState.getAnswersMap(state);
+  console.log(`Found ${Object.keys(userAnswersMap).length} answers for attempt ${attendance._id}`);
+
+  // Grade exactly the questions that were drawn for this attempt
+  const attemptQuestionIds = state?.questionIds || [];
+  const {
+    processedAnswers,
+    score,
+    maxScore,
+    totalAnswered,
+    pendingCount,
+    pendingRuns,
+    totalQuestions,
+    percentage
+  } = await gradeAnswers(attemptQuestionIds, userAnswersMap, GRADING_FIELDS, state?.variants, { deferPractical: true });
+
+  // Update attendance record with results
+  attendance.status = status;
+  attendance.score = score;
+  attendance.maxScore = maxScore;
+  attendance.totalQuestions = totalQuestions;
+  attendance.attemptedQuestions = totalAnswered;
+  attendance.answers = processedAnswers;
+  // Kept with the result, so regrades and reviews use the same instances
+  attendance.variants = (state?.variants || []).map(({ questionId, values }) => ({ questionId, values }));
+  attendance.gradingStatus = pendingCount > 0 ? 'PENDING_REVIEW' : 'COMPLETE';
+
+  await attendance.save();
+
+  // Practical code runs after the response; the result is recorded once it has run
+  if (pendingRuns > 0) {
+    practicalGrading.schedulePendingRuns();
+  }
+
+  // Results and certificates wait until the grading queue has handled this attempt
+  if (pendingCount > 0) {
+    console.log(`Attempt ${attendance._id} ${status}: ${pendingCount} answer(s) waiting for grading, ${pendingRuns} of them for their code to run`);
+    const allAttempts = await ExamAttendance.find({ examId: attendance.examId, userId: attendance.userId });
+
+    return {
+      attendance,
+      score,
+      maxScore,
+      totalQuestions,
+      attemptedQuestions: totalAnswered,
+      percentage,
+      pendingReview: true,
+      pendingAnswers: pendingCount,
+      pendingRuns,
+      attemptPassed: false,
+      examResult: passPolicy.evaluateAttempts(allAttempts, exam),
+      passed: false,
+      certificateInfo: null
+    };
+  }
+
+  const result = await recordAttemptResult(attendance, exam);
+
+  return {
+    attendance,
+    score,
+    maxScore,
+    totalQuestions,
+    attemptedQuestions: totalAnswered,
+    percentage,
+    pendingReview: false,
+    pendingAnswers: 0,
+    pendingRuns: 0,
+    ...result
+  };
+}
+
+/**
+ * Record a grader's decision for one answer of a finished attempt
+ * The attempt score is recomputed, and once no answers are left in the queue
+ * the result is recorded and a certificate issued if the exam is passed
+ * @param {Object} params
+ * @param {Object} params.attendance - Finished attendance document
+ * @param {Object} params.exam - Exam document
+ * @param {string} params.questionId - Question of the graded answer
+ * @param {number} params.credit - Share of the question's marks awarded (0-1)
+ * @param {string} params.feedback - Optional feedback for the student
+ * @param {string} params.gradedBy - ID of the grader
+ * @returns {Promise<Object|null>} Updated grading status and result, null if the answer doesn't exist
+ */
+async function applyManualGrade({ attendance, exam, questionId, credit, feedback, gradedBy }) {
+  const answer = attendance.answers.find(a => a.questionId.toString() === questionId.toString());
+  if (!answer) {
+    return null;
+  }
+
+  const wasPending = attendance.gradingStatus === 'PENDING_REVIEW';
+
+  answer.credit = grading.roundScore(credit);
+  answer.isCorrect = answer.credit === 1;
+  // A manual grade of 0 counts as wrong
+  answer.partlyRight = false;
+  answer.needsReview = false;
+  answer.gradedBy = gradedBy;
+  answer.gradedAt = new Date();
+  if (feedback !== undefined) {
+    answer.feedback = feedback;
+  }
+
+  attendance.score = grading.getAttemptScore(attendance.answers);
+
+  const pendingAnswers = attendance.answers.filter(a => a.needsReview).length;
+  attendance.gradingStatus = pendingAnswers > 0 ? 'PENDING_REVIEW' : 'COMPLETE';
+  attendance.lastUpdated = new Date();
+  await attendance.save();
+
+  console.log(`Answer to question ${questionId} of attempt ${attendance._id} graded with credit ${answer.credit}, ${pendingAnswers} answer(s) left`);
+
+  // Record the result when the last pending answer was graded
+  let result = null;
+  if (wasPending && pendingAnswers === 0) {
+    result = await recordAttemptResult(attendance, exam);
+  }
+
+  return {
+    score: attendance.score,
+    maxScore: passPolicy.getMaxScore(attendance),
+    totalQuestions: attendance.totalQuestions,
+    gradingStatus: attendance.gradingStatus,
+    pendingAnswers,
+    result
+  };
+}
+
+module.exports = {
+  GRADING_FIELDS,
+  gradeAttemptAnswer,
+  gradeAnswers,
+  recordAttemptResult,
+  claimAttempt,
+  finalizeAttempt,
+  applyManualGrade
+};
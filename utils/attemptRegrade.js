@@ -0,0 +1,413 @@
+/**
+ * Regrade utilities
+ * Recomputes stored grades of finished attempts after an answer key was fixed, for one
+ * question or a whole exam. Answers are graded with the current answer key of their
+ * question: questions of published versions are revised rather than edited (see
+ * examVersioning), so the key is the active revision of the answered question.
+ * Students who newly pass get their certificate, certificates of students who newly
+ * fail are flagged for review instead of being revoked, and every change is recorded
+ * in a RegradeReport. Regrades that rerun practical code run in the background
+ */
+
+const ExamAttendance = require('../models/examAttendance.model');
+const Question = require('../models/question.model');
+const Certificate = require('../models/certificate.model');
+const RegradeReport = require('../models/regradeReport.model');
+const passPolicy = require('./passPolicy');
+const grading = require('./grading');
+const attemptGrading = require('./attemptGrading');
+const questionVariants = require('./questionVariants');
+const { issueExamCertificate } = require('../controllers/certificate.controller');
+
+const FINISHED_STATUSES = ['COMPLETED', 'TIMED_OUT'];
+
+// Question fields needed to grade answers and resolve revisions
+const KEY_FIELDS = `${attemptGrading.GRADING_FIELDS} originalQuestion retiredAt`;
+
+/**
+ * Get the revision chain key of a question (its first question)
+ * @param {Object} question - Question document
+ * @returns {string}
+ */
+function lineageKey(question) {
+  return (question.originalQuestion || question._id).toString();
+}
+
+/**
+ * Get all questions of a question's revision chain
+ * @param {Object} question - Question document
+ * @returns {Promise<Array>} Question documents
+ */
+async function loadLineage(question) {
+  const root = question.originalQuestion || question._id;
+  return Question.find({ $or: [{ _id: root }, { originalQuestion: root }] }).select(KEY_FIELDS);
+}
+
+/**
+ * Find the exams with finished attempts that answered a question or one of its revisions
+ * (pool questions have no exam of their own)
+ * @param {Object} question - Question document
+ * @returns {Promise<Array>} Exam IDs
+ */
+async function findAnsweringExamIds(question) {
+  const lineageIds = (await loadLineage(question)).map(q => q._id);
+  return ExamAttendance.distinct('examId', {
+    'answers.questionId': { $in: lineageIds },
+    status: { $in: FINISHED_STATUSES }
+  });
+}
+
+/**
+ * Find the answer key to grade each answered question with: the active (not retired)
+ * revision of its chain, or the question itself when the whole chain was retired
+ * @param {Array} questionIds - Answered question IDs
+ * @returns {Promise<Map>} Answered question ID -> question document used as the key
+ */
+async function resolveAnswerKeys(questionIds) {
+  const answered = await Question.find({ _id: { $in: questionIds } }).select(KEY_FIELDS);
+  const roots = [...new Set(answered.map(lineageKey))];
+  const lineage = await Question.find({
+    $or: [{ _id: { $in: roots } }, { originalQuestion: { $in: roots } }]
+  }).select(KEY_FIELDS);
+
+  // Newest active revision per chain (ObjectIds sort by creation time)
+  const activeByRoot = new Map();
+  lineage
+    .filter(question => !question.retiredAt)
+    .sort((a, b) => a._id.toString().localeCompare(b._id.toString()))
+    .forEach(question => activeByRoot.set(lineageKey(question), question));
+
+  const keys = new Map();
+  answered.forEach(question => {
+    keys.set(question._id.toString(), activeByRoot.get(lineageKey(question)) || question);
+  });
+  return keys;
+}
+
+/**
+ * Flag the certificate of a student whose result became a fail
+ * @param {Object} params - { userId, examId, reportId, reason }
+ * @returns {Promise<Object|null>} Flagged certificate, null if the student had none
+ */
+async function flagCertificate({ userId, examId, reportId, reason }) {
+  return Certificate.findOneAndUpdate(
+    { userId, examId },
+    {
+      $set: {
+        flaggedForReview: true,
+        flaggedAt: new Date(),
+        flagReason: reason,
+        flaggedByRegrade: reportId
+      }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Create the report of a regrade
+ * @param {Object} params - Regrade parameters (see regradeAttempts)
+ * @returns {Object} Unsaved RegradeReport
+ */
+function createReport({ exam, question = null, performedBy, reason = '', dryRun = false, includeManual = false, includePractical = false }) {
+  return new RegradeReport({
+    scope: question ? 'QUESTION' : 'EXAM',
+    examId: exam._id,
+    questionId: question?._id,
+    options: { includeManual, includePractical },
+    performedBy,
+    reason,
+    dryRun,
+    attempts: [],
+    students: [],
+    skipped: []
+  });
+}
+
+/**
+ * Regrade the finished attempts of an exam
+ * @param {Object} params
+ * @param {Object} params.exam - Exam document
+ * @param {Object} params.question - Only regrade answers to this question's revision chain (optional)
+ * @param {string} params.performedBy - ID of the user running the regrade
+ * @param {string} params.reason - Why the regrade was run
+ * @param {boolean} params.dryRun - Compute the report without saving anything
+ * @param {boolean} params.includeManual - Also regrade answers a grader has graded
+ * @param {boolean} params.includePractical - Rerun practical answers in exam-wide regrades
+ *   (always done when a practical question is regraded on its own)
+ * @param {Object} params.report - RUNNING report of a background regrade to fill in (optional)
+ * @returns {Promise<Object>} Report (saved as a RegradeReport unless an inline dryRun)
+ */
+async function regradeAttempts(params) {
+  const { exam, question = null, dryRun = false, includeManual = false, includePractical = false } = params;
+  const report = params.report || createReport(params);
+
+  // Answers to any revision of the question count as answers to it
+  const targetIds = question ? (await loadLineage(question)).map(q => q._id.toString()) : null;
+
+  const attemptFilter = { examId: exam._id, status: { $in: FINISHED_STATUSES } };
+  if (targetIds) {
+    attemptFilter['answers.questionId'] = { $in: targetIds };
+  }
+  const affectedAttempts = await ExamAttendance.find(attemptFilter).select('userId');
+  const userIds = [...new Set(affectedAttempts.map(attempt => attempt.userId.toString()))];
+
+  // All attempts of the affected students, to evaluate their results before and after
+  const allAttempts = await ExamAttendance.find({ examId: exam._id, userId: { $in: userIds } });
+  const attemptsByUser = new Map();
+  allAttempts.forEach(attempt => {
+    const key = attempt.userId.toString();
+    if (!attemptsByUser.has(key)) attemptsByUser.set(key, []);
+    attemptsByUser.get(key).push(attempt);
+  });
+
+  const resultsBefore = new Map();
+  attemptsByUser.forEach((attempts, userId) => {
+    resultsBefore.set(userId, passPolicy.evaluateAttempts(attempts, exam));
+  });
+
+  const answeredIds = new Set();
+  allAttempts.forEach(attempt => {
+    attempt.answers.forEach(answer => {
+      const id = answer.questionId?.toString();
+      if (id && (!targetIds || targetIds.includes(id))) answeredIds.add(id);
+    });
+  });
+  const answerKeys = await resolveAnswerKeys([...answeredIds]);
+
+  const changedAttempts = [];
+
+  for (const attempt of allAttempts) {
+    if (!FINISHED_STATUSES.includes(attempt.status)) continue;
+    report.summary.attemptsExamined++;
+
+    const scoreBefore = attempt.score;
+    const percentageBefore = passPolicy.getAttemptPercentage(attempt);
+    const gradingStatusBefore = attempt.gradingStatus || 'COMPLETE';
+    const answerChanges = [];
+
+    for (const answer of attempt.answers) {
+      const questionId = answer.questionId?.toString();
+      if (!questionId || (targetIds && !targetIds.includes(questionId))) continue;
+
+      const skip = (skipReason) => {
+        report.skipped.push({ attendanceId: attempt._id, questionId, reason: skipReason });
+        report.summary.answersSkipped++;
+      };
+
+      // Template questions keep the values the attempt was served, a fixed formula recomputes the answer
+      const key = questionVariants.applyVariant(
+        answerKeys.get(questionId),
+        questionVariants.getVariantValues(attempt.variants, questionId)
+      );
+      if (!key) {
+        skip('QUESTION_NOT_FOUND');
+        continue;
+      }
+      if (answer.gradedBy && !includeManual) {
+        skip('MANUALLY_GRADED');
+        continue;
+      }
+      if (answer.pendingRun) {
+        skip('PRACTICAL_RUN_PENDING');
+        continue;
+      }
+      if (key.type === 'Practical' && !question && !includePractical) {
+        skip('PRACTICAL_NOT_INCLUDED');
+        continue;
+      }
+
+      const graded = await attemptGrading.gradeAttemptAnswer(key, answer.selectedAnswer);
+      // Uncertain results keep the stored grade, a grader can still change it
+      if (graded.needsReview) {
+        skip('NEEDS_REVIEW');
+        continue;
+      }
+
+      const creditBefore = answer.credit !== undefined ? answer.credit : (answer.isCorrect ? 1 : 0);
+      const creditAfter = grading.roundScore(graded.credit);
+      const resolvesReview = Boolean(answer.needsReview);
+      const partlyRightChanged = Boolean(answer.partlyRight) !== Boolean(graded.partlyRight);
+      if (creditBefore === creditAfter && Boolean(answer.isCorrect) === graded.isCorrect && !resolvesReview && !partlyRightChanged) {
+        continue;
+      }
+
+      answerChanges.push({
+        questionId,
+        answerKeyQuestionId: key._id,
+        isCorrectBefore: answer.isCorrect,
+        isCorrectAfter: graded.isCorrect,
+        creditBefore,
+        creditAfter
+      });
+
+      answer.isCorrect = graded.isCorrect;
+      answer.credit = creditAfter;
+      answer.partlyRight = Boolean(graded.partlyRight);
+      answer.needsReview = false;
+      answer.regradedAt = new Date();
+      answer.answerKeyQuestionId = key._id;
+      if (graded.testResults) {
+        answer.testResults = graded.testResults;
+      }
+    }
+
+    if (answerChanges.length === 0) continue;
+
+    attempt.score = grading.getAttemptScore(attempt.answers);
+    attempt.gradingStatus = attempt.answers.some(a => a.needsReview) ? 'PENDING_REVIEW' : 'COMPLETE';
+    attempt.lastUpdated = new Date();
+    changedAttempts.push(attempt);
+
+    report.attempts.push({
+      attendanceId: attempt._id,
+      userId: attempt.userId,
+      attemptNumber: attempt.attemptNumber || 1,
+      scoreBefore,
+      scoreAfter: attempt.score,
+      percentageBefore: grading.roundScore(percentageBefore),
+      percentageAfter: grading.roundScore(passPolicy.getAttemptPercentage(attempt)),
+      gradingStatusBefore,
+      gradingStatusAfter: attempt.gradingStatus,
+      answers: answerChanges
+    });
+    report.summary.answersChanged += answerChanges.length;
+  }
+  report.summary.attemptsChanged = changedAttempts.length;
+
+  if (!dryRun) {
+    for (const attempt of changedAttempts) {
+      await attempt.save();
+    }
+  }
+
+  // Exam results of the students whose attempts changed
+  const changedUsers = [...new Set(changedAttempts.map(attempt => attempt.userId.toString()))];
+  report.summary.studentsAffected = changedUsers.length;
+
+  for (const userId of changedUsers) {
+    const before = resultsBefore.get(userId);
+    const after = passPolicy.evaluateAttempts(attemptsByUser.get(userId), exam);
+    const entry = {
+      userId,
+      passedBefore: before.passed,
+      passedAfter: after.passed,
+      percentageBefore: before.percentage !== null ? grading.roundScore(before.percentage) : null,
+      percentageAfter: after.percentage !== null ? grading.roundScore(after.percentage) : null,
+      certificateAction: 'NONE'
+    };
+
+    if (!before.passed && after.passed) {
+      report.summary.newlyPassed++;
+      if (!dryRun) {
+        try {
+          // A certificate flagged by an earlier regrade becomes valid again
+          const flagged = await Certificate.findOneAndUpdate(
+            { userId, examId: exam._id, flaggedForReview: true },
+            { $set: { flaggedForReview: false }, $unset: { flaggedAt: 1, flagReason: 1, flaggedByRegrade: 1 } },
+            { new: true }
+          );
+          if (flagged) {
+            entry.certificateAction = 'UNFLAGGED';
+            entry.certificateId = flagged.certificateId;
+          } else {
+            const certificateInfo = await issueExamCertificate({
+              userId,
+              exam,
+              attendance: after.countedAttempt,
+              percentage: after.percentage
+            });
+            entry.certificateId = certificateInfo?.certificateId;
+            if (!certificateInfo?.alreadyIssued) {
+              entry.certificateAction = 'ISSUED';
+              report.summary.certificatesIssued++;
+            }
+          }
+        } catch (certError) {
+          console.error(`Error issuing certificate for user ${userId} after regrade:`, certError);
+          entry.certificateAction = 'FAILED';
+          entry.error = certError.message;
+        }
+      } else {
+        // Same outcome as the real run: an existing certificate is unflagged or kept, not issued again
+        const existing = await Certificate.findOne({ userId, examId: exam._id }).select('certificateId flaggedForReview');
+        if (existing) {
+          entry.certificateAction = existing.flaggedForReview ? 'UNFLAGGED' : 'NONE';
+          entry.certificateId = existing.certificateId;
+        } else {
+          entry.certificateAction = 'ISSUED';
+          report.summary.certificatesIssued++;
+        }
+      }
+    } else if (before.passed && !after.passed) {
+      report.summary.newlyFailed++;
+      const certificate = dryRun
+        ? await Certificate.findOne({ userId, examId: exam._id }).select('certificateId')
+        : await flagCertificate({
+          userId,
+          examId: exam._id,
+          reportId: report._id,
+          reason: `Result changed to failed by a regrade (${entry.percentageAfter}% < ${after.passingScore}%)`
+        });
+      if (certificate) {
+        entry.certificateAction = 'FLAGGED';
+        entry.certificateId = certificate.certificateId;
+        report.summary.certificatesFlagged++;
+      }
+    }
+
+    report.students.push(entry);
+  }
+
+  if (report.status === 'RUNNING') {
+    report.status = 'COMPLETE';
+    await report.save();
+  } else if (!dryRun) {
+    await report.save();
+  }
+
+  console.log(`Regrade of exam ${exam._id}${question ? ` question ${question._id}` : ''}${dryRun ? ' (dry run)' : ''}: ` +
+    `${report.summary.attemptsChanged}/${report.summary.attemptsExamined} attempts changed, ` +
+    `${report.summary.newlyPassed} newly passed, ${report.summary.newlyFailed} newly failed`);
+
+  return report;
+}
+
+/**
+ * Start a regrade. It runs right away unless it reruns practical code: then its report
+ * is stored as RUNNING and the regrade runs in the background, so the request doesn't
+ * wait for submissions to run
+ * @param {Object} params - Regrade parameters (see regradeAttempts)
+ * @returns {Promise<Object>} { report, background }
+ */
+async function startRegrade(params) {
+  const { question = null, includePractical = false } = params;
+  const runsCode = question ? question.type === 'Practical' : includePractical;
+  if (!runsCode) {
+    return { report: await regradeAttempts(params), background: false };
+  }
+
+  const report = createReport(params);
+  report.status = 'RUNNING';
+  await report.save();
+
+  setImmediate(() => {
+    regradeAttempts({ ...params, report }).catch(async (error) => {
+      console.error(`Error in background regrade ${report._id}:`, error);
+      report.status = 'FAILED';
+      report.error = error.message;
+      await report.save().catch(saveError => {
+        console.error(`Error saving failed regrade report ${report._id}:`, saveError);
+      });
+    });
+  });
+
+  return { report, background: true };
+}
+
+module.exports = {
+  resolveAnswerKeys,
+  findAnsweringExamIds,
+  regradeAttempts,
+  startRegrade
+};
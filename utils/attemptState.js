@@ -0,0 +1,255 @@
+/**
+ * Attempt state utilities
+ * All in-progress attempt state (question order, template values, answers, flags, timestamps) lives in
+ * TmpExamStudentData, so any server instance can serve the attempt and a student can
+ * resume on another device or after a restart
+ */
+
+const TmpExamStudentData = require('../models/tmp.model');
+const questionPool = require('./questionPool');
+const questionVariants = require('./questionVariants');
+const grading = require('./grading');
+
+/**
+ * Build the lookup filter of an attempt's state
+ * @param {Object} attendance - Exam attendance record
+ * @returns {Object} MongoDB filter
+ */
+function stateFilter(attendance) {
+  return {
+    userId: attendance.userId,
+    examId: attendance.examId,
+    attemptNumber: attendance.attemptNumber || 1
+  };
+}
+
+/**
+ * Get the stored state of an attempt
+ * @param {Object} attendance - Exam attendance record
+ * @returns {Promise<Object|null>} Attempt state document
+ */
+async function getAttemptState(attendance) {
+  return TmpExamStudentData.findOne(stateFilter(attendance));
+}
+
+/**
+ * Create the state of a new attempt, replacing leftovers with the same attempt number
+ * Template questions get their values drawn together with the questions
+ * @param {Object} attendance - Exam attendance record
+ * @param {Array} questionIds - Question order drawn for the attempt
+ * @returns {Promise<Object>} Attempt state document
+ */
+async function createAttemptState(attendance, questionIds) {
+  await TmpExamStudentData.deleteMany(stateFilter(attendance));
+  const variants = await questionVariants.createVariants(questionIds);
+
+  return TmpExamStudentData.create({
+    ...stateFilter(attendance),
+    attendanceId: attendance._id,
+    questionIds,
+    variants,
+    answers: [],
+    answeredAt: [],
+    flaggedQuestionIds: [],
+    currentPage: 1,
+    lastActivityAt: new Date()
+  });
+}
+
+/**
+ * Get the state of an attempt, drawing its questions once if it has none yet
+ * Concurrent first requests end up with the same stored draw
+ * @param {Object} attendance - Exam attendance record
+ * @param {Object} exam - Exam document
+ * @returns {Promise<Object>} Attempt state document
+ */
+async function getOrCreateAttemptState(attendance, exam) {
+  const existing = await getAttemptState(attendance);
+  if (existing && existing.questionIds && existing.questionIds.length > 0) {
+    return existing;
+  }
+
+  const questionIds = await questionPool.drawAttemptQuestionIds(exam);
+  const variants = await questionVariants.createVariants(questionIds);
+
+  try {
+    // Only fill in the draw if no other request stored one in the meantime
+    await TmpExamStudentData.updateOne(
+      { ...stateFilter(attendance), 'questionIds.0': { $exists: false } },
+      {
+        $set: {
+          attendanceId: attendance._id,
+          questionIds,
+          variants,
+          answers: [],
+          answeredAt: [],
+          lastActivityAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request created the state first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  return getAttemptState(attendance);
+}
+
+/**
+ * Find the position of a question in the attempt
+ * @param {Object} state - Attempt state document
+ * @param {string} questionId - Question ID
+ * @returns {number} Index in questionIds, -1 if the question isn't part of the attempt
+ */
+function getQuestionIndex(state, questionId) {
+  return (state.questionIds || []).findIndex(qid => qid.toString() === questionId.toString());
+}
+
+/**
+ * Save one answer of an attempt
+ * Only the answer's own slot is written, so concurrent saves don't overwrite each other
+ * @param {Object} state - Attempt state document
+ * @param {number} questionIndex - Index of the question in questionIds
+ * @param {*} answer - Selected answer
+ * @returns {Promise<Object>} Updated attempt state document
+ */
+async function saveAnswer(state, questionIndex, answer) {
+  const now = new Date();
+  return TmpExamStudentData.findByIdAndUpdate(
+    state._id,
+    {
+      $set: {
+        [`answers.${questionIndex}`]: answer,
+        [`answeredAt.${questionIndex}`]: now,
+        lastActivityAt: now
+      }
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Flag or unflag a question for review
+ * @param {Object} state - Attempt state document
+ * @param {string} questionId - Question ID
+ * @param {boolean} flagged - Whether the question should be flagged
+ * @returns {Promise<Object>} Updated attempt state document
+ */
+async function setQuestionFlag(state, questionId, flagged) {
+  const update = flagged
+    ? { $addToSet: { flaggedQuestionIds: questionId.toString() } }
+    : { $pull: { flaggedQuestionIds: questionId.toString() } };
+  update.$set = { lastActivityAt: new Date() };
+
+  return TmpExamStudentData.findByIdAndUpdate(state._id, update, { new: true });
+}
+
+/**
+ * Remember the page the student is on
+ * @param {Object} state - Attempt state document
+ * @param {number} page - Current page
+ * @returns {Promise<void>}
+ */
+async function setCurrentPage(state, page) {
+  await TmpExamStudentData.updateOne(
+    { _id: state._id },
+    { $set: { currentPage: page, lastActivityAt: new Date() } }
+  );
+}
+
+/**
+ * Get the answers of an attempt keyed by question ID
+ * @param {Object} state - Attempt state document
+ * @returns {Object} Answers keyed by question ID
+ */
+function getAnswersMap(state) {
+  const answersMap = {};
+  if (!state || !state.questionIds) {
+    return answersMap;
+  }
+
+  state.questionIds.forEach((qId, index) => {
+    const answer = state.answers ? state.answers[index] : null;
+    // Structured answers with only empty entries ([null, null]) are unanswered too
+    if (!grading.isEmptyAnswer(answer)) {
+      answersMap[qId.toString()] = answer;
+    }
+  });
+
+  return answersMap;
+}
+
+/**
+ * Count the answered questions of an attempt
+ * @param {Object} state - Attempt state document
+ * @returns {number}
+ */
+function countAnswered(state) {
+  return Object.keys(getAnswersMap(state)).length;
+}
+
+/**
+ * Check whether a question is flagged
+ * @param {Object} state - Attempt state document
+ * @param {string} questionId - Question ID
+ * @returns {boolean}
+ */
+function isQuestionFlagged(state, questionId) {
+  return (state?.flaggedQuestionIds || []).some(id => id.toString() === questionId.toString());
+}
+
+/**
+ * Get the stored states of all attempts of an exam (for reports over finished attempts)
+ * @param {string} examId - Exam ID
+ * @returns {Promise<Array>} Attempt states with question order and answer times
+ */
+async function getExamAttemptStates(examId) {
+  return TmpExamStudentData.find({ examId }).select('userId attemptNumber questionIds answeredAt');
+}
+
+/**
+ * Estimate how long a student spent on each answered question
+ * Answers are taken in the order they were last saved; each gets the time since the
+ * previous save (or the start of the attempt). Revisits make this an estimate
+ * @param {Object} state - Attempt state document
+ * @param {Date} startTime - Start of the attempt
+ * @returns {Object} Milliseconds keyed by question ID
+ */
+function getAnswerDurations(state, startTime) {
+  const durations = {};
+  const answersMap = getAnswersMap(state);
+
+  const saves = (state?.questionIds || [])
+    .map((qId, index) => ({ questionId: qId.toString(), at: state.answeredAt ? state.answeredAt[index] : null }))
+    .filter(save => save.at && answersMap[save.questionId] !== undefined)
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  let previous = startTime ? new Date(startTime).getTime() : null;
+  saves.forEach(save => {
+    const at = new Date(save.at).getTime();
+    if (previous !== null && at >= previous) {
+      durations[save.questionId] = at - previous;
+    }
+    previous = at;
+  });
+
+  return durations;
+}
+
+module.exports = {
+  getAttemptState,
+  createAttemptState,
+  getOrCreateAttemptState,
+  getQuestionIndex,
+  saveAnswer,
+  setQuestionFlag,
+  setCurrentPage,
+  getAnswersMap,
+  countAnswered,
+  isQuestionFlagged,
+  getExamAttemptStates,
+  getAnswerDurations
+};
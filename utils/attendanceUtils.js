@@ -4,6 +4,8 @@
 
 const ExamAttendance = require('../models/examAttendance.model');
 const mongoose = require('mongoose');
+const attemptState = require('./attemptState');
+const passPolicy = require('./passPolicy');
 
 /**
  * Get user-friendly status display
@@ -155,10 +157,10 @@ async function getNextAttemptNumber(userId, examId) {
 /**
  * Get detailed status information for an exam attempt
  * @param {Object} attendance - The exam attendance record
- * @param {Object} userExamData - Memory cache of user exam data (optional)
+ * @param {Object} state - Stored attempt state of an in-progress attempt (optional)
  * @returns {Object} Detailed status information
  */
-function getDetailedStatus(attendance, userExamData = null) {
+function getDetailedStatus(attendance, state = null) {
   if (!attendance) {
     return {
       status: null,
@@ -176,15 +178,8 @@ function getDetailedStatus(attendance, userExamData = null) {
   // Debug logging for troubleshooting
   console.log(`Detailed status for attendance ${attendance._id}: status=${statusValue}`);
   
-  // Get answered count from memory if available
-  let answeredCount = 0;
-  if (userExamData && 
-      userExamData[attendance.userId.toString()] && 
-      userExamData[attendance.userId.toString()][attendance.examId.toString()]) {
-    answeredCount = Object.keys(
-      userExamData[attendance.userId.toString()][attendance.examId.toString()].userAnswers
-    ).length;
-  }
+  // Get answered count from the stored attempt state if available
+  const answeredCount = state ? attemptState.countAnswered(state) : 0;
   
   // A more reliable way to check if the exam is in progress
   const isInProgress = statusValue === 'IN_PROGRESS' || 
@@ -197,6 +192,7 @@ function getDetailedStatus(attendance, userExamData = null) {
     status: finalStatus,
     statusDisplay: getStatusDisplay(finalStatus),
     score: isInProgress ? null : attendance.score,
+    maxScore: isInProgress ? null : passPolicy.getMaxScore(attendance),
     totalQuestions: attendance.totalQuestions,
     attemptedQuestions: isInProgress ? answeredCount : attendance.attemptedQuestions,
     startTime: attendance.startTime,
@@ -204,7 +200,11 @@ function getDetailedStatus(attendance, userExamData = null) {
     attemptNumber: attendance.attemptNumber || 1,
     inProgress: isInProgress,
     completed: finalStatus === 'COMPLETED',
-    timedOut: finalStatus === 'TIMED_OUT'
+    timedOut: finalStatus === 'TIMED_OUT',
+    // Where to resume an in-progress attempt
+    currentPage: isInProgress && state ? state.currentPage || 1 : undefined,
+    flaggedQuestions: isInProgress && state ? (state.flaggedQuestionIds || []).length : undefined,
+    lastActivityAt: isInProgress && state ? state.lastActivityAt : undefined
   };
 }
 
@@ -0,0 +1,487 @@
+/**
+ * Code runner for practical (coding) questions
+ * Runs submitted code against a question's test cases in a local child process
+ * with CPU, memory, wall-clock and output limits. Each run gets a fresh temp
+ * directory and a minimal environment. Isolation comes from the sandbox: bubblewrap
+ * gives the program its own namespaces (no network), an unprivileged user and a
+ * read-only root that only holds the system and runtime directories and the run directory.
+ * Without a sandbox the program runs as the server's user and can read the server's
+ * files, so that mode must be chosen explicitly and never shows program output to students
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs/promises');
+const fsSync = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Flag that turns on Node's permission model: --permission from Node 22,
+// --experimental-permission on Node 20. Submissions run on this same binary, so it is
+// checked here. Older versions have neither and only get the sandbox
+const NODE_PERMISSION_FLAG = ['--permission', '--experimental-permission']
+  .find(flag => process.allowedNodeEnvironmentFlags.has(flag)) || null;
+
+// How submissions are isolated: 'bwrap' (bubblewrap, the default) or 'none'
+const SANDBOX = process.env.CODE_RUNNER_SANDBOX === 'none' ? 'none' : 'bwrap';
+const BWRAP_PATH = process.env.CODE_RUNNER_BWRAP_PATH || 'bwrap';
+
+// Optional separate user for runs (the server must be allowed to switch users, e.g. root in a container)
+const RUN_UID = parseInt(process.env.CODE_RUNNER_UID);
+const RUN_GID = parseInt(process.env.CODE_RUNNER_GID);
+
+// Inside the sandbox the run directory is mounted here and programs run as nobody
+const SANDBOX_DIR = '/sandbox';
+const SANDBOX_UID = 65534;
+const SYSTEM_DIRS = ['/usr', '/lib', '/lib64', '/bin', '/etc/alternatives'];
+
+// Languages students can submit, with how to run them
+const RUNTIMES = {
+  javascript: {
+    command: process.execPath,
+    fileName: 'main.js',
+    // V8 reserves far more address space than it uses, so the heap is capped
+    // with a flag instead of a virtual memory limit
+    limitVirtualMemory: false,
+    args: (file, dir, limits) => [
+      '--no-warnings',
+      `--max-old-space-size=${limits.memoryLimitMb}`,
+      // Permission model: no file access outside the run directory, no child processes
+      ...(NODE_PERMISSION_FLAG ? [NODE_PERMISSION_FLAG, `--allow-fs-read=${dir}`] : []),
+      file
+    ]
+  },
+  python: {
+    command: process.env.PYTHON_PATH || 'python3',
+    fileName: 'main.py',
+    limitVirtualMemory: true,
+    // -I: isolated mode, ignores environment variables and user site-packages
+    args: (file) => ['-I', file]
+  }
+};
+
+const SUPPORTED_LANGUAGES = Object.keys(RUNTIMES);
+
+const DEFAULT_LIMITS = {
+  timeLimitMs: 2000,
+  memoryLimitMb: 128
+};
+
+const MAX_LIMITS = {
+  timeLimitMs: 10000,
+  memoryLimitMb: 512
+};
+
+// Largest accepted submission and captured output per stream
+const MAX_CODE_BYTES = 64 * 1024;
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+// Output shown back for visible test cases is truncated to this length
+const MAX_STORED_OUTPUT_CHARS = 1000;
+
+// Runs are queued so submissions can't saturate the machine
+const maxConcurrentRuns = Math.max(1, parseInt(process.env.CODE_RUNNER_CONCURRENCY) || 1);
+let activeRuns = 0;
+const waitingRuns = [];
+
+/**
+ * Wait for a free run slot
+ * @returns {Promise<void>}
+ */
+function acquireRunSlot() {
+  if (activeRuns < maxConcurrentRuns) {
+    activeRuns++;
+    return Promise.resolve();
+  }
+  return new Promise(resolve => waitingRuns.push(resolve));
+}
+
+/**
+ * Hand the run slot to the next queued run, or free it
+ */
+function releaseRunSlot() {
+  const next = waitingRuns.shift();
+  if (next) {
+    next();
+  } else {
+    activeRuns--;
+  }
+}
+
+/**
+ * Resolve the limits of a question, clamped to the server maximums
+ * @param {Object} question - Practical question document
+ * @returns {Object} { timeLimitMs, memoryLimitMb }
+ */
+function getLimits(question) {
+  return {
+    timeLimitMs: Math.min(question.timeLimitMs || DEFAULT_LIMITS.timeLimitMs, MAX_LIMITS.timeLimitMs),
+    memoryLimitMb: Math.min(question.memoryLimitMb || DEFAULT_LIMITS.memoryLimitMb, MAX_LIMITS.memoryLimitMb)
+  };
+}
+
+/**
+ * Compare program output with the expected output, ignoring trailing whitespace
+ * on each line and trailing blank lines
+ * @param {string} actual - Program output
+ * @param {string} expected - Expected output
+ * @returns {boolean}
+ */
+function outputsMatch(actual, expected) {
+  const normalize = value => String(value ?? '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n+$/, '');
+  return normalize(actual) === normalize(expected);
+}
+
+/**
+ * Build the bubblewrap command line that runs a program in the sandbox
+ * The root is an empty tmpfs, remounted read-only, with the system directories, the
+ * runtime's install directory and the run directory bound read-only; only /tmp is writable
+ * @param {Object} runtime - Entry of RUNTIMES
+ * @param {string} dir - Run directory on the host
+ * @returns {Array<string>} bwrap and its arguments, followed by the program's command line
+ */
+function getSandboxArgs(runtime, dir) {
+  // Runtimes installed outside the system directories (e.g. nvm) are bound from their install prefix
+  let runtimeDir = null;
+  if (path.isAbsolute(runtime.command)) {
+    runtimeDir = path.dirname(path.dirname(fsSync.realpathSync(runtime.command)));
+    if (SYSTEM_DIRS.some(systemDir => runtimeDir === systemDir || runtimeDir.startsWith(`${systemDir}/`)) || runtimeDir === '/') {
+      runtimeDir = null;
+    }
+  }
+
+  return [
+    BWRAP_PATH,
+    '--unshare-all',
+    '--unshare-user',
+    '--uid', String(SANDBOX_UID),
+    '--gid', String(SANDBOX_UID),
+    '--die-with-parent',
+    '--new-session',
+    '--clearenv',
+    '--setenv', 'PATH', '/usr/local/bin:/usr/bin:/bin',
+    '--setenv', 'HOME', SANDBOX_DIR,
+    '--setenv', 'LANG', 'C.UTF-8',
+    ...SYSTEM_DIRS.flatMap(systemDir => ['--ro-bind-try', systemDir, systemDir]),
+    ...(runtimeDir ? ['--ro-bind', runtimeDir, runtimeDir] : []),
+    '--ro-bind', dir, SANDBOX_DIR,
+    '--tmpfs', '/tmp',
+    '--proc', '/proc',
+    '--dev', '/dev',
+    '--chdir', SANDBOX_DIR,
+    '--remount-ro', '/',
+    '--'
+  ];
+}
+
+/**
+ * Run one program once with the given input
+ * The command is started through sh so ulimit can cap CPU time, file size and
+ * (where the runtime allows) virtual memory before the program (and its sandbox) starts
+ * @param {Object} runtime - Entry of RUNTIMES
+ * @param {string} dir - Run directory containing the program
+ * @param {string} input - Data written to stdin
+ * @param {Object} limits - { timeLimitMs, memoryLimitMb }
+ * @returns {Promise<Object>} { stdout, stderr, exitCode, signal, timedOut, outputLimitExceeded, durationMs, spawnError }
+ */
+function runProcess(runtime, dir, input, limits) {
+  return new Promise((resolve) => {
+    // The program sees the run directory at SANDBOX_DIR when it is sandboxed
+    const sandboxed = SANDBOX === 'bwrap';
+    const runDir = sandboxed ? SANDBOX_DIR : dir;
+    const file = path.join(runDir, runtime.fileName);
+    const cpuSeconds = Math.ceil(limits.timeLimitMs / 1000) + 1;
+    const ulimits = [`ulimit -t ${cpuSeconds}`, 'ulimit -f 1024'];
+    if (runtime.limitVirtualMemory) {
+      ulimits.push(`ulimit -v ${limits.memoryLimitMb * 1024}`);
+    }
+
+    const startedAt = Date.now();
+    let stdout = '';
+    let stderr = '';
+    let timedOut = false;
+    let outputLimitExceeded = false;
+    let spawnError = null;
+
+    const commandLine = [
+      ...(sandboxed ? getSandboxArgs(runtime, dir) : []),
+      runtime.command,
+      ...runtime.args(file, runDir, limits)
+    ];
+
+    const child = spawn('/bin/sh', [
+      '-c',
+      `${ulimits.join('; ')}; exec "$0" "$@"`,
+      ...commandLine
+    ], {
+      cwd: dir,
+      env: { PATH: process.env.PATH, HOME: dir, LANG: 'C.UTF-8' },
+      stdio: ['pipe', 'pipe', 'pipe'],
+      // Own process group, so the whole program can be stopped at once
+      detached: true,
+      ...(Number.isInteger(RUN_UID) && { uid: RUN_UID }),
+      ...(Number.isInteger(RUN_GID) && { gid: RUN_GID })
+    });
+
+    const killChild = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (error) {
+        // Already exited
+      }
+    };
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      killChild();
+    }, limits.timeLimitMs);
+
+    const collect = (stream, append) => {
+      stream.on('data', (chunk) => {
+        if (Buffer.byteLength(stdout) + Buffer.byteLength(stderr) + chunk.length > MAX_OUTPUT_BYTES * 2) {
+          outputLimitExceeded = true;
+          killChild();
+          return;
+        }
+        append(chunk.toString());
+      });
+    };
+    collect(child.stdout, (text) => { stdout += text; });
+    collect(child.stderr, (text) => { stderr += text; });
+
+    child.on('error', (error) => {
+      spawnError = error.message;
+    });
+
+    child.on('close', (exitCode, signal) => {
+      clearTimeout(timer);
+      resolve({
+        stdout,
+        stderr,
+        exitCode,
+        signal,
+        timedOut,
+        outputLimitExceeded,
+        durationMs: Date.now() - startedAt,
+        spawnError
+      });
+    });
+
+    // Programs that don't read stdin close it early, which is fine
+    child.stdin.on('error', () => {});
+    child.stdin.end(input || '');
+  });
+}
+
+/**
+ * Classify the outcome of one test run
+ * @param {Object} run - Result of runProcess
+ * @param {string} expectedOutput - Expected output of the test case
+ * @returns {string} PASSED, FAILED, TIME_LIMIT, MEMORY_LIMIT, OUTPUT_LIMIT, RUNTIME_ERROR or RUNNER_ERROR
+ */
+function getTestStatus(run, expectedOutput) {
+  if (run.spawnError) return 'RUNNER_ERROR';
+  if (run.timedOut || run.signal === 'SIGXCPU') return 'TIME_LIMIT';
+  if (run.outputLimitExceeded) return 'OUTPUT_LIMIT';
+  if (/MemoryError|heap out of memory|Cannot allocate memory/.test(run.stderr)) return 'MEMORY_LIMIT';
+  if (run.exitCode !== 0) return 'RUNTIME_ERROR';
+  return outputsMatch(run.stdout, expectedOutput) ? 'PASSED' : 'FAILED';
+}
+
+// Set once bwrap was found, so the check runs once per process
+let sandboxChecked = false;
+
+/**
+ * Check that the sandbox can be started, before any submitted code runs
+ * Code is never run unsandboxed unless CODE_RUNNER_SANDBOX=none was set
+ * @returns {Promise<void>} Rejects when the sandbox isn't available
+ */
+async function ensureSandbox() {
+  if (SANDBOX === 'none' || sandboxChecked) {
+    return;
+  }
+  const version = await probeRuntime({ command: BWRAP_PATH });
+  if (version === null) {
+    throw new Error(`Code sandbox ${BWRAP_PATH} is not available (install bubblewrap, or set CODE_RUNNER_SANDBOX=none to run code unsandboxed)`);
+  }
+  sandboxChecked = true;
+}
+
+/**
+ * Run code against test cases
+ * @param {Object} params
+ * @param {string} params.language - One of SUPPORTED_LANGUAGES
+ * @param {string} params.code - Source code
+ * @param {Array} params.testCases - [{ input, expectedOutput, hidden, weight }]
+ * @param {Object} params.limits - { timeLimitMs, memoryLimitMb }
+ * @returns {Promise<Array>} Per-test results in test case order
+ */
+async function runTestCases({ language, code, testCases, limits }) {
+  const runtime = RUNTIMES[language];
+  if (!runtime) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+
+  await ensureSandbox();
+  await acquireRunSlot();
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'code-run-'));
+
+  try {
+    await fs.writeFile(path.join(dir, runtime.fileName), code);
+    // The sandbox user (or CODE_RUNNER_UID) must be able to read the program
+    await fs.chmod(dir, 0o755);
+
+    const results = [];
+    for (let i = 0; i < testCases.length; i++) {
+      const testCase = testCases[i];
+      const run = await runProcess(runtime, dir, testCase.input, limits);
+      const status = getTestStatus(run, testCase.expectedOutput);
+
+      results.push({
+        testIndex: i,
+        hidden: testCase.hidden !== false,
+        status,
+        passed: status === 'PASSED',
+        durationMs: run.durationMs,
+        // Only visible test cases of sandboxed runs show what the program printed: unsandboxed
+        // programs could print the server's files
+        ...(testCase.hidden === false && SANDBOX !== 'none' && {
+          output: run.stdout.slice(0, MAX_STORED_OUTPUT_CHARS),
+          error: run.stderr.slice(0, MAX_STORED_OUTPUT_CHARS)
+        })
+      });
+
+      // Nothing else will run if the runtime itself is missing
+      if (status === 'RUNNER_ERROR') {
+        console.error(`Code runner could not start ${runtime.command}: ${run.spawnError}`);
+        break;
+      }
+    }
+
+    return results;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true }).catch(() => {});
+    releaseRunSlot();
+  }
+}
+
+/**
+ * Grade a practical answer by running it against all of the question's test cases
+ * Credit is the weighted share of passed tests. When the runner itself fails the
+ * answer goes to the grading queue instead of being marked wrong
+ * @param {Object} question - Practical question document
+ * @param {string} code - Submitted code
+ * @returns {Promise<Object>} { credit, isCorrect, needsReview, testResults }
+ */
+async function gradePracticalAnswer(question, code) {
+  const testCases = question.testCases || [];
+  if (!code || testCases.length === 0) {
+    return { credit: 0, isCorrect: false, needsReview: false, testResults: [] };
+  }
+
+  let testResults;
+  try {
+    testResults = await runTestCases({
+      language: question.language,
+      code: String(code),
+      testCases,
+      limits: getLimits(question)
+    });
+  } catch (error) {
+    console.error(`Error running practical answer for question ${question._id}:`, error);
+    return { credit: 0, isCorrect: false, needsReview: true, testResults: [] };
+  }
+
+  if (testResults.some(result => result.status === 'RUNNER_ERROR')) {
+    return { credit: 0, isCorrect: false, needsReview: true, testResults };
+  }
+
+  const weightOf = index => (testCases[index].weight !== undefined ? testCases[index].weight : 1);
+  const totalWeight = testCases.reduce((sum, testCase, index) => sum + weightOf(index), 0);
+  const passedWeight = testResults
+    .filter(result => result.passed)
+    .reduce((sum, result) => sum + weightOf(result.testIndex), 0);
+
+  const credit = totalWeight > 0 ? Math.round((passedWeight / totalWeight) * 100) / 100 : 0;
+
+  return {
+    credit,
+    isCorrect: credit === 1,
+    needsReview: false,
+    testResults
+  };
+}
+
+/**
+ * Get the version of a runtime, or null if it can't be started
+ * @param {Object} runtime - Entry of RUNTIMES
+ * @returns {Promise<string|null>}
+ */
+function probeRuntime(runtime) {
+  return new Promise((resolve) => {
+    let output = '';
+    const child = spawn(runtime.command, ['--version'], { stdio: ['ignore', 'pipe', 'pipe'] });
+    const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+
+    child.stdout.on('data', (chunk) => { output += chunk.toString(); });
+    child.stderr.on('data', (chunk) => { output += chunk.toString(); });
+    child.on('error', () => {
+      clearTimeout(timer);
+      resolve(null);
+    });
+    child.on('close', (exitCode) => {
+      clearTimeout(timer);
+      resolve(exitCode === 0 ? output.trim() : null);
+    });
+  });
+}
+
+/**
+ * Report the runner's runtimes, limits and load
+ * @returns {Promise<Object>} Runner status
+ */
+async function getRunnerStatus() {
+  const runtimes = [];
+  for (const language of SUPPORTED_LANGUAGES) {
+    const version = await probeRuntime(RUNTIMES[language]);
+    runtimes.push({
+      language,
+      command: RUNTIMES[language].command,
+      available: version !== null,
+      version
+    });
+  }
+
+  return {
+    runtimes,
+    sandbox: {
+      type: SANDBOX,
+      command: SANDBOX === 'none' ? null : BWRAP_PATH,
+      available: SANDBOX === 'none' ? null : (await probeRuntime({ command: BWRAP_PATH })) !== null,
+      runUid: Number.isInteger(RUN_UID) ? RUN_UID : null,
+      nodePermissionFlag: NODE_PERMISSION_FLAG
+    },
+    defaultLimits: DEFAULT_LIMITS,
+    maxLimits: MAX_LIMITS,
+    maxCodeBytes: MAX_CODE_BYTES,
+    maxConcurrentRuns,
+    activeRuns,
+    queuedRuns: waitingRuns.length
+  };
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LIMITS,
+  MAX_LIMITS,
+  MAX_CODE_BYTES,
+  getLimits,
+  outputsMatch,
+  runTestCases,
+  gradePracticalAnswer,
+  getRunnerStatus
+};
@@ -5,6 +5,9 @@
 
 const cron = require('node-cron');
 const attendanceUtils = require('./attendanceUtils');
+const timeoutManager = require('./timeoutManager');
+const examSchedule = require('./examSchedule');
+const practicalGrading = require('./practicalGrading');
 
 /**
  * Initialize all cron jobs
@@ -27,6 +30,42 @@ function initCronJobs() {
     timezone: 'Asia/Kolkata' // IST timezone
   });
   
+  // Auto-submit attempts that passed their deadline (covers timers lost on restart)
+  cron.schedule('0 * * * * *', async () => {
+    try {
+      const result = await timeoutManager.processExpiredAttempts();
+      if (result.expired > 0 || result.errors > 0) {
+        console.log(`Exam timeout sweep: ${result.expired} attempts auto-submitted, ${result.errors} errors`);
+      }
+    } catch (error) {
+      console.error('Error in exam timeout cron job:', error);
+    }
+  });
+  
+  // Open and close scheduled exam windows (publish, cap deadlines at close, unpublish after the grace period)
+  cron.schedule('30 * * * * *', async () => {
+    try {
+      const result = await examSchedule.processScheduledExams();
+      if (result.published > 0 || result.unpublished > 0 || result.capped > 0 || result.errors > 0) {
+        console.log(`Exam schedule sweep: ${result.published} published, ${result.unpublished} unpublished, ${result.capped} attempt deadlines capped, ${result.errors} errors`);
+      }
+    } catch (error) {
+      console.error('Error in exam schedule cron job:', error);
+    }
+  });
+  
+  // Run practical answers left pending (runs started at submission that were lost or failed)
+  cron.schedule('15 * * * * *', async () => {
+    try {
+      const result = await practicalGrading.processPendingRuns();
+      if (result.graded > 0 || result.errors > 0) {
+        console.log(`Practical grading sweep: ${result.graded} attempts graded, ${result.errors} errors`);
+      }
+    } catch (error) {
+      console.error('Error in practical grading cron job:', error);
+    }
+  });
+  
   // Hourly stale attendance cleanup
   cron.schedule('0 0 * * * *', async () => {
     console.log('Running hourly stale attendance cleanup...');
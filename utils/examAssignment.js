@@ -0,0 +1,221 @@
+/**
+ * Exam assignment utilities
+ * Exams without assignments are available to every student. Once an exam is assigned to
+ * cohorts or students, only they can see and attend it, with the overrides of their
+ * assignments (window, extra attempts) applied on top of the exam's settings
+ */
+
+const Cohort = require('../models/cohort.model');
+const ExamAssignment = require('../models/examAssignment.model');
+const User = require('../models/user.model');
+const examSchedule = require('./examSchedule');
+
+// Exam settings that decide availability and retakes, and can be overridden per assignment
+const POLICY_FIELDS = [
+  '_id', 'duration', 'passingScore', 'maxAttempts', 'attemptScoring', 'blockRetakeAfterPass',
+  'retakeCooldownMinutes', 'opensAt', 'closesAt', 'timezone', 'closeGraceMinutes'
+];
+
+const WINDOW_OVERRIDES = ['opensAt', 'closesAt', 'closeGraceMinutes'];
+
+/**
+ * Combine the overrides of the assignments that apply to a student
+ * Individual assignments take precedence over cohort assignments, newer over older;
+ * extra attempts are the most generous of them
+ * @param {Array} assignments - ExamAssignment documents of one exam
+ * @returns {Object} { opensAt, closesAt, closeGraceMinutes, extraAttempts } (unset fields omitted)
+ */
+function mergeOverrides(assignments) {
+  const ordered = [...assignments].sort((a, b) => {
+    if (Boolean(a.userId) !== Boolean(b.userId)) {
+      return a.userId ? -1 : 1;
+    }
+    return new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+  });
+
+  const merged = {};
+  ordered.forEach(assignment => {
+    const overrides = assignment.overrides || {};
+    WINDOW_OVERRIDES.forEach(field => {
+      if (merged[field] === undefined && overrides[field] !== null && overrides[field] !== undefined) {
+        merged[field] = overrides[field];
+      }
+    });
+    if (overrides.extraAttempts > (merged.extraAttempts || 0)) {
+      merged.extraAttempts = overrides.extraAttempts;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Get the settings of an exam for one student, with their assignment overrides applied
+ * @param {Object} exam - Exam document
+ * @param {Object} overrides - Merged overrides (see mergeOverrides)
+ * @returns {Object} Plain object with the exam's policy and window fields
+ */
+function getEffectiveExam(exam, overrides = {}) {
+  const effective = {};
+  POLICY_FIELDS.forEach(field => {
+    effective[field] = exam[field];
+  });
+
+  WINDOW_OVERRIDES.forEach(field => {
+    if (overrides[field] !== undefined) {
+      effective[field] = overrides[field];
+    }
+  });
+  if (overrides.extraAttempts) {
+    effective.maxAttempts = (exam.maxAttempts || 3) + overrides.extraAttempts;
+  }
+  return effective;
+}
+
+/**
+ * Get the IDs of the cohorts a student belongs to
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Cohort IDs
+ */
+async function getUserCohortIds(userId) {
+  const cohorts = await Cohort.find({ members: userId }).select('_id');
+  return cohorts.map(cohort => cohort._id);
+}
+
+/**
+ * Decide which of a set of exams a student can access
+ * @param {string} userId - User ID
+ * @param {Array} examIds - Exam IDs
+ * @returns {Promise<Map>} Exam ID -> { restricted, assigned, overrides }
+ */
+async function resolveAccess(userId, examIds) {
+  const [cohortIds, restrictedIds] = await Promise.all([
+    getUserCohortIds(userId),
+    ExamAssignment.distinct('examId', { examId: { $in: examIds } })
+  ]);
+
+  const restricted = new Set(restrictedIds.map(id => id.toString()));
+  const ownAssignments = restricted.size > 0
+    ? await ExamAssignment.find({
+      examId: { $in: [...restricted] },
+      $or: [{ userId }, { cohortId: { $in: cohortIds } }]
+    })
+    : [];
+
+  const assignmentsByExam = {};
+  ownAssignments.forEach(assignment => {
+    const key = assignment.examId.toString();
+    if (!assignmentsByExam[key]) assignmentsByExam[key] = [];
+    assignmentsByExam[key].push(assignment);
+  });
+
+  const access = new Map();
+  examIds.forEach(examId => {
+    const key = examId.toString();
+    const assignments = assignmentsByExam[key] || [];
+    access.set(key, {
+      restricted: restricted.has(key),
+      assigned: !restricted.has(key) || assignments.length > 0,
+      overrides: mergeOverrides(assignments)
+    });
+  });
+  return access;
+}
+
+/**
+ * Decide whether a student can access one exam
+ * @param {string} userId - User ID
+ * @param {Object} exam - Exam document
+ * @returns {Promise<Object>} { restricted, assigned, overrides, effectiveExam }
+ */
+async function checkExamAccess(userId, exam) {
+  const access = (await resolveAccess(userId, [exam._id])).get(exam._id.toString());
+  return {
+    ...access,
+    effectiveExam: getEffectiveExam(exam, access.overrides)
+  };
+}
+
+/**
+ * Read and validate assignment overrides from a request body
+ * Window times without an offset are read in the exam's timezone
+ * @param {Object} input - Overrides from the request
+ * @param {Object} exam - Exam document
+ * @param {Object} current - Current overrides (for updates)
+ * @returns {{ values: Object, errors: Array }}
+ */
+function readOverridesInput(input, exam, current = {}) {
+  const values = {};
+  const errors = [];
+  if (!input || typeof input !== 'object') {
+    return { values, errors };
+  }
+
+  // The effective window (overrides over the exam's window) must stay valid
+  const base = {
+    timezone: exam.timezone,
+    opensAt: current.opensAt ?? exam.opensAt,
+    closesAt: current.closesAt ?? exam.closesAt
+  };
+  const schedule = examSchedule.readScheduleInput(
+    WINDOW_OVERRIDES.reduce((picked, field) => {
+      if (input[field] !== undefined) picked[field] = input[field];
+      return picked;
+    }, {}),
+    base
+  );
+  errors.push(...schedule.errors);
+  WINDOW_OVERRIDES.forEach(field => {
+    if (schedule.values[field] !== undefined) {
+      values[field] = schedule.values[field];
+    }
+  });
+
+  if (input.extraAttempts !== undefined) {
+    const extraAttempts = Number(input.extraAttempts);
+    if (!Number.isInteger(extraAttempts) || extraAttempts < 0 || extraAttempts > 10) {
+      errors.push('extraAttempts must be a whole number between 0 and 10');
+    } else {
+      values.extraAttempts = extraAttempts;
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Parse a list of email addresses from an array or a comma/semicolon/newline separated string
+ * @param {Array|string} input - Email list
+ * @returns {Array} Unique lowercased addresses
+ */
+function parseEmailList(input) {
+  const items = Array.isArray(input) ? input : String(input || '').split(/[\s,;]+/);
+  return [...new Set(items
+    .map(item => String(item).trim().toLowerCase())
+    .filter(item => item !== ''))];
+}
+
+/**
+ * Find users by email address, ignoring case
+ * @param {Array} emails - Addresses (see parseEmailList)
+ * @returns {Promise<Array>} User documents
+ */
+async function findUsersByEmail(emails) {
+  if (emails.length === 0) {
+    return [];
+  }
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return User.find({
+    email: { $in: emails.map(email => new RegExp(`^${escape(email)}$`, 'i')) }
+  }).select('username firstName lastName email');
+}
+
+module.exports = {
+  mergeOverrides,
+  getEffectiveExam,
+  getUserCohortIds,
+  resolveAccess,
+  checkExamAccess,
+  readOverridesInput,
+  parseEmailList,
+  findUsersByEmail
+};
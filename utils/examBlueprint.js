@@ -0,0 +1,180 @@
+/**
+ * Exam blueprints
+ * A blueprint fixes how many questions of each topic (and optionally difficulty) every
+ * attempt gets, e.g. 4 easy, 4 medium and 2 hard networking questions plus 5 security
+ * questions. Fixed questions count by their topics/tags and difficulty, pool draws count
+ * for the row their tags and difficulty select
+ */
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const MAX_BLUEPRINT_ROWS = 50;
+
+/**
+ * Read and validate a blueprint from a create/update request
+ * @param {Array} input - [{ topic, difficulty, count }]
+ * @returns {{ values: Array, errors: Array }} Rows to store and validation errors
+ */
+function readBlueprintInput(input) {
+  if (!Array.isArray(input)) {
+    return { values: [], errors: ["'blueprint' must be an array"] };
+  }
+  if (input.length > MAX_BLUEPRINT_ROWS) {
+    return { values: [], errors: [`A blueprint can have at most ${MAX_BLUEPRINT_ROWS} rows`] };
+  }
+
+  const errors = [];
+  const values = [];
+  const seen = new Set();
+  // Topics split by difficulty, and topics counted over all difficulties
+  const splitTopics = new Set();
+  const wholeTopics = new Set();
+
+  input.forEach((row, index) => {
+    const topic = typeof row?.topic === 'string' ? row.topic.trim().toLowerCase() : '';
+    if (!topic) {
+      errors.push(`Blueprint row ${index + 1}: topic is required`);
+      return;
+    }
+
+    const difficulty = row.difficulty || null;
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      errors.push(`Blueprint row ${index + 1}: difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+      return;
+    }
+
+    const count = Number(row.count);
+    if (!Number.isInteger(count) || count < 1) {
+      errors.push(`Blueprint row ${index + 1}: count must be a whole number of questions (1 or more)`);
+      return;
+    }
+
+    const key = `${topic}:${difficulty || ''}`;
+    if (seen.has(key)) {
+      errors.push(`Blueprint row ${index + 1}: ${topic}${difficulty ? ` (${difficulty})` : ''} is listed twice`);
+      return;
+    }
+    if (difficulty ? wholeTopics.has(topic) : splitTopics.has(topic)) {
+      errors.push(`Blueprint row ${index + 1}: ${topic} is split by difficulty in some rows but not in others`);
+      return;
+    }
+
+    seen.add(key);
+    (difficulty ? splitTopics : wholeTopics).add(topic);
+    values.push({ topic, ...(difficulty && { difficulty }), count });
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Check whether a topic/difficulty combination falls in a blueprint row
+ * @param {Object} row - Blueprint row
+ * @param {Array<string>} labels - Lowercased topics and tags
+ * @param {string} difficulty - Difficulty of the question or draw
+ * @returns {boolean}
+ */
+function matchesRow(row, labels, difficulty) {
+  return labels.includes(row.topic) && (!row.difficulty || row.difficulty === difficulty);
+}
+
+/**
+ * Find the blueprint row a question counts for (the first row it matches)
+ * @param {Array} blueprint - Blueprint rows
+ * @param {Object} question - Question with topics, tags and difficulty
+ * @returns {number} Row index, -1 when the question is outside the blueprint
+ */
+function findQuestionRow(blueprint, question) {
+  const labels = [...(question.topics || []), ...(question.tags || [])].map(label => label.toLowerCase());
+  return blueprint.findIndex(row => matchesRow(row, labels, question.difficulty));
+}
+
+/**
+ * Find the blueprint row a pool draw counts for
+ * Only the draw's own tags and difficulty are used, so every question it can draw
+ * counts for the same row
+ * @param {Array} blueprint - Blueprint rows
+ * @param {Object} draw - Pool draw of the exam
+ * @returns {number} Row index, -1 when the draw is outside the blueprint
+ */
+function findDrawRow(blueprint, draw) {
+  const labels = (draw.tags || []).map(tag => tag.toLowerCase());
+  return blueprint.findIndex(row => matchesRow(row, labels, draw.difficulty));
+}
+
+/**
+ * Compare the questions of an exam or attempt with a blueprint
+ * Every row must get exactly its count, and every question and draw must fall in a row
+ * @param {Array} blueprint - Blueprint rows
+ * @param {Array} fixedQuestions - Fixed questions (topics, tags, difficulty)
+ * @param {Array} draws - [{ draw, count }] pool draws and the number of questions they add
+ * @returns {Object} { satisfied, rows, unplannedQuestions, unplannedDraws }
+ */
+function evaluateBlueprint(blueprint, fixedQuestions, draws) {
+  const rows = (blueprint || []).map(row => ({
+    topic: row.topic,
+    difficulty: row.difficulty || null,
+    required: row.count,
+    fixed: 0,
+    drawn: 0
+  }));
+
+  const unplannedQuestions = [];
+  fixedQuestions.forEach(question => {
+    const index = findQuestionRow(blueprint, question);
+    if (index < 0) {
+      unplannedQuestions.push(question._id);
+    } else {
+      rows[index].fixed++;
+    }
+  });
+
+  const unplannedDraws = [];
+  draws.forEach(({ draw, count }) => {
+    const index = findDrawRow(blueprint, draw);
+    if (index < 0) {
+      unplannedDraws.push({ pool: draw.pool, tags: draw.tags, difficulty: draw.difficulty, count });
+    } else {
+      rows[index].drawn += count;
+    }
+  });
+
+  rows.forEach(row => {
+    row.planned = row.fixed + row.drawn;
+    row.satisfied = row.planned === row.required;
+  });
+
+  return {
+    satisfied: rows.every(row => row.satisfied) && unplannedQuestions.length === 0 && unplannedDraws.length === 0,
+    rows,
+    unplannedQuestions,
+    unplannedDraws
+  };
+}
+
+/**
+ * Describe why a blueprint isn't satisfied
+ * @param {Object} result - Result of evaluateBlueprint
+ * @returns {Array<string>} One message per problem
+ */
+function describeViolations(result) {
+  const messages = result.rows
+    .filter(row => !row.satisfied)
+    .map(row => `${row.topic}${row.difficulty ? ` (${row.difficulty})` : ''}: ${row.planned} of ${row.required} question(s)`);
+
+  if (result.unplannedQuestions.length > 0) {
+    messages.push(`${result.unplannedQuestions.length} fixed question(s) match no blueprint row`);
+  }
+  if (result.unplannedDraws.length > 0) {
+    messages.push(`${result.unplannedDraws.length} pool draw(s) match no blueprint row`);
+  }
+  return messages;
+}
+
+module.exports = {
+  DIFFICULTIES,
+  readBlueprintInput,
+  findQuestionRow,
+  findDrawRow,
+  evaluateBlueprint,
+  describeViolations
+};
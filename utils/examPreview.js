@@ -0,0 +1,139 @@
+/**
+ * Author preview sessions
+ * Admins and teachers can take an exam the way students see it without creating an
+ * attempt. Preview sessions are kept in their own PreviewSession collection: nothing is
+ * written to attendance, attempt state, risk or certificate collections, and sessions are
+ * dropped when they are completed or by a TTL index once they expire. Each author keeps
+ * at most MAX_SESSIONS_PER_USER sessions, starting a new one drops their oldest
+ */
+
+const crypto = require('crypto');
+const PreviewSession = require('../models/previewSession.model');
+const questionPool = require('./questionPool');
+const optionShuffle = require('./optionShuffle');
+const questionVariants = require('./questionVariants');
+
+// Sessions are kept this long after their deadline, so an author can still see the grading
+const SESSION_RETENTION_MS = 30 * 60 * 1000;
+// Previews of exams without a duration expire after this long
+const DEFAULT_PREVIEW_MINUTES = 60;
+// Open sessions an author can have across all exams
+const MAX_SESSIONS_PER_USER = 5;
+
+/**
+ * Drop an author's oldest sessions so a new one stays within the cap
+ * @param {string} userId - Author previewing the exam
+ */
+async function trimUserSessions(userId) {
+  const older = await PreviewSession.find({ userId })
+    .sort({ startTime: -1 })
+    .skip(MAX_SESSIONS_PER_USER - 1)
+    .select('_id')
+    .lean();
+  if (older.length) {
+    await PreviewSession.deleteMany({ _id: { $in: older.map(session => session._id) } });
+  }
+}
+
+/**
+ * Start a preview session with a fresh draw of the exam's questions
+ * @param {Object} exam - Exam document
+ * @param {string} userId - Author previewing the exam
+ * @returns {Promise<Object>} Preview session
+ */
+async function createPreviewSession(exam, userId) {
+  const startTime = new Date();
+  const minutes = exam.duration || DEFAULT_PREVIEW_MINUTES;
+  const questionIds = await questionPool.drawAttemptQuestionIds(exam);
+  // Preview deadlines only follow the exam's duration, not its availability window
+  const deadline = new Date(startTime.getTime() + minutes * 60 * 1000);
+
+  await trimUserSessions(userId);
+  const session = await PreviewSession.create({
+    previewId: crypto.randomUUID(),
+    examId: exam._id,
+    userId,
+    // Fixed questions plus pool draws, shuffled like a student attempt
+    questionIds,
+    // Template questions get their own values, like in an attempt
+    variants: await questionVariants.createVariants(questionIds),
+    // Options are shuffled like in an attempt, unless the exam keeps the authored order
+    optionSeed: optionShuffle.createOptionSeed(exam),
+    answers: {},
+    flaggedQuestionIds: [],
+    currentPage: 1,
+    startTime,
+    deadline,
+    expiresAt: new Date(deadline.getTime() + SESSION_RETENTION_MS)
+  });
+  return session.toObject();
+}
+
+/**
+ * Get an open preview session of an author
+ * @param {string} previewId - Preview ID
+ * @param {string} examId - Exam ID
+ * @param {string} userId - Author previewing the exam
+ * @returns {Promise<Object|null>} Preview session, null if it doesn't exist, expired or isn't theirs
+ */
+async function getPreviewSession(previewId, examId, userId) {
+  // The TTL monitor only runs every minute, so expired sessions are filtered here too
+  return PreviewSession.findOne({
+    previewId: String(previewId),
+    examId,
+    userId,
+    expiresAt: { $gt: new Date() }
+  }).lean();
+}
+
+/**
+ * Remember the page an author last viewed
+ * @param {Object} session - Preview session
+ * @param {number} page - Page number
+ */
+async function setCurrentPage(session, page) {
+  await PreviewSession.updateOne({ previewId: session.previewId }, { $set: { currentPage: page } });
+}
+
+/**
+ * Save an answer of a preview session
+ * @param {Object} session - Preview session
+ * @param {string} questionId - Question ID
+ * @param {*} answer - Checked answer
+ * @returns {Promise<Object|null>} Updated session, null if it was dropped meanwhile
+ */
+async function saveAnswer(session, questionId, answer) {
+  return PreviewSession.findOneAndUpdate(
+    { previewId: session.previewId },
+    { $set: { [`answers.${questionId}`]: answer } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Get the remaining time of a preview session in seconds
+ * @param {Object} session - Preview session
+ * @param {Date} now - Current time
+ * @returns {number} Seconds left (0 when expired)
+ */
+function getRemainingSeconds(session, now = new Date()) {
+  return Math.max(0, Math.floor((session.deadline.getTime() - now.getTime()) / 1000));
+}
+
+/**
+ * End a preview session
+ * @param {string} previewId - Preview ID
+ */
+async function endPreviewSession(previewId) {
+  await PreviewSession.deleteOne({ previewId: String(previewId) });
+}
+
+module.exports = {
+  MAX_SESSIONS_PER_USER,
+  createPreviewSession,
+  getPreviewSession,
+  getRemainingSeconds,
+  setCurrentPage,
+  saveAnswer,
+  endPreviewSession
+};
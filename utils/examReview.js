@@ -0,0 +1,121 @@
+/**
+ * Exam review workflow utilities
+ * Exams are submitted for review (PENDING), reviewed by assigned reviewers or admins, and
+ * either approved or sent back to DRAFT with requested changes. An exam becomes APPROVED,
+ * and can be published, once it has its required number of approvals in the current round.
+ * Every action is appended to the exam's reviewHistory
+ */
+
+const Question = require('../models/question.model');
+
+/**
+ * Get the ID of a possibly populated reference
+ * @param {Object|string} ref - ObjectId or populated document
+ * @returns {string|null}
+ */
+function refId(ref) {
+  if (!ref) return null;
+  return (ref._id || ref).toString();
+}
+
+/**
+ * Count the approvals of the current review round
+ * Exams approved before the review workflow count their approver as one approval
+ * @param {Object} exam - Exam document
+ * @returns {Object} { required, received, satisfied, approvedBy }
+ */
+function getApprovalState(exam) {
+  const required = exam.requiredApprovals || 1;
+  const approvedBy = [...new Set((exam.review?.approvals || []).map(approval => refId(approval.reviewer)))];
+
+  let received = approvedBy.length;
+  if (received === 0 && exam.approvedBy && !exam.review?.round) {
+    received = 1;
+  }
+
+  return {
+    required,
+    received,
+    satisfied: received >= required,
+    approvedBy
+  };
+}
+
+/**
+ * Get the part a user plays in an exam's review
+ * @param {Object} user - Authenticated user
+ * @param {Object} exam - Exam document
+ * @returns {Object} { isAdmin, isCreator, isReviewer, canReview, canComment }
+ */
+function getReviewRole(user, exam) {
+  const userId = user._id.toString();
+  const isAdmin = user.role === 'admin' || Boolean(user.isAdmin);
+  const isCreator = refId(exam.createdBy) === userId;
+  const isReviewer = (exam.review?.reviewers || []).some(reviewer => refId(reviewer) === userId);
+
+  return {
+    isAdmin,
+    isCreator,
+    isReviewer,
+    // Authors don't review their own exams, unless they are admins
+    canReview: isAdmin || (isReviewer && !isCreator),
+    canComment: isAdmin || isReviewer || isCreator
+  };
+}
+
+/**
+ * Append an entry to an exam's review history
+ * @param {Object} exam - Exam document (saved by the caller)
+ * @param {string} action - History action
+ * @param {string} userId - User who acted
+ * @param {Object} details - { comment, questionId, reviewers }
+ */
+function addHistoryEntry(exam, action, userId, details = {}) {
+  exam.reviewHistory.push({
+    action,
+    by: userId,
+    at: new Date(),
+    round: exam.review?.round || 0,
+    ...details
+  });
+}
+
+/**
+ * Start a new review round
+ * @param {Object} exam - Exam document (saved by the caller)
+ * @param {string} userId - User submitting the exam
+ * @param {string} comment - Note for the reviewers
+ */
+function startReviewRound(exam, userId, comment = '') {
+  exam.status = 'PENDING';
+  exam.review.round = (exam.review.round || 0) + 1;
+  exam.review.approvals = [];
+  exam.review.submittedAt = new Date();
+  exam.review.submittedBy = userId;
+  exam.approvedBy = undefined;
+  exam.approvedAt = undefined;
+  addHistoryEntry(exam, 'SUBMITTED', userId, comment ? { comment } : {});
+}
+
+/**
+ * Check that a question belongs to an exam (in its sections, or created for it)
+ * @param {Object} exam - Exam document
+ * @param {string} questionId - Question ID
+ * @returns {Promise<boolean>}
+ */
+async function isExamQuestion(exam, questionId) {
+  const sections = exam.sections || {};
+  const sectionIds = [...(sections.mcqs || []), ...(sections.shortAnswers || []), ...(sections.practicals || [])];
+  if (sectionIds.some(id => refId(id) === questionId.toString())) {
+    return true;
+  }
+  return Boolean(await Question.exists({ _id: questionId, examId: exam._id }));
+}
+
+module.exports = {
+  getApprovalState,
+  getReviewRole,
+  addHistoryEntry,
+  startReviewRound,
+  isExamQuestion
+};
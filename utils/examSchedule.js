@@ -0,0 +1,400 @@
+/**
+ * Exam availability windows
+ * Exams can be scheduled to open and close at set times (opensAt/closesAt). Times entered
+ * without a UTC offset are wall-clock times in the exam's timezone. The scheduler publishes
+ * approved exams when their window opens and unpublishes them once the window and the
+ * grace period for in-progress attempts are over
+ */
+
+const Exam = require('../models/exam.model');
+const ExamAttendance = require('../models/examAttendance.model');
+const ExamAssignment = require('../models/examAssignment.model');
+const questionPool = require('./questionPool');
+const examVersioning = require('./examVersioning');
+const examReview = require('./examReview');
+const examBlueprint = require('./examBlueprint');
+
+const DEFAULT_TIMEZONE = 'UTC';
+const DEFAULT_CLOSE_GRACE_MINUTES = 5;
+
+// "2026-11-01T09:00", "2026-11-01 09:00:30" - a wall-clock time without an offset
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+/**
+ * Check whether a timezone is a valid IANA name (e.g. "Asia/Kolkata")
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.trim() === '') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const values = {};
+  parts.forEach(part => {
+    if (part.type !== 'literal') {
+      values[part.type] = parseInt(part.value, 10);
+    }
+  });
+  return values;
+}
+
+/**
+ * Get the UTC offset of a timezone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function getTimezoneOffset(date, timezone) {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse a schedule time
+ * ISO strings with an offset ("Z", "+05:30") are absolute; strings without one are
+ * wall-clock times in the given timezone
+ * @param {string|Date|null} value - Time to parse
+ * @param {string} timezone - IANA timezone of wall-clock times
+ * @returns {Date|null} Parsed time, null for empty values
+ * @throws {Error} If the value is not a valid time
+ */
+function parseScheduleDate(value, timezone = DEFAULT_TIMEZONE) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) throw new Error('Invalid date');
+    return value;
+  }
+
+  const text = String(value).trim();
+  const local = text.match(LOCAL_DATE_TIME);
+  if (local) {
+    const [, year, month, day, hour = '0', minute = '0', second = '0'] = local;
+    const wallClock = Date.UTC(+year, +month - 1, +day, +hour, +minute, +second);
+    // The offset can differ on either side of a DST change, so check it at the result
+    let utc = wallClock - getTimezoneOffset(new Date(wallClock), timezone);
+    const offsetAtResult = getTimezoneOffset(new Date(utc), timezone);
+    utc = wallClock - offsetAtResult;
+    return new Date(utc);
+  }
+
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) {
+    throw new Error(`Invalid date "${text}"`);
+  }
+  return parsed;
+}
+
+/**
+ * Format an instant as a wall-clock time in a timezone
+ * @param {Date|null} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {string|null} e.g. "2026-11-01T09:00:00"
+ */
+function formatInTimezone(date, timezone = DEFAULT_TIMEZONE) {
+  if (!date) {
+    return null;
+  }
+  const p = getZonedParts(new Date(date), timezone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}`;
+}
+
+/**
+ * Read and validate the schedule fields of a create/update request
+ * Only fields present in the body are returned, so updates can change one of them
+ * @param {Object} body - Request body
+ * @param {Object} exam - Current exam (for updates), used for fields not in the body
+ * @returns {{ values: Object, errors: Array }} Schedule values to set and validation errors
+ */
+function readScheduleInput(body, exam = null) {
+  const values = {};
+  const errors = [];
+
+  const timezone = body.timezone !== undefined ? body.timezone : (exam?.timezone || DEFAULT_TIMEZONE);
+  if (body.timezone !== undefined) {
+    if (!isValidTimezone(body.timezone)) {
+      errors.push(`Unknown timezone "${body.timezone}", use an IANA name such as "Asia/Kolkata"`);
+    } else {
+      values.timezone = body.timezone;
+    }
+  }
+
+  ['opensAt', 'closesAt'].forEach(field => {
+    if (body[field] === undefined) return;
+    try {
+      values[field] = parseScheduleDate(body[field], isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE);
+    } catch (error) {
+      errors.push(`${field}: ${error.message}`);
+    }
+  });
+
+  if (body.closeGraceMinutes !== undefined) {
+    const grace = Number(body.closeGraceMinutes);
+    if (!Number.isFinite(grace) || grace < 0 || grace > 240) {
+      errors.push('closeGraceMinutes must be between 0 and 240');
+    } else {
+      values.closeGraceMinutes = grace;
+    }
+  }
+
+  const opensAt = values.opensAt !== undefined ? values.opensAt : exam?.opensAt;
+  const closesAt = values.closesAt !== undefined ? values.closesAt : exam?.closesAt;
+  if (opensAt && closesAt && new Date(closesAt) <= new Date(opensAt)) {
+    errors.push('closesAt must be after opensAt');
+  }
+
+  // A changed window is evaluated again by the scheduler
+  if (values.opensAt !== undefined || values.closesAt !== undefined) {
+    values.scheduledPublishAt = null;
+    values.scheduledUnpublishAt = null;
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Get the end of the grace period of an exam's window
+ * @param {Object} exam - Exam document
+ * @returns {Date|null} closesAt plus the grace period, null without a close time
+ */
+function getGraceEnd(exam) {
+  if (!exam?.closesAt) {
+    return null;
+  }
+  const grace = exam.closeGraceMinutes !== undefined && exam.closeGraceMinutes !== null
+    ? exam.closeGraceMinutes
+    : DEFAULT_CLOSE_GRACE_MINUTES;
+  return new Date(new Date(exam.closesAt).getTime() + grace * 60 * 1000);
+}
+
+/**
+ * Get the availability of an exam at a point in time
+ * @param {Object} exam - Exam document
+ * @param {Date} now - Current time
+ * @returns {Object} { state: 'OPEN'|'UPCOMING'|'CLOSED', opensAt, closesAt, timezone, ... }
+ */
+function getAvailability(exam, now = new Date()) {
+  const timezone = exam?.timezone || DEFAULT_TIMEZONE;
+  const opensAt = exam?.opensAt ? new Date(exam.opensAt) : null;
+  const closesAt = exam?.closesAt ? new Date(exam.closesAt) : null;
+
+  let state = 'OPEN';
+  if (opensAt && now < opensAt) {
+    state = 'UPCOMING';
+  } else if (closesAt && now >= closesAt) {
+    state = 'CLOSED';
+  }
+
+  const secondsUntil = (date) => (date ? Math.max(0, Math.floor((date.getTime() - now.getTime()) / 1000)) : null);
+
+  return {
+    state,
+    scheduled: Boolean(opensAt || closesAt),
+    opensAt,
+    closesAt,
+    timezone,
+    opensAtLocal: formatInTimezone(opensAt, timezone),
+    closesAtLocal: formatInTimezone(closesAt, timezone),
+    closeGraceMinutes: exam?.closeGraceMinutes ?? DEFAULT_CLOSE_GRACE_MINUTES,
+    // Countdowns for the client, computed from the server clock
+    opensInSeconds: state === 'UPCOMING' ? secondsUntil(opensAt) : null,
+    closesInSeconds: state === 'OPEN' && closesAt ? secondsUntil(closesAt) : null
+  };
+}
+
+/**
+ * Compute the deadline of an attempt starting now
+ * Attempts never run past the end of the window's grace period
+ * @param {Object} exam - Exam document
+ * @param {Date} startTime - Attempt start
+ * @returns {Date} Deadline
+ */
+function getAttemptDeadline(exam, startTime) {
+  const durationEnd = new Date(startTime.getTime() + exam.duration * 60 * 1000);
+  const graceEnd = getGraceEnd(exam);
+  return graceEnd && graceEnd < durationEnd ? graceEnd : durationEnd;
+}
+
+/**
+ * Cap the deadlines of an exam's in-progress attempts once its window has closed
+ * Each attempt gets the grace end of its student's own window: their assignment overrides
+ * if they have any, the exam's window otherwise
+ * Attempts started before the window was changed can have later deadlines
+ * @param {Object} exam - Exam document with a closed window
+ * @returns {Promise<number>} Number of attempts whose deadline was capped
+ */
+async function capClosedWindowDeadlines(exam) {
+  // Required here: examAssignment requires this module
+  const examAssignment = require('./examAssignment');
+
+  const userIds = await ExamAttendance.distinct('userId', { examId: exam._id, status: 'IN_PROGRESS' });
+
+  // Students with the same grace end are capped together
+  const usersByGraceEnd = new Map();
+  for (const userId of userIds) {
+    const access = (await examAssignment.resolveAccess(userId, [exam._id])).get(exam._id.toString());
+    const graceEnd = getGraceEnd(examAssignment.getEffectiveExam(exam, access.overrides)) || getGraceEnd(exam);
+    const key = graceEnd.getTime();
+    if (!usersByGraceEnd.has(key)) usersByGraceEnd.set(key, []);
+    usersByGraceEnd.get(key).push(userId);
+  }
+
+  let capped = 0;
+  for (const [time, groupUserIds] of usersByGraceEnd) {
+    const graceEnd = new Date(time);
+    const result = await ExamAttendance.updateMany(
+      {
+        examId: exam._id,
+        userId: { $in: groupUserIds },
+        status: 'IN_PROGRESS',
+        $or: [{ deadline: { $gt: graceEnd } }, { deadline: { $exists: false } }, { deadline: null }]
+      },
+      { $set: { deadline: graceEnd } }
+    );
+    capped += result.modifiedCount || 0;
+  }
+  return capped;
+}
+
+/**
+ * Publish approved exams whose window has opened, cap the deadlines of attempts in
+ * closed windows and unpublish exams whose grace period is over
+ * Each exam is published and unpublished by the scheduler once per window, so manual
+ * publishing and unpublishing within a window is not overridden
+ * @returns {Promise<{published: number, unpublished: number, capped: number, errors: number}>}
+ */
+async function processScheduledExams() {
+  const now = new Date();
+  let published = 0;
+  let unpublished = 0;
+  let capped = 0;
+  let errors = 0;
+
+  // Windows that opened and haven't been published by the scheduler yet
+  const toPublish = await Exam.find({
+    status: 'APPROVED',
+    opensAt: { $ne: null, $lte: now },
+    $or: [{ closesAt: null }, { closesAt: { $gt: now } }],
+    scheduledPublishAt: null
+  });
+
+  for (const exam of toPublish) {
+    try {
+      const approvalState = examReview.getApprovalState(exam);
+      if (!approvalState.satisfied) {
+        console.warn(`Scheduled publish of exam ${exam._id} skipped: ${approvalState.received}/${approvalState.required} approvals`);
+        continue;
+      }
+
+      const unsatisfiedDraws = await questionPool.findUnsatisfiedDraws(exam);
+      if (unsatisfiedDraws.length > 0) {
+        console.warn(`Scheduled publish of exam ${exam._id} skipped: ${unsatisfiedDraws.length} pool draw(s) can't be satisfied`);
+        continue;
+      }
+
+      const blueprint = await questionPool.checkBlueprint(exam);
+      if (!blueprint.satisfied) {
+        console.warn(`Scheduled publish of exam ${exam._id} skipped: blueprint not satisfied (${examBlueprint.describeViolations(blueprint).join('; ')})`);
+        continue;
+      }
+
+      exam.status = 'PUBLISHED';
+      exam.publishedAt = now;
+      exam.scheduledPublishAt = now;
+      await exam.save();
+      await examVersioning.createVersion(exam, null, 'Published by schedule');
+
+      console.log(`Exam ${exam._id} published by schedule (window opened ${exam.opensAt.toISOString()})`);
+      published++;
+    } catch (error) {
+      console.error(`Error publishing scheduled exam ${exam._id}:`, error);
+      errors++;
+    }
+  }
+
+  // Closed windows: attempts still in progress get the grace period, then the exam is unpublished
+  const closed = await Exam.find({
+    status: 'PUBLISHED',
+    closesAt: { $ne: null, $lte: now },
+    scheduledUnpublishAt: null
+  });
+
+  for (const exam of closed) {
+    try {
+      capped += await capClosedWindowDeadlines(exam);
+
+      // Assignments can keep the window open longer for some students,
+      // the exam stays published until the latest of their grace periods is over
+      const extendedWindows = await ExamAssignment.find({
+        examId: exam._id,
+        'overrides.closesAt': { $gt: exam.closesAt }
+      }).select('overrides');
+      const graceEnd = extendedWindows.reduce((latest, assignment) => {
+        const assignmentGraceEnd = getGraceEnd({
+          closesAt: assignment.overrides.closesAt,
+          closeGraceMinutes: assignment.overrides.closeGraceMinutes ?? exam.closeGraceMinutes
+        });
+        return assignmentGraceEnd > latest ? assignmentGraceEnd : latest;
+      }, getGraceEnd(exam));
+
+      if (now < graceEnd) {
+        continue;
+      }
+
+      // publishedAt is kept, so the exam is listed with the previously published exams
+      exam.status = 'APPROVED';
+      exam.scheduledUnpublishAt = now;
+      await exam.save();
+
+      console.log(`Exam ${exam._id} unpublished by schedule (window closed ${exam.closesAt.toISOString()})`);
+      unpublished++;
+    } catch (error) {
+      console.error(`Error closing scheduled exam ${exam._id}:`, error);
+      errors++;
+    }
+  }
+
+  return { published, unpublished, capped, errors };
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_CLOSE_GRACE_MINUTES,
+  isValidTimezone,
+  parseScheduleDate,
+  formatInTimezone,
+  readScheduleInput,
+  getGraceEnd,
+  getAvailability,
+  getAttemptDeadline,
+  processScheduledExams
+};
@@ -0,0 +1,398 @@
+/**
+ * Exam versioning utilities
+ * A published exam is a series of immutable snapshots (ExamVersion). Every edit of a
+ * published exam records a new version, and every attempt is pinned to the version it
+ * was started on. Questions that belong to a version or were answered in an attempt are
+ * never changed in place: an edit creates a revision that replaces the question in the
+ * exam, and the old question is retired so past answers and reviews keep their meaning
+ */
+
+const Exam = require('../models/exam.model');
+const ExamVersion = require('../models/examVersion.model');
+const ExamAttendance = require('../models/examAttendance.model');
+const TmpExamStudentData = require('../models/tmp.model');
+const Question = require('../models/question.model');
+
+// Exam settings stored with each version
+const VERSIONED_SETTINGS = [
+  'title', 'description', 'duration', 'passingScore', 'maxAttempts',
+  'attemptScoring', 'blockRetakeAfterPass', 'retakeCooldownMinutes', 'shuffleOptions', 'blueprint'
+];
+
+// Question fields compared when diffing versions
+const QUESTION_CONTENT_FIELDS = [
+  'type', 'questionText', 'options', 'correctAnswer', 'correctAnswers', 'scoringMethod',
+  'marks', 'negativeMarks',
+  'acceptedAnswers', 'caseSensitive', 'answerPatterns', 'keywords', 'reviewUnmatched',
+  'variables', 'formula', 'tolerance', 'toleranceType',
+  'pairs', 'distractors', 'items', 'blanks',
+  'language', 'starterCode', 'testCases', 'timeLimitMs', 'memoryLimitMb', 'tags', 'difficulty',
+  'explanation', 'optionFeedback', 'groupId'
+];
+
+const SECTION_KEYS = ['mcqs', 'shortAnswers', 'practicals'];
+
+/**
+ * Turn a value into plain JSON for storage and comparison (ObjectIds become strings,
+ * subdocument _ids are dropped)
+ * @param {*} value - Value, may contain Mongoose documents
+ * @returns {*} Plain value
+ */
+function normalizeValue(value) {
+  if (value === undefined) return null;
+  const plain = value && typeof value.toObject === 'function' ? value.toObject() : value;
+  return JSON.parse(JSON.stringify(plain, (key, item) => (key === '_id' ? undefined : item)) ?? 'null');
+}
+
+/**
+ * Get the IDs of a (possibly populated) list of questions
+ * @param {Array} list - Question IDs or documents
+ * @returns {Array} Question IDs
+ */
+function toIds(list) {
+  return (list || []).map(item => item._id || item);
+}
+
+/**
+ * Build the snapshot of an exam's current state
+ * @param {Object} exam - Exam document (sections may be populated)
+ * @returns {Object} { settings, sections, poolDraws, questionIds }
+ */
+function buildSnapshot(exam) {
+  const settings = {};
+  VERSIONED_SETTINGS.forEach(field => {
+    settings[field] = normalizeValue(exam[field]);
+  });
+
+  const sections = {};
+  SECTION_KEYS.forEach(key => {
+    sections[key] = toIds(exam.sections?.[key]);
+  });
+
+  return {
+    settings,
+    sections,
+    poolDraws: (exam.poolDraws || []).map(draw => normalizeValue({
+      pool: draw.pool?._id || draw.pool,
+      count: draw.count,
+      tags: draw.tags || [],
+      difficulty: draw.difficulty
+    })),
+    questionIds: SECTION_KEYS.flatMap(key => sections[key])
+  };
+}
+
+/**
+ * Check whether a snapshot matches a stored version
+ * @param {Object} snapshot - Result of buildSnapshot
+ * @param {Object} version - ExamVersion document
+ * @returns {boolean}
+ */
+function isSameSnapshot(snapshot, version) {
+  const comparable = (data) => JSON.stringify(normalizeValue({
+    settings: data.settings,
+    sections: data.sections,
+    poolDraws: data.poolDraws
+  }));
+  return comparable(snapshot) === comparable(version);
+}
+
+/**
+ * Get the latest version of an exam
+ * @param {string} examId - Exam ID
+ * @returns {Promise<Object|null>} ExamVersion document
+ */
+async function getLatestVersion(examId) {
+  return ExamVersion.findOne({ examId }).sort({ version: -1 });
+}
+
+/**
+ * Record a new version of an exam, unless nothing changed since the latest one
+ * Updates exam.currentVersion in the database and on the given document
+ * @param {Object} exam - Exam document
+ * @param {string} userId - User who made the change
+ * @param {string} reason - Short description of the change
+ * @returns {Promise<Object>} { version (ExamVersion), created }
+ */
+async function createVersion(exam, userId, reason = '') {
+  const snapshot = buildSnapshot(exam);
+
+  for (let retry = 0; retry < 3; retry++) {
+    const latest = await getLatestVersion(exam._id);
+
+    if (latest && isSameSnapshot(snapshot, latest)) {
+      if (exam.currentVersion !== latest.version) {
+        await Exam.updateOne({ _id: exam._id }, { $set: { currentVersion: latest.version } });
+        exam.currentVersion = latest.version;
+      }
+      return { version: latest, created: false };
+    }
+
+    try {
+      const version = await ExamVersion.create({
+        examId: exam._id,
+        version: latest ? latest.version + 1 : 1,
+        ...snapshot,
+        reason,
+        createdBy: userId
+      });
+
+      // Never move currentVersion backwards if a concurrent edit recorded a later version
+      await Exam.updateOne(
+        { _id: exam._id, currentVersion: { $lt: version.version } },
+        { $set: { currentVersion: version.version } }
+      );
+      exam.currentVersion = version.version;
+
+      console.log(`Exam ${exam._id} version ${version.version} recorded${reason ? `: ${reason}` : ''}`);
+      return { version, created: true };
+    } catch (error) {
+      // Another request recorded the same version number first, try again on top of it
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  throw new Error(`Could not record a new version of exam ${exam._id}`);
+}
+
+/**
+ * Make sure a published exam has a version, so exams published before versioning
+ * get their current state recorded before the first edit or attempt
+ * @param {Object} exam - Exam document
+ * @param {string} userId - User causing the snapshot (optional)
+ * @returns {Promise<number>} Current version number (0 if the exam isn't published)
+ */
+async function ensurePublishedVersion(exam, userId = null) {
+  if (exam.status === 'PUBLISHED' && !exam.currentVersion) {
+    await createVersion(exam, userId, 'Initial version');
+  }
+  return exam.currentVersion || 0;
+}
+
+/**
+ * Record a version after an edit if the exam is published
+ * Edits of unpublished exams are recorded when the exam is published again
+ * @param {Object} exam - Exam document in its edited state
+ * @param {string} userId - User who made the change
+ * @param {string} reason - Short description of the change
+ * @returns {Promise<Object|null>} { version, created }, null for unpublished exams
+ */
+async function recordExamChange(exam, userId, reason) {
+  if (exam.status !== 'PUBLISHED') {
+    return null;
+  }
+  return createVersion(exam, userId, reason);
+}
+
+/**
+ * Check whether a question must not be changed in place: it belongs to a recorded
+ * exam version or was served in an attempt
+ * @param {string} questionId - Question ID
+ * @returns {Promise<boolean>}
+ */
+async function isQuestionLocked(questionId) {
+  const [inVersion, answered, served] = await Promise.all([
+    ExamVersion.exists({ questionIds: questionId }),
+    ExamAttendance.exists({ 'answers.questionId': questionId }),
+    // Attempt states may hold IDs as ObjectIds or strings
+    TmpExamStudentData.exists({ questionIds: { $in: [questionId, questionId.toString()] } })
+  ]);
+  return Boolean(inVersion || answered || served);
+}
+
+/**
+ * Replace a question ID in the sections of an exam (keeping its position), or remove it
+ * The replacement goes to the section of its type if that differs
+ * @param {Object} exam - Exam document
+ * @param {string} questionId - Question to replace
+ * @param {Object|null} replacement - { _id, sectionKey } of the new question, null to remove
+ * @returns {boolean} Whether the question was found in the sections
+ */
+function replaceInSections(exam, questionId, replacement) {
+  for (const key of SECTION_KEYS) {
+    const section = exam.sections?.[key];
+    if (!section) continue;
+
+    const index = section.findIndex(id => (id._id || id).toString() === questionId.toString());
+    if (index < 0) continue;
+
+    section.splice(index, 1);
+    if (replacement) {
+      if (replacement.sectionKey === key) {
+        section.splice(index, 0, replacement._id);
+      } else {
+        exam.sections[replacement.sectionKey].push(replacement._id);
+      }
+    }
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Save the edits of a locked question as a new revision and retire the original
+ * @param {Object} question - Question document with the edits applied (not saved)
+ * @returns {Promise<Object>} The new question document
+ */
+async function createRevision(question) {
+  const data = question.toObject();
+  delete data._id;
+  delete data.__v;
+
+  const revision = await Question.create({
+    ...data,
+    revisionOf: question._id,
+    originalQuestion: question.originalQuestion || question._id,
+    retiredAt: null
+  });
+
+  await Question.updateOne({ _id: question._id }, { $set: { retiredAt: new Date() } });
+
+  console.log(`Question ${question._id} is locked by a published version or an attempt, saved revision ${revision._id}`);
+  return revision;
+}
+
+/**
+ * Save the edits of a locked question as a new revision and retire the original
+ * The revision takes the original's place in the exam sections (the exam is saved)
+ * @param {Object} question - Question document with the edits applied (not saved)
+ * @param {Object} exam - Exam document the question belongs to
+ * @param {string} sectionKey - Exam section of the question's type
+ * @returns {Promise<Object>} The new question document
+ */
+async function reviseQuestion(question, exam, sectionKey) {
+  const revision = await createRevision(question);
+
+  replaceInSections(exam, question._id, { _id: revision._id, sectionKey });
+  await exam.save();
+
+  return revision;
+}
+
+/**
+ * Get the lineage key of a question (the first question of its revision chain)
+ * @param {Object} question - Question document
+ * @returns {string}
+ */
+function lineageKey(question) {
+  return (question.originalQuestion || question._id).toString();
+}
+
+/**
+ * Compare two exam versions
+ * Questions that were revised between the versions are reported as modified,
+ * with their changed fields
+ * @param {Object} fromVersion - Older ExamVersion document
+ * @param {Object} toVersion - Newer ExamVersion document
+ * @returns {Promise<Object>} Diff of settings, pool draws and questions
+ */
+async function diffVersions(fromVersion, toVersion) {
+  const settings = [];
+  const fieldNames = new Set([
+    ...Object.keys(fromVersion.settings || {}),
+    ...Object.keys(toVersion.settings || {})
+  ]);
+  fieldNames.forEach(field => {
+    const before = normalizeValue(fromVersion.settings?.[field]);
+    const after = normalizeValue(toVersion.settings?.[field]);
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      settings.push({ field, from: before, to: after });
+    }
+  });
+
+  const poolDrawsChanged = JSON.stringify(normalizeValue(fromVersion.poolDraws)) !==
+    JSON.stringify(normalizeValue(toVersion.poolDraws));
+
+  const fromIds = fromVersion.questionIds.map(id => id.toString());
+  const toIds = toVersion.questionIds.map(id => id.toString());
+  const removedIds = fromIds.filter(id => !toIds.includes(id));
+  const addedIds = toIds.filter(id => !fromIds.includes(id));
+
+  const questions = await Question.find({ _id: { $in: [...removedIds, ...addedIds] } });
+  const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+
+  const summarize = (id) => {
+    const question = questionsById.get(id);
+    return {
+      questionId: id,
+      type: question?.type,
+      questionText: question?.questionText
+    };
+  };
+
+  // Pair removed and added questions of the same revision chain
+  const removedByLineage = new Map();
+  removedIds.forEach(id => {
+    const question = questionsById.get(id);
+    if (question) removedByLineage.set(lineageKey(question), id);
+  });
+
+  const modified = [];
+  const added = [];
+  const pairedRemovedIds = new Set();
+
+  addedIds.forEach(id => {
+    const question = questionsById.get(id);
+    const previousId = question ? removedByLineage.get(lineageKey(question)) : undefined;
+
+    if (!previousId) {
+      added.push(summarize(id));
+      return;
+    }
+
+    pairedRemovedIds.add(previousId);
+    const previous = questionsById.get(previousId);
+    const changes = QUESTION_CONTENT_FIELDS
+      .map(field => ({ field, from: normalizeValue(previous[field]), to: normalizeValue(question[field]) }))
+      .filter(change => JSON.stringify(change.from) !== JSON.stringify(change.to));
+
+    modified.push({
+      from: previousId,
+      to: id,
+      type: question.type,
+      questionText: question.questionText,
+      changes
+    });
+  });
+
+  const removed = removedIds.filter(id => !pairedRemovedIds.has(id)).map(summarize);
+
+  // Same questions in a different order (or moved between sections)
+  const keptFrom = fromIds.filter(id => toIds.includes(id));
+  const keptTo = toIds.filter(id => fromIds.includes(id));
+  const reordered = JSON.stringify(keptFrom) !== JSON.stringify(keptTo);
+
+  return {
+    examId: toVersion.examId,
+    from: { version: fromVersion.version, createdAt: fromVersion.createdAt, reason: fromVersion.reason },
+    to: { version: toVersion.version, createdAt: toVersion.createdAt, reason: toVersion.reason },
+    settings,
+    poolDraws: poolDrawsChanged
+      ? { changed: true, from: normalizeValue(fromVersion.poolDraws), to: normalizeValue(toVersion.poolDraws) }
+      : { changed: false },
+    questions: { added, removed, modified, reordered },
+    summary: {
+      settingsChanged: settings.length,
+      questionsAdded: added.length,
+      questionsRemoved: removed.length,
+      questionsModified: modified.length,
+      identical: settings.length === 0 && !poolDrawsChanged && added.length === 0 &&
+        removed.length === 0 && modified.length === 0 && !reordered
+    }
+  };
+}
+
+module.exports = {
+  VERSIONED_SETTINGS,
+  getLatestVersion,
+  createVersion,
+  ensurePublishedVersion,
+  recordExamChange,
+  isQuestionLocked,
+  replaceInSections,
+  createRevision,
+  reviseQuestion,
+  diffVersions
+};
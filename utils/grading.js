@@ -0,0 +1,577 @@
+/**
+ * Grading utilities
+ * Scores a single answer according to its question type, and weights it by the
+ * question's marks (with negative marking for wrong answers)
+ */
+
+const SCORING_METHODS = ['all-or-nothing', 'proportional', 'right-minus-wrong'];
+
+// Marks of questions that don't set their own
+const DEFAULT_MARKS = 1;
+const MAX_MARKS = 1000;
+
+// Answer patterns run on the request thread, so both sides are kept small
+const MAX_PATTERN_LENGTH = 200;
+const MAX_SHORT_ANSWER_LENGTH = 1000;
+
+/**
+ * Round a score to two decimals so partial credit doesn't accumulate float noise
+ * @param {number} value - Score
+ * @returns {number} Rounded score
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalize a multiple-select answer into a list of unique, trimmed options
+ * @param {Array|string} answer - Submitted answer (array of options or a single option)
+ * @returns {Array<string>} Selected options
+ */
+function normalizeSelection(answer) {
+  if (answer === null || answer === undefined || answer === '') {
+    return [];
+  }
+  const values = Array.isArray(answer) ? answer : [answer];
+  return [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+}
+
+/**
+ * Get the correct options of a multiple-select question
+ * @param {Object} question - Question document
+ * @returns {Array<string>} Correct options
+ */
+function getCorrectOptions(question) {
+  return normalizeSelection(question.correctAnswers);
+}
+
+/**
+ * Get the correct answer of a question in the shape students submit it
+ * @param {Object} question - Question document
+ * @returns {Array<string>|string} Correct options for multiple-select, a list for matching, ordering and cloze, otherwise the correct answer
+ */
+function getCorrectAnswer(question) {
+  switch (question.type) {
+    case 'MultiSelect':
+      return getCorrectOptions(question);
+    // Structured answers: the match of each prompt, the items in order, the first answer of each blank
+    case 'Matching':
+      return (question.pairs || []).map(pair => pair.match);
+    case 'Ordering':
+      return [...(question.items || [])];
+    case 'Cloze':
+      return (question.blanks || []).map(blank => blank.answers[0]);
+    default:
+      return question.correctAnswer;
+  }
+}
+
+/**
+ * Grade a multiple-select answer
+ * - all-or-nothing: full credit only for exactly the correct set
+ * - proportional: share of options classified correctly (selected correct + unselected incorrect)
+ * - right-minus-wrong: (correct selections - incorrect selections) / correct options, never below 0
+ * @param {Object} question - Question document
+ * @param {Array|string} answer - Submitted answer
+ * @returns {Object} { credit, isCorrect, partlyRight, optionResults }
+ */
+function gradeMultiSelect(question, answer) {
+  const correct = getCorrectOptions(question);
+  const selected = normalizeSelection(answer);
+  const options = question.options || [];
+
+  const right = selected.filter(option => correct.includes(option)).length;
+  const wrong = selected.length - right;
+
+  let credit;
+  switch (question.scoringMethod) {
+    case 'proportional': {
+      const judgedCorrectly = options.filter(option =>
+        correct.includes(option) === selected.includes(option)
+      ).length;
+      credit = options.length > 0 ? judgedCorrectly / options.length : 0;
+      break;
+    }
+    case 'right-minus-wrong':
+      credit = correct.length > 0 ? Math.max(0, (right - wrong) / correct.length) : 0;
+      break;
+    case 'all-or-nothing':
+    default:
+      credit = right === correct.length && wrong === 0 ? 1 : 0;
+      break;
+  }
+
+  // Per-option outcome for review: right / wrong selections and missed correct options
+  const optionResults = options.map(option => {
+    const isSelected = selected.includes(option);
+    const isCorrectOption = correct.includes(option);
+    let result = null;
+    if (isSelected) {
+      result = isCorrectOption ? 'right' : 'wrong';
+    } else if (isCorrectOption) {
+      result = 'missed';
+    }
+    return { option, selected: isSelected, correct: isCorrectOption, result };
+  });
+
+  return {
+    credit: roundScore(credit),
+    isCorrect: credit === 1,
+    // No credit but some right selections (all-or-nothing, or right-minus-wrong cancelling out):
+    // not a wrong answer, so it loses no negative marks
+    partlyRight: credit === 0 && right > 0,
+    optionResults
+  };
+}
+
+/**
+ * Turn counts of right and wrong entries into credit
+ * - all-or-nothing: full credit only when every entry is right
+ * - proportional: share of entries that are right
+ * - right-minus-wrong: (right - wrong) / entries, never below 0 (empty entries aren't wrong)
+ * @param {string} scoringMethod - Question's scoring method
+ * @param {number} right - Right entries
+ * @param {number} wrong - Wrong entries
+ * @param {number} total - All entries
+ * @returns {number} Credit (0-1)
+ */
+function getEntryCredit(scoringMethod, right, wrong, total) {
+  if (total === 0) {
+    return 0;
+  }
+  switch (scoringMethod) {
+    case 'proportional':
+      return right / total;
+    case 'right-minus-wrong':
+      return Math.max(0, (right - wrong) / total);
+    case 'all-or-nothing':
+    default:
+      return right === total ? 1 : 0;
+  }
+}
+
+/**
+ * Grade a structured answer entry by entry
+ * @param {Object} question - Question document (scoringMethod)
+ * @param {Array<Object>} entries - { ...details, selected, correct, isRight } per prompt, position or blank
+ * @returns {Object} { credit, isCorrect, partlyRight, itemResults }
+ */
+function gradeEntries(question, entries) {
+  const itemResults = entries.map(({ isRight, ...entry }) => ({
+    ...entry,
+    result: entry.selected === null ? 'missed' : (isRight ? 'right' : 'wrong')
+  }));
+  const right = itemResults.filter(item => item.result === 'right').length;
+  const wrong = itemResults.filter(item => item.result === 'wrong').length;
+  const credit = getEntryCredit(question.scoringMethod, right, wrong, itemResults.length);
+
+  return {
+    credit: roundScore(credit),
+    isCorrect: credit === 1,
+    // No credit but some right entries (e.g. all-or-nothing with one wrong pair): loses no negative marks
+    partlyRight: credit === 0 && right > 0,
+    itemResults
+  };
+}
+
+/**
+ * Read entry i of a structured answer
+ * @param {*} answer - Submitted answer (list)
+ * @param {number} index - Entry index
+ * @returns {string|null} Trimmed entry, null when empty
+ */
+function getAnswerEntry(answer, index) {
+  const value = Array.isArray(answer) ? answer[index] : null;
+  return value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim();
+}
+
+/**
+ * Grade a matching answer: the match chosen for each prompt, in the authored prompt order
+ * @param {Object} question - Question document (pairs, scoringMethod)
+ * @param {Array} answer - Submitted answer
+ * @returns {Object} { credit, isCorrect, itemResults }
+ */
+function gradeMatching(question, answer) {
+  return gradeEntries(question, (question.pairs || []).map((pair, index) => {
+    const selected = getAnswerEntry(answer, index);
+    return { prompt: pair.prompt, selected, correct: pair.match, isRight: selected === pair.match };
+  }));
+}
+
+/**
+ * Grade an ordering answer: every item in the student's order, compared position by position
+ * @param {Object} question - Question document (items in the correct order, scoringMethod)
+ * @param {Array} answer - Submitted answer
+ * @returns {Object} { credit, isCorrect, itemResults }
+ */
+function gradeOrdering(question, answer) {
+  return gradeEntries(question, (question.items || []).map((item, index) => {
+    const selected = getAnswerEntry(answer, index);
+    return { position: index + 1, selected, correct: item, isRight: selected === item };
+  }));
+}
+
+/**
+ * Normalize a short answer for comparison: trim, collapse whitespace and,
+ * unless the question is case-sensitive, lowercase
+ * @param {*} value - Answer text
+ * @param {boolean} caseSensitive - Whether case matters
+ * @returns {string} Normalized text
+ */
+function normalizeText(value, caseSensitive = false) {
+  const text = String(value ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? text : text.toLowerCase();
+}
+
+/**
+ * Get every accepted answer of a short-answer question (correctAnswer included)
+ * @param {Object} question - Question document
+ * @returns {Array<string>} Accepted answers
+ */
+function getAcceptedAnswers(question) {
+  return [question.correctAnswer, ...(question.acceptedAnswers || [])]
+    .filter(value => value !== null && value !== undefined && String(value).trim() !== '');
+}
+
+/**
+ * Grade a short answer automatically where the rules give a clear verdict
+ * - matches an accepted answer or a regex pattern: correct
+ * - contains every keyword: correct, only some keywords: needs review
+ * - matches nothing: needs review, or incorrect if reviewUnmatched is off
+ * @param {Object} question - Question document
+ * @param {string} answer - Submitted answer
+ * @returns {Object} { credit, isCorrect, needsReview, matchedBy }
+ */
+function gradeShortAnswer(question, answer) {
+  const caseSensitive = Boolean(question.caseSensitive);
+  const submitted = normalizeText(answer, caseSensitive);
+
+  if (!submitted) {
+    return { credit: 0, isCorrect: false, needsReview: false, matchedBy: null };
+  }
+
+  const accepted = getAcceptedAnswers(question).map(value => normalizeText(value, caseSensitive));
+  if (accepted.includes(submitted)) {
+    return { credit: 1, isCorrect: true, needsReview: false, matchedBy: 'accepted-answer' };
+  }
+
+  // Longer answers (stored before the length limit) are left to the grader instead of the patterns
+  const patterns = String(answer).length <= MAX_SHORT_ANSWER_LENGTH ? question.answerPatterns || [] : [];
+  for (const pattern of patterns) {
+    if (hasNestedQuantifier(pattern)) {
+      // Rejected when saving the question; skip any old ones
+      console.warn(`Skipping unsafe answer pattern on question ${question._id}: ${pattern}`);
+      continue;
+    }
+    try {
+      if (new RegExp(pattern, caseSensitive ? '' : 'i').test(String(answer).trim())) {
+        return { credit: 1, isCorrect: true, needsReview: false, matchedBy: 'pattern' };
+      }
+    } catch (error) {
+      // Invalid patterns are rejected when saving the question; skip any old ones
+      console.warn(`Skipping invalid answer pattern on question ${question._id}: ${pattern}`);
+    }
+  }
+
+  const keywords = (question.keywords || []).map(keyword => normalizeText(keyword, caseSensitive)).filter(Boolean);
+  if (keywords.length > 0) {
+    const found = keywords.filter(keyword => submitted.includes(keyword)).length;
+    if (found === keywords.length) {
+      return { credit: 1, isCorrect: true, needsReview: false, matchedBy: 'keywords' };
+    }
+    if (found > 0) {
+      return { credit: 0, isCorrect: false, needsReview: true, matchedBy: null };
+    }
+  }
+
+  const needsReview = question.reviewUnmatched !== false;
+  return { credit: 0, isCorrect: false, needsReview, matchedBy: null };
+}
+
+/**
+ * Grade a cloze answer: the text of each blank, compared like short answers
+ * (whitespace collapsed, case ignored unless the question is case-sensitive)
+ * @param {Object} question - Question document (blanks, caseSensitive, scoringMethod)
+ * @param {Array} answer - Submitted answer
+ * @returns {Object} { credit, isCorrect, itemResults }
+ */
+function gradeCloze(question, answer) {
+  const caseSensitive = Boolean(question.caseSensitive);
+  return gradeEntries(question, (question.blanks || []).map((blank, index) => {
+    const selected = getAnswerEntry(answer, index);
+    const accepted = (blank.answers || []).map(value => normalizeText(value, caseSensitive));
+    return {
+      blank: index + 1,
+      selected,
+      correct: blank.answers[0],
+      isRight: selected !== null && accepted.includes(normalizeText(selected, caseSensitive))
+    };
+  }));
+}
+
+/**
+ * Read a numeric answer ("42", " 3.5 ", 1e3)
+ * @param {*} value - Submitted answer
+ * @returns {number|null} The number, null when the answer isn't one
+ */
+function parseNumericAnswer(value) {
+  if (value === null || value === undefined || typeof value === 'boolean' || String(value).trim() === '') {
+    return null;
+  }
+  const number = Number(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Grade a numeric answer against the correct answer with the question's tolerance
+ * - absolute: the answer may differ by at most the tolerance
+ * - relative: the answer may differ by at most tolerance percent of the correct answer
+ * @param {Object} question - Question document (correctAnswer, tolerance, toleranceType)
+ * @param {*} answer - Submitted answer
+ * @returns {Object} { credit, isCorrect, needsReview }
+ */
+function gradeNumeric(question, answer) {
+  const expected = parseNumericAnswer(question.correctAnswer);
+  // A template whose formula gave no number for the attempt's values can't be graded automatically
+  if (expected === null) {
+    return { credit: 0, isCorrect: false, needsReview: true };
+  }
+
+  const submitted = parseNumericAnswer(answer);
+  if (submitted === null) {
+    return { credit: 0, isCorrect: false, needsReview: false };
+  }
+
+  const tolerance = question.tolerance > 0 ? question.tolerance : 0;
+  const allowed = question.toleranceType === 'relative'
+    ? Math.abs(expected) * tolerance / 100
+    : tolerance;
+  // Leeway for float noise in computed answers
+  const isCorrect = Math.abs(submitted - expected) <= allowed + 1e-9 * Math.max(1, Math.abs(expected));
+
+  return { credit: isCorrect ? 1 : 0, isCorrect, needsReview: false };
+}
+
+/**
+ * Check whether a regex repeats a group that itself contains a quantifier, like (a+)+ or (\w*)*
+ * Such patterns can take exponential time on an answer that doesn't match
+ * @param {string} pattern - Regular expression source
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+  const source = String(pattern);
+  // Per open group: whether it contains a quantifier
+  const groups = [];
+  let inClass = false;
+  // Whether the group that just closed contains a quantifier
+  let closedGroupRepeats = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const afterGroup = closedGroupRepeats;
+    closedGroupRepeats = false;
+
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const containsQuantifier = groups.pop() || false;
+      if (containsQuantifier && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+      closedGroupRepeats = containsQuantifier;
+    } else {
+      const bounds = char === '{' ? /^\{\d+(,\d*)?\}/.exec(source.slice(i)) : null;
+      if (char === '*' || char === '+' || bounds) {
+        if (afterGroup) {
+          return true;
+        }
+        if (groups.length > 0) {
+          groups[groups.length - 1] = true;
+        }
+        if (bounds) {
+          i += bounds[0].length - 1;
+        }
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Check that regex answer patterns compile, are at most MAX_PATTERN_LENGTH characters
+ * and have no nested quantifiers
+ * @param {Array<string>} patterns - Regular expression sources
+ * @returns {string|null} The first invalid pattern, or null if all are valid
+ */
+function findInvalidPattern(patterns) {
+  for (const pattern of patterns || []) {
+    if (String(pattern).length > MAX_PATTERN_LENGTH || hasNestedQuantifier(pattern)) {
+      return pattern;
+    }
+    try {
+      new RegExp(pattern);
+    } catch (error) {
+      return pattern;
+    }
+  }
+  return null;
+}
+
+/**
+ * Grade one answer
+ * @param {Object} question - Question document (type, options, correctAnswer, correctAnswers, scoringMethod, short-answer rules, tolerance, pairs, items, blanks)
+ * @param {*} answer - Submitted answer
+ * @returns {Object} { credit (0-1), isCorrect, optionResults (multiple-select only), itemResults (matching, ordering and cloze only), needsReview (short answer and numeric only) }
+ */
+function gradeAnswer(question, answer) {
+  if (question.type === 'MultiSelect') {
+    return gradeMultiSelect(question, answer);
+  }
+
+  if (question.type === 'ShortAnswer') {
+    return gradeShortAnswer(question, answer);
+  }
+
+  if (question.type === 'Numeric') {
+    return gradeNumeric(question, answer);
+  }
+
+  if (question.type === 'Matching') {
+    return gradeMatching(question, answer);
+  }
+
+  if (question.type === 'Ordering') {
+    return gradeOrdering(question, answer);
+  }
+
+  if (question.type === 'Cloze') {
+    return gradeCloze(question, answer);
+  }
+
+  // Practical answers have to run against test cases (see codeRunner), which can't happen here
+  if (question.type === 'Practical') {
+    return { credit: 0, isCorrect: false, needsReview: true };
+  }
+
+  // Do string comparison and trim to handle whitespace issues
+  const isCorrect = answer !== null && answer !== undefined &&
+    String(question.correctAnswer).trim() === String(answer).trim();
+
+  return {
+    credit: isCorrect ? 1 : 0,
+    isCorrect
+  };
+}
+
+/**
+ * Read and validate the marks of a question from a request
+ * @param {Object} data - Request body (marks, negativeMarks)
+ * @returns {Object} { values, error } - Fields to set, or an error message
+ */
+function readMarksInput(data) {
+  const values = {};
+
+  if (data.marks !== undefined && data.marks !== null) {
+    const marks = Number(data.marks);
+    if (!(marks > 0 && marks <= MAX_MARKS)) {
+      return { values, error: `'marks' must be a number above 0 and at most ${MAX_MARKS}` };
+    }
+    values.marks = roundScore(marks);
+  }
+
+  if (data.negativeMarks !== undefined && data.negativeMarks !== null) {
+    // Accepted as a deduction (0.25) or as the signed value (-0.25)
+    const negativeMarks = Math.abs(Number(data.negativeMarks));
+    if (!(negativeMarks <= MAX_MARKS)) {
+      return { values, error: `'negativeMarks' must be a number of at most ${MAX_MARKS}` };
+    }
+    values.negativeMarks = roundScore(negativeMarks);
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Get the marks a question is worth and the marks a wrong answer loses
+ * @param {Object} question - Question document
+ * @returns {Object} { marks, negativeMarks }
+ */
+function getQuestionMarks(question) {
+  return {
+    marks: question?.marks > 0 ? question.marks : DEFAULT_MARKS,
+    negativeMarks: question?.negativeMarks > 0 ? question.negativeMarks : 0
+  };
+}
+
+/**
+ * Check whether an answer is empty: nothing selected, an empty string, or a list
+ * (structured or multi-select) whose entries are all empty
+ * Empty answers count as unanswered. 0 is a real answer
+ * @param {*} answer - Selected answer
+ * @returns {boolean}
+ */
+function isEmptyAnswer(answer) {
+  if (answer === null || answer === undefined || answer === '') {
+    return true;
+  }
+  return Array.isArray(answer) && answer.every(isEmptyAnswer);
+}
+
+/**
+ * Get the points a graded answer earns
+ * Credit is weighted by the question's marks. Wrong answers (no credit) lose the
+ * negative marks. Partial credit is never penalised, and neither are answers of
+ * multiple-select and structured questions with some right entries that still earn no
+ * credit under the scoring method (partlyRight). Answers waiting for manual grading
+ * count as zero until graded. Empty answers count as unanswered and cost nothing.
+ * Answers stored before marks existed are worth one
+ * @param {Object} answer - Attendance answer (selectedAnswer, credit, isCorrect, partlyRight, needsReview, marks, negativeMarks)
+ * @returns {number} Points, negative for penalised wrong answers
+ */
+function getAnswerPoints(answer) {
+  if (answer.needsReview || isEmptyAnswer(answer.selectedAnswer)) {
+    return 0;
+  }
+  const credit = answer.credit !== undefined ? answer.credit : (answer.isCorrect ? 1 : 0);
+  const { marks, negativeMarks } = getQuestionMarks(answer);
+  if (credit > 0) {
+    return roundScore(credit * marks);
+  }
+  return answer.partlyRight ? 0 : -negativeMarks;
+}
+
+/**
+ * Get the score of an attempt from its answers (unanswered questions aren't stored and cost nothing)
+ * @param {Array} answers - Attendance answers
+ * @returns {number} Score, can be negative with negative marking
+ */
+function getAttemptScore(answers) {
+  return roundScore((answers || []).reduce((sum, answer) => sum + getAnswerPoints(answer), 0));
+}
+
+module.exports = {
+  SCORING_METHODS,
+  DEFAULT_MARKS,
+  MAX_PATTERN_LENGTH,
+  MAX_SHORT_ANSWER_LENGTH,
+  roundScore,
+  normalizeSelection,
+  normalizeText,
+  getAcceptedAnswers,
+  findInvalidPattern,
+  hasNestedQuantifier,
+  parseNumericAnswer,
+  isEmptyAnswer,
+  getCorrectAnswer,
+  gradeAnswer,
+  readMarksInput,
+  getQuestionMarks,
+  getAnswerPoints,
+  getAttemptScore
+};
@@ -0,0 +1,323 @@
+/**
+ * Item analysis
+ * Classical statistics per question of an exam, computed from graded attempts:
+ * difficulty (p-value), discrimination between the top and bottom 27% of attempts,
+ * how often each option was chosen, time spent, and flags for questions worth a look
+ */
+
+const passPolicy = require('./passPolicy');
+const attemptState = require('./attemptState');
+const grading = require('./grading');
+
+const ANALYSIS_ATTEMPTS = ['all', 'first'];
+
+// Share of attempts in the upper and lower groups
+const GROUP_SHARE = 0.27;
+// Discrimination is only computed when both groups have at least this many attempts
+const MIN_GROUP_SIZE = 2;
+// Questions answered by fewer attempts aren't flagged
+const MIN_RESPONSES_FOR_FLAGS = 5;
+
+const FLAG_THRESHOLDS = {
+  tooEasy: 0.9,
+  tooHard: 0.2,
+  lowDiscrimination: 0.2
+};
+
+/**
+ * Round a statistic to three decimals
+ * @param {number|null} value - Statistic
+ * @returns {number|null}
+ */
+function roundStat(value) {
+  return value === null || value === undefined ? null : Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Pick the attempts to analyse
+ * @param {Array} attempts - Attendance records of the exam
+ * @param {string} scope - 'all' graded attempts, or each student's 'first' graded attempt
+ * @returns {Array} Graded attempts
+ */
+function selectAttempts(attempts, scope = 'all') {
+  const graded = attempts.filter(passPolicy.isGradedAttempt);
+  if (scope !== 'first') {
+    return graded;
+  }
+
+  const firstByUser = new Map();
+  graded.forEach(attempt => {
+    const userId = (attempt.userId?._id || attempt.userId).toString();
+    const current = firstByUser.get(userId);
+    if (!current || (attempt.attemptNumber || 1) < (current.attemptNumber || 1)) {
+      firstByUser.set(userId, attempt);
+    }
+  });
+  return [...firstByUser.values()];
+}
+
+/**
+ * Check whether a question's answers are options
+ * @param {Object} question - Question document
+ * @returns {boolean}
+ */
+function hasOptionAnswers(question) {
+  return Boolean(question) && ['MCQ', 'MultiSelect'].includes(question.type);
+}
+
+/**
+ * Decide which flags a question gets
+ * @param {Object} item - Item statistics
+ * @returns {Array<string>} Flag codes
+ */
+function getItemFlags(item) {
+  if (item.responses < MIN_RESPONSES_FOR_FLAGS || item.difficulty === null) {
+    return [];
+  }
+
+  const flags = [];
+
+  // Strong students doing worse than weak ones, or a distractor beating the key,
+  // usually means the stored correct answer is wrong
+  const key = item.options.filter(option => option.isKey);
+  const distractors = item.options.filter(option => !option.isKey);
+  const topKey = key.reduce((max, option) => Math.max(max, option.count), 0);
+  const topDistractor = distractors.reduce((best, option) => (!best || option.count > best.count ? option : best), null);
+  const distractorBeatsKey = item.type === 'MCQ' && key.length > 0 && topDistractor &&
+    topDistractor.count > topKey && topDistractor.upperCount > key[0].upperCount;
+
+  if ((item.discrimination !== null && item.discrimination < 0) || distractorBeatsKey) {
+    flags.push('MISKEYED');
+  }
+  if (item.difficulty >= FLAG_THRESHOLDS.tooEasy) {
+    flags.push('TOO_EASY');
+  }
+  if (item.difficulty <= FLAG_THRESHOLDS.tooHard) {
+    flags.push('TOO_HARD');
+  }
+  if (item.discrimination !== null && item.discrimination >= 0 &&
+      item.discrimination < FLAG_THRESHOLDS.lowDiscrimination) {
+    flags.push('LOW_DISCRIMINATION');
+  }
+
+  return flags;
+}
+
+/**
+ * Build the item analysis of an exam
+ * @param {Object} params
+ * @param {Array} params.attempts - Graded attempts to analyse (with answers)
+ * @param {Array} params.states - Stored attempt states of the exam (question order and answer times)
+ * @param {Array} params.questions - Questions of the exam and its attempts
+ * @param {Array} params.questionOrder - Question IDs in exam order (current questions first)
+ * @returns {Object} { summary, items }
+ */
+function buildItemAnalysis({ attempts, states, questions, questionOrder }) {
+  const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+  const statesByAttempt = new Map((states || []).map(state =>
+    [`${state.userId.toString()}:${state.attemptNumber || 1}`, state]
+  ));
+
+  // Rank attempts by their percentage to form the upper and lower groups
+  const ranked = attempts
+    .map(attempt => ({ attempt, percentage: passPolicy.getAttemptPercentage(attempt) }))
+    .sort((a, b) => b.percentage - a.percentage);
+  const groupSize = Math.round(ranked.length * GROUP_SHARE);
+  const hasGroups = groupSize >= MIN_GROUP_SIZE;
+  const upper = new Set(hasGroups ? ranked.slice(0, groupSize).map(entry => entry.attempt) : []);
+  const lower = new Set(hasGroups ? ranked.slice(-groupSize).map(entry => entry.attempt) : []);
+
+  const items = new Map();
+  const getItem = (questionId) => {
+    if (!items.has(questionId)) {
+      items.set(questionId, {
+        questionId,
+        responses: 0,
+        answered: 0,
+        creditSum: 0,
+        upper: { responses: 0, creditSum: 0 },
+        lower: { responses: 0, creditSum: 0 },
+        optionCounts: new Map(),
+        times: []
+      });
+    }
+    return items.get(questionId);
+  };
+  (questionOrder || []).forEach(questionId => getItem(questionId.toString()));
+
+  let attemptsWithoutState = 0;
+
+  ranked.forEach(({ attempt }) => {
+    const userId = (attempt.userId?._id || attempt.userId).toString();
+    const state = statesByAttempt.get(`${userId}:${attempt.attemptNumber || 1}`);
+    if (!state) {
+      attemptsWithoutState++;
+    }
+
+    const answersById = new Map((attempt.answers || [])
+      .filter(answer => answer.questionId)
+      .map(answer => [answer.questionId.toString(), answer]));
+    // Questions served in the attempt; without stored state only answered ones are known
+    const served = new Set([
+      ...(state?.questionIds || []).map(id => id.toString()),
+      ...answersById.keys()
+    ]);
+    const durations = state ? attemptState.getAnswerDurations(state, attempt.startTime) : {};
+    const group = upper.has(attempt) ? 'upper' : (lower.has(attempt) ? 'lower' : null);
+
+    served.forEach(questionId => {
+      const item = getItem(questionId);
+      const answer = answersById.get(questionId);
+      // Unanswered questions count as no credit
+      const credit = answer
+        ? (answer.credit !== undefined ? answer.credit : (answer.isCorrect ? 1 : 0))
+        : 0;
+
+      item.responses++;
+      item.creditSum += credit;
+      if (group) {
+        item[group].responses++;
+        item[group].creditSum += credit;
+      }
+
+      if (!answer) {
+        return;
+      }
+      item.answered++;
+      if (durations[questionId] !== undefined) {
+        item.times.push(durations[questionId]);
+      }
+      if (!hasOptionAnswers(questionsById.get(questionId))) {
+        return;
+      }
+      grading.normalizeSelection(answer.selectedAnswer).forEach(option => {
+        const counts = item.optionCounts.get(option) || { count: 0, upperCount: 0, lowerCount: 0 };
+        counts.count++;
+        if (group === 'upper') counts.upperCount++;
+        if (group === 'lower') counts.lowerCount++;
+        item.optionCounts.set(option, counts);
+      });
+    });
+  });
+
+  const results = [...items.values()].map((item, index) => {
+    const question = questionsById.get(item.questionId);
+    const hasOptions = hasOptionAnswers(question);
+    const keyOptions = question
+      ? (question.type === 'MultiSelect' ? grading.normalizeSelection(question.correctAnswers) : [String(question.correctAnswer)])
+      : [];
+
+    const difficulty = item.responses > 0 ? item.creditSum / item.responses : null;
+    const upperP = item.upper.responses > 0 ? item.upper.creditSum / item.upper.responses : null;
+    const lowerP = item.lower.responses > 0 ? item.lower.creditSum / item.lower.responses : null;
+
+    // Authored options first, then anything else students submitted (e.g. removed options)
+    const optionNames = hasOptions
+      ? [...question.options, ...[...item.optionCounts.keys()].filter(option => !question.options.includes(option))]
+      : [];
+    const options = optionNames.map(option => {
+      const counts = item.optionCounts.get(option) || { count: 0, upperCount: 0, lowerCount: 0 };
+      return {
+        option,
+        isKey: keyOptions.includes(option),
+        count: counts.count,
+        share: item.responses > 0 ? roundStat(counts.count / item.responses) : null,
+        upperCount: counts.upperCount,
+        lowerCount: counts.lowerCount
+      };
+    });
+
+    const result = {
+      number: index + 1,
+      questionId: item.questionId,
+      type: question?.type || null,
+      questionText: question?.questionText || 'Question not found',
+      retired: Boolean(question?.retiredAt),
+      marks: grading.getQuestionMarks(question).marks,
+      responses: item.responses,
+      answered: item.answered,
+      omitted: item.responses - item.answered,
+      difficulty: roundStat(difficulty),
+      discrimination: upperP !== null && lowerP !== null ? roundStat(upperP - lowerP) : null,
+      upperDifficulty: roundStat(upperP),
+      lowerDifficulty: roundStat(lowerP),
+      averageTimeSeconds: item.times.length > 0
+        ? Math.round(item.times.reduce((sum, time) => sum + time, 0) / item.times.length / 1000)
+        : null,
+      options
+    };
+    result.flags = getItemFlags(result);
+    return result;
+  });
+
+  const percentages = ranked.map(entry => entry.percentage);
+
+  return {
+    summary: {
+      attempts: ranked.length,
+      groupSize: hasGroups ? groupSize : 0,
+      averagePercentage: percentages.length > 0
+        ? grading.roundScore(percentages.reduce((sum, value) => sum + value, 0) / percentages.length)
+        : null,
+      attemptsWithoutState,
+      items: results.length,
+      flaggedItems: results.filter(item => item.flags.length > 0).length
+    },
+    items: results
+  };
+}
+
+/**
+ * Quote a CSV field
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format an item analysis as CSV, one row per question
+ * Option choices are listed as "option: count" separated by '|', key options marked with '*'
+ * @param {Object} analysis - Result of buildItemAnalysis
+ * @returns {string} CSV content
+ */
+function formatItemAnalysisCSV(analysis) {
+  const header = [
+    'Number', 'Question ID', 'Type', 'Question Text', 'Retired', 'Marks', 'Responses', 'Answered', 'Omitted',
+    'Difficulty', 'Discrimination', 'Upper Difficulty', 'Lower Difficulty', 'Average Time (s)', 'Option Choices', 'Flags'
+  ];
+
+  const rows = analysis.items.map(item => [
+    item.number,
+    item.questionId,
+    item.type,
+    item.questionText,
+    item.retired ? 'yes' : 'no',
+    item.marks,
+    item.responses,
+    item.answered,
+    item.omitted,
+    item.difficulty,
+    item.discrimination,
+    item.upperDifficulty,
+    item.lowerDifficulty,
+    item.averageTimeSeconds,
+    item.options.map(option => `${option.isKey ? '*' : ''}${option.option}: ${option.count}`).join(' | '),
+    item.flags.join(' ')
+  ].map(csvField).join(','));
+
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  ANALYSIS_ATTEMPTS,
+  FLAG_THRESHOLDS,
+  selectAttempts,
+  buildItemAnalysis,
+  formatItemAnalysisCSV
+};
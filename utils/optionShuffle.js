@@ -0,0 +1,119 @@
+/**
+ * Per-attempt option shuffling
+ * Each attempt stores a random seed, and the option order of every question is derived
+ * from the seed and the question ID. The order is never stored per question: it can be
+ * recomputed at any time, so reviews and audits show exactly what the student saw.
+ * Answers are always stored as the canonical option text, so grading doesn't depend
+ * on the order
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create the option seed of a new attempt
+ * @param {Object} exam - Exam document
+ * @returns {string|null} Seed, or null when the exam keeps options in authored order
+ */
+function createOptionSeed(exam) {
+  if (exam && exam.shuffleOptions === false) {
+    return null;
+  }
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Get the order in which a question's options are shown in an attempt
+ * @param {string|null} seed - Attempt option seed
+ * @param {string} questionId - Question ID
+ * @param {number} optionCount - Number of options
+ * @returns {Array<number>} Authored option indexes in displayed order
+ */
+function getOptionOrder(seed, questionId, optionCount) {
+  const order = Array.from({ length: optionCount }, (_, index) => index);
+  if (!seed || optionCount < 2) {
+    return order;
+  }
+
+  // Fisher-Yates driven by a hash of the seed and the question, so it is reproducible
+  let digest = Buffer.alloc(0);
+  let offset = 0;
+  let block = 0;
+  const nextNumber = () => {
+    if (offset + 4 > digest.length) {
+      digest = crypto.createHash('sha256').update(`${seed}:${questionId}:${block++}`).digest();
+      offset = 0;
+    }
+    const value = digest.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = nextNumber() % (i + 1);
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Get a question's options in the order shown in an attempt
+ * @param {Object} question - Question document with options
+ * @param {string|null} seed - Attempt option seed
+ * @returns {Array<string>} Options in displayed order
+ */
+function getDisplayedOptions(question, seed) {
+  const options = question.options || [];
+  return getOptionOrder(seed, question._id, options.length).map(index => options[index]);
+}
+
+/**
+ * Map displayed option positions back to the canonical options
+ * @param {Object} question - Question document with options
+ * @param {string|null} seed - Attempt option seed
+ * @param {number|Array<number>} positions - Zero-based positions in the displayed order
+ * @returns {string|Array<string>|null} Option text (a list for several positions), null if a position is invalid
+ */
+function mapDisplayedPositions(question, seed, positions) {
+  const displayed = getDisplayedOptions(question, seed);
+  const list = Array.isArray(positions) ? positions : [positions];
+
+  const options = [];
+  for (const position of list) {
+    const index = Number(position);
+    if (!Number.isInteger(index) || index < 0 || index >= displayed.length) {
+      return null;
+    }
+    options.push(displayed[index]);
+  }
+  return Array.isArray(positions) ? options : options[0];
+}
+
+/**
+ * Describe a question's option order for reviews and audits
+ * @param {Object} question - Question document with options
+ * @param {string|null} seed - Attempt option seed
+ * @param {*} answer - Stored answer (canonical option text)
+ * @returns {Object} { displayedOptions, optionOrder, answerPositions }
+ */
+function describeOptionOrder(question, seed, answer) {
+  const optionOrder = getOptionOrder(seed, question._id, (question.options || []).length);
+  const displayedOptions = optionOrder.map(index => question.options[index]);
+  const selected = Array.isArray(answer) ? answer : (answer === null || answer === undefined ? [] : [answer]);
+
+  return {
+    displayedOptions,
+    optionOrder,
+    // Where the student's choices were in the order they saw
+    answerPositions: selected
+      .map(option => displayedOptions.indexOf(String(option)))
+      .filter(position => position >= 0)
+  };
+}
+
+module.exports = {
+  createOptionSeed,
+  getOptionOrder,
+  getDisplayedOptions,
+  mapDisplayedPositions,
+  describeOptionOrder
+};
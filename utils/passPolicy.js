@@ -0,0 +1,214 @@
+/**
+ * Pass policy utilities
+ * Single place that decides pass/fail, which attempt counts and whether a retake is allowed,
+ * based on each exam's own configuration
+ */
+
+const DEFAULT_PASSING_SCORE = 60;
+const FINISHED_STATUSES = ['COMPLETED', 'TIMED_OUT'];
+
+/**
+ * Read the pass policy of an exam, falling back to the defaults for older exams
+ * @param {Object} exam - Exam document (or populated examId)
+ * @returns {Object} Pass policy
+ */
+function getPassPolicy(exam) {
+  return {
+    passingScore: exam?.passingScore ?? DEFAULT_PASSING_SCORE,
+    attemptScoring: exam?.attemptScoring || 'best',
+    blockRetakeAfterPass: exam?.blockRetakeAfterPass !== false,
+    retakeCooldownMinutes: exam?.retakeCooldownMinutes || 0,
+    maxAttempts: exam?.maxAttempts || 3
+  };
+}
+
+/**
+ * Check whether an attempt has been finished (graded or waiting for manual grading)
+ * @param {Object} attempt - Exam attendance record
+ * @returns {boolean}
+ */
+function isFinishedAttempt(attempt) {
+  return FINISHED_STATUSES.includes(attempt.status);
+}
+
+/**
+ * Check whether a finished attempt still has answers in the grading queue
+ * @param {Object} attempt - Exam attendance record
+ * @returns {boolean}
+ */
+function isPendingReview(attempt) {
+  return isFinishedAttempt(attempt) && attempt.gradingStatus === 'PENDING_REVIEW';
+}
+
+/**
+ * Check whether an attempt is finished and fully graded, so its score is final
+ * @param {Object} attempt - Exam attendance record
+ * @returns {boolean}
+ */
+function isGradedAttempt(attempt) {
+  return isFinishedAttempt(attempt) && !isPendingReview(attempt);
+}
+
+/**
+ * Get the total marks of an attempt
+ * @param {Object} attempt - Exam attendance record
+ * @returns {number} Sum of the question marks, the question count for attempts graded before marks existed
+ */
+function getMaxScore(attempt) {
+  return attempt.maxScore > 0 ? attempt.maxScore : (attempt.totalQuestions || 0);
+}
+
+/**
+ * Get the percentage score of a single attempt
+ * @param {Object} attempt - Exam attendance record
+ * @returns {number} Percentage up to 100 (below 0 when negative marking outweighs the marks earned)
+ */
+function getAttemptPercentage(attempt) {
+  const maxScore = getMaxScore(attempt);
+  return maxScore > 0
+    ? (attempt.score / maxScore) * 100
+    : 0;
+}
+
+/**
+ * Check whether a single attempt reaches the exam's passing score
+ * @param {Object} attempt - Exam attendance record
+ * @param {Object} exam - Exam document
+ * @returns {boolean}
+ */
+function isAttemptPassed(attempt, exam) {
+  return isGradedAttempt(attempt) &&
+    getAttemptPercentage(attempt) >= getPassPolicy(exam).passingScore;
+}
+
+/**
+ * Evaluate a student's attempts for one exam according to the exam's scoring method
+ * Attempts waiting for manual grading count towards the attempt limit but not the result
+ * @param {Array} attempts - All attendance records of one student for the exam
+ * @param {Object} exam - Exam document
+ * @returns {Object} Exam-level result (passed, counted percentage and attempt)
+ */
+function evaluateAttempts(attempts, exam) {
+  const policy = getPassPolicy(exam);
+  const finishedCount = attempts.filter(isFinishedAttempt).length;
+  const pendingReview = attempts.filter(isPendingReview).length;
+  const finished = attempts
+    .filter(isGradedAttempt)
+    .sort((a, b) => (a.attemptNumber || 1) - (b.attemptNumber || 1));
+
+  if (finished.length === 0) {
+    return {
+      passed: false,
+      percentage: null,
+      countedAttempt: null,
+      finishedAttempts: finishedCount,
+      pendingReview,
+      passingScore: policy.passingScore,
+      attemptScoring: policy.attemptScoring
+    };
+  }
+
+  let percentage;
+  let countedAttempt;
+
+  switch (policy.attemptScoring) {
+    case 'latest':
+      countedAttempt = finished[finished.length - 1];
+      percentage = getAttemptPercentage(countedAttempt);
+      break;
+    case 'average':
+      percentage = finished.reduce((sum, a) => sum + getAttemptPercentage(a), 0) / finished.length;
+      countedAttempt = finished[finished.length - 1];
+      break;
+    case 'best':
+    default:
+      countedAttempt = finished.reduce((best, a) =>
+        getAttemptPercentage(a) > getAttemptPercentage(best) ? a : best
+      );
+      percentage = getAttemptPercentage(countedAttempt);
+      break;
+  }
+
+  return {
+    passed: percentage >= policy.passingScore,
+    percentage,
+    countedAttempt,
+    finishedAttempts: finishedCount,
+    pendingReview,
+    passingScore: policy.passingScore,
+    attemptScoring: policy.attemptScoring
+  };
+}
+
+/**
+ * Check whether a student may start a new attempt
+ * @param {Array} attempts - All attendance records of one student for the exam
+ * @param {Object} exam - Exam document
+ * @param {Date} now - Current time (injectable for scheduled checks)
+ * @returns {Object} { allowed, reason, result, retryAfter }
+ */
+function checkRetakeEligibility(attempts, exam, now = new Date()) {
+  const policy = getPassPolicy(exam);
+  const result = evaluateAttempts(attempts, exam);
+
+  if (policy.blockRetakeAfterPass && result.passed) {
+    return { allowed: false, reason: 'PASSED', result };
+  }
+
+  // A retake could turn out to be unnecessary once the pending attempt is graded
+  if (policy.blockRetakeAfterPass && result.pendingReview > 0) {
+    return { allowed: false, reason: 'PENDING_REVIEW', result };
+  }
+
+  if (result.finishedAttempts >= policy.maxAttempts) {
+    return { allowed: false, reason: 'MAX_ATTEMPTS', result };
+  }
+
+  if (policy.retakeCooldownMinutes > 0 && result.finishedAttempts > 0) {
+    const lastFinishedAt = attempts
+      .filter(isFinishedAttempt)
+      .map(a => new Date(a.endTime || a.startTime).getTime())
+      .reduce((latest, time) => Math.max(latest, time), 0);
+    const retryAfter = new Date(lastFinishedAt + policy.retakeCooldownMinutes * 60 * 1000);
+
+    if (retryAfter > now) {
+      return { allowed: false, reason: 'COOLDOWN', result, retryAfter };
+    }
+  }
+
+  return { allowed: true, reason: null, result };
+}
+
+/**
+ * Group attendance records by student and exam
+ * @param {Array} attempts - Attendance records (userId / examId may be populated)
+ * @returns {Object} Map of "userId:examId" to attempts
+ */
+function groupAttemptsByStudentExam(attempts) {
+  const groups = {};
+  attempts.forEach(attempt => {
+    const userId = (attempt.userId?._id || attempt.userId).toString();
+    const examId = (attempt.examId?._id || attempt.examId).toString();
+    const key = `${userId}:${examId}`;
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(attempt);
+  });
+  return groups;
+}
+
+module.exports = {
+  DEFAULT_PASSING_SCORE,
+  FINISHED_STATUSES,
+  getPassPolicy,
+  isFinishedAttempt,
+  isPendingReview,
+  isGradedAttempt,
+  getMaxScore,
+  getAttemptPercentage,
+  isAttemptPassed,
+  evaluateAttempts,
+  checkRetakeEligibility,
+  groupAttemptsByStudentExam
+};
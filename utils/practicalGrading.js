@@ -0,0 +1,180 @@
+/**
+ * Practical grading utilities
+ * Runs the code of practical answers after their attempt was submitted, so finishing
+ * an attempt never waits for submissions to run. Until then the answers are pending
+ * (pendingRun and needsReview), which holds back the attempt's result like answers in
+ * the grading queue. A run is started right after each submission, and a sweep every
+ * minute picks up anything left over, e.g. after a restart
+ */
+
+const ExamAttendance = require('../models/examAttendance.model');
+const Exam = require('../models/exam.model');
+const Question = require('../models/question.model');
+const grading = require('./grading');
+const codeRunner = require('./codeRunner');
+
+// A run that claimed an attempt this long ago is assumed lost and the attempt is taken over
+const STALE_RUN_MS = 10 * 60 * 1000;
+
+// Attempts loaded per sweep batch
+const BATCH_SIZE = 10;
+
+// Sweep in progress in this process, shared by the submission trigger and the cron job
+let currentSweep = null;
+
+/**
+ * Filter for attempts with pending runs that no other run is working on
+ * @returns {Object} ExamAttendance filter
+ */
+function getClaimableFilter() {
+  return {
+    'answers.pendingRun': true,
+    $or: [
+      { practicalRunStartedAt: null },
+      { practicalRunStartedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } }
+    ]
+  };
+}
+
+/**
+ * Claim an attempt's pending runs, unless another run is working on them
+ * @param {string|Object} attendanceId - Attendance ID
+ * @returns {Promise<Object|null>} Claimed attendance document, null if there is nothing to claim
+ */
+async function claimPendingRuns(attendanceId) {
+  return ExamAttendance.findOneAndUpdate(
+    { _id: attendanceId, ...getClaimableFilter() },
+    { $set: { practicalRunStartedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Run the pending practical answers of a claimed attempt and store their grades
+ * The attempt is read again before saving, so grades given meanwhile in the grading queue are kept
+ * @param {Object} claimed - Claimed attendance document
+ * @returns {Promise<Object>} { ran, pendingAnswers, result }
+ */
+async function gradePendingRuns(claimed) {
+  // Required here, attemptGrading requires this module
+  const attemptGrading = require('./attemptGrading');
+
+  const pending = claimed.answers.filter(answer => answer.pendingRun);
+  const questions = await Question.find({ _id: { $in: pending.map(answer => answer.questionId) } })
+    .select(attemptGrading.GRADING_FIELDS);
+  const questionsMap = new Map(questions.map(question => [question._id.toString(), question]));
+
+  const gradedById = new Map();
+  for (const answer of pending) {
+    const question = questionsMap.get(answer.questionId.toString());
+    // A deleted question can't be run, its answer stays in the grading queue
+    gradedById.set(
+      answer.questionId.toString(),
+      question ? await codeRunner.gradePracticalAnswer(question, answer.selectedAnswer) : null
+    );
+  }
+
+  const attendance = await ExamAttendance.findById(claimed._id);
+  const wasPending = attendance.gradingStatus === 'PENDING_REVIEW';
+  let ran = 0;
+
+  attendance.answers.forEach(answer => {
+    const graded = gradedById.get(answer.questionId?.toString());
+    if (!answer.pendingRun || graded === undefined) return;
+
+    answer.pendingRun = undefined;
+    if (!graded) return;
+
+    answer.credit = grading.roundScore(graded.credit);
+    answer.isCorrect = graded.isCorrect;
+    // Runner failures go to the grading queue
+    answer.needsReview = Boolean(graded.needsReview);
+    answer.testResults = graded.testResults;
+    ran++;
+  });
+
+  attendance.score = grading.getAttemptScore(attendance.answers);
+  const pendingAnswers = attendance.answers.filter(answer => answer.needsReview).length;
+  attendance.gradingStatus = pendingAnswers > 0 ? 'PENDING_REVIEW' : 'COMPLETE';
+  attendance.practicalRunStartedAt = undefined;
+  attendance.lastUpdated = new Date();
+  await attendance.save();
+
+  console.log(`Practical answers of attempt ${attendance._id} graded: ${ran} run, ${pendingAnswers} answer(s) left for graders`);
+
+  // Record the result when nothing else was waiting
+  let result = null;
+  if (wasPending && pendingAnswers === 0) {
+    const exam = await Exam.findById(attendance.examId);
+    result = await attemptGrading.recordAttemptResult(attendance, exam);
+  }
+
+  return { ran, pendingAnswers, result };
+}
+
+/**
+ * Run pending practical answers batch by batch until none are left to claim
+ * @returns {Promise<Object>} { graded, errors }
+ */
+async function sweepPendingRuns() {
+  let graded = 0;
+  let errors = 0;
+  const failed = new Set();
+
+  for (;;) {
+    const attempts = await ExamAttendance.find({ ...getClaimableFilter(), _id: { $nin: [...failed] } })
+      .sort({ endTime: 1 })
+      .limit(BATCH_SIZE)
+      .select('_id');
+
+    let claimedAny = false;
+    for (const attempt of attempts) {
+      try {
+        const claimed = await claimPendingRuns(attempt._id);
+        if (!claimed) continue;
+        claimedAny = true;
+        await gradePendingRuns(claimed);
+        graded++;
+      } catch (error) {
+        // Left claimed, the attempt is retried once the claim is stale
+        console.error(`Error running practical answers of attempt ${attempt._id}:`, error);
+        failed.add(attempt._id);
+        errors++;
+      }
+    }
+
+    if (!claimedAny) break;
+  }
+
+  return { graded, errors };
+}
+
+/**
+ * Run all pending practical answers, joining the sweep already in progress if there is one
+ * @returns {Promise<Object>} { graded, errors }
+ */
+function processPendingRuns() {
+  if (!currentSweep) {
+    currentSweep = sweepPendingRuns().finally(() => {
+      currentSweep = null;
+    });
+  }
+  return currentSweep;
+}
+
+/**
+ * Start running pending practical answers without waiting for them
+ * A sweep that is already running picks up new answers in its next batch
+ */
+function schedulePendingRuns() {
+  setImmediate(() => {
+    processPendingRuns().catch(error => {
+      console.error('Error in practical grading run:', error);
+    });
+  });
+}
+
+module.exports = {
+  processPendingRuns,
+  schedulePendingRuns
+};
@@ -0,0 +1,237 @@
+/**
+ * Exam prerequisite utilities
+ * An exam can require other exams to be passed first, optionally within a number of days
+ * before the attempt. Prerequisites can be chained into multi-level tracks; cycles are
+ * rejected when prerequisites are set
+ */
+
+const mongoose = require('mongoose');
+const Exam = require('../models/exam.model');
+const ExamAttendance = require('../models/examAttendance.model');
+const passPolicy = require('./passPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Exam fields needed to evaluate a prerequisite exam for a student
+const PREREQUISITE_EXAM_FIELDS = 'title status prerequisites passingScore attemptScoring maxAttempts blockRetakeAfterPass retakeCooldownMinutes';
+
+/**
+ * Load the exams reachable through prerequisites, starting from the given exams
+ * @param {Array} exams - Exams (documents with prerequisites)
+ * @returns {Promise<Map>} Exam ID -> exam document, for every prerequisite in the chains
+ */
+async function loadPrerequisiteGraph(exams) {
+  const graph = new Map();
+  let pending = exams.flatMap(exam => (exam.prerequisites || []).map(p => p.exam.toString()));
+
+  while (pending.length > 0) {
+    const ids = [...new Set(pending)].filter(id => !graph.has(id));
+    if (ids.length === 0) break;
+
+    const loaded = await Exam.find({ _id: { $in: ids } }).select(PREREQUISITE_EXAM_FIELDS);
+    loaded.forEach(exam => graph.set(exam._id.toString(), exam));
+    // Missing exams (deleted) are recorded so they aren't looked up again
+    ids.filter(id => !graph.has(id)).forEach(id => graph.set(id, null));
+
+    pending = loaded.flatMap(exam => (exam.prerequisites || []).map(p => p.exam.toString()));
+  }
+  return graph;
+}
+
+/**
+ * Read and validate prerequisites from a create/update request
+ * @param {Array} input - [{ exam (or examId), withinDays }]
+ * @param {string|null} examId - ID of the exam being updated (null when creating)
+ * @returns {Promise<{ values: Array, errors: Array }>} Prerequisites to store and validation errors
+ */
+async function readPrerequisitesInput(input, examId = null) {
+  const errors = [];
+  if (!Array.isArray(input)) {
+    return { values: [], errors: ["'prerequisites' must be an array"] };
+  }
+
+  const values = [];
+  const seen = new Set();
+  input.forEach((item, index) => {
+    const id = String(item?.exam || item?.examId || '');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      errors.push(`Prerequisite ${index + 1}: invalid exam ID`);
+      return;
+    }
+    if (examId && id === examId.toString()) {
+      errors.push(`Prerequisite ${index + 1}: an exam can't be its own prerequisite`);
+      return;
+    }
+    if (seen.has(id)) {
+      errors.push(`Prerequisite ${index + 1}: exam ${id} is listed twice`);
+      return;
+    }
+
+    let withinDays = null;
+    if (item.withinDays !== undefined && item.withinDays !== null && item.withinDays !== '') {
+      withinDays = Number(item.withinDays);
+      if (!Number.isInteger(withinDays) || withinDays < 1) {
+        errors.push(`Prerequisite ${index + 1}: withinDays must be a whole number of days (1 or more)`);
+        return;
+      }
+    }
+
+    seen.add(id);
+    values.push({ exam: id, withinDays });
+  });
+
+  if (errors.length > 0 || values.length === 0) {
+    return { values, errors };
+  }
+
+  const graph = await loadPrerequisiteGraph([{ prerequisites: values }]);
+  values.forEach(value => {
+    if (!graph.get(value.exam)) {
+      errors.push(`Prerequisite exam ${value.exam} not found`);
+    }
+  });
+
+  // The exam must not be reachable from its own prerequisites
+  if (examId && graph.has(examId.toString())) {
+    errors.push('These prerequisites would create a cycle (the exam is a prerequisite of one of them)');
+  }
+
+  return { values, errors };
+}
+
+/**
+ * Get when a student passed an exam, according to the exam's pass policy
+ * @param {Array} attempts - The student's attempts of the exam
+ * @param {Object} exam - Exam document
+ * @returns {Object} { passed, passedAt, pendingReview }
+ */
+function getPassState(attempts, exam) {
+  const result = passPolicy.evaluateAttempts(attempts, exam);
+  if (!result.passed) {
+    return { passed: false, passedAt: null, pendingReview: result.pendingReview > 0 };
+  }
+
+  // Latest attempt that passed on its own (the counted attempt for average scoring)
+  const passedAt = attempts
+    .filter(attempt => passPolicy.isAttemptPassed(attempt, exam))
+    .map(attempt => new Date(attempt.endTime || attempt.startTime))
+    .reduce((latest, date) => (!latest || date > latest ? date : latest), null) ||
+    new Date(result.countedAttempt.endTime || result.countedAttempt.startTime);
+
+  return { passed: true, passedAt, pendingReview: false };
+}
+
+/**
+ * Check the prerequisites of several exams for one student
+ * @param {string} userId - User ID
+ * @param {Array} exams - Exam documents (with prerequisites)
+ * @param {Date} now - Current time
+ * @returns {Promise<Map>} Exam ID -> { met, prerequisites, unmet }
+ */
+async function checkPrerequisitesForExams(userId, exams, now = new Date()) {
+  const statuses = new Map();
+  const withPrerequisites = exams.filter(exam => (exam.prerequisites || []).length > 0);
+  exams.forEach(exam => statuses.set(exam._id.toString(), { met: true, prerequisites: [], unmet: [] }));
+  if (withPrerequisites.length === 0) {
+    return statuses;
+  }
+
+  const graph = await loadPrerequisiteGraph(withPrerequisites);
+  const prerequisiteIds = [...graph.keys()];
+  const attempts = await ExamAttendance.find({
+    userId,
+    examId: { $in: prerequisiteIds },
+    status: { $in: passPolicy.FINISHED_STATUSES }
+  }).select('examId status gradingStatus score maxScore totalQuestions attemptNumber startTime endTime');
+
+  const attemptsByExam = {};
+  attempts.forEach(attempt => {
+    const key = attempt.examId.toString();
+    if (!attemptsByExam[key]) attemptsByExam[key] = [];
+    attemptsByExam[key].push(attempt);
+  });
+
+  const passStates = new Map();
+  graph.forEach((exam, id) => {
+    passStates.set(id, exam ? getPassState(attemptsByExam[id] || [], exam) : null);
+  });
+
+  // Whether a prerequisite exam can itself be attempted (its own prerequisites are met),
+  // so tracks can show which step unlocks next
+  const lockedCache = new Map();
+  const isLocked = (id, visiting = new Set()) => {
+    if (lockedCache.has(id)) return lockedCache.get(id);
+    const exam = graph.get(id);
+    if (!exam || visiting.has(id)) return false;
+    visiting.add(id);
+    const locked = (exam.prerequisites || []).some(p => !evaluatePrerequisite(p, visiting).met);
+    lockedCache.set(id, locked);
+    return locked;
+  };
+
+  const evaluatePrerequisite = (prerequisite, visiting = new Set()) => {
+    const id = prerequisite.exam.toString();
+    const exam = graph.get(id);
+    const state = passStates.get(id);
+    const entry = {
+      examId: id,
+      title: exam ? exam.title : null,
+      withinDays: prerequisite.withinDays || null,
+      passed: Boolean(state?.passed),
+      passedAt: state?.passedAt || null
+    };
+
+    if (!exam) {
+      return { ...entry, met: false, reason: 'EXAM_NOT_FOUND' };
+    }
+    if (!state.passed) {
+      return {
+        ...entry,
+        met: false,
+        reason: state.pendingReview ? 'PENDING_REVIEW' : 'NOT_PASSED',
+        available: exam.status === 'PUBLISHED',
+        locked: isLocked(id, visiting)
+      };
+    }
+    if (entry.withinDays) {
+      const expiresAt = new Date(state.passedAt.getTime() + entry.withinDays * DAY_MS);
+      entry.expiresAt = expiresAt;
+      if (expiresAt <= now) {
+        return {
+          ...entry,
+          met: false,
+          reason: 'EXPIRED',
+          available: exam.status === 'PUBLISHED',
+          locked: isLocked(id, visiting)
+        };
+      }
+    }
+    return { ...entry, met: true };
+  };
+
+  withPrerequisites.forEach(exam => {
+    const prerequisites = exam.prerequisites.map(p => evaluatePrerequisite(p));
+    const unmet = prerequisites.filter(p => !p.met);
+    statuses.set(exam._id.toString(), { met: unmet.length === 0, prerequisites, unmet });
+  });
+
+  return statuses;
+}
+
+/**
+ * Check the prerequisites of one exam for a student
+ * @param {string} userId - User ID
+ * @param {Object} exam - Exam document
+ * @returns {Promise<Object>} { met, prerequisites, unmet }
+ */
+async function checkPrerequisites(userId, exam) {
+  return (await checkPrerequisitesForExams(userId, [exam])).get(exam._id.toString());
+}
+
+module.exports = {
+  loadPrerequisiteGraph,
+  readPrerequisitesInput,
+  getPassState,
+  checkPrerequisitesForExams,
+  checkPrerequisites
+};
@@ -0,0 +1,270 @@
+/**
+ * Question bank
+ * Bank questions don't belong to a single exam. They carry topics, tags, a difficulty
+ * and an author, can be searched, and are linked into the sections of any number of exams
+ */
+
+const mongoose = require('mongoose');
+const Exam = require('../models/exam.model');
+const Question = require('../models/question.model');
+
+const QUESTION_TYPES = ['MCQ', 'MultiSelect', 'ShortAnswer', 'Numeric', 'Matching', 'Ordering', 'Cloze', 'Practical'];
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const SECTION_KEYS = ['mcqs', 'shortAnswers', 'practicals'];
+
+const MAX_LABELS = 20;
+const MAX_LABEL_LENGTH = 50;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Read a list of topics or tags (an array, or a comma-separated string)
+ * Labels are trimmed and lowercased, duplicates are dropped
+ * @param {Array|string} value - Labels from a request
+ * @returns {Array<string>|null} Labels, null when the value isn't a list of strings
+ */
+function normalizeLabels(value) {
+  const list = typeof value === 'string' ? value.split(',') : value;
+  if (!Array.isArray(list) || !list.every(label => typeof label === 'string')) {
+    return null;
+  }
+  return [...new Set(list.map(label => label.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Read and validate the bank fields of a question request
+ * @param {Object} data - Request body (topics, tags, difficulty)
+ * @returns {Object} { values, error } - Fields to set, or an error message
+ */
+function readBankInput(data) {
+  const values = {};
+
+  for (const field of ['topics', 'tags']) {
+    if (data[field] === undefined) continue;
+    const labels = normalizeLabels(data[field] === null ? [] : data[field]);
+    if (!labels) {
+      return { values, error: `'${field}' must be an array of strings` };
+    }
+    if (labels.length > MAX_LABELS) {
+      return { values, error: `A question can have at most ${MAX_LABELS} ${field}` };
+    }
+    if (labels.some(label => label.length > MAX_LABEL_LENGTH)) {
+      return { values, error: `${field} can be at most ${MAX_LABEL_LENGTH} characters` };
+    }
+    values[field] = labels;
+  }
+
+  if (data.difficulty !== undefined) {
+    if (data.difficulty !== null && !DIFFICULTIES.includes(data.difficulty)) {
+      return { values, error: `Difficulty must be one of ${DIFFICULTIES.join(', ')}` };
+    }
+    values.difficulty = data.difficulty || undefined;
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Search text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the question filter of a bank search
+ * @param {Object} query - Request query (search, tags, topics, type, difficulty, author)
+ * @returns {Object} { filter, error }
+ */
+function buildBankFilter(query) {
+  // Retired questions are only kept for past attempts
+  const filter = { bank: true, retiredAt: null };
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), 'i');
+    filter.$or = [{ questionText: pattern }, { options: pattern }];
+  }
+
+  // Every given tag and topic must be present
+  for (const field of ['tags', 'topics']) {
+    if (!query[field]) continue;
+    const labels = normalizeLabels(query[field]);
+    if (!labels) {
+      return { filter, error: `'${field}' must be a comma-separated list` };
+    }
+    if (labels.length > 0) {
+      filter[field] = { $all: labels };
+    }
+  }
+
+  if (query.type) {
+    const types = String(query.type).split(',').map(type => type.trim());
+    if (!types.every(type => QUESTION_TYPES.includes(type))) {
+      return { filter, error: `Type must be one of ${QUESTION_TYPES.join(', ')}` };
+    }
+    filter.type = { $in: types };
+  }
+
+  if (query.difficulty) {
+    if (!DIFFICULTIES.includes(query.difficulty)) {
+      return { filter, error: `Difficulty must be one of ${DIFFICULTIES.join(', ')}` };
+    }
+    filter.difficulty = query.difficulty;
+  }
+
+  if (query.author) {
+    if (!mongoose.Types.ObjectId.isValid(query.author)) {
+      return { filter, error: "'author' must be a user ID" };
+    }
+    filter.createdBy = query.author;
+  }
+
+  return { filter, error: null };
+}
+
+/**
+ * Read the usage range and paging of a bank search
+ * @param {Object} query - Request query (minUsage, maxUsage, page, limit)
+ * @returns {Object} { minUsage, maxUsage, page, limit, error }
+ */
+function readSearchOptions(query) {
+  const options = {
+    minUsage: null,
+    maxUsage: null,
+    page: Math.max(parseInt(query.page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    error: null
+  };
+
+  for (const field of ['minUsage', 'maxUsage']) {
+    if (query[field] === undefined || query[field] === '') continue;
+    const value = Number(query[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      options.error = `'${field}' must be a whole number of exams`;
+      return options;
+    }
+    options[field] = value;
+  }
+
+  return options;
+}
+
+/**
+ * Build the exam filter for exams whose sections contain any of the questions
+ * @param {Array} questionIds - Question IDs
+ * @returns {Object} MongoDB filter
+ */
+function linkedExamsFilter(questionIds) {
+  return {
+    $or: SECTION_KEYS.map(key => ({ [`sections.${key}`]: { $in: questionIds } }))
+  };
+}
+
+/**
+ * Find the exams that use a question
+ * @param {string} questionId - Question ID
+ * @param {string} select - Exam fields to load
+ * @returns {Promise<Array>} Exam documents
+ */
+async function findLinkedExams(questionId, select) {
+  const query = Exam.find(linkedExamsFilter([questionId]));
+  return select ? query.select(select) : query;
+}
+
+/**
+ * Count the exams that use each question
+ * @param {Array} questionIds - Question IDs
+ * @returns {Promise<Map>} Question ID -> number of exams
+ */
+async function getUsageCounts(questionIds) {
+  const usage = new Map(questionIds.map(id => [id.toString(), 0]));
+  if (questionIds.length === 0) {
+    return usage;
+  }
+
+  const exams = await Exam.find(linkedExamsFilter(questionIds)).select('sections');
+  exams.forEach(exam => {
+    // An exam counts once per question
+    const ids = new Set(SECTION_KEYS.flatMap(key => (exam.sections?.[key] || []).map(id => id.toString())));
+    ids.forEach(id => {
+      if (usage.has(id)) {
+        usage.set(id, usage.get(id) + 1);
+      }
+    });
+  });
+
+  return usage;
+}
+
+/**
+ * Search the question bank
+ * The usage range is applied after counting, so results are paged in memory
+ * @param {Object} filter - Question filter from buildBankFilter
+ * @param {Object} options - Usage range and paging from readSearchOptions
+ * @returns {Promise<Object>} { questions, total }
+ */
+async function searchBank(filter, options) {
+  const candidates = await Question.find(filter).select('_id').sort({ _id: -1 });
+  const usage = await getUsageCounts(candidates.map(candidate => candidate._id));
+
+  const matching = candidates.filter(candidate => {
+    const count = usage.get(candidate._id.toString());
+    return (options.minUsage === null || count >= options.minUsage) &&
+      (options.maxUsage === null || count <= options.maxUsage);
+  });
+
+  const pageIds = matching
+    .slice((options.page - 1) * options.limit, options.page * options.limit)
+    .map(candidate => candidate._id);
+  const questions = await Question.find({ _id: { $in: pageIds } })
+    .populate('createdBy', 'username firstName lastName');
+  const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+  return {
+    total: matching.length,
+    questions: pageIds
+      .map(id => byId.get(id.toString()))
+      .filter(Boolean)
+      .map(question => ({ ...question.toObject(), usageCount: usage.get(question._id.toString()) }))
+  };
+}
+
+/**
+ * Check whether an exam's sections contain a question
+ * @param {Object} exam - Exam document
+ * @param {string} questionId - Question ID
+ * @returns {boolean}
+ */
+function isLinked(exam, questionId) {
+  return SECTION_KEYS.some(key =>
+    (exam.sections?.[key] || []).some(id => (id._id || id).toString() === questionId.toString())
+  );
+}
+
+/**
+ * Add a question to the end of an exam section (the exam is not saved)
+ * @param {Object} exam - Exam document
+ * @param {string} questionId - Question ID
+ * @param {string} sectionKey - Exam section of the question's type
+ * @returns {boolean} Whether the question was added (false if the exam already uses it)
+ */
+function linkToExam(exam, questionId, sectionKey) {
+  if (isLinked(exam, questionId)) {
+    return false;
+  }
+  exam.sections[sectionKey].push(questionId);
+  return true;
+}
+
+module.exports = {
+  readBankInput,
+  buildBankFilter,
+  readSearchOptions,
+  findLinkedExams,
+  getUsageCounts,
+  searchBank,
+  isLinked,
+  linkToExam
+};
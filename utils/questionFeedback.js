@@ -0,0 +1,132 @@
+/**
+ * Question explanations and per-option feedback
+ * Authors can attach a markdown explanation to every question and feedback to individual
+ * options. Students see them when reviewing an attempt, depending on the exam's
+ * feedbackVisibility setting
+ */
+
+const passPolicy = require('./passPolicy');
+
+const FEEDBACK_VISIBILITY = ['never', 'after-attempt', 'after-pass-or-last-attempt'];
+const DEFAULT_FEEDBACK_VISIBILITY = 'after-attempt';
+
+// Markdown texts are stored as written, clients render them
+const MAX_EXPLANATION_LENGTH = 10000;
+const MAX_OPTION_FEEDBACK_LENGTH = 2000;
+
+/**
+ * Read and validate explanation and option feedback from a question request
+ * @param {Object} data - Request body (explanation, optionFeedback)
+ * @param {Array<string>} options - The question's options (after the update)
+ * @returns {Object} { values, error } - Fields to set, or an error message
+ */
+function readFeedbackInput(data, options = []) {
+  const values = {};
+
+  if (data.explanation !== undefined && data.explanation !== null) {
+    if (typeof data.explanation !== 'string') {
+      return { values, error: "'explanation' must be a (markdown) string" };
+    }
+    if (data.explanation.length > MAX_EXPLANATION_LENGTH) {
+      return { values, error: `'explanation' can be at most ${MAX_EXPLANATION_LENGTH} characters` };
+    }
+    values.explanation = data.explanation.trim();
+  } else if (data.explanation === null) {
+    values.explanation = '';
+  }
+
+  if (data.optionFeedback !== undefined && data.optionFeedback !== null) {
+    // Accepted as [{ option, feedback }] or { "<option>": "<feedback>" }
+    const entries = Array.isArray(data.optionFeedback)
+      ? data.optionFeedback
+      : (typeof data.optionFeedback === 'object'
+        ? Object.entries(data.optionFeedback).map(([option, feedback]) => ({ option, feedback }))
+        : null);
+    if (!entries) {
+      return { values, error: "'optionFeedback' must be an array of { option, feedback }" };
+    }
+
+    const seen = new Set();
+    const optionFeedback = [];
+    for (const entry of entries) {
+      if (!entry || typeof entry.option !== 'string' || typeof entry.feedback !== 'string') {
+        return { values, error: "Every option feedback needs an 'option' and a 'feedback' string" };
+      }
+      if (!(options || []).includes(entry.option)) {
+        return { values, error: `Option feedback refers to "${entry.option}", which is not an option of the question` };
+      }
+      if (seen.has(entry.option)) {
+        return { values, error: `Option "${entry.option}" has feedback twice` };
+      }
+      if (entry.feedback.length > MAX_OPTION_FEEDBACK_LENGTH) {
+        return { values, error: `Option feedback can be at most ${MAX_OPTION_FEEDBACK_LENGTH} characters` };
+      }
+      seen.add(entry.option);
+      if (entry.feedback.trim()) {
+        optionFeedback.push({ option: entry.option, feedback: entry.feedback.trim() });
+      }
+    }
+    values.optionFeedback = optionFeedback;
+  } else if (data.optionFeedback === null) {
+    values.optionFeedback = [];
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Decide whether a student sees explanations and option feedback when reviewing
+ * @param {Object} exam - Exam document
+ * @param {Array} attempts - All of the student's attempts of the exam
+ * @param {Object} policyExam - Exam settings deciding pass and attempts (with assignment overrides)
+ * @returns {Object} { setting, visible, reason }
+ */
+function getFeedbackVisibility(exam, attempts, policyExam = exam) {
+  const setting = exam.feedbackVisibility || DEFAULT_FEEDBACK_VISIBILITY;
+
+  if (setting === 'never') {
+    return { setting, visible: false, reason: 'DISABLED' };
+  }
+  if (setting === 'after-attempt') {
+    return { setting, visible: true, reason: null };
+  }
+
+  // Only once the exam is passed or the student can't take it again
+  const result = passPolicy.evaluateAttempts(attempts, policyExam);
+  if (result.passed) {
+    return { setting, visible: true, reason: 'PASSED' };
+  }
+  if (result.finishedAttempts >= passPolicy.getPassPolicy(policyExam).maxAttempts) {
+    return { setting, visible: true, reason: 'NO_ATTEMPTS_LEFT' };
+  }
+  return { setting, visible: false, reason: 'AFTER_PASS_OR_LAST_ATTEMPT' };
+}
+
+/**
+ * Get the explanation and option feedback of a question for a review
+ * @param {Object} question - Question document (explanation, optionFeedback, options)
+ * @param {*} answer - The student's answer (option text, or a list for multiple-select)
+ * @returns {Object} { explanation, optionFeedback }
+ */
+function formatQuestionFeedback(question, answer) {
+  const selected = new Set((Array.isArray(answer) ? answer : [answer]).map(String));
+
+  return {
+    explanation: question.explanation || null,
+    optionFeedback: (question.optionFeedback || [])
+      .filter(entry => (question.options || []).includes(entry.option))
+      .map(entry => ({
+        option: entry.option,
+        feedback: entry.feedback,
+        selected: selected.has(entry.option)
+      }))
+  };
+}
+
+module.exports = {
+  FEEDBACK_VISIBILITY,
+  DEFAULT_FEEDBACK_VISIBILITY,
+  readFeedbackInput,
+  getFeedbackVisibility,
+  formatQuestionFeedback
+};
@@ -0,0 +1,144 @@
+/**
+ * Passage-based question groups
+ * A group holds a shared stimulus (reading passage, table or code snippet) for several
+ * questions of an exam. Grouped questions are served as a unit: they stay together and
+ * in order when an attempt's questions are shuffled, and every page of a grouped question
+ * carries the stimulus. Grading stays per question
+ */
+
+const mongoose = require('mongoose');
+const QuestionGroup = require('../models/questionGroup.model');
+
+const STIMULUS_TYPES = ['text', 'table', 'code'];
+const MAX_TITLE_LENGTH = 200;
+const MAX_STIMULUS_LENGTH = 20000;
+
+// Group fields shown to students
+const STUDENT_GROUP_FIELDS = 'title stimulus stimulusType language';
+
+/**
+ * Read and validate group fields from a create/update request
+ * @param {Object} data - Request body (title, stimulus, stimulusType, language)
+ * @param {boolean} isNew - Whether the group is being created (stimulus required)
+ * @returns {Object} { values, error } - Fields to set, or an error message
+ */
+function readGroupInput(data, isNew) {
+  const values = {};
+
+  if (data.title !== undefined) {
+    if (typeof data.title !== 'string' || data.title.length > MAX_TITLE_LENGTH) {
+      return { values, error: `'title' must be a string of at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    values.title = data.title.trim();
+  }
+
+  if (data.stimulus !== undefined || isNew) {
+    if (typeof data.stimulus !== 'string' || !data.stimulus.trim()) {
+      return { values, error: "'stimulus' is required (passage, table or code as text)" };
+    }
+    if (data.stimulus.length > MAX_STIMULUS_LENGTH) {
+      return { values, error: `'stimulus' can be at most ${MAX_STIMULUS_LENGTH} characters` };
+    }
+    values.stimulus = data.stimulus;
+  }
+
+  if (data.stimulusType !== undefined) {
+    if (!STIMULUS_TYPES.includes(data.stimulusType)) {
+      return { values, error: `'stimulusType' must be one of ${STIMULUS_TYPES.join(', ')}` };
+    }
+    values.stimulusType = data.stimulusType;
+  }
+
+  if (data.language !== undefined) {
+    if (data.language !== null && typeof data.language !== 'string') {
+      return { values, error: "'language' must be a string" };
+    }
+    values.language = data.language || undefined;
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Find an active group of an exam
+ * @param {string} groupId - Group ID from a request
+ * @param {string} examId - Exam the group must belong to
+ * @returns {Promise<Object|null>} Group document, null if it doesn't exist, is retired or belongs to another exam
+ */
+async function findExamGroup(groupId, examId) {
+  if (!mongoose.Types.ObjectId.isValid(String(groupId))) {
+    return null;
+  }
+  return QuestionGroup.findOne({ _id: groupId, examId, retiredAt: null });
+}
+
+/**
+ * Split a list of questions into units: a whole group, or a single ungrouped question
+ * A group's unit is placed where its first question is and keeps the questions' order
+ * @param {Array} questionIds - Question IDs
+ * @param {Map} groupOf - Question ID -> group ID (ungrouped questions are missing)
+ * @returns {Array<Array>} Units of question IDs
+ */
+function getQuestionUnits(questionIds, groupOf) {
+  const units = [];
+  const groupUnits = new Map();
+
+  questionIds.forEach(questionId => {
+    const groupId = groupOf.get(questionId.toString());
+    if (!groupId) {
+      units.push([questionId]);
+      return;
+    }
+    const key = groupId.toString();
+    if (!groupUnits.has(key)) {
+      groupUnits.set(key, []);
+      units.push(groupUnits.get(key));
+    }
+    groupUnits.get(key).push(questionId);
+  });
+
+  return units;
+}
+
+/**
+ * Format a group for students
+ * @param {Object} group - Group document
+ * @returns {Object} { _id, title, stimulus, stimulusType, language }
+ */
+function formatGroupForStudent(group) {
+  return {
+    _id: group._id,
+    title: group.title || '',
+    stimulus: group.stimulus,
+    stimulusType: group.stimulusType || 'text',
+    language: group.language || null
+  };
+}
+
+/**
+ * Load the groups of a set of questions, formatted for students
+ * Retired groups are included, past attempts show the stimulus they were taken with
+ * @param {Array} questions - Question documents (with groupId)
+ * @returns {Promise<Array>} Formatted groups
+ */
+async function loadGroupsForStudent(questions) {
+  const groupIds = [...new Set(questions
+    .filter(question => question.groupId)
+    .map(question => question.groupId.toString()))];
+  if (groupIds.length === 0) {
+    return [];
+  }
+
+  const groups = await QuestionGroup.find({ _id: { $in: groupIds } }).select(STUDENT_GROUP_FIELDS);
+  return groups.map(formatGroupForStudent);
+}
+
+module.exports = {
+  STIMULUS_TYPES,
+  STUDENT_GROUP_FIELDS,
+  readGroupInput,
+  findExamGroup,
+  getQuestionUnits,
+  formatGroupForStudent,
+  loadGroupsForStudent
+};
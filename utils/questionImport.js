@@ -0,0 +1,455 @@
+/**
+ * Question import utilities
+ * Parses question files into addQuestion-shaped objects: the JSON and CSV layouts
+ * produced by the question export, Moodle GIFT, and (via questionInterchange)
+ * IMS QTI 2.1 and Moodle XML. Every parsed row keeps its source line (or
+ * position) so errors can be reported per row
+ */
+
+const questionInterchange = require('./questionInterchange');
+
+const IMPORT_FORMATS = ['json', 'csv', 'gift', 'qti', 'moodle'];
+
+// Upper bound of questions per import
+const MAX_IMPORT_ROWS = 2000;
+
+// Fields copied from JSON rows, matching the JSON export
+const JSON_IMPORT_FIELDS = [
+  'type', 'questionText', 'text', 'options', 'correctAnswer', 'correctAnswers', 'scoringMethod',
+  'marks', 'negativeMarks',
+  'acceptedAnswers', 'caseSensitive', 'answerPatterns', 'keywords', 'reviewUnmatched',
+  'variables', 'formula', 'tolerance', 'toleranceType',
+  'pairs', 'distractors', 'items', 'blanks',
+  'language', 'starterCode', 'testCases', 'timeLimitMs', 'memoryLimitMb',
+  'explanation', 'optionFeedback'
+];
+
+/**
+ * Parse an export-style JSON file ({ questions: [...] }) or a bare array of questions
+ * @param {string|Object|Array} content - File content, or an already parsed body
+ * @returns {Array} Rows: { row, data } or { row, error }
+ */
+function parseJSON(content) {
+  let parsed = content;
+  if (typeof content === 'string') {
+    try {
+      parsed = JSON.parse(content);
+    } catch (error) {
+      return [{ row: null, line: null, error: `Invalid JSON: ${error.message}` }];
+    }
+  }
+
+  const questions = Array.isArray(parsed) ? parsed : parsed?.questions;
+  if (!Array.isArray(questions)) {
+    return [{ row: null, line: null, error: "JSON must be an array of questions or an object with a 'questions' array" }];
+  }
+
+  return questions.map((question, index) => {
+    if (!question || typeof question !== 'object' || Array.isArray(question)) {
+      return { row: index + 1, line: null, error: 'Question must be an object' };
+    }
+
+    const data = {};
+    JSON_IMPORT_FIELDS.forEach(field => {
+      if (question[field] !== undefined && question[field] !== null) {
+        data[field] = question[field];
+      }
+    });
+    // The export always includes options; single-answer types without options don't need them
+    if (Array.isArray(data.options) && data.options.length === 0) {
+      delete data.options;
+    }
+    return { row: index + 1, line: null, data };
+  });
+}
+
+/**
+ * Split CSV text into records, honouring quoted fields with commas, quotes and newlines
+ * @param {string} text - CSV content
+ * @returns {Array} Records: { line, fields }
+ */
+function parseCSVRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    // Skip blank lines
+    if (!(fields.length === 1 && fields[0].trim() === '')) {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Parse the CSV layout of the export:
+ * Question ID,Type,Question Text,Option 1,...,Option N,Correct Answer
+ * Multiple-select correct options are joined with '|'
+ * @param {string} content - CSV content
+ * @returns {Array} Rows: { line, data } or { line, error }
+ */
+function parseCSV(content) {
+  const records = parseCSVRecords(String(content).replace(/^\uFEFF/, ''));
+  if (records.length === 0) {
+    return [];
+  }
+
+  const header = records[0].fields.map(name => name.trim().toLowerCase());
+  const typeIndex = header.indexOf('type');
+  const textIndex = header.indexOf('question text');
+  const correctIndex = header.indexOf('correct answer');
+  const optionIndexes = header
+    .map((name, index) => (/^option \d+$/.test(name) ? index : -1))
+    .filter(index => index >= 0);
+
+  if (typeIndex < 0 || textIndex < 0 || correctIndex < 0) {
+    return [{
+      line: records[0].line,
+      error: "CSV header must contain 'Type', 'Question Text' and 'Correct Answer' columns (as in the CSV export)"
+    }];
+  }
+
+  return records.slice(1).map(({ line, fields }) => {
+    const type = (fields[typeIndex] || '').trim();
+    const correctValue = (fields[correctIndex] || '').trim();
+
+    if (type === 'Practical') {
+      return { line, error: 'Practical questions need test cases and can only be imported from JSON' };
+    }
+    if (['Matching', 'Ordering', 'Cloze'].includes(type)) {
+      return { line, error: `${type} questions have structured answers and can only be imported from JSON` };
+    }
+
+    const data = {
+      type,
+      questionText: (fields[textIndex] || '').trim()
+    };
+
+    const options = optionIndexes.map(index => (fields[index] || '').trim()).filter(Boolean);
+    if (options.length > 0) {
+      data.options = options;
+    }
+
+    if (type === 'MultiSelect') {
+      data.correctAnswers = correctValue.split('|').map(value => value.trim()).filter(Boolean);
+    } else {
+      data.correctAnswer = correctValue;
+    }
+
+    return { line, data };
+  });
+}
+
+/**
+ * Remove GIFT escapes (\~ \= \# \{ \} \: and \n)
+ * @param {string} text - Escaped text
+ * @returns {string}
+ */
+function unescapeGIFT(text) {
+  return text
+    .replace(/\\n/g, '\n')
+    .replace(/\\([~=#{}:\\])/g, '$1')
+    .trim();
+}
+
+/**
+ * Find the first unescaped occurrence of a character
+ * @param {string} text - Text to search
+ * @param {string} char - Character to find
+ * @param {number} from - Start index
+ * @returns {number} Index, -1 if not found
+ */
+function indexOfUnescaped(text, char, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === char) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Split a GIFT answer block into its '=' and '~' choices
+ * @param {string} body - Text between the braces
+ * @returns {Array} Choices: { correct, weight, text }
+ */
+function splitGIFTChoices(body) {
+  const choices = [];
+  let current = null;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '\\') {
+      if (current) current.raw += char + (body[i + 1] || '');
+      i++;
+      continue;
+    }
+    if (char === '=' || char === '~') {
+      current = { marker: char, raw: '' };
+      choices.push(current);
+    } else if (current) {
+      current.raw += char;
+    }
+  }
+
+  return choices.map(({ marker, raw }) => {
+    // Drop feedback (#...) and read an optional %weight%
+    const feedbackIndex = indexOfUnescaped(raw, '#');
+    let text = feedbackIndex >= 0 ? raw.slice(0, feedbackIndex) : raw;
+    let weight = marker === '=' ? 100 : 0;
+    const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+    if (weightMatch) {
+      weight = parseFloat(weightMatch[1]);
+      text = text.slice(weightMatch[0].length);
+    }
+    return { correct: marker === '=', weight, text: unescapeGIFT(text), raw };
+  });
+}
+
+/**
+ * Convert one GIFT question block into an addQuestion-shaped object
+ * @param {string} block - Question text of one GIFT question
+ * @returns {Object} { data } or { error }
+ */
+function parseGIFTQuestion(block) {
+  let text = block;
+
+  // Optional ::title::
+  const titleMatch = text.match(/^\s*::(.*?)::/s);
+  if (titleMatch) {
+    text = text.slice(titleMatch[0].length);
+  }
+
+  // Optional [html] / [markdown] / [plain] / [moodle] text format
+  text = text.replace(/^\s*\[(html|markdown|plain|moodle)\]/i, '');
+
+  const open = indexOfUnescaped(text, '{');
+  const close = open >= 0 ? indexOfUnescaped(text, '}', open + 1) : -1;
+  if (open < 0 || close < 0) {
+    return { error: 'Missing answer block { ... }' };
+  }
+
+  const before = text.slice(0, open).trim();
+  const after = text.slice(close + 1).trim();
+  // "Missing word" questions have text on both sides of the answer block
+  const questionText = unescapeGIFT(after ? `${before} _____ ${after}` : before);
+  const body = text.slice(open + 1, close).trim();
+
+  if (!questionText) {
+    return { error: 'Question text is required' };
+  }
+
+  if (body === '') {
+    return { error: 'Essay questions are not supported' };
+  }
+
+  if (body.startsWith('#')) {
+    const value = body.slice(1).split('#')[0].trim();
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+      return { data: { type: 'ShortAnswer', questionText, correctAnswer: value } };
+    }
+    return { error: 'Numeric questions with ranges or tolerances are not supported' };
+  }
+
+  const trueFalse = body.split('#')[0].trim().toUpperCase();
+  if (['T', 'TRUE', 'F', 'FALSE'].includes(trueFalse)) {
+    return {
+      data: {
+        type: 'MCQ',
+        questionText,
+        options: ['True', 'False'],
+        correctAnswer: trueFalse.startsWith('T') ? 'True' : 'False'
+      }
+    };
+  }
+
+  const choices = splitGIFTChoices(body);
+  if (choices.length === 0) {
+    return { error: 'Answer block has no choices' };
+  }
+  if (choices.some(choice => /(^|[^\\])->/.test(choice.raw))) {
+    return { error: 'Matching questions are not supported' };
+  }
+  if (choices.some(choice => choice.text === '')) {
+    return { error: 'Empty answer choice' };
+  }
+
+  // Only '=' choices: short answer with several accepted answers
+  if (choices.every(choice => choice.correct)) {
+    const accepted = choices.filter(choice => choice.weight >= 100).map(choice => choice.text);
+    if (accepted.length === 0) {
+      return { error: 'Short answer questions need at least one answer with full credit' };
+    }
+    return {
+      data: {
+        type: 'ShortAnswer',
+        questionText,
+        correctAnswer: accepted[0],
+        ...(accepted.length > 1 && { acceptedAnswers: accepted.slice(1) })
+      }
+    };
+  }
+
+  const options = choices.map(choice => choice.text);
+  const weighted = choices.filter(choice => !choice.correct && choice.weight > 0);
+
+  // "~%50%a ~%50%b ~%-100%c": several correct options with partial weights
+  if (weighted.length > 0) {
+    return {
+      data: {
+        type: 'MultiSelect',
+        questionText,
+        options,
+        correctAnswers: weighted.map(choice => choice.text),
+        scoringMethod: 'right-minus-wrong'
+      }
+    };
+  }
+
+  const correct = choices.filter(choice => choice.correct);
+  if (correct.length !== 1) {
+    return { error: 'Multiple choice questions need exactly one correct (=) answer' };
+  }
+
+  return {
+    data: {
+      type: 'MCQ',
+      questionText,
+      options,
+      correctAnswer: correct[0].text
+    }
+  };
+}
+
+/**
+ * Parse a Moodle GIFT file; questions are separated by blank lines
+ * @param {string} content - GIFT content
+ * @returns {Array} Rows: { line, data } or { line, error }
+ */
+function parseGIFT(content) {
+  const lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+  const rows = [];
+  let block = [];
+  let blockLine = null;
+
+  const endBlock = () => {
+    if (block.length > 0) {
+      rows.push({ line: blockLine, ...parseGIFTQuestion(block.join('\n')) });
+    }
+    block = [];
+    blockLine = null;
+  };
+
+  lines.forEach((text, index) => {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('//')) {
+      return;
+    }
+    // Category directives don't map to anything in an exam
+    if (trimmed.startsWith('$CATEGORY:')) {
+      return;
+    }
+    if (trimmed === '') {
+      endBlock();
+      return;
+    }
+    if (blockLine === null) {
+      blockLine = index + 1;
+    }
+    block.push(text);
+  });
+  endBlock();
+
+  return rows;
+}
+
+/**
+ * Guess the import format from a request's content type
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} Format, or null if it can't be told
+ */
+function detectFormat(contentType = '') {
+  if (/json/i.test(contentType)) return 'json';
+  if (/csv/i.test(contentType)) return 'csv';
+  if (/zip/i.test(contentType)) return 'qti';
+  return null;
+}
+
+/**
+ * Parse question file content in the given format
+ * @param {string} format - One of IMPORT_FORMATS
+ * @param {string|Object|Buffer} content - File content (JSON may already be parsed, QTI may be a ZIP buffer)
+ * @returns {Array} Rows: { line, row, data } or { line, row, error }; QTI rows also name their file
+ */
+function parseQuestionFile(format, content) {
+  switch (format) {
+    case 'json':
+      return parseJSON(content);
+    case 'csv':
+      return parseCSV(content).map((row, index) => ({ row: index + 1, ...row }));
+    case 'gift':
+      return parseGIFT(content).map((row, index) => ({ row: index + 1, ...row }));
+    case 'qti':
+      return questionInterchange.parseQti(content);
+    case 'moodle':
+      return questionInterchange.parseMoodleXml(content);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  MAX_IMPORT_ROWS,
+  detectFormat,
+  parseQuestionFile
+};
@@ -0,0 +1,820 @@
+/**
+ * Question interchange with other LMSs: IMS QTI 2.1 packages and Moodle XML
+ * Exporters map our question types to the closest standard item type; importers
+ * map supported item types back and report every unsupported one by name
+ */
+
+const xml = require('./xml');
+const zipArchive = require('./zipArchive');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_TEMPLATES = {
+  matchCorrect: 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct',
+  mapResponse: 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response'
+};
+
+/**
+ * Turn HTML (as used in Moodle and QTI item bodies) into plain text
+ * @param {string} html - HTML text
+ * @returns {string} Plain text
+ */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+}
+
+/**
+ * Escape plain text for an HTML question text
+ * @param {string} text - Plain text
+ * @returns {string} HTML
+ */
+function textToHtml(text) {
+  return xml.escapeXml(text).replace(/\n/g, '<br/>');
+}
+
+/**
+ * Explain why a question can't be exported to a format, or null if it can
+ * @param {Object} question - Question document
+ * @returns {string|null}
+ */
+function getExportLimitation(question) {
+  if (question.type === 'Practical') {
+    return 'Practical (coding) questions have no equivalent item type';
+  }
+  if (question.type === 'Numeric') {
+    return 'Numeric questions (tolerance and templates) have no equivalent item type';
+  }
+  return null;
+}
+
+/**
+ * Format a Moodle answer fraction
+ * @param {number} value - Percentage
+ * @returns {string}
+ */
+function formatFraction(value) {
+  return String(Math.round(value * 100000) / 100000);
+}
+
+/**
+ * Explain a scoring method a format can't express, or return '' when it can
+ * Formats that grade structured questions entry by entry give proportional credit
+ * @param {Object} question - Question document
+ * @param {Array<string>} supported - Scoring methods the format expresses, the fallback first
+ * @param {string} indent - Indentation of the comment
+ * @returns {string} XML comment
+ */
+function scoringComment(question, supported, indent = '    ') {
+  const method = question.scoringMethod || 'all-or-nothing';
+  return supported.includes(method)
+    ? ''
+    : `${indent}<!-- Scoring method ${method} has no equivalent, the item is scored ${supported[0]} -->\n`;
+}
+
+/**
+ * Build the HTML text of a Moodle cloze question, with each [[n]] marker replaced by an
+ * embedded answer: {1:SHORTANSWER:=answer~=other} or {1:MULTICHOICE:=answer~option}
+ * @param {Object} question - Cloze question document
+ * @returns {string} HTML
+ */
+function toMoodleClozeText(question) {
+  // Moodle's special characters in embedded answers are escaped with a backslash
+  const escapeAnswer = text => text
+    .replace(/[\\}#~/"]/g, char => `\\${char}`)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  return question.questionText.split(/(\[\[\d+\]\])/).map(part => {
+    const marker = part.match(/^\[\[(\d+)\]\]$/);
+    const blank = marker ? (question.blanks || [])[Number(marker[1]) - 1] : null;
+    if (!blank) {
+      return textToHtml(part);
+    }
+    if (blank.options?.length) {
+      const choices = blank.options.map(option => `${blank.answers.includes(option) ? '=' : ''}${escapeAnswer(option)}`);
+      return `{1:MULTICHOICE:${choices.join('~')}}`;
+    }
+    const answers = blank.answers.map(answer => `=${escapeAnswer(answer)}`);
+    return `{1:${question.caseSensitive ? 'SHORTANSWER_C' : 'SHORTANSWER'}:${answers.join('~')}}`;
+  }).join('');
+}
+
+/**
+ * Build the Moodle XML <question> element of one question
+ * @param {Object} question - Question document
+ * @returns {string} XML
+ */
+function toMoodleQuestion(question) {
+  const name = question.questionText.replace(/\s+/g, ' ').slice(0, 60);
+  const questionHtml = question.type === 'Cloze' ? toMoodleClozeText(question) : textToHtml(question.questionText);
+  const header = `  <question type="%TYPE%">
+    <name><text>${xml.escapeXml(name)}</text></name>
+    <questiontext format="html"><text>${xml.cdata(questionHtml)}</text></questiontext>
+    <defaultgrade>1</defaultgrade>
+`;
+  const answer = (fraction, text) =>
+    `    <answer fraction="${formatFraction(fraction)}" format="html"><text>${xml.cdata(textToHtml(text))}</text></answer>\n`;
+
+  if (question.type === 'MCQ') {
+    return header.replace('%TYPE%', 'multichoice') +
+      '    <single>true</single>\n    <shuffleanswers>false</shuffleanswers>\n' +
+      (question.options || []).map(option => answer(option === question.correctAnswer ? 100 : 0, option)).join('') +
+      '  </question>\n';
+  }
+
+  if (question.type === 'MultiSelect') {
+    const correct = question.correctAnswers || [];
+    const wrongCount = (question.options || []).filter(option => !correct.includes(option)).length;
+    return header.replace('%TYPE%', 'multichoice') +
+      '    <single>false</single>\n    <shuffleanswers>false</shuffleanswers>\n' +
+      (question.options || []).map(option => answer(
+        correct.includes(option) ? 100 / correct.length : (wrongCount > 0 ? -100 / wrongCount : 0),
+        option
+      )).join('') +
+      '  </question>\n';
+  }
+
+  // Matching: one subquestion per pair, distractors are answers of empty subquestions
+  if (question.type === 'Matching') {
+    const subquestion = (prompt, match) => `    <subquestion format="html">
+      <text>${xml.cdata(textToHtml(prompt))}</text>
+      <answer><text>${xml.escapeXml(match)}</text></answer>
+    </subquestion>\n`;
+    return header.replace('%TYPE%', 'matching') +
+      '    <shuffleanswers>true</shuffleanswers>\n' +
+      scoringComment(question, ['proportional']) +
+      (question.pairs || []).map(pair => subquestion(pair.prompt, pair.match)).join('') +
+      (question.distractors || []).map(distractor => subquestion('', distractor)).join('') +
+      '  </question>\n';
+  }
+
+  // Ordering: answers in the correct order, graded by absolute position or all-or-nothing
+  if (question.type === 'Ordering') {
+    const gradingType = question.scoringMethod === 'all-or-nothing' ? 'ALL_OR_NOTHING' : 'ABSOLUTE_POSITION';
+    return header.replace('%TYPE%', 'ordering') +
+      '    <layouttype>VERTICAL</layouttype>\n    <selecttype>ALL</selecttype>\n    <selectcount>0</selectcount>\n' +
+      `    <gradingtype>${gradingType}</gradingtype>\n` +
+      scoringComment(question, ['proportional', 'all-or-nothing']) +
+      (question.items || []).map((item, index) =>
+        `    <answer fraction="${index + 1}" format="html"><text>${xml.cdata(textToHtml(item))}</text></answer>\n`
+      ).join('') +
+      '  </question>\n';
+  }
+
+  // Cloze: the blanks are embedded in the question text
+  if (question.type === 'Cloze') {
+    return header.replace('%TYPE%', 'cloze') +
+      scoringComment(question, ['proportional']) +
+      '  </question>\n';
+  }
+
+  // ShortAnswer: the correct answer and every accepted answer get full credit
+  const accepted = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+  const unmapped = (question.answerPatterns || []).length + (question.keywords || []).length > 0
+    ? '    <!-- Answer patterns and keywords have no Moodle equivalent and were not exported -->\n'
+    : '';
+  return header.replace('%TYPE%', 'shortanswer') +
+    `    <usecase>${question.caseSensitive ? 1 : 0}</usecase>\n` +
+    unmapped +
+    accepted.map(text => `    <answer fraction="100" format="moodle_auto_format"><text>${xml.escapeXml(text)}</text></answer>\n`).join('') +
+    '  </question>\n';
+}
+
+/**
+ * Export questions as a Moodle XML quiz file
+ * @param {Array} questions - Question documents
+ * @param {Object} exam - Exam document (used for the category)
+ * @returns {Object} { content, unsupported: [{ questionId, type, reason }] }
+ */
+function exportMoodleXml(questions, exam) {
+  const unsupported = [];
+  let content = '<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n';
+  content += `  <question type="category">
+    <category><text>$course$/${xml.escapeXml(exam.title)}</text></category>
+  </question>\n`;
+
+  questions.forEach(question => {
+    const limitation = getExportLimitation(question);
+    if (limitation) {
+      unsupported.push({ questionId: question._id, type: question.type, reason: limitation });
+      content += `  <!-- Question ${question._id} not exported: ${xml.escapeXml(limitation)} -->\n`;
+      return;
+    }
+    content += toMoodleQuestion(question);
+  });
+
+  content += '</quiz>\n';
+  return { content, unsupported };
+}
+
+/**
+ * Build the QTI response mapping of a structured question's entries
+ * Every right entry is worth 1/entries; with right-minus-wrong every other value costs as much
+ * @param {Object} question - Question document
+ * @param {Array<string>} keys - Map keys of the right entries
+ * @param {number} entries - Number of entries
+ * @param {boolean} caseSensitive - Whether string keys are case-sensitive
+ * @returns {string} XML
+ */
+function qtiEntryMapping(question, keys, entries, caseSensitive = null) {
+  const value = formatFraction(1 / entries);
+  const defaultValue = question.scoringMethod === 'right-minus-wrong' ? `-${value}` : '0';
+  const caseAttribute = caseSensitive === null ? '' : ` caseSensitive="${caseSensitive ? 'true' : 'false'}"`;
+  return `
+    <mapping defaultValue="${defaultValue}" lowerBound="0" upperBound="1">
+${keys.map(key => `      <mapEntry mapKey="${xml.escapeXml(key)}" mappedValue="${value}"${caseAttribute}/>`).join('\n')}
+    </mapping>`;
+}
+
+/**
+ * Build the parts of a QTI item for a matching question: a matchInteraction of
+ * prompts (P_n) and choices (M_n, the matches followed by the distractors)
+ * @param {Object} question - Matching question document
+ * @returns {Object} { declaration, body, processing }
+ */
+function toQtiMatching(question) {
+  const pairs = question.pairs || [];
+  const choices = [...pairs.map(pair => pair.match), ...(question.distractors || [])];
+  const correctPairs = pairs.map((pair, index) => `P_${index + 1} M_${choices.indexOf(pair.match) + 1}`);
+  const partialCredit = question.scoringMethod !== 'all-or-nothing';
+
+  return {
+    declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+    <correctResponse>
+${correctPairs.map(pair => `      <value>${pair}</value>`).join('\n')}
+    </correctResponse>${partialCredit ? qtiEntryMapping(question, correctPairs, pairs.length) : ''}
+  </responseDeclaration>`,
+    body: `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${pairs.length}">
+      <prompt>${xml.escapeXml(question.questionText)}</prompt>
+      <simpleMatchSet>
+${pairs.map((pair, index) => `        <simpleAssociableChoice identifier="P_${index + 1}" matchMax="1">${xml.escapeXml(pair.prompt)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+      <simpleMatchSet>
+${choices.map((choice, index) => `        <simpleAssociableChoice identifier="M_${index + 1}" matchMax="0">${xml.escapeXml(choice)}</simpleAssociableChoice>`).join('\n')}
+      </simpleMatchSet>
+    </matchInteraction>`,
+    processing: `  <responseProcessing template="${partialCredit ? QTI_TEMPLATES.mapResponse : QTI_TEMPLATES.matchCorrect}"/>`
+  };
+}
+
+/**
+ * Build the parts of a QTI item for an ordering question: an orderInteraction of the items (I_n)
+ * QTI templates have no credit by position, ordering items are scored all-or-nothing
+ * @param {Object} question - Ordering question document
+ * @returns {Object} { declaration, body, processing }
+ */
+function toQtiOrdering(question) {
+  const items = question.items || [];
+  return {
+    declaration: `  <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+    <correctResponse>
+${items.map((item, index) => `      <value>I_${index + 1}</value>`).join('\n')}
+    </correctResponse>
+  </responseDeclaration>`,
+    body: `    <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+      <prompt>${xml.escapeXml(question.questionText)}</prompt>
+${items.map((item, index) => `      <simpleChoice identifier="I_${index + 1}">${xml.escapeXml(item)}</simpleChoice>`).join('\n')}
+    </orderInteraction>`,
+    processing: `${scoringComment(question, ['all-or-nothing'], '  ')}  <responseProcessing template="${QTI_TEMPLATES.matchCorrect}"/>`
+  };
+}
+
+/**
+ * Build the parts of a QTI item for a cloze question: a textEntryInteraction or
+ * inlineChoiceInteraction per blank (BLANK_n) in the text, and response processing
+ * that adds up the blanks (or requires all of them for all-or-nothing)
+ * Each blank's mapping is bounded at 0, so wrong blanks can't cost credit
+ * @param {Object} question - Cloze question document
+ * @returns {Object} { declaration, body, processing }
+ */
+function toQtiCloze(question) {
+  const blanks = question.blanks || [];
+  const blankId = index => `BLANK_${index + 1}`;
+  const optionId = (index, optionIndex) => `${blankId(index)}_OPT_${optionIndex + 1}`;
+  // All-or-nothing counts right blanks as 1 each and gives full credit when all are right
+  const allOrNothing = question.scoringMethod === 'all-or-nothing';
+  const entryQuestion = { scoringMethod: 'proportional' };
+
+  const declaration = blanks.map((blank, index) => {
+    if (blank.options?.length) {
+      const correctIds = blank.options
+        .map((option, optionIndex) => (blank.answers.includes(option) ? optionId(index, optionIndex) : null))
+        .filter(Boolean);
+      return `  <responseDeclaration identifier="${blankId(index)}" cardinality="single" baseType="identifier">
+    <correctResponse>
+      <value>${correctIds[0]}</value>
+    </correctResponse>${qtiEntryMapping(entryQuestion, correctIds, allOrNothing ? 1 : blanks.length)}
+  </responseDeclaration>`;
+    }
+    return `  <responseDeclaration identifier="${blankId(index)}" cardinality="single" baseType="string">
+    <correctResponse>
+      <value>${xml.escapeXml(blank.answers[0])}</value>
+    </correctResponse>${qtiEntryMapping(entryQuestion, blank.answers, allOrNothing ? 1 : blanks.length, Boolean(question.caseSensitive))}
+  </responseDeclaration>`;
+  }).join('\n');
+
+  const text = question.questionText.split(/(\[\[\d+\]\])/).map(part => {
+    const marker = part.match(/^\[\[(\d+)\]\]$/);
+    const index = marker ? Number(marker[1]) - 1 : -1;
+    const blank = blanks[index];
+    if (!blank) {
+      return xml.escapeXml(part);
+    }
+    if (blank.options?.length) {
+      return `<inlineChoiceInteraction responseIdentifier="${blankId(index)}" shuffle="true">` +
+        blank.options.map((option, optionIndex) => `<inlineChoice identifier="${optionId(index, optionIndex)}">${xml.escapeXml(option)}</inlineChoice>`).join('') +
+        '</inlineChoiceInteraction>';
+    }
+    return `<textEntryInteraction responseIdentifier="${blankId(index)}" expectedLength="20"/>`;
+  }).join('');
+
+  const sum = `<sum>${blanks.map((blank, index) => `<mapResponse identifier="${blankId(index)}"/>`).join('')}</sum>`;
+  const setScore = value => `<setOutcomeValue identifier="SCORE">${value}</setOutcomeValue>`;
+  const score = allOrNothing
+    ? `    <responseCondition>
+      <responseIf>
+        <equal toleranceMode="exact">${sum}<baseValue baseType="float">${blanks.length}</baseValue></equal>
+        ${setScore('<baseValue baseType="float">1</baseValue>')}
+      </responseIf>
+      <responseElse>
+        ${setScore('<baseValue baseType="float">0</baseValue>')}
+      </responseElse>
+    </responseCondition>`
+    : `    ${setScore(sum)}`;
+
+  return {
+    declaration,
+    body: `    <p>${text}</p>`,
+    processing: `${scoringComment(question, ['proportional', 'all-or-nothing'], '  ')}  <responseProcessing>
+${score}
+  </responseProcessing>`
+  };
+}
+
+/**
+ * Build a QTI 2.1 assessmentItem for one question
+ * @param {Object} question - Question document
+ * @param {string} identifier - Item identifier
+ * @returns {string} XML
+ */
+function toQtiItem(question, identifier) {
+  const title = question.questionText.replace(/\s+/g, ' ').slice(0, 60);
+  let declaration;
+  let body;
+  let processing;
+
+  if (question.type === 'MCQ' || question.type === 'MultiSelect') {
+    const isMulti = question.type === 'MultiSelect';
+    const choiceId = index => `choice_${index + 1}`;
+    const correct = isMulti ? (question.correctAnswers || []) : [question.correctAnswer];
+    const correctIds = (question.options || [])
+      .map((option, index) => (correct.includes(option) ? choiceId(index) : null))
+      .filter(Boolean);
+
+    // Partial credit is expressed as a mapping: correct choices share +1, wrong ones share -1
+    const partialCredit = isMulti && question.scoringMethod && question.scoringMethod !== 'all-or-nothing';
+    const wrongCount = (question.options || []).length - correctIds.length;
+    const mapping = partialCredit
+      ? `
+    <mapping defaultValue="0" lowerBound="0" upperBound="1">
+${(question.options || []).map((option, index) => {
+    const value = correctIds.includes(choiceId(index)) ? 1 / correctIds.length : (wrongCount > 0 ? -1 / wrongCount : 0);
+    return `      <mapEntry mapKey="${choiceId(index)}" mappedValue="${formatFraction(value)}"/>`;
+  }).join('\n')}
+    </mapping>`
+      : '';
+
+    declaration = `  <responseDeclaration identifier="RESPONSE" cardinality="${isMulti ? 'multiple' : 'single'}" baseType="identifier">
+    <correctResponse>
+${correctIds.map(id => `      <value>${id}</value>`).join('\n')}
+    </correctResponse>${mapping}
+  </responseDeclaration>`;
+    body = `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${isMulti ? 0 : 1}">
+      <prompt>${xml.escapeXml(question.questionText)}</prompt>
+${(question.options || []).map((option, index) => `      <simpleChoice identifier="${choiceId(index)}">${xml.escapeXml(option)}</simpleChoice>`).join('\n')}
+    </choiceInteraction>`;
+    processing = `  <responseProcessing template="${partialCredit ? QTI_TEMPLATES.mapResponse : QTI_TEMPLATES.matchCorrect}"/>`;
+  } else if (question.type === 'Matching') {
+    ({ declaration, body, processing } = toQtiMatching(question));
+  } else if (question.type === 'Ordering') {
+    ({ declaration, body, processing } = toQtiOrdering(question));
+  } else if (question.type === 'Cloze') {
+    ({ declaration, body, processing } = toQtiCloze(question));
+  } else {
+    const accepted = [question.correctAnswer, ...(question.acceptedAnswers || [])].filter(Boolean);
+    declaration = `  <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+    <correctResponse>
+      <value>${xml.escapeXml(question.correctAnswer)}</value>
+    </correctResponse>
+    <mapping defaultValue="0">
+${accepted.map(text => `      <mapEntry mapKey="${xml.escapeXml(text)}" mappedValue="1" caseSensitive="${question.caseSensitive ? 'true' : 'false'}"/>`).join('\n')}
+    </mapping>
+  </responseDeclaration>`;
+    body = `    <p>${xml.escapeXml(question.questionText)}</p>
+    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="50"/></p>`;
+    processing = `  <responseProcessing template="${QTI_TEMPLATES.mapResponse}"/>`;
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${xml.escapeXml(title)}" adaptive="false" timeDependent="false">
+${declaration}
+  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>
+  <itemBody>
+${body}
+  </itemBody>
+${processing}
+</assessmentItem>
+`;
+}
+
+/**
+ * Export questions as an IMS QTI 2.1 content package (ZIP with imsmanifest.xml)
+ * @param {Array} questions - Question documents
+ * @param {Object} exam - Exam document
+ * @returns {Object} { content (Buffer), unsupported: [{ questionId, type, reason }] }
+ */
+function exportQtiPackage(questions, exam) {
+  const unsupported = [];
+  const files = [];
+  const resources = [];
+
+  questions.forEach(question => {
+    const limitation = getExportLimitation(question);
+    if (limitation) {
+      unsupported.push({ questionId: question._id, type: question.type, reason: limitation });
+      return;
+    }
+    const identifier = `Q${question._id}`;
+    const href = `items/${identifier}.xml`;
+    files.push({ name: href, content: toQtiItem(question, identifier) });
+    resources.push(`    <resource identifier="RES-${identifier}" type="imsqti_item_xmlv2p1" href="${href}">
+      <file href="${href}"/>
+    </resource>`);
+  });
+
+  const skippedNote = unsupported.length > 0
+    ? `  <!-- Not exported: ${unsupported.map(item => `${item.questionId} (${item.type})`).join(', ')} -->\n`
+    : '';
+  const manifest = `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST-${exam._id}">
+${skippedNote}  <metadata>
+    <schema>QTIv2.1 Package</schema>
+    <schemaversion>1.0.0</schemaversion>
+  </metadata>
+  <organizations/>
+  <resources>
+${resources.join('\n')}
+  </resources>
+</manifest>
+`;
+
+  return {
+    content: zipArchive.createZip([{ name: 'imsmanifest.xml', content: manifest }, ...files]),
+    unsupported
+  };
+}
+
+/**
+ * Read the text of a Moodle element's <text> child, converting HTML formats to plain text
+ * @param {Object} element - Element with a <text> child (questiontext, answer, ...)
+ * @returns {string}
+ */
+function moodleText(element) {
+  const raw = xml.textContent(xml.childElement(element, 'text'));
+  const format = element?.attributes?.format;
+  return format === 'html' || format === 'moodle_auto_format' ? htmlToText(raw) : raw.trim();
+}
+
+/**
+ * Turn a Moodle short-answer wildcard answer ("*" matches anything) into a regex
+ * @param {string} answer - Answer with wildcards
+ * @returns {string} Regular expression source
+ */
+function wildcardToPattern(answer) {
+  return `^${answer.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`;
+}
+
+/**
+ * Map one Moodle <question> element to an addQuestion-shaped object
+ * @param {Object} element - <question> element
+ * @returns {Object} { data } or { error }
+ */
+function fromMoodleQuestion(element) {
+  const type = element.attributes.type;
+  const questionText = moodleText(xml.childElement(element, 'questiontext'));
+  const answers = xml.childElements(element, 'answer').map(answer => ({
+    text: moodleText(answer),
+    fraction: parseFloat(answer.attributes.fraction || '0')
+  }));
+
+  switch (type) {
+    case 'multichoice': {
+      const single = xml.textContent(xml.childElement(element, 'single')).trim() !== 'false';
+      const options = answers.map(answer => answer.text);
+      if (single) {
+        const correct = answers.filter(answer => answer.fraction >= 100);
+        if (correct.length !== 1) {
+          return { error: 'Single-answer multichoice questions need exactly one answer with fraction 100' };
+        }
+        return { data: { type: 'MCQ', questionText, options, correctAnswer: correct[0].text } };
+      }
+      return {
+        data: {
+          type: 'MultiSelect',
+          questionText,
+          options,
+          correctAnswers: answers.filter(answer => answer.fraction > 0).map(answer => answer.text),
+          scoringMethod: 'right-minus-wrong'
+        }
+      };
+    }
+
+    case 'truefalse': {
+      const correct = answers.find(answer => answer.fraction >= 100);
+      if (!correct) {
+        return { error: 'True/false question has no correct answer' };
+      }
+      return {
+        data: {
+          type: 'MCQ',
+          questionText,
+          options: ['True', 'False'],
+          correctAnswer: correct.text.toLowerCase() === 'true' ? 'True' : 'False'
+        }
+      };
+    }
+
+    case 'shortanswer': {
+      const accepted = answers.filter(answer => answer.fraction >= 100).map(answer => answer.text);
+      if (accepted.length === 0) {
+        return { error: 'Short answer question has no answer with fraction 100' };
+      }
+      const exact = accepted.filter(answer => !answer.includes('*'));
+      const wildcards = accepted.filter(answer => answer.includes('*'));
+      return {
+        data: {
+          type: 'ShortAnswer',
+          questionText,
+          // Wildcard answers become patterns; the first exact answer is the displayed correct answer
+          correctAnswer: exact[0] || wildcards[0].replace(/\*/g, ''),
+          ...(exact.length > 1 && { acceptedAnswers: exact.slice(1) }),
+          ...(wildcards.length > 0 && { answerPatterns: wildcards.map(wildcardToPattern) }),
+          caseSensitive: xml.textContent(xml.childElement(element, 'usecase')).trim() === '1'
+        }
+      };
+    }
+
+    case 'numerical': {
+      const correct = xml.childElements(element, 'answer').find(answer => parseFloat(answer.attributes.fraction || '0') >= 100);
+      if (!correct) {
+        return { error: 'Numerical question has no answer with fraction 100' };
+      }
+      const tolerance = parseFloat(xml.textContent(xml.childElement(correct, 'tolerance')) || '0');
+      if (tolerance !== 0) {
+        return { error: 'Numerical questions with a tolerance are not supported' };
+      }
+      return { data: { type: 'ShortAnswer', questionText, correctAnswer: moodleText(correct) } };
+    }
+
+    default:
+      return { error: `Moodle question type "${type}" is not supported` };
+  }
+}
+
+/**
+ * Parse a Moodle XML quiz file
+ * Category entries only set the Moodle category and are skipped
+ * @param {string} content - Moodle XML
+ * @returns {Array} Rows: { row, line, data } or { row, line, error }
+ */
+function parseMoodleXml(content) {
+  let root;
+  try {
+    root = xml.parseXml(content);
+  } catch (error) {
+    return [{ row: null, line: null, error: error.message }];
+  }
+
+  if (xml.localName(root.name) !== 'quiz') {
+    return [{ row: null, line: root.line, error: 'Moodle XML must have a <quiz> root element' }];
+  }
+
+  return xml.childElements(root, 'question')
+    .filter(element => element.attributes.type !== 'category')
+    .map((element, index) => ({ row: index + 1, line: element.line, ...fromMoodleQuestion(element) }));
+}
+
+/**
+ * Get the plain text of a QTI item body, leaving out the interaction's own content
+ * A text entry interaction becomes a blank unless it ends the text
+ * @param {Object} element - Element of the item body
+ * @returns {string}
+ */
+function qtiBodyText(element) {
+  const blockElements = ['p', 'div', 'br', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre'];
+  return element.children.map(child => {
+    if (!child.name) return child.text;
+    const name = xml.localName(child.name);
+    if (name === 'textEntryInteraction') return ' _____ ';
+    if (name.endsWith('Interaction')) {
+      return `\n${xml.textContent(xml.childElement(child, 'prompt'))}\n`;
+    }
+    const text = qtiBodyText(child);
+    return blockElements.includes(name) ? `\n${text}\n` : text;
+  }).join('');
+}
+
+/**
+ * Map one QTI 2.1 assessmentItem to an addQuestion-shaped object
+ * @param {Object} item - assessmentItem element
+ * @returns {Object} { data } or { error }
+ */
+function fromQtiItem(item) {
+  const itemBody = xml.childElement(item, 'itemBody');
+  if (!itemBody) {
+    return { error: 'Item has no itemBody' };
+  }
+
+  // Collect every *Interaction element of the body
+  const collectInteractions = (element) => xml.childElements(element).flatMap(child =>
+    xml.localName(child.name).endsWith('Interaction') ? [child] : collectInteractions(child)
+  );
+  const interactions = collectInteractions(itemBody);
+
+  if (interactions.length === 0) {
+    return { error: 'Item has no interaction' };
+  }
+  if (interactions.length > 1) {
+    return { error: `Items with several interactions are not supported (${interactions.map(i => xml.localName(i.name)).join(', ')})` };
+  }
+
+  const interaction = interactions[0];
+  const interactionType = xml.localName(interaction.name);
+  const responseId = interaction.attributes.responseIdentifier;
+  const declaration = xml.childElements(item, 'responseDeclaration')
+    .find(element => element.attributes.identifier === responseId);
+  const correctValues = xml.findElements(xml.childElement(declaration, 'correctResponse'), 'value')
+    .map(value => xml.textContent(value).trim());
+
+  const questionText = htmlToText(qtiBodyText(itemBody).replace(/\s*_____\s*$/, ''));
+  if (!questionText) {
+    return { error: 'Item has no question text' };
+  }
+
+  if (interactionType === 'choiceInteraction') {
+    const choices = xml.childElements(interaction, 'simpleChoice').map(choice => ({
+      identifier: choice.attributes.identifier,
+      text: htmlToText(xml.textContent(choice))
+    }));
+    const options = choices.map(choice => choice.text);
+    const correct = choices.filter(choice => correctValues.includes(choice.identifier)).map(choice => choice.text);
+    const isMulti = declaration?.attributes.cardinality === 'multiple' || interaction.attributes.maxChoices !== '1';
+
+    if (correct.length === 0) {
+      return { error: 'Choice item has no correct response' };
+    }
+    if (!isMulti) {
+      return { data: { type: 'MCQ', questionText, options, correctAnswer: correct[0] } };
+    }
+    // Without a mapping the item is scored all-or-nothing (match_correct)
+    const hasMapping = Boolean(xml.childElement(declaration, 'mapping'));
+    return {
+      data: {
+        type: 'MultiSelect',
+        questionText,
+        options,
+        correctAnswers: correct,
+        scoringMethod: hasMapping ? 'right-minus-wrong' : 'all-or-nothing'
+      }
+    };
+  }
+
+  if (interactionType === 'textEntryInteraction') {
+    const mapEntries = xml.findElements(xml.childElement(declaration, 'mapping'), 'mapEntry');
+    const mapped = mapEntries
+      .filter(entry => parseFloat(entry.attributes.mappedValue || '0') > 0)
+      .map(entry => entry.attributes.mapKey);
+    const accepted = [...new Set([...correctValues, ...mapped])].filter(Boolean);
+
+    if (accepted.length === 0) {
+      return { error: 'Text entry item has no correct response' };
+    }
+    return {
+      data: {
+        type: 'ShortAnswer',
+        questionText,
+        correctAnswer: accepted[0],
+        ...(accepted.length > 1 && { acceptedAnswers: accepted.slice(1) }),
+        caseSensitive: mapEntries.some(entry => entry.attributes.caseSensitive === 'true')
+      }
+    };
+  }
+
+  return { error: `QTI interaction "${interactionType}" is not supported` };
+}
+
+/**
+ * Parse a QTI 2.1 package (ZIP) or a single assessmentItem XML document
+ * Items are taken from the manifest's QTI item resources, or from every XML
+ * file when the package has no manifest
+ * @param {Buffer|string} content - Package or item XML
+ * @returns {Array} Rows: { row, file, line, data } or { row, file, line, error }
+ */
+function parseQti(content) {
+  let documents;
+
+  if (zipArchive.isZip(content)) {
+    let files;
+    try {
+      files = zipArchive.readZip(content);
+    } catch (error) {
+      return [{ row: null, line: null, error: error.message }];
+    }
+    const filesByName = new Map(files.map(file => [file.name, file]));
+    const manifestFile = filesByName.get('imsmanifest.xml');
+
+    if (manifestFile) {
+      let manifest;
+      try {
+        manifest = xml.parseXml(manifestFile.content.toString('utf8'));
+      } catch (error) {
+        return [{ row: null, file: 'imsmanifest.xml', line: null, error: error.message }];
+      }
+      const resources = xml.findElements(manifest, 'resource');
+      const itemResources = resources.filter(resource => /^imsqti_item/.test(resource.attributes.type || ''));
+      // Tests and sections only reference items, which are imported on their own
+      const otherResources = resources.filter(resource =>
+        !/^imsqti_(item|test|section)/.test(resource.attributes.type || '') &&
+        /^imsqti/.test(resource.attributes.type || '')
+      );
+
+      documents = itemResources.map(resource => {
+        const file = filesByName.get(resource.attributes.href);
+        return file
+          ? { name: file.name, text: file.content.toString('utf8') }
+          : { name: resource.attributes.href, missing: true };
+      });
+      otherResources.forEach(resource => {
+        documents.push({ name: resource.attributes.href, unsupportedResource: resource.attributes.type });
+      });
+    } else {
+      documents = files
+        .filter(file => file.name.toLowerCase().endsWith('.xml'))
+        .map(file => ({ name: file.name, text: file.content.toString('utf8') }));
+    }
+  } else {
+    documents = [{ name: null, text: Buffer.isBuffer(content) ? content.toString('utf8') : String(content) }];
+  }
+
+  const rows = [];
+  documents.forEach(document => {
+    const location = { file: document.name };
+    if (document.missing) {
+      rows.push({ ...location, line: null, error: 'File listed in the manifest is missing from the package' });
+      return;
+    }
+    if (document.unsupportedResource) {
+      rows.push({ ...location, line: null, error: `QTI resource type "${document.unsupportedResource}" is not supported` });
+      return;
+    }
+
+    let root;
+    try {
+      root = xml.parseXml(document.text);
+    } catch (error) {
+      rows.push({ ...location, line: null, error: error.message });
+      return;
+    }
+
+    const rootName = xml.localName(root.name);
+    if (rootName === 'assessmentTest') {
+      return;
+    }
+    if (rootName !== 'assessmentItem') {
+      rows.push({ ...location, line: root.line, error: `Expected an assessmentItem, found <${rootName}>` });
+      return;
+    }
+    rows.push({ ...location, line: root.line, ...fromQtiItem(root) });
+  });
+
+  return rows.map((row, index) => ({ row: index + 1, ...row }));
+}
+
+module.exports = {
+  exportMoodleXml,
+  exportQtiPackage,
+  parseMoodleXml,
+  parseQti
+};
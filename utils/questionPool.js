@@ -0,0 +1,187 @@
+/**
+ * Question pool utilities
+ * Builds the question set served to a single exam attempt
+ */
+
+const Question = require('../models/question.model');
+const examBlueprint = require('./examBlueprint');
+const questionGroups = require('./questionGroups');
+
+// Question fields a blueprint classifies questions by
+const BLUEPRINT_FIELDS = 'topics tags difficulty';
+
+/**
+ * Randomize an array (Fisher-Yates shuffle)
+ * @param {Array} array - Array to shuffle
+ * @returns {Array} Shuffled copy of the array
+ */
+function shuffleArray(array) {
+  const newArray = [...array]; // Create a copy to not modify the original
+  for (let i = newArray.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [newArray[i], newArray[j]] = [newArray[j], newArray[i]];
+  }
+  return newArray;
+}
+
+/**
+ * Build the question filter for a single pool draw
+ * @param {Object} draw - Pool draw definition from the exam
+ * @param {Array} excludeIds - Question IDs already selected for the attempt
+ * @returns {Object} MongoDB filter
+ */
+function buildDrawFilter(draw, excludeIds = []) {
+  const filter = {
+    poolId: draw.pool,
+    type: { $in: ['MCQ', 'MultiSelect'] },
+    _id: { $nin: excludeIds },
+    // Retired questions are only kept for past attempts
+    retiredAt: null
+  };
+
+  if (draw.tags && draw.tags.length > 0) {
+    filter.tags = { $all: draw.tags };
+  }
+
+  if (draw.difficulty) {
+    filter.difficulty = draw.difficulty;
+  }
+
+  return filter;
+}
+
+/**
+ * Get the fixed questions of an exam (MCQs, short answers and practical questions)
+ * @param {Object} exam - Exam document (sections may be populated or plain IDs)
+ * @returns {Array} Question IDs
+ */
+function getFixedQuestionIds(exam) {
+  return [
+    ...(exam.sections?.mcqs || []),
+    ...(exam.sections?.shortAnswers || []),
+    ...(exam.sections?.practicals || [])
+  ].map(q => q._id || q);
+}
+
+/**
+ * Shuffle the questions of an attempt, keeping the questions of a passage group together
+ * and in their exam order
+ * @param {Array} questionIds - Question IDs
+ * @param {Map} groupOf - Question ID -> group ID of grouped questions
+ * @returns {Array} Shuffled question IDs
+ */
+function shuffleQuestionUnits(questionIds, groupOf) {
+  return shuffleArray(questionGroups.getQuestionUnits(questionIds, groupOf)).flat();
+}
+
+/**
+ * Draw the question set for a new attempt
+ * Fixed questions from the exam sections are always included, pool draws are added on top.
+ * Exams with a blueprint refuse draws that don't satisfy it (error code BLUEPRINT_UNSATISFIED)
+ * @param {Object} exam - Exam document (sections.mcqs may be populated or plain IDs)
+ * @returns {Promise<Array>} Shuffled question IDs for the attempt
+ */
+async function drawAttemptQuestionIds(exam) {
+  const selectedIds = getFixedQuestionIds(exam);
+  const drawCounts = [];
+
+  for (const draw of exam.poolDraws || []) {
+    const drawn = await Question.aggregate([
+      { $match: buildDrawFilter(draw, selectedIds) },
+      { $sample: { size: draw.count } },
+      { $project: { _id: 1 } }
+    ]);
+
+    if (drawn.length < draw.count) {
+      console.warn(`Pool ${draw.pool} only had ${drawn.length} of ${draw.count} requested questions for exam ${exam._id}`);
+    }
+
+    selectedIds.push(...drawn.map(q => q._id));
+    drawCounts.push({ draw, count: drawn.length });
+  }
+
+  const fixedQuestions = await Question.find({ _id: { $in: getFixedQuestionIds(exam) } })
+    .select(`${BLUEPRINT_FIELDS} groupId`);
+
+  // Every student gets the topic and difficulty distribution of the blueprint
+  if ((exam.blueprint || []).length > 0) {
+    const result = examBlueprint.evaluateBlueprint(exam.blueprint, fixedQuestions, drawCounts);
+    if (!result.satisfied) {
+      const error = new Error(`The questions drawn for this attempt don't satisfy the exam's blueprint: ${examBlueprint.describeViolations(result).join('; ')}`);
+      error.code = 'BLUEPRINT_UNSATISFIED';
+      throw error;
+    }
+  }
+
+  // Passage groups are shuffled as units (pool questions are never grouped)
+  const groupOf = new Map(fixedQuestions
+    .filter(question => question.groupId)
+    .map(question => [question._id.toString(), question.groupId.toString()]));
+  return shuffleQuestionUnits(selectedIds, groupOf);
+}
+
+/**
+ * Load questions keeping the order they were drawn in for an attempt
+ * @param {Array} questionIds - Ordered question IDs
+ * @param {string} select - Fields to select
+ * @returns {Promise<Array>} Question documents in the given order (missing ones are skipped)
+ */
+async function loadQuestionsInOrder(questionIds, select = 'type questionText options') {
+  const questions = await Question.find({ _id: { $in: questionIds } }).select(select);
+  const questionsById = new Map(questions.map(q => [q._id.toString(), q]));
+
+  return questionIds
+    .map(id => questionsById.get(id.toString()))
+    .filter(Boolean);
+}
+
+/**
+ * Check that every pool draw of an exam can be satisfied
+ * @param {Object} exam - Exam document
+ * @returns {Promise<Array>} Draws that have fewer matching questions than requested
+ */
+async function findUnsatisfiedDraws(exam) {
+  const fixedIds = getFixedQuestionIds(exam);
+  const unsatisfied = [];
+
+  for (const draw of exam.poolDraws || []) {
+    const available = await Question.countDocuments(buildDrawFilter(draw, fixedIds));
+    if (available < draw.count) {
+      unsatisfied.push({
+        pool: draw.pool,
+        tags: draw.tags,
+        difficulty: draw.difficulty,
+        requested: draw.count,
+        available
+      });
+    }
+  }
+
+  return unsatisfied;
+}
+
+/**
+ * Check an exam's questions and pool draws against its blueprint
+ * Draws count with their requested size (findUnsatisfiedDraws checks that pools can serve them)
+ * @param {Object} exam - Exam document
+ * @returns {Promise<Object>} Result of examBlueprint.evaluateBlueprint (satisfied when there's no blueprint)
+ */
+async function checkBlueprint(exam) {
+  if ((exam.blueprint || []).length === 0) {
+    return { satisfied: true, rows: [], unplannedQuestions: [], unplannedDraws: [] };
+  }
+
+  const fixedQuestions = await Question.find({ _id: { $in: getFixedQuestionIds(exam) } }).select(BLUEPRINT_FIELDS);
+  const draws = (exam.poolDraws || []).map(draw => ({ draw, count: draw.count }));
+  return examBlueprint.evaluateBlueprint(exam.blueprint, fixedQuestions, draws);
+}
+
+module.exports = {
+  shuffleArray,
+  shuffleQuestionUnits,
+  getFixedQuestionIds,
+  drawAttemptQuestionIds,
+  loadQuestionsInOrder,
+  findUnsatisfiedDraws,
+  checkBlueprint
+};
@@ -0,0 +1,514 @@
+/**
+ * Parameterized numeric questions
+ * A template question has variables drawn from ranges ("A server handles {x} req/s...")
+ * and a formula that computes the answer from them. Every attempt draws its own values
+ * when its questions are drawn; the values are stored with the attempt, so grading,
+ * regrading and review always see the same instance of the question
+ */
+
+const Question = require('../models/question.model');
+
+const MAX_VARIABLES = 10;
+const MAX_FORMULA_LENGTH = 500;
+const MAX_DECIMALS = 6;
+const TOLERANCE_TYPES = ['absolute', 'relative'];
+// Draws tried until the formula gives a number (e.g. to avoid a division by zero)
+const MAX_GENERATION_TRIES = 50;
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,29}$/;
+// {name} placeholders in the question text
+const PLACEHOLDER = /\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}/g;
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  pow: Math.pow
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+// Only the names listed above: inherited properties such as 'constructor' are neither
+const isFunctionName = (name) => Object.hasOwn(FUNCTIONS, name);
+const isConstantName = (name) => Object.hasOwn(CONSTANTS, name);
+
+/**
+ * Split a formula into tokens
+ * @param {string} source - Formula
+ * @returns {Array<Object>} Tokens: { type: 'number'|'name'|'op', value }
+ */
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(index));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]) });
+      index += number[0].length;
+      continue;
+    }
+
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(index));
+    if (name) {
+      tokens.push({ type: 'name', value: name[0] });
+      index += name[0].length;
+      continue;
+    }
+
+    if ('+-*/%^(),'.includes(char)) {
+      tokens.push({ type: 'op', value: char });
+      index++;
+      continue;
+    }
+
+    throw new Error(`Unexpected character '${char}' in formula`);
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a formula into an expression tree
+ * Supports + - * / % ^, parentheses, numbers, variables, pi, e and the functions in FUNCTIONS.
+ * Formulas are never run as code
+ * @param {string} source - Formula
+ * @returns {Object} Expression tree
+ */
+function parseFormula(source) {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      throw new Error(`Expected '${value}' in formula`);
+    }
+    position++;
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let node = parseTerm();
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp('*') || isOp('/') || isOp('%')) {
+      const op = tokens[position++].value;
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  // unary := ('-' | '+') unary | power  (so -2^2 is -(2^2))
+  const parseUnary = () => {
+    if (isOp('-') || isOp('+')) {
+      const op = tokens[position++].value;
+      return { type: 'unary', op, argument: parseUnary() };
+    }
+    return parsePower();
+  };
+
+  // power := primary ('^' unary)?  (right-associative)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp('^')) {
+      position++;
+      return { type: 'binary', op: '^', left: base, right: parseUnary() };
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) {
+      throw new Error('Formula ends unexpectedly');
+    }
+
+    if (token.type === 'number') {
+      position++;
+      return { type: 'number', value: token.value };
+    }
+
+    if (token.type === 'name') {
+      position++;
+      if (!isOp('(')) {
+        return { type: 'name', name: token.value };
+      }
+      if (!isFunctionName(token.value)) {
+        throw new Error(`Unknown function '${token.value}' in formula`);
+      }
+      position++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseExpression());
+        while (isOp(',')) {
+          position++;
+          args.push(parseExpression());
+        }
+      }
+      expect(')');
+      return { type: 'call', name: token.value, args };
+    }
+
+    if (isOp('(')) {
+      position++;
+      const node = parseExpression();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected '${token.value}' in formula`);
+  };
+
+  const tree = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected '${tokens[position].value}' in formula`);
+  }
+  return tree;
+}
+
+/**
+ * List the variable and constant names a formula uses
+ * @param {Object} node - Expression tree
+ * @param {Set} names - Names found so far
+ * @returns {Set<string>}
+ */
+function collectNames(node, names = new Set()) {
+  if (node.type === 'name') {
+    names.add(node.name);
+  } else if (node.type === 'unary') {
+    collectNames(node.argument, names);
+  } else if (node.type === 'binary') {
+    collectNames(node.left, names);
+    collectNames(node.right, names);
+  } else if (node.type === 'call') {
+    node.args.forEach(arg => collectNames(arg, names));
+  }
+  return names;
+}
+
+/**
+ * Evaluate an expression tree
+ * @param {Object} node - Expression tree
+ * @param {Object} values - Variable name -> value
+ * @returns {number} Result (NaN or Infinity when the formula has no value for these values)
+ */
+function evaluate(node, values) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'name':
+      if (Object.prototype.hasOwnProperty.call(values, node.name)) return Number(values[node.name]);
+      if (isConstantName(node.name)) return CONSTANTS[node.name];
+      throw new Error(`Unknown variable '${node.name}' in formula`);
+    case 'unary': {
+      const value = evaluate(node.argument, values);
+      return node.op === '-' ? -value : value;
+    }
+    case 'call':
+      if (!isFunctionName(node.name)) {
+        throw new Error(`Unknown function '${node.name}' in formula`);
+      }
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluate(arg, values)));
+    case 'binary': {
+      const left = evaluate(node.left, values);
+      const right = evaluate(node.right, values);
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '^': return Math.pow(left, right);
+      }
+    }
+  }
+  throw new Error('Invalid formula');
+}
+
+/**
+ * Compute a formula for a set of values
+ * @param {string} formula - Formula
+ * @param {Object} values - Variable name -> value
+ * @returns {number} Result, NaN when the formula can't be computed
+ */
+function computeFormula(formula, values) {
+  try {
+    return evaluate(parseFormula(formula), values);
+  } catch (error) {
+    return NaN;
+  }
+}
+
+/**
+ * Format a computed number without float noise (0.1 + 0.2 gives "0.3")
+ * @param {number} value - Number
+ * @returns {string}
+ */
+function formatNumber(value) {
+  return String(Number(value.toPrecision(12)));
+}
+
+/**
+ * Count the decimals of a number as written
+ * @param {number} value - Number
+ * @returns {number}
+ */
+function countDecimals(value) {
+  const [, decimals = ''] = String(value).split('.');
+  return decimals.length;
+}
+
+/**
+ * Draw a value for a variable: min, min + step, ... up to max
+ * Values are rounded to the decimals of min and step
+ * @param {Object} variable - { name, min, max, step }
+ * @returns {number}
+ */
+function drawValue(variable) {
+  const step = variable.step > 0 ? variable.step : 1;
+  const steps = Math.floor((variable.max - variable.min) / step + 1e-9);
+  const value = variable.min + Math.floor(Math.random() * (steps + 1)) * step;
+  const decimals = Math.min(Math.max(countDecimals(variable.min), countDecimals(step)), MAX_DECIMALS);
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * Draw the values of a template question, retrying until the formula gives a number
+ * @param {Object} question - Question with variables and formula
+ * @returns {Object} { values, answer } - answer is NaN when no draw worked
+ */
+function generateValues(question) {
+  let values = {};
+  let answer = NaN;
+
+  for (let tries = 0; tries < MAX_GENERATION_TRIES; tries++) {
+    values = {};
+    (question.variables || []).forEach(variable => {
+      values[variable.name] = drawValue(variable);
+    });
+    answer = computeFormula(question.formula, values);
+    if (Number.isFinite(answer)) {
+      break;
+    }
+  }
+
+  return { values, answer };
+}
+
+/**
+ * Read and validate the numeric settings of a question request
+ * On updates, fields that aren't sent are taken from the current question
+ * @param {Object} data - Request body (correctAnswer, variables, formula, tolerance, toleranceType)
+ * @param {Object} current - Current question, {} for new questions
+ * @returns {Object} { values, error } - Fields to set, or an error message
+ */
+function readNumericInput(data, current = {}) {
+  const values = {};
+
+  if (data.variables !== undefined) {
+    const variables = data.variables === null ? [] : data.variables;
+    if (!Array.isArray(variables) || variables.length > MAX_VARIABLES) {
+      return { values, error: `'variables' must be an array of at most ${MAX_VARIABLES} variables` };
+    }
+
+    const names = new Set();
+    for (const [index, variable] of variables.entries()) {
+      const label = `Variable ${index + 1}`;
+      if (!variable || typeof variable.name !== 'string' || !VARIABLE_NAME.test(variable.name)) {
+        return { values, error: `${label}: 'name' must be a letter followed by letters, digits or underscores` };
+      }
+      if (isFunctionName(variable.name) || isConstantName(variable.name)) {
+        return { values, error: `${label}: '${variable.name}' is a reserved name` };
+      }
+      if (names.has(variable.name)) {
+        return { values, error: `${label}: '${variable.name}' is defined twice` };
+      }
+      names.add(variable.name);
+
+      const min = Number(variable.min);
+      const max = Number(variable.max);
+      const step = variable.step === undefined || variable.step === null ? 1 : Number(variable.step);
+      if (!Number.isFinite(min) || !Number.isFinite(max) || min > max) {
+        return { values, error: `${label}: 'min' and 'max' must be numbers with min <= max` };
+      }
+      if (!(step > 0) || countDecimals(step) > MAX_DECIMALS || countDecimals(min) > MAX_DECIMALS) {
+        return { values, error: `${label}: 'step' must be a positive number, with at most ${MAX_DECIMALS} decimals in 'min' and 'step'` };
+      }
+      values.variables = values.variables || [];
+      values.variables.push({ name: variable.name, min, max, step });
+    }
+    values.variables = values.variables || [];
+  }
+
+  if (data.formula !== undefined) {
+    if (data.formula !== null && (typeof data.formula !== 'string' || data.formula.length > MAX_FORMULA_LENGTH)) {
+      return { values, error: `'formula' must be a string of at most ${MAX_FORMULA_LENGTH} characters` };
+    }
+    values.formula = data.formula ? data.formula.trim() : undefined;
+  }
+
+  if (data.tolerance !== undefined && data.tolerance !== null) {
+    const tolerance = Number(data.tolerance);
+    if (!(tolerance >= 0)) {
+      return { values, error: "'tolerance' must be a number of 0 or more" };
+    }
+    values.tolerance = tolerance;
+  }
+
+  if (data.toleranceType !== undefined) {
+    if (!TOLERANCE_TYPES.includes(data.toleranceType)) {
+      return { values, error: `'toleranceType' must be one of ${TOLERANCE_TYPES.join(', ')}` };
+    }
+    values.toleranceType = data.toleranceType;
+  }
+
+  // Check the question as it will be saved
+  const variables = values.variables !== undefined ? values.variables : (current.variables || []);
+  const formula = values.formula !== undefined || data.formula !== undefined ? values.formula : current.formula;
+
+  if (!formula) {
+    if (variables.length > 0) {
+      return { values, error: "Questions with 'variables' need a 'formula' that computes the answer" };
+    }
+    const correctAnswer = data.correctAnswer !== undefined ? data.correctAnswer : current.correctAnswer;
+    if (correctAnswer === undefined || correctAnswer === null || String(correctAnswer).trim() === '' ||
+        !Number.isFinite(Number(correctAnswer))) {
+      return { values, error: "Numeric questions need a number as 'correctAnswer', or 'variables' and a 'formula'" };
+    }
+    values.correctAnswer = String(Number(correctAnswer));
+    return { values, error: null };
+  }
+
+  let tree;
+  try {
+    tree = parseFormula(formula);
+  } catch (error) {
+    return { values, error: error.message };
+  }
+  const variableNames = variables.map(variable => variable.name);
+  const unknown = [...collectNames(tree)].filter(name => !variableNames.includes(name) && !isConstantName(name));
+  if (unknown.length > 0) {
+    return { values, error: `Unknown variable(s) in formula: ${unknown.join(', ')}` };
+  }
+  if (!Number.isFinite(generateValues({ variables, formula }).answer)) {
+    return { values, error: "The formula doesn't give a number for the variables' ranges" };
+  }
+
+  // Templates compute their answer per attempt
+  values.correctAnswer = undefined;
+  return { values, error: null };
+}
+
+/**
+ * Draw the values of every template question of an attempt
+ * @param {Array} questionIds - Question IDs of the attempt
+ * @returns {Promise<Array>} [{ questionId, values }], one entry per template question
+ */
+async function createVariants(questionIds) {
+  if (!questionIds || questionIds.length === 0) {
+    return [];
+  }
+
+  const templates = await Question.find({
+    _id: { $in: questionIds },
+    type: 'Numeric',
+    formula: { $nin: [null, ''] }
+  }).select('variables formula');
+
+  return templates.map(question => {
+    const { values, answer } = generateValues(question);
+    if (!Number.isFinite(answer)) {
+      // Graded as needing review rather than blocking the attempt
+      console.warn(`Formula of question ${question._id} gave no number after ${MAX_GENERATION_TRIES} draws`);
+    }
+    return { questionId: question._id, values };
+  });
+}
+
+/**
+ * Get the values drawn for a question of an attempt
+ * @param {Array} variants - Stored variants of the attempt
+ * @param {string} questionId - Question ID
+ * @returns {Object|null} Variable name -> value, null if the question has no variant
+ */
+function getVariantValues(variants, questionId) {
+  const variant = (variants || []).find(entry => entry.questionId.toString() === questionId.toString());
+  return variant ? variant.values : null;
+}
+
+/**
+ * Replace the {name} placeholders of a text with the drawn values
+ * Unknown placeholders are left as written
+ * @param {string} text - Question text
+ * @param {Object} values - Variable name -> value
+ * @returns {string}
+ */
+function renderTemplate(text, values) {
+  return String(text || '').replace(PLACEHOLDER, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(values, name) ? String(values[name]) : placeholder
+  );
+}
+
+/**
+ * Get the instance of a question an attempt was served
+ * @param {Object} question - Question document
+ * @param {Object} values - Values drawn for the attempt (null for questions without a variant)
+ * @returns {Object} The question itself, or a plain copy with the rendered text and computed answer
+ */
+function applyVariant(question, values) {
+  if (!question || !values) {
+    return question;
+  }
+
+  const instance = typeof question.toObject === 'function' ? question.toObject() : { ...question };
+  instance.questionText = renderTemplate(question.questionText, values);
+  if (question.formula) {
+    const answer = computeFormula(question.formula, values);
+    instance.correctAnswer = Number.isFinite(answer) ? formatNumber(answer) : undefined;
+  }
+  instance.variantValues = values;
+  return instance;
+}
+
+module.exports = {
+  TOLERANCE_TYPES,
+  parseFormula,
+  computeFormula,
+  formatNumber,
+  generateValues,
+  readNumericInput,
+  createVariants,
+  getVariantValues,
+  renderTemplate,
+  applyVariant
+};
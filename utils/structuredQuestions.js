@@ -0,0 +1,343 @@
+/**
+ * Matching, ordering and cloze (fill-in-the-blank) questions
+ * Their answers are structured: a list with one entry per prompt, position or blank,
+ * in the question's authored order. This module validates the questions, builds what
+ * students see and checks submitted answers; grading is in grading.js with the other types
+ */
+
+const optionShuffle = require('./optionShuffle');
+const { SCORING_METHODS } = require('./grading');
+
+const STRUCTURED_TYPES = ['Matching', 'Ordering', 'Cloze'];
+
+const MIN_ENTRIES = 2;
+const MAX_ENTRIES = 20;
+const MAX_TEXT_LENGTH = 500;
+const MAX_BLANK_ANSWER_LENGTH = 1000;
+
+// Blanks are written in the question text as [[1]], [[2]], ...
+const BLANK_MARKER = /\[\[(\d+)\]\]/g;
+
+// Structured questions give partial credit unless the author asks for all-or-nothing
+const DEFAULT_SCORING_METHOD = 'proportional';
+
+/**
+ * Check whether a question type has structured answers
+ * @param {string} type - Question type
+ * @returns {boolean}
+ */
+function isStructured(type) {
+  return STRUCTURED_TYPES.includes(type);
+}
+
+/**
+ * Read a list of non-empty strings
+ * @param {*} value - List from a request
+ * @param {string} label - Name used in error messages
+ * @param {number} min - Fewest entries
+ * @param {number} max - Most entries
+ * @returns {Object} { list, error }
+ */
+function readTextList(value, label, min, max) {
+  if (!Array.isArray(value) || !value.every(entry => typeof entry === 'string' && entry.trim())) {
+    return { list: null, error: `'${label}' must be an array of non-empty strings` };
+  }
+  const list = value.map(entry => entry.trim());
+  if (list.length < min || list.length > max) {
+    return { list: null, error: `'${label}' needs ${min} to ${max} entries` };
+  }
+  if (list.some(entry => entry.length > MAX_TEXT_LENGTH)) {
+    return { list: null, error: `Entries of '${label}' can be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+  return { list, error: null };
+}
+
+/**
+ * Find the first entry of a list that appears twice
+ * @param {Array<string>} list - Entries
+ * @returns {string|null}
+ */
+function findDuplicate(list) {
+  return list.find((entry, index) => list.indexOf(entry) !== index) || null;
+}
+
+/**
+ * Read the pairs and distractors of a matching question
+ * @param {Object} data - Request body
+ * @param {Object} current - Current question, null for new questions
+ * @param {Object} values - Fields to set (filled in)
+ * @returns {string|null} Error message
+ */
+function readMatchingInput(data, current, values) {
+  if (data.pairs !== undefined || !current) {
+    if (!Array.isArray(data.pairs) || !data.pairs.every(pair => pair && typeof pair === 'object')) {
+      return "Matching questions need a 'pairs' array of { prompt, match }";
+    }
+    const prompts = readTextList(data.pairs.map(pair => pair.prompt), 'pairs[].prompt', MIN_ENTRIES, MAX_ENTRIES);
+    if (prompts.error) return prompts.error;
+    const matches = readTextList(data.pairs.map(pair => pair.match), 'pairs[].match', MIN_ENTRIES, MAX_ENTRIES);
+    if (matches.error) return matches.error;
+
+    const duplicate = findDuplicate(prompts.list) || findDuplicate(matches.list);
+    if (duplicate) {
+      return `'${duplicate}' appears twice in the pairs, prompts and matches must be unique`;
+    }
+    values.pairs = prompts.list.map((prompt, index) => ({ prompt, match: matches.list[index] }));
+  }
+
+  if (data.distractors !== undefined) {
+    const distractors = data.distractors === null || (Array.isArray(data.distractors) && data.distractors.length === 0)
+      ? { list: [], error: null }
+      : readTextList(data.distractors, 'distractors', 1, MAX_ENTRIES);
+    if (distractors.error) return distractors.error;
+    values.distractors = distractors.list;
+  }
+
+  // Distractors are extra matches that belong to no prompt
+  const pairs = values.pairs || current?.pairs || [];
+  const distractors = values.distractors || current?.distractors || [];
+  const choices = [...pairs.map(pair => pair.match), ...distractors];
+  const duplicate = findDuplicate(choices);
+  if (duplicate) {
+    return `'${duplicate}' appears twice in the matches and distractors`;
+  }
+  return null;
+}
+
+/**
+ * Read the items of an ordering question (in the correct order)
+ * @param {Object} data - Request body
+ * @param {Object} current - Current question, null for new questions
+ * @param {Object} values - Fields to set (filled in)
+ * @returns {string|null} Error message
+ */
+function readOrderingInput(data, current, values) {
+  if (data.items === undefined && current) {
+    return null;
+  }
+  const items = readTextList(data.items, 'items', MIN_ENTRIES, MAX_ENTRIES);
+  if (items.error) {
+    return items.error;
+  }
+  const duplicate = findDuplicate(items.list);
+  if (duplicate) {
+    return `'${duplicate}' appears twice in 'items'`;
+  }
+  values.items = items.list;
+  return null;
+}
+
+/**
+ * Read the blanks of a cloze question and check them against the [[n]] markers of its text
+ * @param {Object} data - Request body
+ * @param {Object} current - Current question, null for new questions
+ * @param {Object} values - Fields to set (filled in)
+ * @returns {string|null} Error message
+ */
+function readClozeInput(data, current, values) {
+  if (data.blanks !== undefined || !current) {
+    if (!Array.isArray(data.blanks) || data.blanks.length < 1 || data.blanks.length > MAX_ENTRIES) {
+      return `Cloze questions need a 'blanks' array of 1 to ${MAX_ENTRIES} blanks`;
+    }
+
+    const blanks = [];
+    for (const [index, blank] of data.blanks.entries()) {
+      const label = `Blank ${index + 1}`;
+      const answers = readTextList(blank?.answers, 'answers', 1, MAX_ENTRIES);
+      if (answers.error) {
+        return `${label}: ${answers.error}`;
+      }
+
+      // Blanks with options are answered by choosing one of them
+      if (blank.options !== undefined && blank.options !== null) {
+        const options = readTextList(blank.options, 'options', MIN_ENTRIES, MAX_ENTRIES);
+        if (options.error) {
+          return `${label}: ${options.error}`;
+        }
+        if (findDuplicate(options.list)) {
+          return `${label}: options must be unique`;
+        }
+        if (!answers.list.every(answer => options.list.includes(answer))) {
+          return `${label}: every answer must be one of the options`;
+        }
+        blanks.push({ answers: answers.list, options: options.list });
+      } else {
+        blanks.push({ answers: answers.list });
+      }
+    }
+    values.blanks = blanks;
+  }
+
+  // Every blank is marked exactly once in the text, in any order
+  const text = data.text || data.questionText || current?.questionText || '';
+  const blankCount = (values.blanks || current?.blanks || []).length;
+  const markers = [...text.matchAll(BLANK_MARKER)].map(match => Number(match[1]));
+  const expected = Array.from({ length: blankCount }, (_, index) => index + 1);
+  if (markers.length !== blankCount || !expected.every(number => markers.includes(number))) {
+    return `The question text must mark each blank once as [[1]] to [[${blankCount}]]`;
+  }
+  return null;
+}
+
+/**
+ * Read and validate the fields of a matching, ordering or cloze question from a request
+ * On updates, fields that aren't sent are taken from the current question
+ * @param {string} type - Question type
+ * @param {Object} data - Request body (pairs, distractors, items, blanks, scoringMethod)
+ * @param {Object} current - Current question, null for new questions
+ * @returns {Object} { values, error } - Fields to set, or an error message
+ */
+function readStructuredInput(type, data, current = null) {
+  const values = {};
+
+  let error = null;
+  if (type === 'Matching') {
+    error = readMatchingInput(data, current, values);
+  } else if (type === 'Ordering') {
+    error = readOrderingInput(data, current, values);
+  } else if (type === 'Cloze') {
+    error = readClozeInput(data, current, values);
+  }
+  if (error) {
+    return { values, error };
+  }
+
+  if (data.scoringMethod !== undefined) {
+    if (!SCORING_METHODS.includes(data.scoringMethod)) {
+      return { values, error: `Scoring method must be one of ${SCORING_METHODS.join(', ')}` };
+    }
+    values.scoringMethod = data.scoringMethod;
+  } else if (!current) {
+    values.scoringMethod = DEFAULT_SCORING_METHOD;
+  }
+
+  if (type === 'Cloze' && data.caseSensitive !== undefined) {
+    values.caseSensitive = Boolean(data.caseSensitive);
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Get a shuffled display order that never shows the solved order
+ * Matching choices and ordering items are shuffled even when the exam keeps the authored
+ * option order, since that order would give the answer away
+ * @param {string|null} seed - Attempt option seed
+ * @param {string} key - Question ID and list name
+ * @param {number} count - Number of entries
+ * @returns {Array<number>} Authored indexes in displayed order
+ */
+function getScrambledOrder(seed, key, count) {
+  const order = optionShuffle.getOptionOrder(seed || 'authored', key, count);
+  if (count > 1 && order.every((index, position) => index === position)) {
+    order.push(order.shift());
+  }
+  return order;
+}
+
+/**
+ * Build what students see of a matching, ordering or cloze question
+ * @param {Object} question - Question document
+ * @param {string|null} seed - Attempt option seed
+ * @returns {Object} Matching: { prompts, matches }, ordering: { items }, cloze: { blanks: [{ number, options }] }
+ */
+function formatForStudent(question, seed) {
+  const id = question._id.toString();
+
+  if (question.type === 'Matching') {
+    const pairs = question.pairs || [];
+    const choices = [...pairs.map(pair => pair.match), ...(question.distractors || [])];
+    return {
+      prompts: pairs.map(pair => pair.prompt),
+      matches: getScrambledOrder(seed, `${id}:matches`, choices.length).map(index => choices[index])
+    };
+  }
+
+  if (question.type === 'Ordering') {
+    const items = question.items || [];
+    return {
+      items: getScrambledOrder(seed, `${id}:items`, items.length).map(index => items[index])
+    };
+  }
+
+  return {
+    blanks: (question.blanks || []).map((blank, index) => ({
+      number: index + 1,
+      // Options of a blank are shuffled like MCQ options
+      options: blank.options?.length
+        ? optionShuffle.getOptionOrder(seed, `${id}:blank${index + 1}`, blank.options.length).map(i => blank.options[i])
+        : null
+    }))
+  };
+}
+
+/**
+ * Check a structured answer against its question
+ * Answers are lists in the question's authored order: the match chosen for each prompt,
+ * the items in the student's order, or the text of each blank
+ * @param {Object} question - Question document
+ * @param {*} answer - Submitted answer
+ * @returns {Object} { answer } with the canonical answer to store, or { error }
+ */
+function normalizeStructuredAnswer(question, answer) {
+  // An empty answer clears the question
+  if (answer === null || answer === undefined || answer === '') {
+    return { answer };
+  }
+  if (!Array.isArray(answer)) {
+    return { error: `${question.type} questions take a list as their answer` };
+  }
+
+  const isEmpty = entry => entry === null || entry === undefined || entry === '';
+  if (answer.every(isEmpty)) {
+    return { answer: [] };
+  }
+
+  if (question.type === 'Ordering') {
+    const items = question.items || [];
+    const order = answer.map(entry => String(entry ?? '').trim());
+    if (order.length !== items.length || !items.every(item => order.includes(item))) {
+      return { error: "The answer must list every item exactly once, in the chosen order" };
+    }
+    return { answer: order };
+  }
+
+  const slots = question.type === 'Matching' ? (question.pairs || []) : (question.blanks || []);
+  if (answer.length > slots.length) {
+    return { error: `The answer has ${answer.length} entries, the question has ${slots.length}` };
+  }
+  if (answer.some(entry => !isEmpty(entry) && typeof entry !== 'string')) {
+    return { error: 'Answer entries must be strings (or null for no answer)' };
+  }
+
+  const entries = slots.map((_, index) => (isEmpty(answer[index]) ? null : answer[index].trim() || null));
+
+  if (question.type === 'Matching') {
+    const choices = [...slots.map(pair => pair.match), ...(question.distractors || [])];
+    const invalid = entries.filter(entry => entry !== null && !choices.includes(entry));
+    if (invalid.length > 0) {
+      return { error: `Matches must be taken from the question's matches: ${invalid.join(', ')}` };
+    }
+  } else {
+    for (const [index, entry] of entries.entries()) {
+      if (entry === null) continue;
+      if (entry.length > MAX_BLANK_ANSWER_LENGTH) {
+        return { error: `Blank ${index + 1}: answers can be at most ${MAX_BLANK_ANSWER_LENGTH} characters` };
+      }
+      if (slots[index].options?.length && !slots[index].options.includes(entry)) {
+        return { error: `Blank ${index + 1}: the answer must be one of the blank's options` };
+      }
+    }
+  }
+
+  // Nothing filled in is the same as no answer
+  return { answer: entries.every(entry => entry === null) ? [] : entries };
+}
+
+module.exports = {
+  STRUCTURED_TYPES,
+  isStructured,
+  readStructuredInput,
+  formatForStudent,
+  normalizeStructuredAnswer
+};
@@ -0,0 +1,179 @@
+/**
+ * Exam timeout manager
+ * The server owns each attempt's deadline: it is computed when the attempt starts,
+ * answers are refused after it, and expired attempts are auto-submitted as TIMED_OUT
+ */
+
+const ExamAttendance = require('../models/examAttendance.model');
+const Exam = require('../models/exam.model');
+const { finalizeAttempt } = require('./attemptGrading');
+
+// Pending in-process timers, keyed by attendance ID
+const attemptTimers = new Map();
+
+/**
+ * Compute the deadline of an attempt
+ * @param {Object} attendance - Exam attendance record
+ * @param {Object} exam - Exam document (needed for attempts created before deadlines were stored)
+ * @returns {Date|null} Deadline, or null if it can't be determined
+ */
+function getAttemptDeadline(attendance, exam = null) {
+  if (attendance.deadline) {
+    return new Date(attendance.deadline);
+  }
+
+  if (exam && exam.duration && attendance.startTime) {
+    return new Date(new Date(attendance.startTime).getTime() + exam.duration * 60 * 1000);
+  }
+
+  return null;
+}
+
+/**
+ * Get the remaining time of an attempt in seconds
+ * @param {Object} attendance - Exam attendance record
+ * @param {Object} exam - Exam document
+ * @param {Date} now - Current time
+ * @returns {number|null} Seconds left (0 when expired), or null without a deadline
+ */
+function getRemainingSeconds(attendance, exam = null, now = new Date()) {
+  const deadline = getAttemptDeadline(attendance, exam);
+  if (!deadline) {
+    return null;
+  }
+  return Math.max(0, Math.floor((deadline.getTime() - now.getTime()) / 1000));
+}
+
+/**
+ * Check whether an in-progress attempt is past its deadline
+ * @param {Object} attendance - Exam attendance record
+ * @param {Object} exam - Exam document
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isAttemptExpired(attendance, exam = null, now = new Date()) {
+  const deadline = getAttemptDeadline(attendance, exam);
+  return Boolean(deadline) && now >= deadline;
+}
+
+/**
+ * Auto-submit an expired attempt with the answers saved so far
+ * @param {Object} attendance - In-progress attendance document
+ * @param {Object} exam - Exam document (loaded if not given)
+ * @returns {Promise<Object|null>} Graded result, or null if the attempt was already finished
+ */
+async function expireAttempt(attendance, exam = null) {
+  clearAttemptTimeout(attendance._id);
+
+  if (!exam) {
+    exam = await Exam.findById(attendance.examId);
+  }
+
+  // finalizeAttempt claims the attempt first, so a concurrent completion isn't graded twice
+  console.log(`Attempt ${attendance._id} reached its deadline, auto-submitting as TIMED_OUT`);
+  return finalizeAttempt({ attendance, exam, status: 'TIMED_OUT' });
+}
+
+/**
+ * Schedule an in-process auto-submit at the attempt's deadline
+ * The periodic sweep covers attempts whose timers were lost on restart
+ * @param {Object} attendance - Exam attendance record with a deadline
+ */
+function scheduleAttemptTimeout(attendance) {
+  const deadline = getAttemptDeadline(attendance);
+  if (!deadline) {
+    return;
+  }
+
+  clearAttemptTimeout(attendance._id);
+
+  // setTimeout can't handle delays above ~24.8 days; the sweep covers those
+  const delay = Math.max(0, deadline.getTime() - Date.now());
+  if (delay > 0x7FFFFFFF) {
+    return;
+  }
+
+  const timer = setTimeout(async () => {
+    attemptTimers.delete(attendance._id.toString());
+    try {
+      await expireAttempt(attendance);
+    } catch (error) {
+      console.error(`Error auto-submitting attempt ${attendance._id}:`, error);
+    }
+  }, delay);
+
+  // Don't keep the process alive just for exam timers
+  if (timer.unref) {
+    timer.unref();
+  }
+
+  attemptTimers.set(attendance._id.toString(), timer);
+}
+
+/**
+ * Cancel a scheduled auto-submit
+ * @param {string|Object} attendanceId - Attendance ID
+ */
+function clearAttemptTimeout(attendanceId) {
+  const key = attendanceId.toString();
+  const timer = attemptTimers.get(key);
+  if (timer) {
+    clearTimeout(timer);
+    attemptTimers.delete(key);
+  }
+}
+
+/**
+ * Auto-submit every in-progress attempt that is past its deadline
+ * @returns {Promise<{expired: number, errors: number}>} Number of attempts auto-submitted and errors
+ */
+async function processExpiredAttempts() {
+  const now = new Date();
+  let expiredCount = 0;
+  let errorCount = 0;
+
+  // Attempts with a stored deadline, plus older attempts that only have a start time
+  const candidates = await ExamAttendance.find({
+    status: 'IN_PROGRESS',
+    $or: [
+      { deadline: { $lte: now } },
+      { deadline: { $exists: false } }
+    ]
+  });
+
+  const examCache = {};
+
+  for (const attendance of candidates) {
+    try {
+      const examId = attendance.examId.toString();
+      if (examCache[examId] === undefined) {
+        examCache[examId] = await Exam.findById(examId);
+      }
+      const exam = examCache[examId];
+
+      if (!isAttemptExpired(attendance, exam, now)) {
+        continue;
+      }
+
+      const result = await expireAttempt(attendance, exam);
+      if (result) {
+        expiredCount++;
+      }
+    } catch (error) {
+      console.error(`Error expiring attempt ${attendance._id}:`, error);
+      errorCount++;
+    }
+  }
+
+  return { expired: expiredCount, errors: errorCount };
+}
+
+module.exports = {
+  getAttemptDeadline,
+  getRemainingSeconds,
+  isAttemptExpired,
+  expireAttempt,
+  scheduleAttemptTimeout,
+  clearAttemptTimeout,
+  processExpiredAttempts
+};
@@ -0,0 +1,248 @@
+/**
+ * Minimal XML utilities for question interchange formats (QTI, Moodle XML)
+ * Parses documents into a small element tree with source line numbers and
+ * escapes text for the exporters. DTDs and external entities are never resolved
+ */
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: '\u00A0'
+};
+
+/**
+ * Decode character and predefined entity references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity] !== undefined ? NAMED_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ * @param {*} value - Text
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Wrap text in a CDATA section, splitting any "]]>" it contains
+ * @param {*} value - Text
+ * @returns {string} CDATA section
+ */
+function cdata(value) {
+  return `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Get an element name without its namespace prefix
+ * @param {string} name - Qualified name
+ * @returns {string} Local name
+ */
+function localName(name) {
+  const index = name.indexOf(':');
+  return index >= 0 ? name.slice(index + 1) : name;
+}
+
+/**
+ * Parse an XML document
+ * @param {string} text - XML source
+ * @returns {Object} Root element { name, attributes, children, line }; text nodes are { text }
+ * @throws {Error} On malformed XML, with the line number
+ */
+function parseXml(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const root = { name: '#document', attributes: {}, children: [], line: 1 };
+  const stack = [root];
+  let position = 0;
+  let line = 1;
+
+  const advance = (to) => {
+    for (let i = position; i < to; i++) {
+      if (source[i] === '\n') line++;
+    }
+    position = to;
+  };
+  const fail = (message) => {
+    throw new Error(`XML error on line ${line}: ${message}`);
+  };
+  const current = () => stack[stack.length - 1];
+
+  while (position < source.length) {
+    const next = source.indexOf('<', position);
+
+    if (next < 0 || next > position) {
+      const end = next < 0 ? source.length : next;
+      const content = source.slice(position, end);
+      if (stack.length > 1) {
+        current().children.push({ text: decodeEntities(content) });
+      } else if (content.trim() !== '') {
+        fail('text outside the root element');
+      }
+      advance(end);
+      continue;
+    }
+
+    if (source.startsWith('<!--', position)) {
+      const end = source.indexOf('-->', position);
+      if (end < 0) fail('unterminated comment');
+      advance(end + 3);
+    } else if (source.startsWith('<![CDATA[', position)) {
+      const end = source.indexOf(']]>', position);
+      if (end < 0) fail('unterminated CDATA section');
+      current().children.push({ text: source.slice(position + 9, end) });
+      advance(end + 3);
+    } else if (source.startsWith('<?', position)) {
+      const end = source.indexOf('?>', position);
+      if (end < 0) fail('unterminated processing instruction');
+      advance(end + 2);
+    } else if (source.startsWith('<!', position)) {
+      // DOCTYPE and other declarations are skipped, entities in them are not expanded
+      let depth = 0;
+      let end = position;
+      for (; end < source.length; end++) {
+        if (source[end] === '[') depth++;
+        else if (source[end] === ']') depth--;
+        else if (source[end] === '>' && depth <= 0) break;
+      }
+      advance(end + 1);
+    } else if (source.startsWith('</', position)) {
+      const end = source.indexOf('>', position);
+      if (end < 0) fail('unterminated closing tag');
+      const name = source.slice(position + 2, end).trim();
+      const open = current();
+      if (stack.length <= 1 || open.name !== name) {
+        fail(`unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      advance(end + 1);
+    } else {
+      // Opening tag: find its end outside of quoted attribute values
+      let end = position + 1;
+      let quote = null;
+      for (; end < source.length; end++) {
+        const char = source[end];
+        if (quote) {
+          if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+          quote = char;
+        } else if (char === '>') {
+          break;
+        }
+      }
+      if (end >= source.length) fail('unterminated tag');
+
+      const raw = source.slice(position + 1, end);
+      const selfClosing = raw.endsWith('/');
+      const inner = selfClosing ? raw.slice(0, -1) : raw;
+      const nameMatch = inner.match(/^\s*([^\s/>]+)/);
+      if (!nameMatch) fail('missing tag name');
+
+      const element = { name: nameMatch[1], attributes: {}, children: [], line };
+      const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+      let match;
+      const attributeSource = inner.slice(nameMatch[0].length);
+      while ((match = attributePattern.exec(attributeSource)) !== null) {
+        element.attributes[match[1]] = decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+      }
+
+      if (stack.length === 1 && root.children.some(child => child.name)) {
+        fail('more than one root element');
+      }
+      current().children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      advance(end + 1);
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`missing closing tag for <${current().name}>`);
+  }
+
+  const documentElement = root.children.find(child => child.name);
+  if (!documentElement) {
+    fail('no root element');
+  }
+  return documentElement;
+}
+
+/**
+ * Get the child elements of an element, optionally by local name
+ * @param {Object} element - Parsed element
+ * @param {string} name - Local name to match
+ * @returns {Array} Child elements
+ */
+function childElements(element, name = null) {
+  return (element?.children || []).filter(child =>
+    child.name && (name === null || localName(child.name) === name)
+  );
+}
+
+/**
+ * Get the first child element with a local name
+ * @param {Object} element - Parsed element
+ * @param {string} name - Local name
+ * @returns {Object|null}
+ */
+function childElement(element, name) {
+  return childElements(element, name)[0] || null;
+}
+
+/**
+ * Find all descendant elements with a local name
+ * @param {Object} element - Parsed element
+ * @param {string} name - Local name
+ * @returns {Array} Matching elements in document order
+ */
+function findElements(element, name) {
+  const found = [];
+  childElements(element).forEach(child => {
+    if (localName(child.name) === name) {
+      found.push(child);
+    }
+    found.push(...findElements(child, name));
+  });
+  return found;
+}
+
+/**
+ * Get the concatenated text of an element and its descendants
+ * @param {Object} element - Parsed element
+ * @returns {string}
+ */
+function textContent(element) {
+  if (!element) return '';
+  return element.children
+    .map(child => (child.name ? textContent(child) : child.text))
+    .join('');
+}
+
+module.exports = {
+  escapeXml,
+  cdata,
+  localName,
+  parseXml,
+  childElements,
+  childElement,
+  findElements,
+  textContent
+};